@@ -2,6 +2,9 @@ const request = require('supertest');
 const app = require('../server');
 const { initializeDatabase } = require('../db/db');
 
+// Runs as a platform admin; who-can-do-what is covered in auth.test.js
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
 describe('Restaurant Reservation API', () => {
   let restaurantId;
   let tableId;
@@ -13,7 +16,7 @@ describe('Restaurant Reservation API', () => {
 
   describe('Restaurant Management', () => {
     test('should create a new restaurant with valid data', async () => {
-      const res = await request(app)
+      const res = await api
         .post('/api/restaurants')
         .send({
           name: 'The Grill House',
@@ -32,7 +35,7 @@ describe('Restaurant Reservation API', () => {
     });
 
     test('should reject restaurant with invalid time format', async () => {
-      const res = await request(app)
+      const res = await api
         .post('/api/restaurants')
         .send({
           name: 'Invalid Restaurant',
@@ -45,7 +48,7 @@ describe('Restaurant Reservation API', () => {
     });
 
     test('should return all restaurants', async () => {
-      const res = await request(app)
+      const res = await api
         .get('/api/restaurants');
 
       expect(res.statusCode).toBe(200);
@@ -54,7 +57,7 @@ describe('Restaurant Reservation API', () => {
     });
 
     test('should return specific restaurant with tables', async () => {
-      const res = await request(app)
+      const res = await api
         .get(`/api/restaurants/${restaurantId}`);
 
       expect(res.statusCode).toBe(200);
@@ -65,7 +68,7 @@ describe('Restaurant Reservation API', () => {
     });
 
     test('should add a table to restaurant', async () => {
-      const res = await request(app)
+      const res = await api
         .post(`/api/restaurants/${restaurantId}/tables`)
         .send({
           restaurant_id: restaurantId,
@@ -83,7 +86,7 @@ describe('Restaurant Reservation API', () => {
 
     test('should add multiple tables to same restaurant', async () => {
       for (let i = 2; i <= 5; i++) {
-        const res = await request(app)
+        const res = await api
           .post(`/api/restaurants/${restaurantId}/tables`)
           .send({
             restaurant_id: restaurantId,
@@ -97,7 +100,7 @@ describe('Restaurant Reservation API', () => {
     });
 
     test('should reject duplicate table number', async () => {
-      const res = await request(app)
+      const res = await api
         .post(`/api/restaurants/${restaurantId}/tables`)
         .send({
           restaurant_id: restaurantId,
@@ -114,10 +117,10 @@ describe('Restaurant Reservation API', () => {
     test('should create a valid reservation', async () => {
       // Create a future date at a time during opening hours
       const futureDate = new Date();
-      futureDate.setDate(futureDate.getDate() + 1);
-      futureDate.setHours(12, 0, 0, 0);
+      futureDate.setUTCDate(futureDate.getUTCDate() + 1);
+      futureDate.setUTCHours(12, 0, 0, 0);
 
-      const res = await request(app)
+      const res = await api
         .post('/api/reservations')
         .send({
           restaurant_id: restaurantId,
@@ -137,10 +140,10 @@ describe('Restaurant Reservation API', () => {
 
     test('should reject reservation with party larger than table capacity', async () => {
       const futureDate = new Date();
-      futureDate.setDate(futureDate.getDate() + 1);
-      futureDate.setHours(14, 0, 0, 0);
+      futureDate.setUTCDate(futureDate.getUTCDate() + 1);
+      futureDate.setUTCHours(14, 0, 0, 0);
 
-      const res = await request(app)
+      const res = await api
         .post('/api/reservations')
         .send({
           restaurant_id: restaurantId,
@@ -158,10 +161,10 @@ describe('Restaurant Reservation API', () => {
 
     test('should reject reservation outside operating hours', async () => {
       const futureDate = new Date();
-      futureDate.setDate(futureDate.getDate() + 1);
-      futureDate.setHours(9, 0, 0, 0);  // Restaurant opens at 10:00
+      futureDate.setUTCDate(futureDate.getUTCDate() + 1);
+      futureDate.setUTCHours(9, 0, 0, 0);  // Restaurant opens at 10:00
 
-      const res = await request(app)
+      const res = await api
         .post('/api/reservations')
         .send({
           restaurant_id: restaurantId,
@@ -181,10 +184,10 @@ describe('Restaurant Reservation API', () => {
       // The first test created a reservation at 12:00-13:30
       // Try to book at 12:15 - should conflict
       const futureDate = new Date();
-      futureDate.setDate(futureDate.getDate() + 1);
-      futureDate.setHours(12, 15, 0, 0);
+      futureDate.setUTCDate(futureDate.getUTCDate() + 1);
+      futureDate.setUTCHours(12, 15, 0, 0);
 
-      const res = await request(app)
+      const res = await api
         .post('/api/reservations')
         .send({
           restaurant_id: restaurantId,
@@ -202,10 +205,10 @@ describe('Restaurant Reservation API', () => {
 
     test('should return reservations for a specific date', async () => {
       const futureDate = new Date();
-      futureDate.setDate(futureDate.getDate() + 1);
+      futureDate.setUTCDate(futureDate.getUTCDate() + 1);
       const dateStr = futureDate.toISOString().split('T')[0];
 
-      const res = await request(app)
+      const res = await api
         .get(`/api/restaurants/${restaurantId}/reservations/${dateStr}`);
 
       expect(res.statusCode).toBe(200);
@@ -219,10 +222,10 @@ describe('Restaurant Reservation API', () => {
 
     test('should find available time slots', async () => {
       const futureDate = new Date();
-      futureDate.setDate(futureDate.getDate() + 2);  // Use a day with no reservations
+      futureDate.setUTCDate(futureDate.getUTCDate() + 2);  // Use a day with no reservations
       const dateStr = futureDate.toISOString().split('T')[0];
 
-      const res = await request(app)
+      const res = await api
         .get('/api/availability')
         .query({
           restaurant_id: restaurantId,
@@ -237,7 +240,7 @@ describe('Restaurant Reservation API', () => {
     });
 
     test('should reject availability query with missing parameters', async () => {
-      const res = await request(app)
+      const res = await api
         .get('/api/availability')
         .query({
           restaurant_id: restaurantId
@@ -251,7 +254,7 @@ describe('Restaurant Reservation API', () => {
 
   describe('System Health', () => {
     test('health check should return ok status', async () => {
-      const res = await request(app)
+      const res = await api
         .get('/health');
 
       expect(res.statusCode).toBe(200);
@@ -0,0 +1,267 @@
+const request = require('supertest');
+const app = require('../server');
+const { initializeDatabase } = require('../db/db');
+
+const admin = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+const guest = request.agent(app);
+const withKey = (key) => request.agent(app).set('X-API-Key', key);
+
+// Tomorrow at the given UTC time, as an ISO string
+const tomorrowAt = (hours, minutes = 0) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + 1);
+  date.setUTCHours(hours, minutes, 0, 0);
+  return date.toISOString();
+};
+
+describe('Authentication and roles', () => {
+  let ours;
+  let theirs;
+  let manager;
+  let host;
+  let hostKeyId;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+
+    const create = async (name) => (await admin
+      .post('/api/restaurants')
+      .send({ name, opening_time: '10:00', closing_time: '22:00' })).body.id;
+    ours = await create('Our Place');
+    theirs = await create('Their Place');
+
+    await admin.post(`/api/restaurants/${ours}/tables`).send({ table_number: 1, capacity: 4 });
+    await admin.post(`/api/restaurants/${theirs}/tables`).send({ table_number: 1, capacity: 4 });
+  });
+
+  describe('Staff API keys', () => {
+    test('should reject staff actions without a key', async () => {
+      const res = await guest
+        .post('/api/restaurants')
+        .send({ name: 'Sneaky', opening_time: '10:00', closing_time: '22:00' });
+
+      expect(res.statusCode).toBe(401);
+    });
+
+    test('should reject an unknown key', async () => {
+      const res = await withKey('tk_nope').get('/api/restaurants');
+      expect(res.statusCode).toBe(401);
+    });
+
+    test('should let an admin issue a manager key', async () => {
+      const res = await admin
+        .post('/api/api-keys')
+        .send({ name: 'Our manager', role: 'manager', restaurant_ids: [ours] });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.api_key).toMatch(/^tk_/);
+      expect(res.body.restaurant_ids).toEqual([ours]);
+      manager = withKey(res.body.api_key);
+    });
+
+    test('should require restaurants for manager and host keys', async () => {
+      const res = await admin
+        .post('/api/api-keys')
+        .send({ name: 'Nowhere manager', role: 'manager' });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    test('should let managers issue host keys only for their own restaurants', async () => {
+      const denied = await manager
+        .post('/api/api-keys')
+        .send({ name: 'Their host', role: 'host', restaurant_ids: [theirs] });
+      expect(denied.statusCode).toBe(403);
+
+      const promoted = await manager
+        .post('/api/api-keys')
+        .send({ name: 'Another manager', role: 'manager', restaurant_ids: [ours] });
+      expect(promoted.statusCode).toBe(403);
+
+      const res = await manager
+        .post('/api/api-keys')
+        .send({ name: 'Front desk', role: 'host', restaurant_ids: [ours] });
+      expect(res.statusCode).toBe(201);
+      host = withKey(res.body.api_key);
+      hostKeyId = res.body.id;
+    });
+
+    test('should list keys without exposing secrets', async () => {
+      const res = await admin.get('/api/api-keys');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.length).toBeGreaterThanOrEqual(2);
+      for (const key of res.body) {
+        expect(key).not.toHaveProperty('api_key');
+        expect(key).not.toHaveProperty('key_hash');
+      }
+
+      const forbidden = await manager.get('/api/api-keys');
+      expect(forbidden.statusCode).toBe(403);
+    });
+  });
+
+  describe('Restaurant-scoped permissions', () => {
+    test('should let managers change only their own restaurants', async () => {
+      const mine = await manager
+        .post(`/api/restaurants/${ours}/tables`)
+        .send({ table_number: 2, capacity: 2 });
+      expect(mine.statusCode).toBe(201);
+
+      const notMine = await manager
+        .post(`/api/restaurants/${theirs}/tables`)
+        .send({ table_number: 2, capacity: 2 });
+      expect(notMine.statusCode).toBe(403);
+
+      const hours = await manager
+        .put(`/api/restaurants/${theirs}/hours/weekly`)
+        .send({ rules: [] });
+      expect(hours.statusCode).toBe(403);
+    });
+
+    test('should not let managers open restaurants', async () => {
+      const res = await manager
+        .post('/api/restaurants')
+        .send({ name: 'Side Project', opening_time: '10:00', closing_time: '22:00' });
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    test('should let hosts see the day sheet but not change settings', async () => {
+      const date = tomorrowAt(0).split('T')[0];
+
+      const sheet = await host.get(`/api/restaurants/${ours}/reservations/${date}`);
+      expect(sheet.statusCode).toBe(200);
+
+      const otherSheet = await host.get(`/api/restaurants/${theirs}/reservations/${date}`);
+      expect(otherSheet.statusCode).toBe(403);
+
+      const table = await host
+        .post(`/api/restaurants/${ours}/tables`)
+        .send({ table_number: 3, capacity: 2 });
+      expect(table.statusCode).toBe(403);
+    });
+
+    test('should keep the day sheet and waitlist away from guests', async () => {
+      const date = tomorrowAt(0).split('T')[0];
+
+      expect((await guest.get(`/api/restaurants/${ours}/reservations/${date}`)).statusCode).toBe(401);
+      expect((await guest.get(`/api/restaurants/${ours}/waitlist`)).statusCode).toBe(401);
+    });
+
+    test('should leave browsing and availability public', async () => {
+      expect((await guest.get('/api/restaurants')).statusCode).toBe(200);
+      expect((await guest.get(`/api/restaurants/${ours}`)).statusCode).toBe(200);
+
+      const slots = await guest
+        .get('/api/availability')
+        .query({ restaurant_id: ours, date: tomorrowAt(0).split('T')[0], party_size: 2 });
+      expect(slots.statusCode).toBe(200);
+    });
+
+    test('should only let staff at the restaurant ask for VIP tables', async () => {
+      const date = tomorrowAt(0).split('T')[0];
+
+      const booking = await guest
+        .post('/api/reservations')
+        .send({
+          restaurant_id: ours,
+          customer_name: 'Self Made VIP',
+          phone: '5557654321',
+          party_size: 2,
+          start_time: tomorrowAt(13),
+          vip: true
+        });
+      expect(booking.statusCode).toBe(403);
+
+      const search = (caller, restaurantId) => caller
+        .get('/api/availability')
+        .query({ restaurant_id: restaurantId, date, party_size: 2, vip: 'true' });
+      expect((await search(guest, ours)).statusCode).toBe(403);
+      expect((await search(host, theirs)).statusCode).toBe(403);
+      expect((await search(host, ours)).statusCode).toBe(200);
+
+      const calendar = await guest
+        .get(`/api/restaurants/${ours}/availability/calendar`)
+        .query({ from: date, to: date, party_size: 2, vip: 'true' });
+      expect(calendar.statusCode).toBe(403);
+    });
+
+    test('should stop accepting a revoked key', async () => {
+      const revoked = await admin.delete(`/api/api-keys/${hostKeyId}`);
+      expect(revoked.statusCode).toBe(200);
+
+      const res = await host.get('/api/restaurants');
+      expect(res.statusCode).toBe(401);
+    });
+  });
+
+  describe('Guest reservation tokens', () => {
+    let reservation;
+
+    beforeAll(async () => {
+      const res = await guest
+        .post('/api/reservations')
+        .send({
+          restaurant_id: ours,
+          customer_name: 'Guest Gina',
+          phone: '5550001111',
+          party_size: 2,
+          start_time: tomorrowAt(12),
+          duration_minutes: 90
+        });
+      reservation = res.body;
+    });
+
+    test('should return a secret token when a guest books', () => {
+      expect(reservation.guest_token).toMatch(/^rsv_/);
+    });
+
+    test('should not let guests move bookings through service', async () => {
+      const res = await guest
+        .patch(`/api/reservations/${reservation.id}/seat`)
+        .set('X-Reservation-Token', reservation.guest_token);
+
+      expect(res.statusCode).toBe(401);
+    });
+
+    test('should let the guest change the booking with their token', async () => {
+      const missing = await guest
+        .patch(`/api/reservations/${reservation.id}`)
+        .send({ duration_minutes: 60 });
+      expect(missing.statusCode).toBe(401);
+
+      const wrong = await guest
+        .patch(`/api/reservations/${reservation.id}`)
+        .set('X-Reservation-Token', 'rsv_wrong')
+        .send({ duration_minutes: 60 });
+      expect(wrong.statusCode).toBe(403);
+
+      const res = await guest
+        .patch(`/api/reservations/${reservation.id}`)
+        .set('X-Reservation-Token', reservation.guest_token)
+        .send({ duration_minutes: 60 });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.duration_minutes).toBe(60);
+      expect(res.body).not.toHaveProperty('guest_token_hash');
+    });
+
+    test('should not let staff from another restaurant touch the booking', async () => {
+      const other = await admin
+        .post('/api/api-keys')
+        .send({ name: 'Their manager', role: 'manager', restaurant_ids: [theirs] });
+
+      const res = await withKey(other.body.api_key)
+        .patch(`/api/reservations/${reservation.id}/cancel`);
+      expect(res.statusCode).toBe(403);
+    });
+
+    test('should let the guest cancel with their token', async () => {
+      const res = await guest
+        .patch(`/api/reservations/${reservation.id}/cancel`)
+        .set('X-Reservation-Token', reservation.guest_token);
+
+      expect(res.statusCode).toBe(200);
+    });
+  });
+});
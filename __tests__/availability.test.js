@@ -0,0 +1,227 @@
+const request = require('supertest');
+const app = require('../server');
+const { db, initializeDatabase } = require('../db/db');
+
+// Runs as a platform admin; who-can-do-what is covered in auth.test.js
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
+// Tomorrow's date (YYYY-MM-DD) and a UTC time on it
+const tomorrow = (() => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().split('T')[0];
+})();
+const at = (time) => `${tomorrow}T${time}:00.000Z`;
+
+describe('Availability search', () => {
+  let restaurantId;
+  const tableIds = [];
+
+  const slotsFor = (query = {}) =>
+    api
+      .get('/api/availability')
+      .query({ restaurant_id: restaurantId, date: tomorrow, party_size: 2, ...query });
+
+  beforeAll(async () => {
+    await initializeDatabase();
+
+    const restaurant = await api
+      .post('/api/restaurants')
+      .send({ name: 'Open Table Diner', opening_time: '10:00', closing_time: '22:00' });
+    restaurantId = restaurant.body.id;
+
+    for (const [table_number, capacity] of [[1, 2], [2, 4], [3, 6]]) {
+      const table = await api
+        .post(`/api/restaurants/${restaurantId}/tables`)
+        .send({ table_number, capacity });
+      tableIds.push(table.body.id);
+    }
+
+    // Table 1 is taken 12:00-13:30
+    await api
+      .post('/api/reservations')
+      .send({
+        restaurant_id: restaurantId,
+        table_id: tableIds[0],
+        customer_name: 'Early Lunch',
+        phone: '5551112222',
+        party_size: 2,
+        start_time: at('12:00'),
+        duration_minutes: 90
+      });
+  });
+
+  test('should keep the old defaults of 90 minutes every 15 minutes', async () => {
+    const res = await slotsFor();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.duration_minutes).toBe(90);
+    expect(res.body.slot_interval).toBe(15);
+
+    const times = res.body.available_slots.map((slot) => slot.time);
+    expect(times[0]).toBe(at('10:00'));
+    expect(times[1]).toBe(at('10:15'));
+    expect(times[times.length - 1]).toBe(at('20:30'));
+  });
+
+  test('should list every free table in each slot', async () => {
+    const res = await slotsFor();
+    const slots = Object.fromEntries(res.body.available_slots.map((slot) => [slot.time, slot]));
+
+    expect(slots[at('10:00')].tables.map((table) => table.table_id)).toEqual(tableIds);
+
+    // Table 1 is busy at noon, so the best free table is now table 2
+    const noon = slots[at('12:00')];
+    expect(noon.tables.map((table) => table.table_id)).toEqual([tableIds[1], tableIds[2]]);
+    expect(noon.table_id).toBe(tableIds[1]);
+    expect(noon.tables[0]).toEqual({ table_id: tableIds[1], table_number: 2, capacity: 4 });
+  });
+
+  test('should only offer tables big enough for the party', async () => {
+    const res = await slotsFor({ party_size: 5 });
+
+    for (const slot of res.body.available_slots) {
+      expect(slot.tables.map((table) => table.table_id)).toEqual([tableIds[2]]);
+    }
+  });
+
+  test('should use the requested duration and step', async () => {
+    const res = await slotsFor({ duration_minutes: 180, slot_interval: 60 });
+    const times = res.body.available_slots.map((slot) => slot.time);
+
+    expect(times[0]).toBe(at('10:00'));
+    expect(times[1]).toBe(at('11:00'));
+    // The last three-hour booking has to end by 22:00
+    expect(times[times.length - 1]).toBe(at('19:00'));
+  });
+
+  test('should narrow the search with from and to', async () => {
+    const res = await slotsFor({ from: '18:00', to: '19:00', slot_interval: 30 });
+    const times = res.body.available_slots.map((slot) => slot.time);
+
+    expect(times).toEqual([at('18:00'), at('18:30'), at('19:00')]);
+  });
+
+  test('should reject bad options', async () => {
+    const res = await slotsFor({ slot_interval: 1, from: '6pm' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors).toHaveProperty('slot_interval');
+    expect(res.body.errors).toHaveProperty('from');
+  });
+
+  test('should read the reservations once, however many slots and tables there are', async () => {
+    const statements = [];
+    const trace = (sql) => statements.push(sql);
+    db.on('trace', trace);
+
+    try {
+      await slotsFor({ slot_interval: 5 });
+    } finally {
+      db.removeListener('trace', trace);
+    }
+
+    const reservationReads = statements.filter((sql) => /FROM reservations/.test(sql));
+    expect(reservationReads).toHaveLength(1);
+  });
+});
+
+describe('Availability calendar', () => {
+  let restaurantId;
+
+  // A date relative to today, as YYYY-MM-DD
+  const daysFromNow = (days) => {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+  };
+
+  const calendar = (query) =>
+    api
+      .get(`/api/restaurants/${restaurantId}/availability/calendar`)
+      .query({ party_size: 2, ...query });
+
+  beforeAll(async () => {
+    const restaurant = await api
+      .post('/api/restaurants')
+      .send({ name: 'Month View Cafe', opening_time: '10:00', closing_time: '22:00' });
+    restaurantId = restaurant.body.id;
+
+    const table = await api
+      .post(`/api/restaurants/${restaurantId}/tables`)
+      .send({ table_number: 1, capacity: 2 });
+
+    // Closed two days from now
+    await api
+      .post(`/api/restaurants/${restaurantId}/hours/exceptions`)
+      .send({ date: daysFromNow(2), closed: true, reason: 'Staff party' });
+
+    // The only table is taken all day three days from now
+    await api
+      .post('/api/reservations')
+      .send({
+        restaurant_id: restaurantId,
+        table_id: table.body.id,
+        customer_name: 'Private Hire',
+        phone: '5559990000',
+        party_size: 2,
+        start_time: `${daysFromNow(3)}T10:00:00.000Z`,
+        duration_minutes: 720
+      });
+  });
+
+  test('should summarise each day in the range', async () => {
+    const res = await calendar({ from: daysFromNow(1), to: daysFromNow(3) });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.timezone).toBe('UTC');
+    expect(res.body.days.map((day) => day.date)).toEqual([daysFromNow(1), daysFromNow(2), daysFromNow(3)]);
+
+    const [open, closed, full] = res.body.days;
+
+    // (12 hours - 90 minutes) / 15 minutes + 1
+    expect(open).toMatchObject({
+      status: 'available',
+      open: true,
+      bookable_slots: 43,
+      earliest_time: `${daysFromNow(1)}T10:00:00.000Z`,
+      earliest_local_time: `${daysFromNow(1)}T10:00:00+00:00`,
+      latest_time: `${daysFromNow(1)}T20:30:00.000Z`
+    });
+
+    expect(closed).toMatchObject({ status: 'closed', open: false, bookable_slots: 0, earliest_time: null });
+    expect(full).toMatchObject({ status: 'fully_booked', open: true, bookable_slots: 0, latest_time: null });
+  });
+
+  test('should mark days before today as past', async () => {
+    const res = await calendar({ from: daysFromNow(-2), to: daysFromNow(-1) });
+
+    expect(res.body.days.every((day) => day.status === 'past')).toBe(true);
+  });
+
+  test('should follow the requested duration', async () => {
+    const res = await calendar({ from: daysFromNow(1), to: daysFromNow(1), duration_minutes: 180, slot_interval: 60 });
+
+    expect(res.body.days[0].bookable_slots).toBe(10);
+  });
+
+  test('should reject backwards or overly long ranges', async () => {
+    const backwards = await calendar({ from: daysFromNow(5), to: daysFromNow(1) });
+    expect(backwards.statusCode).toBe(400);
+    expect(backwards.body.errors).toHaveProperty('to');
+
+    const tooLong = await calendar({ from: daysFromNow(1), to: daysFromNow(100) });
+    expect(tooLong.statusCode).toBe(400);
+
+    const missing = await calendar({ from: daysFromNow(1) });
+    expect(missing.statusCode).toBe(400);
+  });
+
+  test('should return 404 for an unknown restaurant', async () => {
+    const res = await api
+      .get('/api/restaurants/99999/availability/calendar')
+      .query({ from: daysFromNow(1), to: daysFromNow(2), party_size: 2 });
+
+    expect(res.statusCode).toBe(404);
+  });
+});
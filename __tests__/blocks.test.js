@@ -0,0 +1,183 @@
+const request = require('supertest');
+const app = require('../server');
+const { initializeDatabase } = require('../db/db');
+
+// Runs as a platform admin; who-can-do-what is covered in auth.test.js
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
+// A date some days from now (YYYY-MM-DD) and a UTC time on it
+const inDays = (days) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+const at = (date, time) => `${date}T${time}:00.000Z`;
+
+describe('Blocks', () => {
+  let restaurantId;
+  let patioId;
+  const tables = {};
+  const day = inDays(3);
+
+  const guest = {
+    customer_name: 'Blocked Guest',
+    phone: '5553334444'
+  };
+
+  const book = (details) =>
+    api.post('/api/reservations').send({
+      restaurant_id: restaurantId,
+      ...guest,
+      party_size: 2,
+      duration_minutes: 60,
+      ...details
+    });
+
+  const block = (details) =>
+    api.post(`/api/restaurants/${restaurantId}/blocks`).send({ reason: 'Private event', ...details });
+
+  const slotsAt = async (date) => {
+    const res = await api.get('/api/availability').query({
+      restaurant_id: restaurantId,
+      date,
+      party_size: 2,
+      duration_minutes: 60
+    });
+    return res.body.available_slots;
+  };
+
+  beforeAll(async () => {
+    await initializeDatabase();
+
+    const restaurant = await api
+      .post('/api/restaurants')
+      .send({ name: 'Blocked Bistro', opening_time: '10:00', closing_time: '22:00' });
+    restaurantId = restaurant.body.id;
+
+    const patio = await api.post(`/api/restaurants/${restaurantId}/sections`).send({ name: 'Patio' });
+    patioId = patio.body.id;
+
+    for (const [table_number, capacity] of [[1, 2], [2, 4], [3, 4]]) {
+      const table = await api
+        .post(`/api/restaurants/${restaurantId}/tables`)
+        .send({ table_number, capacity, ...(table_number === 3 && { section_id: patioId }) });
+      tables[table_number] = table.body.id;
+    }
+  });
+
+  test('should warn about existing reservations that clash with a new block', async () => {
+    const lunch = await book({ table_id: tables[1], start_time: at(day, '12:00') });
+    await book({ table_id: tables[2], start_time: at(day, '12:00') });
+
+    const res = await block({
+      starts_at: at(day, '11:30'),
+      ends_at: at(day, '14:00'),
+      table_ids: [tables[1]],
+      reason: 'Window repair'
+    });
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toMatchObject({
+      scope: 'tables',
+      table_ids: [tables[1]],
+      reason: 'Window repair',
+      starts_at: at(day, '11:30')
+    });
+    expect(res.body.warning).toMatch(/1 existing reservation clashes with this block/);
+    expect(res.body.clashing_reservations.map((reservation) => reservation.id)).toEqual([lunch.body.id]);
+
+    // The clashing booking is left alone
+    const onTheDay = await api.get(`/api/restaurants/${restaurantId}/reservations/${day}`);
+    expect(onTheDay.body.find((reservation) => reservation.id === lunch.body.id).status).toBe('confirmed');
+  });
+
+  test('should keep blocked tables out of new bookings and availability', async () => {
+    // Table 1 is blocked from 11:30 to 14:00
+    const onBlocked = await book({ table_id: tables[1], start_time: at(day, '13:00') });
+    expect(onBlocked.statusCode).toBe(409);
+
+    const assigned = await book({ start_time: at(day, '13:00') });
+    expect(assigned.statusCode).toBe(201);
+    expect(assigned.body.table_id).not.toBe(tables[1]);
+
+    const slot = (await slotsAt(day)).find((candidate) => candidate.time === at(day, '13:00'));
+    expect(slot.tables.map((table) => table.table_id)).not.toContain(tables[1]);
+
+    const afterwards = await book({ table_id: tables[1], start_time: at(day, '14:00') });
+    expect(afterwards.statusCode).toBe(201);
+  });
+
+  test('should block every table in a section', async () => {
+    const res = await block({ starts_at: at(day, '17:00'), ends_at: at(day, '22:00'), section_id: patioId });
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toMatchObject({ scope: 'section', section_id: patioId, table_ids: [tables[3]] });
+    expect(res.body.warning).toBeUndefined();
+    expect(res.body.clashing_reservations).toEqual([]);
+
+    const onPatio = await book({ table_id: tables[3], start_time: at(day, '19:00') });
+    expect(onPatio.statusCode).toBe(409);
+
+    const inside = await book({ table_id: tables[2], start_time: at(day, '19:00') });
+    expect(inside.statusCode).toBe(201);
+  });
+
+  test('should close the whole restaurant and explain why', async () => {
+    const closedDay = inDays(4);
+    const res = await block({
+      starts_at: at(closedDay, '00:00'),
+      ends_at: at(inDays(5), '00:00'),
+      reason: 'Staff training'
+    });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.scope).toBe('restaurant');
+    expect(res.body.table_ids.sort()).toEqual(Object.values(tables).sort());
+
+    const refused = await book({ start_time: at(closedDay, '19:00') });
+    expect(refused.statusCode).toBe(400);
+    expect(refused.body.error).toMatch(/We're closed from 00:00 on .* \(Staff training\)/);
+
+    expect(await slotsAt(closedDay)).toEqual([]);
+
+    const listed = await api.get(`/api/restaurants/${restaurantId}/blocks`);
+    expect(listed.statusCode).toBe(200);
+    expect(listed.body.map((listedBlock) => listedBlock.reason))
+      .toEqual(['Window repair', 'Private event', 'Staff training']);
+
+    // Lifting it opens the day up again
+    const lifted = await api.delete(`/api/restaurants/${restaurantId}/blocks/${res.body.id}`);
+    expect(lifted.statusCode).toBe(200);
+    expect((await slotsAt(closedDay)).length).toBeGreaterThan(0);
+
+    const again = await api.delete(`/api/restaurants/${restaurantId}/blocks/${res.body.id}`);
+    expect(again.statusCode).toBe(404);
+  });
+
+  test('should check what a block covers and when', async () => {
+    const backwards = await block({ starts_at: at(day, '14:00'), ends_at: at(day, '12:00') });
+    expect(backwards.statusCode).toBe(400);
+    expect(backwards.body.errors.ends_at).toBeDefined();
+
+    const both = await block({
+      starts_at: at(day, '12:00'),
+      ends_at: at(day, '14:00'),
+      table_ids: [tables[1]],
+      section_id: patioId
+    });
+    expect(both.statusCode).toBe(400);
+
+    const noReason = await block({ starts_at: at(day, '12:00'), ends_at: at(day, '14:00'), reason: '' });
+    expect(noReason.statusCode).toBe(400);
+
+    const strangers = await block({ starts_at: at(day, '12:00'), ends_at: at(day, '14:00'), table_ids: [99999] });
+    expect(strangers.statusCode).toBe(404);
+  });
+
+  test('should keep blocks to managers', async () => {
+    const guestList = await request(app).get(`/api/restaurants/${restaurantId}/blocks`);
+    expect(guestList.statusCode).toBe(401);
+
+    const guestBlock = await request(app)
+      .post(`/api/restaurants/${restaurantId}/blocks`)
+      .send({ starts_at: at(day, '12:00'), ends_at: at(day, '14:00'), reason: 'Nope' });
+    expect(guestBlock.statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,238 @@
+const request = require('supertest');
+const app = require('../server');
+const { initializeDatabase, dbGet, dbRun, dbTransaction } = require('../db/db');
+const { scopeOf } = require('../middleware/idempotency');
+
+// Runs as a platform admin; who-can-do-what is covered in auth.test.js
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
+// Tomorrow at the given UTC time, as an ISO string
+const tomorrowAt = (hours, minutes = 0) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + 1);
+  date.setUTCHours(hours, minutes, 0, 0);
+  return date.toISOString();
+};
+
+describe('Race-safe booking and idempotency keys', () => {
+  let restaurantId;
+  let tableId;
+
+  const booking = (fields = {}) => ({
+    restaurant_id: restaurantId,
+    customer_name: 'Rush Hour',
+    phone: '5557778888',
+    party_size: 2,
+    start_time: tomorrowAt(19),
+    duration_minutes: 90,
+    ...fields
+  });
+
+  const countAt = (start_time) =>
+    dbGet(
+      "SELECT COUNT(*) AS count FROM reservations WHERE restaurant_id = ? AND start_time = ? AND status != 'cancelled'",
+      [restaurantId, start_time]
+    );
+
+  beforeAll(async () => {
+    await initializeDatabase();
+
+    const restaurant = await api
+      .post('/api/restaurants')
+      .send({ name: 'Busy Bistro', opening_time: '10:00', closing_time: '23:00' });
+    restaurantId = restaurant.body.id;
+
+    const table = await api
+      .post(`/api/restaurants/${restaurantId}/tables`)
+      .send({ table_number: 1, capacity: 4 });
+    tableId = table.body.id;
+  });
+
+  describe('Transactions', () => {
+    test('should roll back everything when the work fails', async () => {
+      await expect(dbTransaction(async () => {
+        await dbRun(
+          "INSERT INTO restaurants (name, opening_time, closing_time) VALUES ('Ghost Kitchen', '10:00', '22:00')"
+        );
+        throw new Error('changed my mind');
+      })).rejects.toThrow('changed my mind');
+
+      const ghost = await dbGet("SELECT * FROM restaurants WHERE name = 'Ghost Kitchen'");
+      expect(ghost).toBeUndefined();
+    });
+
+    test('should keep working after a failed transaction', async () => {
+      const id = await dbTransaction(async () => {
+        const result = await dbRun(
+          "INSERT INTO restaurants (name, opening_time, closing_time) VALUES ('Second Try', '10:00', '22:00')"
+        );
+        return result.id;
+      });
+
+      expect(await dbGet('SELECT name FROM restaurants WHERE id = ?', [id])).toEqual({ name: 'Second Try' });
+    });
+
+    test('should not lose writes made elsewhere while a transaction rolls back', async () => {
+      const failing = dbTransaction(async () => {
+        await dbRun(
+          "INSERT INTO restaurants (name, opening_time, closing_time) VALUES ('Rolled Back', '10:00', '22:00')"
+        );
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        throw new Error('changed my mind');
+      });
+
+      // Another request writing while the transaction is still open
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      const other = dbRun(
+        "INSERT INTO restaurants (name, opening_time, closing_time) VALUES ('Kept', '10:00', '22:00')"
+      );
+
+      await expect(failing).rejects.toThrow('changed my mind');
+      const { id } = await other;
+
+      expect(await dbGet('SELECT name FROM restaurants WHERE id = ?', [id])).toEqual({ name: 'Kept' });
+      expect(await dbGet("SELECT * FROM restaurants WHERE name = 'Rolled Back'")).toBeUndefined();
+    });
+  });
+
+  describe('Concurrent bookings', () => {
+    test('should only let one of several simultaneous requests have the table', async () => {
+      const start_time = tomorrowAt(12);
+      const responses = await Promise.all(
+        Array.from({ length: 5 }, () =>
+          api.post('/api/reservations').send(booking({ table_id: tableId, start_time }))
+        )
+      );
+
+      const statuses = responses.map((res) => res.statusCode).sort();
+      expect(statuses).toEqual([201, 409, 409, 409, 409]);
+      expect((await countAt(start_time)).count).toBe(1);
+    });
+
+    test('should not auto-assign the same table twice either', async () => {
+      const start_time = tomorrowAt(15);
+      const responses = await Promise.all(
+        Array.from({ length: 3 }, () =>
+          api.post('/api/reservations').send(booking({ start_time }))
+        )
+      );
+
+      expect(responses.filter((res) => res.statusCode === 201)).toHaveLength(1);
+      expect((await countAt(start_time)).count).toBe(1);
+    });
+  });
+
+  describe('Idempotency-Key header', () => {
+    test('should return the original reservation when a request is retried', async () => {
+      const body = booking({ start_time: tomorrowAt(17) });
+
+      const first = await api
+        .post('/api/reservations')
+        .set('Idempotency-Key', 'checkout-1')
+        .send(body);
+      const retry = await api
+        .post('/api/reservations')
+        .set('Idempotency-Key', 'checkout-1')
+        .send(body);
+
+      expect(first.statusCode).toBe(201);
+      expect(retry.statusCode).toBe(201);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body.id).toBe(first.body.id);
+      expect((await countAt(body.start_time)).count).toBe(1);
+    });
+
+    test('should handle the same request arriving twice at once', async () => {
+      const body = booking({ start_time: tomorrowAt(21) });
+      const send = () => api
+        .post('/api/reservations')
+        .set('Idempotency-Key', 'double-tap')
+        .send(body);
+
+      const responses = await Promise.all([send(), send()]);
+      const created = responses.filter((res) => res.statusCode === 201);
+
+      expect(created.length).toBeGreaterThanOrEqual(1);
+      expect((await countAt(body.start_time)).count).toBe(1);
+    });
+
+    test('should refuse to reuse a key for a different request', async () => {
+      await api
+        .post('/api/reservations')
+        .set('Idempotency-Key', 'checkout-2')
+        .send(booking({ start_time: tomorrowAt(10) }));
+
+      const res = await api
+        .post('/api/reservations')
+        .set('Idempotency-Key', 'checkout-2')
+        .send(booking({ start_time: tomorrowAt(10, 30), customer_name: 'Someone Else' }));
+
+      expect(res.statusCode).toBe(422);
+    });
+
+    test('should not remember failed requests', async () => {
+      const bad = await api
+        .post('/api/reservations')
+        .set('Idempotency-Key', 'checkout-3')
+        .send(booking({ start_time: tomorrowAt(13, 30), phone: '123' }));
+      expect(bad.statusCode).toBe(400);
+
+      const fixed = await api
+        .post('/api/reservations')
+        .set('Idempotency-Key', 'checkout-3')
+        .send(booking({ start_time: tomorrowAt(13, 30) }));
+      expect(fixed.statusCode).toBe(201);
+      expect(fixed.headers['idempotent-replayed']).toBeUndefined();
+    });
+
+    test('should keep keys from different callers apart', async () => {
+      const body = booking({ start_time: tomorrowAt(11, 30), duration_minutes: 30 });
+
+      const staff = await api
+        .post('/api/reservations')
+        .set('Idempotency-Key', 'shared-key')
+        .send(body);
+      const guest = await request(app)
+        .post('/api/reservations')
+        .set('Idempotency-Key', 'shared-key')
+        .send(body);
+
+      expect(staff.statusCode).toBe(201);
+      // Not a replay of the staff booking - a real attempt that finds the table taken
+      expect(guest.statusCode).toBe(409);
+      expect(guest.headers['idempotent-replayed']).toBeUndefined();
+    });
+
+    test('should keep guests apart from each other', () => {
+      const guestAt = (ip) => scopeOf({ auth: { role: 'guest', restaurantIds: [] }, ip });
+
+      expect(guestAt('203.0.113.7')).toBe(guestAt('203.0.113.7'));
+      expect(guestAt('203.0.113.7')).not.toBe(guestAt('198.51.100.20'));
+    });
+
+    test('should let the key go when the response is not one it can remember', async () => {
+      const send = () => api
+        .post('/api/no-such-endpoint')
+        .set('Idempotency-Key', 'lost-request')
+        .send({});
+
+      expect((await send()).statusCode).toBe(404);
+      // Not stuck "in progress"
+      expect((await send()).statusCode).toBe(404);
+      expect(await dbGet("SELECT * FROM idempotency_keys WHERE idempotency_key = 'lost-request'")).toBeUndefined();
+    });
+
+    test('should work on other POST endpoints too', async () => {
+      const send = () => api
+        .post(`/api/restaurants/${restaurantId}/tables`)
+        .set('Idempotency-Key', 'new-table')
+        .send({ table_number: 9, capacity: 6 });
+
+      const first = await send();
+      const retry = await send();
+
+      expect(first.statusCode).toBe(201);
+      expect(retry.body.id).toBe(first.body.id);
+    });
+  });
+});
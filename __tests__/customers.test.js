@@ -0,0 +1,227 @@
+const request = require('supertest');
+const app = require('../server');
+const { initializeDatabase, dbRun } = require('../db/db');
+
+// Runs as a platform admin; who-can-do-what is covered in auth.test.js
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
+// A UTC time a number of days from now, as an ISO string
+const daysFromNowAt = (days, hours) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  date.setUTCHours(hours, 0, 0, 0);
+  return date.toISOString();
+};
+
+describe('Guest profiles', () => {
+  let restaurantId;
+  let otherRestaurantId;
+
+  const book = (fields = {}) =>
+    api
+      .post('/api/reservations')
+      .send({
+        restaurant_id: restaurantId,
+        customer_name: 'Nora Regular',
+        phone: '5551230000',
+        party_size: 2,
+        start_time: daysFromNowAt(1, 12),
+        duration_minutes: 60,
+        ...fields
+      });
+
+  // Book in the future, then walk it through service so it counts as history
+  const bookAndFinish = async (status, fields) => {
+    const booked = await book(fields);
+    const id = booked.body.id;
+
+    if (status === 'completed') {
+      await api.patch(`/api/reservations/${id}/seat`);
+      await api.patch(`/api/reservations/${id}/complete`);
+    }
+    return booked;
+  };
+
+  beforeAll(async () => {
+    await initializeDatabase();
+
+    const create = async (name) => {
+      const restaurant = await api
+        .post('/api/restaurants')
+        .send({ name, opening_time: '00:00', closing_time: '23:59' });
+      for (let table_number = 1; table_number <= 4; table_number++) {
+        await api
+          .post(`/api/restaurants/${restaurant.body.id}/tables`)
+          .send({ table_number, capacity: 4 });
+      }
+      return restaurant.body.id;
+    };
+
+    restaurantId = await create('Regulars Corner');
+    otherRestaurantId = await create('Across Town');
+  });
+
+  test('should link bookings with the same phone or email to one profile', async () => {
+    const first = await book({ email: 'Nora@Example.com', start_time: daysFromNowAt(1, 9) });
+    const second = await book({ customer_name: 'Nora R.', start_time: daysFromNowAt(1, 10) });
+    const byEmail = await book({
+      phone: '5559999999',
+      email: 'nora@example.COM',
+      start_time: daysFromNowAt(1, 11)
+    });
+
+    expect(first.statusCode).toBe(201);
+    expect(first.body.customer_id).toBeDefined();
+    expect(second.body.customer_id).toBe(first.body.customer_id);
+    expect(byEmail.body.customer_id).toBe(first.body.customer_id);
+
+    const profile = await api.get(`/api/customers/${first.body.customer_id}`);
+    expect(profile.body).toMatchObject({
+      name: 'Nora Regular',
+      phone: '5551230000',
+      email: 'nora@example.com',
+      total_reservations: 3
+    });
+  });
+
+  test('should count visits, no-shows and the last visit', async () => {
+    const visit = await bookAndFinish('completed', {
+      customer_name: 'Stats Sam',
+      phone: '5552220000',
+      start_time: daysFromNowAt(1, 14)
+    });
+    await book({ customer_name: 'Stats Sam', phone: '5552220000', start_time: daysFromNowAt(2, 14) })
+      .then((res) => api.patch(`/api/reservations/${res.body.id}/cancel`));
+
+    const profile = await api.get(`/api/customers/${visit.body.customer_id}`);
+
+    expect(profile.statusCode).toBe(200);
+    expect(profile.body).toMatchObject({
+      total_reservations: 2,
+      visit_count: 1,
+      no_show_count: 0,
+      cancellation_count: 1,
+      last_visit: visit.body.start_time
+    });
+  });
+
+  test('should list a guest\'s reservations newest first', async () => {
+    const older = await book({ customer_name: 'History Hal', phone: '5553330000', start_time: daysFromNowAt(1, 15) });
+    const newer = await book({ customer_name: 'History Hal', phone: '5553330000', start_time: daysFromNowAt(3, 15) });
+
+    const res = await api.get(`/api/customers/${older.body.customer_id}/reservations`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.map((reservation) => reservation.id)).toEqual([newer.body.id, older.body.id]);
+    expect(res.body[0].restaurant_name).toBe('Regulars Corner');
+    expect(res.body[0]).not.toHaveProperty('guest_token_hash');
+  });
+
+  test('should find guests by name, phone or email', async () => {
+    const byName = await api.get('/api/customers').query({ q: 'nora' });
+    expect(byName.body.map((customer) => customer.name)).toContain('Nora Regular');
+    expect(byName.body[0]).toHaveProperty('visit_count');
+
+    const byPhone = await api.get('/api/customers').query({ q: '(555) 123-0000' });
+    expect(byPhone.body).toHaveLength(1);
+
+    const byEmail = await api.get('/api/customers').query({ q: 'EXAMPLE.com' });
+    expect(byEmail.body.map((customer) => customer.email)).toContain('nora@example.com');
+
+    const tooShort = await api.get('/api/customers').query({ q: 'n' });
+    expect(tooShort.statusCode).toBe(400);
+  });
+
+  test('should only show staff the guests of their own restaurants', async () => {
+    const elsewhere = await book({
+      restaurant_id: otherRestaurantId,
+      customer_name: 'Private Pat',
+      phone: '5554440000'
+    });
+
+    const key = await api
+      .post('/api/api-keys')
+      .send({ name: 'Host', role: 'host', restaurant_ids: [restaurantId] });
+    const host = request.agent(app).set('X-API-Key', key.body.api_key);
+
+    const search = await host.get('/api/customers').query({ q: 'Private' });
+    expect(search.body).toEqual([]);
+
+    const profile = await host.get(`/api/customers/${elsewhere.body.customer_id}`);
+    expect(profile.statusCode).toBe(404);
+
+    const guest = await request(app).get('/api/customers').query({ q: 'Nora' });
+    expect(guest.statusCode).toBe(401);
+  });
+
+  describe('Repeat no-shows', () => {
+    // No-shows can only be marked once the booking has started, so they're backdated directly
+    const recordNoShows = async (phone, count) => {
+      for (let i = 0; i < count; i++) {
+        const booked = await book({ customer_name: 'Ghost Gus', phone, start_time: daysFromNowAt(5, 8 + i) });
+        await dbRun(
+          "UPDATE reservations SET status = 'no_show', start_time = ? WHERE id = ?",
+          [daysFromNowAt(-1 - i, 12), booked.body.id]
+        );
+      }
+    };
+
+    test('should flag guests who keep not showing up', async () => {
+      await recordNoShows('5556660000', 2);
+
+      const res = await book({ customer_name: 'Ghost Gus', phone: '5556660000', start_time: daysFromNowAt(6, 12) });
+      expect(res.statusCode).toBe(201);
+      expect(res.body.repeat_no_show).toBe(true);
+
+      const profile = await api.get(`/api/customers/${res.body.customer_id}`);
+      expect(profile.body.no_show_count).toBe(2);
+
+      const clean = await book({ customer_name: 'Fresh Face', phone: '5557770000', start_time: daysFromNowAt(6, 13) });
+      expect(clean.body.repeat_no_show).toBe(false);
+    });
+
+    test('should block online bookings when the restaurant says so', async () => {
+      await api
+        .patch(`/api/restaurants/${restaurantId}`)
+        .send({ no_show_policy: 'block', no_show_threshold: 2 });
+
+      const guestBooking = {
+        restaurant_id: restaurantId,
+        customer_name: 'Ghost Gus',
+        phone: '5556660000',
+        party_size: 2,
+        start_time: daysFromNowAt(7, 12),
+        duration_minutes: 60
+      };
+
+      const blocked = await request(app).post('/api/reservations').send(guestBooking);
+      expect(blocked.statusCode).toBe(403);
+
+      // Staff taking the booking over the phone can still do it - it's just flagged
+      const byStaff = await api.post('/api/reservations').send(guestBooking);
+      expect(byStaff.statusCode).toBe(201);
+      expect(byStaff.body.repeat_no_show).toBe(true);
+    });
+
+    test('should only count no-shows at the same restaurant', async () => {
+      const res = await book({
+        restaurant_id: otherRestaurantId,
+        customer_name: 'Ghost Gus',
+        phone: '5556660000',
+        start_time: daysFromNowAt(8, 12)
+      });
+
+      expect(res.body.repeat_no_show).toBe(false);
+    });
+
+    test('should validate the policy settings', async () => {
+      const res = await api
+        .patch(`/api/restaurants/${restaurantId}`)
+        .send({ no_show_policy: 'shame', no_show_threshold: 0 });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors).toHaveProperty('no_show_policy');
+      expect(res.body.errors).toHaveProperty('no_show_threshold');
+    });
+  });
+});
@@ -0,0 +1,285 @@
+const request = require('supertest');
+const app = require('../server');
+const { initializeDatabase } = require('../db/db');
+const { DEPOSIT_HOLD_MINUTES, usePaymentProvider, expireUnpaidDeposits } = require('../services/deposits');
+const { fakePaymentProvider, paymentProviderFromEnv } = require('../services/paymentProviders');
+
+// Runs as a platform admin; who-can-do-what is covered in auth.test.js
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
+// The given number of days from now at a UTC time, as an ISO string
+const daysAheadAt = (days, hours, minutes = 0) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  date.setUTCHours(hours, minutes, 0, 0);
+  return date.toISOString();
+};
+
+describe('Deposits and cancellation policy', () => {
+  let restaurantId;
+  let tableId;
+  let provider;
+
+  const book = async (overrides = {}) => {
+    const res = await api
+      .post('/api/reservations')
+      .send({
+        restaurant_id: restaurantId,
+        table_id: tableId,
+        customer_name: 'Dora Deposit',
+        phone: '5554443333',
+        party_size: 4,
+        start_time: daysAheadAt(1, 12),
+        duration_minutes: 60,
+        ...overrides
+      });
+    return res;
+  };
+
+  // The provider's callback, signed the way the fake provider expects
+  const callback = (body, signature) => {
+    const raw = JSON.stringify(body);
+    return request(app)
+      .post('/api/payments/callback')
+      .set('Content-Type', 'application/json')
+      .set('X-Fake-Signature', signature || provider.sign(raw))
+      .send(raw);
+  };
+
+  const referenceOf = async (reservationId) => {
+    const payments = await api.get(`/api/reservations/${reservationId}/payments`);
+    return payments.body[0].provider_reference;
+  };
+
+  const reservationOf = async (reservationId) => {
+    const list = await api.get(`/api/restaurants/${restaurantId}/reservations`);
+    return list.body.find((reservation) => reservation.id === reservationId);
+  };
+
+  const statusOf = async (reservationId) => (await reservationOf(reservationId)).status;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    usePaymentProvider(fakePaymentProvider({ secret: 'test-payment-secret' }));
+
+    const restaurant = await api
+      .post('/api/restaurants')
+      .send({ name: 'Deposit Diner', opening_time: '10:00', closing_time: '22:00' });
+    restaurantId = restaurant.body.id;
+
+    const table = await api
+      .post(`/api/restaurants/${restaurantId}/tables`)
+      .send({ table_number: 1, capacity: 6 });
+    tableId = table.body.id;
+
+    // $10 a head for parties of 4 or more; cancelling within 48 hours costs $5 a head
+    const policy = await api
+      .put(`/api/restaurants/${restaurantId}/deposit-policy`)
+      .send({
+        currency: 'eur',
+        free_cancellation_hours: 48,
+        late_cancellation_fee_cents: 500,
+        rules: [{ min_party_size: 4, amount_per_cover_cents: 1000 }]
+      });
+    expect(policy.statusCode).toBe(200);
+  });
+
+  beforeEach(() => {
+    provider = fakePaymentProvider({ secret: 'test-payment-secret' });
+    usePaymentProvider(provider);
+  });
+
+  test('should show the policy it was given', async () => {
+    const res = await api.get(`/api/restaurants/${restaurantId}/deposit-policy`);
+
+    expect(res.body).toMatchObject({
+      currency: 'EUR',
+      free_cancellation_hours: 48,
+      late_cancellation_fee_cents: 500,
+      rules: [{ min_party_size: 4, weekdays: null, from_time: null, amount_per_cover_cents: 1000 }]
+    });
+  });
+
+  test('should confirm small parties straight away, with no deposit', async () => {
+    const res = await book({ party_size: 2, start_time: daysAheadAt(1, 10) });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.status).toBe('confirmed');
+    expect(res.body.deposit).toBeNull();
+  });
+
+  test('should not let a booking grow into one that needs a deposit', async () => {
+    const res = await book({ party_size: 2, start_time: daysAheadAt(4, 12) });
+    expect(res.body.deposit).toBeNull();
+
+    const bigger = await api.patch(`/api/reservations/${res.body.id}`).send({ party_size: 5 });
+    expect(bigger.statusCode).toBe(409);
+    expect(bigger.body.error).toBe('That change needs a deposit of 50.00 EUR - please make a new booking so it can be paid');
+    expect((await reservationOf(res.body.id)).party_size).toBe(2);
+
+    const stillSmall = await api.patch(`/api/reservations/${res.body.id}`).send({ party_size: 3 });
+    expect(stillSmall.statusCode).toBe(200);
+  });
+
+  test('should hold a big party as pending until the deposit is paid', async () => {
+    const res = await book({ start_time: daysAheadAt(1, 13) });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.status).toBe('pending');
+    expect(res.body.deposit).toMatchObject({ amount_cents: 4000, currency: 'EUR' });
+    expect(res.body.deposit.checkout_url).toMatch(/^https:\/\/payments\.invalid\/checkout\//);
+    // Stripe won't take a checkout that expires less than 30 minutes after it's created
+    expect(new Date(res.body.deposit.expires_at) - Date.now()).toBeGreaterThan(31 * 60000);
+
+    const reference = await referenceOf(res.body.id);
+    const paid = await callback({ reference, status: 'paid' });
+    expect(paid.statusCode).toBe(200);
+    expect(paid.body.status).toBe('paid');
+    expect(await statusOf(res.body.id)).toBe('confirmed');
+
+    // The provider sending it again changes nothing
+    const again = await callback({ reference, status: 'paid' });
+    expect(again.body.status).toBe('paid');
+  });
+
+  test('should release the table when the payment fails', async () => {
+    const res = await book({ start_time: daysAheadAt(1, 15) });
+
+    await callback({ reference: await referenceOf(res.body.id), status: 'failed' });
+
+    expect(await statusOf(res.body.id)).toBe('cancelled');
+    const retry = await book({ party_size: 2, start_time: daysAheadAt(1, 15) });
+    expect(retry.statusCode).toBe(201);
+  });
+
+  test('should release bookings whose deposit is not paid in time, and refund a payment that arrives late', async () => {
+    const res = await book({ start_time: daysAheadAt(1, 17) });
+
+    // Not yet...
+    expect(await expireUnpaidDeposits()).toBe(0);
+    expect(await statusOf(res.body.id)).toBe('pending');
+
+    // ...but a minute after the hold ends it's over
+    expect(await expireUnpaidDeposits(new Date(Date.now() + (DEPOSIT_HOLD_MINUTES + 1) * 60000))).toBe(1);
+    expect(await statusOf(res.body.id)).toBe('cancelled');
+
+    const reference = await referenceOf(res.body.id);
+    const late = await callback({ reference, status: 'paid' });
+    expect(late.body.status).toBe('refunded');
+    expect(provider.refunds).toEqual([{ reference, amount_cents: 4000 }]);
+  });
+
+  test('should take the late-cancellation fee from the deposit and refund the rest', async () => {
+    const res = await book({ start_time: daysAheadAt(1, 19) });
+    await callback({ reference: await referenceOf(res.body.id), status: 'paid' });
+
+    const cancel = await api.patch(`/api/reservations/${res.body.id}/cancel`);
+
+    expect(cancel.statusCode).toBe(200);
+    expect(cancel.body.cancellation).toEqual({
+      late: true,
+      fee_waived: false,
+      fee_cents: 2000,
+      deposit_paid_cents: 4000,
+      retained_cents: 2000,
+      refund_cents: 2000,
+      outstanding_cents: 0,
+      currency: 'EUR'
+    });
+    expect(provider.refunds).toHaveLength(1);
+    expect(provider.refunds[0].amount_cents).toBe(2000);
+
+    const payments = await api.get(`/api/reservations/${res.body.id}/payments`);
+    expect(payments.body[0]).toMatchObject({ status: 'partially_refunded', refunded_cents: 2000 });
+
+    expect(await reservationOf(res.body.id)).toMatchObject({ late_cancellation: 1, cancellation_fee_cents: 2000 });
+  });
+
+  test('should let staff waive the fee, but not guests', async () => {
+    const res = await book({ start_time: daysAheadAt(1, 20) });
+    await callback({ reference: await referenceOf(res.body.id), status: 'paid' });
+
+    const guest = await request(app)
+      .patch(`/api/reservations/${res.body.id}/cancel`)
+      .set('X-Reservation-Token', res.body.guest_token)
+      .send({ waive_fee: true });
+    expect(guest.statusCode).toBe(403);
+
+    const staff = await api
+      .patch(`/api/reservations/${res.body.id}/cancel`)
+      .send({ waive_fee: true });
+    expect(staff.body.cancellation).toMatchObject({ late: true, fee_waived: true, fee_cents: 0, refund_cents: 4000 });
+  });
+
+  test('should refund the whole deposit when cancelled in good time', async () => {
+    const res = await book({ start_time: daysAheadAt(5, 12) });
+    await callback({ reference: await referenceOf(res.body.id), status: 'paid' });
+
+    const cancel = await api.patch(`/api/reservations/${res.body.id}/cancel`);
+
+    expect(cancel.body.cancellation).toMatchObject({ late: false, fee_cents: 0, refund_cents: 4000 });
+    const payments = await api.get(`/api/reservations/${res.body.id}/payments`);
+    expect(payments.body[0].status).toBe('refunded');
+  });
+
+  test('should not make the booking if the provider is down', async () => {
+    provider.createCheckout = async () => {
+      throw new Error('Provider unavailable');
+    };
+    const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      const res = await book({ start_time: daysAheadAt(2, 12) });
+      expect(res.statusCode).toBe(502);
+      expect(logged).toHaveBeenCalledWith('Payment provider error:', 'Provider unavailable');
+    } finally {
+      logged.mockRestore();
+    }
+
+    const retry = await book({ party_size: 2, start_time: daysAheadAt(2, 12) });
+    expect(retry.statusCode).toBe(201);
+  });
+
+  test('should reject callbacks with a bad signature, and unknown references', async () => {
+    const forged = await callback({ reference: 'fake_123', status: 'paid' }, 'not-a-signature');
+    expect(forged.statusCode).toBe(400);
+
+    const unknown = await callback({ reference: 'fake_nope', status: 'paid' });
+    expect(unknown.statusCode).toBe(404);
+  });
+
+  test('should not take deposits until a payment provider is set up', async () => {
+    expect(() => paymentProviderFromEnv({})).toThrow('No payment provider is set up');
+    expect(() => paymentProviderFromEnv({ PAYMENT_PROVIDER: 'fake' })).toThrow('needs a secret');
+    expect(() => paymentProviderFromEnv({ PAYMENT_PROVIDER: 'fake', FAKE_PAYMENT_SECRET: 's', NODE_ENV: 'production' }))
+      .toThrow('not allowed in production');
+    expect(() => paymentProviderFromEnv({ PAYMENT_PROVIDER: 'stripe', STRIPE_SECRET_KEY: 'sk' }))
+      .toThrow('Stripe needs');
+
+    // Nothing set up in the environment here
+    usePaymentProvider(null);
+
+    const needsDeposit = await book({ start_time: daysAheadAt(3, 12) });
+    expect(needsDeposit.statusCode).toBe(503);
+    expect(needsDeposit.body.error).toMatch(/needs a deposit, but deposits can't be taken/);
+
+    const noDeposit = await book({ party_size: 2, start_time: daysAheadAt(3, 12) });
+    expect(noDeposit.statusCode).toBe(201);
+
+    const policy = await api
+      .put(`/api/restaurants/${restaurantId}/deposit-policy`)
+      .send({ rules: [{ amount_per_cover_cents: 500 }] });
+    expect(policy.statusCode).toBe(409);
+
+    const forged = await callback({ reference: 'fake_123', status: 'paid' });
+    expect(forged.statusCode).toBe(400);
+  });
+
+  test('should reject an invalid policy', async () => {
+    const res = await api
+      .put(`/api/restaurants/${restaurantId}/deposit-policy`)
+      .send({ rules: [{ weekdays: [9], amount_per_cover_cents: 0 }] });
+
+    expect(res.statusCode).toBe(400);
+  });
+});
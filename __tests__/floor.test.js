@@ -0,0 +1,170 @@
+const request = require('supertest');
+const app = require('../server');
+const { initializeDatabase } = require('../db/db');
+
+// Runs as a platform admin; who-can-do-what is covered in auth.test.js
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
+// A time the given number of minutes from now, as an ISO string
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60000).toISOString();
+
+// "HH:MM" in UTC, the given number of hours from now
+const clockIn = (hours) => new Date(Date.now() + hours * 3600000).toISOString().slice(11, 16);
+
+describe('Walk-ins and the floor plan', () => {
+  let restaurantId;
+  const tables = {};
+
+  const tableState = async (tableNumber) => {
+    const res = await api.get(`/api/restaurants/${restaurantId}/floor`);
+    return res.body.tables.find((table) => table.table_number === tableNumber);
+  };
+
+  beforeAll(async () => {
+    await initializeDatabase();
+
+    // Open around the clock, so the tests work whatever time they run
+    const restaurant = await api
+      .post('/api/restaurants')
+      .send({ name: 'Floor Show', opening_time: '00:00', closing_time: '00:00' });
+    restaurantId = restaurant.body.id;
+
+    for (const [table_number, capacity] of [[1, 2], [2, 4], [3, 4], [4, 6]]) {
+      const table = await api
+        .post(`/api/restaurants/${restaurantId}/tables`)
+        .send({ table_number, capacity });
+      tables[table_number] = table.body.id;
+    }
+  });
+
+  test('should show every table free before service', async () => {
+    const res = await api.get(`/api/restaurants/${restaurantId}/floor`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.summary).toEqual({ free: 4, reserved_soon: 0, seated: 0, overdue: 0 });
+    expect(res.body.tables.map((table) => table.table_number)).toEqual([1, 2, 3, 4]);
+    expect(res.body.tables[0]).toMatchObject({ state: 'free', party: null, next_reservation: null, next_needed_at: null });
+  });
+
+  test('should show a booking starting shortly as reserved soon, and later ones as free', async () => {
+    await api.post('/api/reservations').send({
+      restaurant_id: restaurantId,
+      table_id: tables[2],
+      customer_name: 'Sam Soon',
+      phone: '5550001111',
+      party_size: 3,
+      start_time: minutesFromNow(20),
+      duration_minutes: 90
+    });
+    await api.post('/api/reservations').send({
+      restaurant_id: restaurantId,
+      table_id: tables[3],
+      customer_name: 'Lou Later',
+      phone: '5550002222',
+      party_size: 4,
+      start_time: minutesFromNow(180),
+      duration_minutes: 90
+    });
+
+    const soon = await tableState(2);
+    expect(soon.state).toBe('reserved_soon');
+    expect(soon.next_reservation).toMatchObject({ customer_name: 'Sam Soon', party_size: 3 });
+    expect(soon.next_reservation.minutes_until).toBeGreaterThan(15);
+
+    const later = await tableState(3);
+    expect(later.state).toBe('free');
+    expect(later.next_needed_at).toBe(later.next_reservation.start_time);
+
+    // A wider "soon" window catches it too
+    const wide = await api.get(`/api/restaurants/${restaurantId}/floor?soon_minutes=240`);
+    expect(wide.body.tables.find((table) => table.table_number === 3).state).toBe('reserved_soon');
+  });
+
+  test('should seat a walk-in straight away on the best free table', async () => {
+    const res = await api
+      .post(`/api/restaurants/${restaurantId}/walk-ins`)
+      .send({ party_size: 2 });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toMatchObject({
+      status: 'seated',
+      is_walk_in: true,
+      customer_name: 'Walk-in',
+      table_number: 1,
+      duration_minutes: 90
+    });
+    expect(res.body.seated_at).toBe(res.body.start_time);
+    expect(res.body).not.toHaveProperty('guest_token');
+
+    const table = await tableState(1);
+    expect(table.state).toBe('seated');
+    expect(table.party).toMatchObject({ reservation_id: res.body.id, party_size: 2, is_walk_in: true, minutes_overdue: 0 });
+  });
+
+  test('should not seat a walk-in at a table that is booked during their visit', async () => {
+    const res = await api
+      .post(`/api/restaurants/${restaurantId}/walk-ins`)
+      .send({ party_size: 2, table_id: tables[2] });
+
+    expect(res.statusCode).toBe(409);
+
+    // A quick drink that's over before the booking starts is fine
+    const quick = await api
+      .post(`/api/restaurants/${restaurantId}/walk-ins`)
+      .send({ party_size: 2, table_id: tables[2], customer_name: 'Quick Drink', phone: '5550003333', duration_minutes: 15 });
+    expect(quick.statusCode).toBe(201);
+    expect(quick.body.table_number).toBe(2);
+    expect(quick.body.customer_id).toEqual(expect.any(Number));
+  });
+
+  test('should say when nothing is free for the walk-in', async () => {
+    const res = await api
+      .post(`/api/restaurants/${restaurantId}/walk-ins`)
+      .send({ party_size: 8 });
+
+    expect(res.statusCode).toBe(409);
+  });
+
+  test('should flag parties who have outstayed their time as overdue', async () => {
+    // Seat a booking that started two hours ago and was only meant to last one
+    const booking = await api.post('/api/reservations').send({
+      restaurant_id: restaurantId,
+      table_id: tables[4],
+      customer_name: 'Olly Overstay',
+      phone: '5550004444',
+      party_size: 6,
+      start_time: minutesFromNow(-120),
+      duration_minutes: 60
+    });
+    await api.patch(`/api/reservations/${booking.body.id}/seat`);
+
+    const table = await tableState(4);
+    expect(table.state).toBe('overdue');
+    expect(table.party.customer_name).toBe('Olly Overstay');
+    expect(table.party.minutes_overdue).toBeGreaterThanOrEqual(59);
+  });
+
+  test('should not seat walk-ins while the restaurant is closed', async () => {
+    const closed = await api
+      .post('/api/restaurants')
+      .send({ name: 'Not Yet Open', opening_time: clockIn(2), closing_time: clockIn(3) });
+    await api.post(`/api/restaurants/${closed.body.id}/tables`).send({ table_number: 1, capacity: 4 });
+
+    const res = await api
+      .post(`/api/restaurants/${closed.body.id}/walk-ins`)
+      .send({ party_size: 2 });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/only open/);
+  });
+
+  test('should keep the floor and walk-ins to staff', async () => {
+    const floor = await request(app).get(`/api/restaurants/${restaurantId}/floor`);
+    expect(floor.statusCode).toBe(401);
+
+    const walkIn = await request(app)
+      .post(`/api/restaurants/${restaurantId}/walk-ins`)
+      .send({ party_size: 2 });
+    expect(walkIn.statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,206 @@
+const request = require('supertest');
+const app = require('../server');
+const { initializeDatabase } = require('../db/db');
+
+// Runs as a platform admin; who-can-do-what is covered in auth.test.js
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
+// A date some days from now (YYYY-MM-DD) and a UTC time on it
+const inDays = (days) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+const at = (date, time) => `${date}T${time}:00.000Z`;
+
+describe('Imports, CSV export and calendar feeds', () => {
+  let restaurantId;
+  const day = inDays(5);
+
+  const reservationsOn = async (date) =>
+    (await api.get(`/api/restaurants/${restaurantId}/reservations/${date}`)).body;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+
+    const restaurant = await api
+      .post('/api/restaurants')
+      .send({ name: 'Import Bistro', opening_time: '10:00', closing_time: '22:00' });
+    restaurantId = restaurant.body.id;
+  });
+
+  test('should import tables from CSV and report the rows that fail', async () => {
+    const csv = [
+      'table_number,capacity,is_vip',
+      '1,2,no',
+      '2,4,yes',
+      '2,6,',
+      '3,lots,'
+    ].join('\r\n');
+
+    const res = await api
+      .post(`/api/restaurants/${restaurantId}/tables/import`)
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ dry_run: false, total: 4, created: 2, failed: 2 });
+    expect(res.body.rows[1]).toMatchObject({ row: 2, status: 'created', table_number: 2, capacity: 4, is_vip: true });
+    expect(res.body.rows[2]).toMatchObject({ row: 3, status: 'error', error: 'Table 2 already exists for this restaurant' });
+    expect(res.body.rows[3].errors.capacity).toBeDefined();
+
+    const restaurant = await api.get(`/api/restaurants/${restaurantId}`);
+    expect(restaurant.body.tables.map((table) => table.table_number)).toEqual([1, 2]);
+  });
+
+  test('should check reservation rows without saving them on a dry run', async () => {
+    const res = await api
+      .post(`/api/restaurants/${restaurantId}/reservations/import`)
+      .query({ dry_run: 'true' })
+      .send({
+        rows: [
+          { customer_name: 'Ada', phone: '5550001111', party_size: 2, start_time: at(day, '18:00'), table_number: 1 },
+          { customer_name: 'Bo', phone: 'nope', party_size: 2, start_time: at(day, '18:00') }
+        ]
+      });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ dry_run: true, total: 2, valid: 1, failed: 1 });
+    expect(res.body.rows[0]).toMatchObject({ status: 'valid', table_number: 1 });
+    expect(res.body.rows[1].errors.phone).toBeDefined();
+
+    expect(await reservationsOn(day)).toEqual([]);
+  });
+
+  test('should count earlier rows on a dry run without touching bookings made meanwhile', async () => {
+    const otherDay = inDays(7);
+    const preview = api
+      .post(`/api/restaurants/${restaurantId}/reservations/import`)
+      .query({ dry_run: 'true' })
+      .send({
+        rows: [
+          { customer_name: 'Ada', phone: '5550001111', party_size: 2, start_time: at(otherDay, '18:00'), table_number: 1 },
+          { customer_name: 'Bo', phone: '5550002222', party_size: 2, start_time: at(otherDay, '18:30'), table_number: 1 }
+        ]
+      });
+    const booking = api.post('/api/reservations').send({
+      restaurant_id: restaurantId,
+      customer_name: 'Walk Up',
+      phone: '5550009999',
+      party_size: 2,
+      start_time: at(otherDay, '12:00')
+    });
+
+    const [res, booked] = await Promise.all([preview, booking]);
+    expect(res.body.rows.map((line) => line.status)).toEqual(['valid', 'error']);
+    expect(res.body.rows[1].error).toBe('Table 1 is already booked for that time');
+    expect(booked.statusCode).toBe(201);
+
+    const saved = await reservationsOn(otherDay);
+    expect(saved.map((reservation) => reservation.customer_name)).toEqual(['Walk Up']);
+
+    await api.patch(`/api/reservations/${booked.body.id}/cancel`);
+  });
+
+  test('should import bookings from CSV with the usual overlap and hours checks', async () => {
+    const csv = [
+      'customer_name,phone,email,party_size,start_time,duration_minutes,table_number',
+      `"Lovelace, Ada",5550001111,ada@example.com,2,${at(day, '18:00')},90,1`,
+      `Babbage,5550002222,,2,${at(day, '18:30')},60,1`,
+      `Hopper,5550003333,,4,${at(day, '18:30')},60,`,
+      `Night Owl,5550004444,,2,${at(day, '23:00')},60,`,
+      `Late,5550005555,,2,${at(inDays(-2), '18:00')},60,`,
+      `Nowhere,5550006666,,2,${at(day, '12:00')},60,9`
+    ].join('\n');
+
+    const res = await api
+      .post(`/api/restaurants/${restaurantId}/reservations/import`)
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ total: 6, created: 2, failed: 4 });
+    expect(res.body.rows.map((line) => line.status))
+      .toEqual(['created', 'error', 'created', 'error', 'error', 'error']);
+    expect(res.body.rows[1].error).toBe('Table 1 is already booked for that time');
+    expect(res.body.rows[2].table_number).toBe(2);
+    expect(res.body.rows[3].error).toMatch(/open/);
+    expect(res.body.rows[4].error).toBe('Only upcoming bookings can be imported');
+    expect(res.body.rows[5].error).toBe("There's no table 9 at this restaurant");
+
+    const saved = await reservationsOn(day);
+    expect(saved.map((reservation) => [reservation.customer_name, reservation.status]))
+      .toEqual([['Lovelace, Ada', 'confirmed'], ['Hopper', 'confirmed']]);
+  });
+
+  test('should refuse uploads it cannot read', async () => {
+    const unclosed = await api
+      .post(`/api/restaurants/${restaurantId}/tables/import`)
+      .set('Content-Type', 'text/csv')
+      .send('table_number,capacity\n"5,2');
+    expect(unclosed.statusCode).toBe(400);
+    expect(unclosed.body.error).toMatch(/couldn't read the CSV/);
+
+    const headerOnly = await api
+      .post(`/api/restaurants/${restaurantId}/tables/import`)
+      .set('Content-Type', 'text/csv')
+      .send('table_number,capacity\n');
+    expect(headerOnly.statusCode).toBe(400);
+
+    const empty = await api.post(`/api/restaurants/${restaurantId}/tables/import`).send({ rows: [] });
+    expect(empty.statusCode).toBe(400);
+    expect(empty.body.errors.rows).toBeDefined();
+  });
+
+  test('should export the day sheet as CSV', async () => {
+    const res = await api.get(`/api/restaurants/${restaurantId}/reservations/${day}`).query({ format: 'csv' });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    expect(res.headers['content-disposition']).toMatch(`reservations-${day}.csv`);
+
+    const lines = res.text.trim().split('\r\n');
+    expect(lines[0]).toBe(
+      'id,start_time,start_time_local,duration_minutes,table_number,combination_id,party_size,' +
+      'customer_name,phone,email,status,is_walk_in,created_at'
+    );
+    expect(lines.length).toBe(3);
+    expect(lines[1]).toContain('"Lovelace, Ada",5550001111,ada@example.com,confirmed');
+  });
+
+  test('should publish bookings as iCalendar feeds', async () => {
+    const feed = await api.get(`/api/restaurants/${restaurantId}/calendar.ics`);
+    expect(feed.statusCode).toBe(200);
+    expect(feed.headers['content-type']).toMatch(/text\/calendar/);
+    expect(feed.text.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+    expect(feed.text.match(/BEGIN:VEVENT/g).length).toBe(2);
+    expect(feed.text).toContain(`DTSTART:${day.replace(/-/g, '')}T180000Z`);
+    expect(feed.text).toContain(`DTEND:${day.replace(/-/g, '')}T193000Z`);
+    expect(feed.text).toContain('SUMMARY:Lovelace\\, Ada\\, party of 2 - table 1');
+
+    // A guest adds their own booking with its token
+    const booking = await request(app).post('/api/reservations').send({
+      restaurant_id: restaurantId,
+      customer_name: 'Grace',
+      phone: '5550007777',
+      party_size: 2,
+      start_time: at(inDays(6), '12:00')
+    });
+    const own = await request(app)
+      .get(`/api/reservations/${booking.body.id}/calendar.ics`)
+      .set('X-Reservation-Token', booking.body.guest_token);
+    expect(own.statusCode).toBe(200);
+    expect(own.text).toContain('SUMMARY:Table for 2 at Import Bistro');
+    expect(own.text).toContain(`UID:reservation-${booking.body.id}@restaurant-reservations`);
+    expect(own.text).toContain('STATUS:CONFIRMED');
+
+    const noToken = await request(app).get(`/api/reservations/${booking.body.id}/calendar.ics`);
+    expect(noToken.statusCode).toBe(401);
+  });
+
+  test('should keep imports and the restaurant feed to staff', async () => {
+    const guestImport = await request(app)
+      .post(`/api/restaurants/${restaurantId}/tables/import`)
+      .send({ rows: [{ table_number: 9, capacity: 2 }] });
+    expect(guestImport.statusCode).toBe(401);
+
+    const guestFeed = await request(app).get(`/api/restaurants/${restaurantId}/calendar.ics`);
+    expect(guestFeed.statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,242 @@
+const request = require('supertest');
+const app = require('../server');
+const { initializeDatabase } = require('../db/db');
+
+// Runs as a platform admin; who-can-do-what is covered in auth.test.js
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
+// Tomorrow's date (YYYY-MM-DD) and a UTC time on it
+const tomorrow = (() => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().split('T')[0];
+})();
+const at = (time) => `${tomorrow}T${time}:00.000Z`;
+
+describe('Sections and table combinations', () => {
+  let restaurantId;
+  const sections = {};
+  const tables = {};
+  let combinationId;
+
+  const book = (time, details = {}) =>
+    api.post('/api/reservations').send({
+      restaurant_id: restaurantId,
+      customer_name: 'Sam Section',
+      phone: '5553334444',
+      party_size: 2,
+      start_time: at(time),
+      duration_minutes: 60,
+      ...details
+    });
+
+  beforeAll(async () => {
+    await initializeDatabase();
+
+    const restaurant = await api
+      .post('/api/restaurants')
+      .send({ name: 'Garden Room', opening_time: '10:00', closing_time: '22:00' });
+    restaurantId = restaurant.body.id;
+
+    for (const [table_number, capacity] of [[1, 4], [2, 4], [3, 2], [4, 2]]) {
+      const table = await api
+        .post(`/api/restaurants/${restaurantId}/tables`)
+        .send({ table_number, capacity });
+      tables[table_number] = table.body.id;
+    }
+  });
+
+  test('should create sections and put tables in them', async () => {
+    const patio = await api
+      .post(`/api/restaurants/${restaurantId}/sections`)
+      .send({ name: 'Patio', is_outdoor: true });
+    expect(patio.statusCode).toBe(201);
+    expect(patio.body).toMatchObject({
+      name: 'Patio',
+      description: null,
+      is_outdoor: true,
+      is_private: false,
+      is_accessible: true,
+      table_ids: []
+    });
+    sections.patio = patio.body.id;
+
+    const inside = await api
+      .post(`/api/restaurants/${restaurantId}/sections`)
+      .send({ name: 'Main Room' });
+    sections.inside = inside.body.id;
+
+    // Tables 3 and 4 are on the patio, 1 and 2 inside
+    for (const [number, section] of [[1, 'inside'], [2, 'inside'], [3, 'patio'], [4, 'patio']]) {
+      const res = await api
+        .patch(`/api/restaurants/${restaurantId}/tables/${tables[number]}`)
+        .send({ section_id: sections[section] });
+      expect(res.statusCode).toBe(200);
+    }
+
+    const listed = await request(app).get(`/api/restaurants/${restaurantId}/sections`);
+    expect(listed.statusCode).toBe(200);
+    expect(listed.body.map((section) => section.name)).toEqual(['Main Room', 'Patio']);
+    expect(listed.body[1].table_ids).toEqual([tables[3], tables[4]]);
+  });
+
+  test('should rename sections and refuse duplicate names', async () => {
+    const duplicate = await api
+      .post(`/api/restaurants/${restaurantId}/sections`)
+      .send({ name: 'patio' });
+    expect(duplicate.statusCode).toBe(409);
+
+    const renamed = await api
+      .patch(`/api/restaurants/${restaurantId}/sections/${sections.patio}`)
+      .send({ name: 'Terrace', description: 'Heated in winter' });
+    expect(renamed.statusCode).toBe(200);
+    expect(renamed.body).toMatchObject({ name: 'Terrace', description: 'Heated in winter', is_outdoor: true });
+
+    const missing = await api
+      .patch(`/api/restaurants/${restaurantId}/sections/99999`)
+      .send({ name: 'Nowhere' });
+    expect(missing.statusCode).toBe(404);
+
+    const badTable = await api
+      .patch(`/api/restaurants/${restaurantId}/tables/${tables[1]}`)
+      .send({ section_id: 99999 });
+    expect(badTable.statusCode).toBe(404);
+  });
+
+  test('should seat a guest in the section they asked for, when there is room', async () => {
+    const res = await book('12:00', { section_id: sections.patio });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.preferred_section_id).toBe(sections.patio);
+    expect(res.body.section_id).toBe(sections.patio);
+    expect(res.body.section_preference_met).toBe(true);
+
+    // Without a preference there's nothing to meet
+    const plain = await book('15:00');
+    expect(plain.body.section_preference_met).toBeNull();
+  });
+
+  test('should fall back to another section when the preferred one is full', async () => {
+    expect((await book('13:00', { section_id: sections.patio })).statusCode).toBe(201);
+    expect((await book('13:00', { section_id: sections.patio })).statusCode).toBe(201);
+
+    const res = await book('13:00', { section_id: sections.patio });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.section_id).toBe(sections.inside);
+    expect(res.body.section_preference_met).toBe(false);
+
+    const unknown = await book('13:00', { section_id: 99999 });
+    expect(unknown.statusCode).toBe(404);
+  });
+
+  test('should only offer tables in a section when availability is filtered by it', async () => {
+    const res = await api
+      .get('/api/availability')
+      .query({ restaurant_id: restaurantId, date: tomorrow, party_size: 2, duration_minutes: 60, section_id: sections.patio });
+    expect(res.statusCode).toBe(200);
+
+    const slotTimes = res.body.available_slots.map((slot) => slot.time);
+    expect(slotTimes).not.toContain(at('13:00'));
+    expect(slotTimes).toContain(at('14:00'));
+    for (const slot of res.body.available_slots) {
+      for (const table of slot.tables) {
+        expect([tables[3], tables[4]]).toContain(table.table_id);
+      }
+    }
+  });
+
+  test('should combine tables for a party too big for any one of them', async () => {
+    const bad = await api
+      .post(`/api/restaurants/${restaurantId}/table-combinations`)
+      .send({ table_ids: [tables[1]] });
+    expect(bad.statusCode).toBe(400);
+    expect(bad.body.errors.table_ids).toBeDefined();
+
+    const created = await api
+      .post(`/api/restaurants/${restaurantId}/table-combinations`)
+      .send({ table_ids: [tables[2], tables[1]] });
+    expect(created.statusCode).toBe(201);
+    expect(created.body).toMatchObject({
+      name: 'Tables 1 + 2',
+      capacity: 8,
+      table_ids: [tables[1], tables[2]],
+      table_numbers: [1, 2],
+      is_bookable: true
+    });
+    combinationId = created.body.id;
+
+    const again = await api
+      .post(`/api/restaurants/${restaurantId}/table-combinations`)
+      .send({ table_ids: [tables[1], tables[2]], name: 'The long table' });
+    expect(again.statusCode).toBe(409);
+
+    const listed = await request(app).get(`/api/restaurants/${restaurantId}/table-combinations`);
+    expect(listed.body.map((combination) => combination.id)).toEqual([combinationId]);
+  });
+
+  test('should offer and book a combination for a large party', async () => {
+    const availability = await api
+      .get('/api/availability')
+      .query({ restaurant_id: restaurantId, date: tomorrow, party_size: 7, duration_minutes: 60 });
+    const slot = availability.body.available_slots.find((candidate) => candidate.time === at('18:00'));
+    expect(slot.table_id).toBeNull();
+    expect(slot.combinations).toEqual([
+      { combination_id: combinationId, name: 'Tables 1 + 2', capacity: 8, table_ids: [tables[1], tables[2]] }
+    ]);
+
+    const res = await book('18:00', { party_size: 7 });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.combination_id).toBe(combinationId);
+    expect(res.body.table_ids).toEqual([tables[1], tables[2]]);
+
+    // Both tables are taken for the whole booking
+    const alone = await book('18:30', { table_id: tables[2] });
+    expect(alone.statusCode).toBe(409);
+
+    const again = await book('18:30', { combination_id: combinationId, party_size: 6 });
+    expect(again.statusCode).toBe(409);
+    expect(again.body.error).toMatch(/Tables 1 \+ 2 is already booked/);
+  });
+
+  test('should book a combination by id, within its capacity', async () => {
+    const tooMany = await book('20:00', { combination_id: combinationId, party_size: 9 });
+    expect(tooMany.statusCode).toBe(400);
+
+    const both = await book('20:00', { combination_id: combinationId, table_id: tables[1] });
+    expect(both.statusCode).toBe(400);
+    expect(both.body.errors.combination_id).toBeDefined();
+
+    const res = await book('20:00', { combination_id: combinationId, party_size: 5 });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.table_id).toBe(tables[1]);
+  });
+
+  test('should not remove a combination with upcoming bookings', async () => {
+    const res = await api.delete(`/api/restaurants/${restaurantId}/table-combinations/${combinationId}`);
+    expect(res.statusCode).toBe(409);
+    expect(res.body.reservation_ids.length).toBe(2);
+
+    const missing = await api.delete(`/api/restaurants/${restaurantId}/table-combinations/99999`);
+    expect(missing.statusCode).toBe(404);
+  });
+
+  test('should keep tables when their section is deleted', async () => {
+    const res = await api.delete(`/api/restaurants/${restaurantId}/sections/${sections.patio}`);
+    expect(res.statusCode).toBe(200);
+
+    const restaurant = await request(app).get(`/api/restaurants/${restaurantId}`);
+    const table = restaurant.body.tables.find((candidate) => candidate.id === tables[3]);
+    expect(table.section_id).toBeNull();
+  });
+
+  test('should keep layout changes to managers', async () => {
+    const guest = await request(app)
+      .post(`/api/restaurants/${restaurantId}/sections`)
+      .send({ name: 'Bar' });
+    expect(guest.statusCode).toBe(401);
+
+    const combination = await request(app)
+      .post(`/api/restaurants/${restaurantId}/table-combinations`)
+      .send({ table_ids: [tables[3], tables[4]] });
+    expect(combination.statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,189 @@
+const request = require('supertest');
+const app = require('../server');
+const { initializeDatabase } = require('../db/db');
+
+// Runs as a platform admin; who-can-do-what is covered in auth.test.js
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
+// Tomorrow at the given UTC time, as an ISO string
+const tomorrowAt = (hours, minutes = 0) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + 1);
+  date.setUTCHours(hours, minutes, 0, 0);
+  return date.toISOString();
+};
+
+describe('Reservation lifecycle', () => {
+  let restaurantId;
+  let smallTable;
+  let bigTable;
+
+  const book = async (overrides = {}) => {
+    const res = await api
+      .post('/api/reservations')
+      .send({
+        restaurant_id: restaurantId,
+        table_id: smallTable.id,
+        customer_name: 'Life Cycle',
+        phone: '5557778888',
+        party_size: 2,
+        start_time: tomorrowAt(12),
+        duration_minutes: 90,
+        ...overrides
+      });
+    return res.body;
+  };
+
+  beforeAll(async () => {
+    await initializeDatabase();
+
+    const restaurant = await api
+      .post('/api/restaurants')
+      .send({ name: 'Full Circle', opening_time: '10:00', closing_time: '22:00' });
+    restaurantId = restaurant.body.id;
+
+    smallTable = (await api
+      .post(`/api/restaurants/${restaurantId}/tables`)
+      .send({ table_number: 1, capacity: 2 })).body;
+    bigTable = (await api
+      .post(`/api/restaurants/${restaurantId}/tables`)
+      .send({ table_number: 2, capacity: 6 })).body;
+  });
+
+  describe('Modifying a reservation', () => {
+    test('should move a reservation to a new time', async () => {
+      const reservation = await book({ start_time: tomorrowAt(13) });
+
+      const res = await api
+        .patch(`/api/reservations/${reservation.id}`)
+        .send({ start_time: tomorrowAt(13, 30) });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.start_time).toBe(tomorrowAt(13, 30));
+      expect(res.body.updated_at).not.toBeNull();
+    });
+
+    test('should not clash with itself when extending', async () => {
+      const reservation = await book({ start_time: tomorrowAt(16) });
+
+      const res = await api
+        .patch(`/api/reservations/${reservation.id}`)
+        .send({ duration_minutes: 120 });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.duration_minutes).toBe(120);
+    });
+
+    test('should reject a bigger party on the same small table', async () => {
+      const reservation = await book({ start_time: tomorrowAt(19) });
+
+      const res = await api
+        .patch(`/api/reservations/${reservation.id}`)
+        .send({ party_size: 5 });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toContain('seats');
+
+      // Moving to the big table at the same time works
+      const moved = await api
+        .patch(`/api/reservations/${reservation.id}`)
+        .send({ party_size: 5, table_id: bigTable.id });
+      expect(moved.statusCode).toBe(200);
+      expect(moved.body.table_number).toBe(2);
+    });
+
+    test('should reject moves outside hours or onto a booked table', async () => {
+      const first = await book({ start_time: tomorrowAt(10) });
+      const second = await book({ start_time: tomorrowAt(20) });
+
+      const tooLate = await api
+        .patch(`/api/reservations/${second.id}`)
+        .send({ start_time: tomorrowAt(21, 30) });
+      expect(tooLate.statusCode).toBe(400);
+
+      const clash = await api
+        .patch(`/api/reservations/${second.id}`)
+        .send({ start_time: first.start_time });
+      expect(clash.statusCode).toBe(409);
+    });
+
+    test('should reject an empty change', async () => {
+      const reservation = await book({ start_time: tomorrowAt(17, 30) });
+
+      const res = await api
+        .patch(`/api/reservations/${reservation.id}`)
+        .send({});
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('Status transitions', () => {
+    test('should seat and then complete a reservation', async () => {
+      const reservation = await book({ table_id: bigTable.id, start_time: tomorrowAt(11) });
+
+      const seated = await api.patch(`/api/reservations/${reservation.id}/seat`);
+      expect(seated.statusCode).toBe(200);
+      expect(seated.body.status).toBe('seated');
+      expect(seated.body.seated_at).not.toBeNull();
+
+      // Seated parties can't be moved any more
+      const move = await api
+        .patch(`/api/reservations/${reservation.id}`)
+        .send({ start_time: tomorrowAt(11, 30) });
+      expect(move.statusCode).toBe(409);
+
+      const completed = await api.patch(`/api/reservations/${reservation.id}/complete`);
+      expect(completed.statusCode).toBe(200);
+      expect(completed.body.status).toBe('completed');
+      expect(completed.body.completed_at).not.toBeNull();
+    });
+
+    test('should reject completing a cancelled reservation', async () => {
+      const reservation = await book({ table_id: bigTable.id, start_time: tomorrowAt(15) });
+
+      await api.patch(`/api/reservations/${reservation.id}/cancel`);
+      const res = await api.patch(`/api/reservations/${reservation.id}/complete`);
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.error).toBe("Can't complete a reservation that is cancelled");
+    });
+
+    test('should reject cancelling twice', async () => {
+      const reservation = await book({ table_id: bigTable.id, start_time: tomorrowAt(17) });
+
+      const first = await api.patch(`/api/reservations/${reservation.id}/cancel`);
+      expect(first.statusCode).toBe(200);
+
+      const second = await api.patch(`/api/reservations/${reservation.id}/cancel`);
+      expect(second.statusCode).toBe(409);
+    });
+
+    test('should not allow confirming an already confirmed reservation', async () => {
+      const reservation = await book({ table_id: bigTable.id, start_time: tomorrowAt(13) });
+
+      const res = await api.patch(`/api/reservations/${reservation.id}/confirm`);
+      expect(res.statusCode).toBe(409);
+    });
+
+    test('should only mark no-shows once the booking has started', async () => {
+      const future = await book({ table_id: bigTable.id, start_time: tomorrowAt(20, 30) });
+      const early = await api.patch(`/api/reservations/${future.id}/no-show`);
+      expect(early.statusCode).toBe(409);
+
+      const yesterday = new Date();
+      yesterday.setUTCDate(yesterday.getUTCDate() - 1);
+      yesterday.setUTCHours(12, 0, 0, 0);
+      const past = await book({ table_id: bigTable.id, start_time: yesterday.toISOString() });
+
+      const res = await api.patch(`/api/reservations/${past.id}/no-show`);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.status).toBe('no_show');
+    });
+
+    test('should return 404 for unknown reservations', async () => {
+      const res = await api.patch('/api/reservations/99999/seat');
+      expect(res.statusCode).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,222 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../server');
+const { initializeDatabase, dbTransaction } = require('../db/db');
+const { publishLiveEvent, pruneLiveEvents } = require('../services/liveEvents');
+
+// Runs as a platform admin; who-can-do-what is covered in auth.test.js
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
+// Tomorrow at the given UTC time, as an ISO string
+const tomorrowAt = (hours, minutes = 0) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + 1);
+  date.setUTCHours(hours, minutes, 0, 0);
+  return date.toISOString();
+};
+
+describe('Live event stream', () => {
+  let server;
+  let baseUrl;
+  let restaurantId;
+  let otherRestaurantId;
+  let tableId;
+  const openStreams = [];
+
+  // Connect to a stream the way a tablet would, collecting events as they arrive
+  const openStream = (path, headers = {}) =>
+    new Promise((resolve, reject) => {
+      const stream = { events: [], comments: [], retry: null, waiters: [] };
+
+      const req = http.get(`${baseUrl}${path}`, {
+        headers: { Authorization: `Bearer ${process.env.ADMIN_API_KEY}`, ...headers }
+      }, (res) => {
+        stream.status = res.statusCode;
+        stream.headers = res.headers;
+        let buffer = '';
+
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          buffer += chunk;
+          let end;
+          while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const frame = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+
+            const fields = {};
+            for (const line of frame.split('\n')) {
+              if (line.startsWith(':')) {
+                stream.comments.push(line);
+                continue;
+              }
+              const colon = line.indexOf(':');
+              fields[line.slice(0, colon)] = line.slice(colon + 1).trim();
+            }
+
+            if (fields.retry) stream.retry = Number(fields.retry);
+            if (fields.event) {
+              stream.events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+            }
+          }
+          stream.waiters = stream.waiters.filter((waiter) => !waiter());
+        });
+
+        resolve(stream);
+      });
+
+      req.on('error', reject);
+      stream.close = () => req.destroy();
+      openStreams.push(stream);
+
+      // Resolves once an event matching the test has arrived
+      stream.waitFor = (test) =>
+        new Promise((done, fail) => {
+          const timer = setTimeout(() => fail(new Error('Timed out waiting for a live event')), 3000);
+          const check = () => {
+            const match = stream.events.find(test);
+            if (match) {
+              clearTimeout(timer);
+              done(match);
+            }
+            return Boolean(match);
+          };
+          if (!check()) stream.waiters.push(check);
+        });
+    });
+
+  const book = (startTime) =>
+    api.post('/api/reservations').send({
+      restaurant_id: restaurantId,
+      table_id: tableId,
+      customer_name: 'Stella Stream',
+      phone: '5557778888',
+      party_size: 2,
+      start_time: startTime,
+      duration_minutes: 60
+    });
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const restaurant = await api
+      .post('/api/restaurants')
+      .send({ name: 'Stream House', opening_time: '10:00', closing_time: '22:00' });
+    restaurantId = restaurant.body.id;
+
+    const other = await api
+      .post('/api/restaurants')
+      .send({ name: 'Quiet Place', opening_time: '10:00', closing_time: '22:00' });
+    otherRestaurantId = other.body.id;
+
+    const table = await api
+      .post(`/api/restaurants/${restaurantId}/tables`)
+      .send({ table_number: 1, capacity: 4 });
+    tableId = table.body.id;
+  });
+
+  afterEach(() => {
+    openStreams.splice(0).forEach((stream) => stream.close());
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  test('should open an event stream', async () => {
+    const stream = await openStream(`/api/restaurants/${restaurantId}/events`);
+
+    expect(stream.status).toBe(200);
+    expect(stream.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(stream.headers['cache-control']).toBe('no-cache');
+  });
+
+  test('should push reservation and table changes as they happen', async () => {
+    const stream = await openStream(`/api/restaurants/${restaurantId}/events`);
+
+    const res = await book(tomorrowAt(12));
+
+    const created = await stream.waitFor((event) => event.event === 'reservation.created');
+    expect(created.data).toMatchObject({ type: 'reservation.created', restaurant_id: restaurantId });
+    expect(created.data.data.reservation).toMatchObject({ id: res.body.id, customer_name: 'Stella Stream' });
+    expect(created.data.data.reservation).not.toHaveProperty('guest_token_hash');
+
+    const table = await stream.waitFor((event) => event.event === 'table.updated');
+    expect(table.data.data.table).toMatchObject({ table_id: tableId, table_number: 1 });
+    expect(table.data.data.table.next_reservation.reservation_id).toBe(res.body.id);
+
+    await api.patch(`/api/reservations/${res.body.id}/cancel`);
+    await stream.waitFor((event) => event.event === 'reservation.cancelled');
+
+    // Event ids only go up, so a tablet can keep its place
+    const ids = stream.events.map((event) => Number(event.id));
+    expect(ids).toEqual([...ids].sort((a, b) => a - b));
+  });
+
+  test('should only send a restaurant its own events', async () => {
+    const quiet = await openStream(`/api/restaurants/${otherRestaurantId}/events`);
+    const busy = await openStream(`/api/restaurants/${restaurantId}/events`);
+
+    await book(tomorrowAt(14));
+    await busy.waitFor((event) => event.event === 'reservation.created');
+
+    expect(quiet.events).toEqual([]);
+  });
+
+  test('should replay what a tablet missed when it reconnects with Last-Event-ID', async () => {
+    const first = await openStream(`/api/restaurants/${restaurantId}/events`);
+    const res = await book(tomorrowAt(16));
+    const created = await first.waitFor((event) => event.event === 'reservation.created');
+
+    // Wi-Fi drops; the booking is cancelled while the tablet is away
+    first.close();
+    await api.patch(`/api/reservations/${res.body.id}/cancel`);
+
+    const second = await openStream(`/api/restaurants/${restaurantId}/events`, {
+      'Last-Event-ID': created.id
+    });
+    const cancelled = await second.waitFor((event) => event.event === 'reservation.cancelled');
+
+    expect(cancelled.data.data.reservation.id).toBe(res.body.id);
+    expect(second.events.some((event) => event.event === 'reservation.created')).toBe(false);
+    expect(second.retry).toBe(3000);
+  });
+
+  test('should not send events for changes that were refused or rolled back', async () => {
+    const stream = await openStream(`/api/restaurants/${restaurantId}/events`);
+
+    // Same table and time as an existing booking - refused
+    await book(tomorrowAt(18));
+    const clash = await book(tomorrowAt(18));
+    expect(clash.statusCode).toBe(409);
+
+    // A change that fails part-way takes its event with it
+    await expect(dbTransaction(async () => {
+      await publishLiveEvent(restaurantId, 'reservation.updated', { reservation: { id: -1 } });
+      throw new Error('Something went wrong');
+    })).rejects.toThrow('Something went wrong');
+
+    await book(tomorrowAt(19));
+    await stream.waitFor((event) => event.data.data.reservation && event.data.data.reservation.start_time === tomorrowAt(19));
+
+    const reservationEvents = stream.events.filter((event) => event.event.startsWith('reservation.'));
+    expect(reservationEvents.map((event) => event.event)).toEqual(['reservation.created', 'reservation.created']);
+  });
+
+  test('should tell a tablet to reload when the events it missed were pruned', async () => {
+    await book(tomorrowAt(20));
+    await pruneLiveEvents(new Date(Date.now() + 25 * 3600000));
+
+    const stream = await openStream(`/api/restaurants/${restaurantId}/events?last_event_id=1`);
+    await stream.waitFor((event) => event.event === 'reset');
+  });
+
+  test('should keep streams to staff and reject a bad Last-Event-ID', async () => {
+    const guest = await request(app).get(`/api/restaurants/${restaurantId}/events`);
+    expect(guest.statusCode).toBe(401);
+
+    const bad = await api.get(`/api/restaurants/${restaurantId}/events`).set('Last-Event-ID', 'abc');
+    expect(bad.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const sqlite3 = require('sqlite3');
+const { initializeDatabase, dbRun, dbAll } = require('../db/db');
+const {
+  MigrationError,
+  label,
+  loadMigrations,
+  getStatus,
+  migrate,
+  rollback,
+  ensureSchemaIsCurrent
+} = require('../db/migrator');
+
+// A migration that only exists in these tests - numbered well past the real ones
+const addNickname = {
+  version: 900,
+  name: 'add_nickname',
+  up: 'ALTER TABLE restaurants ADD COLUMN nickname TEXT;',
+  down: 'ALTER TABLE restaurants DROP COLUMN nickname;'
+};
+
+// What the old start-up script (model/schema.js) created, before there were migrations
+const STARTUP_SCRIPT_SCHEMA = `
+PRAGMA foreign_keys = ON;
+
+CREATE TABLE IF NOT EXISTS restaurants (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  opening_time TEXT NOT NULL,
+  closing_time TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS tables (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  restaurant_id INTEGER NOT NULL,
+  table_number INTEGER NOT NULL,
+  capacity INTEGER NOT NULL,
+  UNIQUE (restaurant_id, table_number),
+  FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS reservations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  restaurant_id INTEGER NOT NULL,
+  table_id INTEGER NOT NULL,
+  customer_name TEXT NOT NULL,
+  phone TEXT NOT NULL,
+  party_size INTEGER NOT NULL,
+  start_time TEXT NOT NULL,
+  duration_minutes INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'confirmed',
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE,
+  FOREIGN KEY (table_id) REFERENCES tables(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_reservations_restaurant_start
+  ON reservations(restaurant_id, start_time);
+
+CREATE INDEX IF NOT EXISTS idx_reservations_table_start
+  ON reservations(table_id, start_time);
+
+INSERT INTO restaurants (name, opening_time, closing_time) VALUES ('Old Timer', '10:00', '22:00');
+INSERT INTO tables (restaurant_id, table_number, capacity) VALUES (1, 1, 4);
+INSERT INTO reservations (restaurant_id, table_id, customer_name, phone, party_size, start_time, duration_minutes)
+VALUES (1, 1, 'Early Bird', '5551234567', 2, '2026-01-10T19:00:00.000Z', 90);
+`;
+
+const columnsOf = async (table) => (await dbAll(`PRAGMA table_info(${table})`)).map((column) => column.name);
+
+describe('Migrations', () => {
+  const migrations = loadMigrations();
+
+  beforeAll(async () => {
+    await initializeDatabase();
+  });
+
+  test('should record the migrations applied to a new database', async () => {
+    expect(migrations[0]).toMatchObject({ version: 1, name: 'initial_schema' });
+
+    const status = await getStatus();
+    expect(status.applied.map((row) => row.version)).toEqual(migrations.map((migration) => migration.version));
+    expect(status.pending).toEqual([]);
+    expect(status.unknown).toEqual([]);
+    await expect(ensureSchemaIsCurrent()).resolves.toBeUndefined();
+
+    // Running them again does nothing
+    expect(await migrate()).toEqual([]);
+  });
+
+  test('should apply a new migration and roll it back', async () => {
+    const withNickname = [...migrations, addNickname];
+
+    await expect(ensureSchemaIsCurrent(withNickname)).rejects.toThrow('missing migrations (900_add_nickname)');
+
+    const applied = await migrate(withNickname);
+    expect(applied.map((migration) => migration.name)).toEqual(['add_nickname']);
+    expect(await columnsOf('restaurants')).toContain('nickname');
+    await expect(ensureSchemaIsCurrent(withNickname)).resolves.toBeUndefined();
+
+    const undone = await rollback(withNickname);
+    expect(undone.map((migration) => migration.name)).toEqual(['add_nickname']);
+    expect(await columnsOf('restaurants')).not.toContain('nickname');
+    expect((await getStatus(withNickname)).pending.map((migration) => migration.version)).toEqual([900]);
+  });
+
+  test('should leave the database alone when a migration fails', async () => {
+    const broken = {
+      version: 901,
+      name: 'broken',
+      up: 'ALTER TABLE restaurants ADD COLUMN half_done TEXT; ALTER TABLE no_such_table ADD COLUMN x TEXT;',
+      down: ''
+    };
+
+    const attempt = migrate([...migrations, broken]);
+    await expect(attempt).rejects.toThrow(MigrationError);
+    await expect(attempt).rejects.toThrow(/901_broken failed going up/);
+    expect(await columnsOf('restaurants')).not.toContain('half_done');
+    expect((await getStatus([...migrations, broken])).pending.map((migration) => migration.version)).toEqual([901]);
+  });
+
+  test('should refuse a database with migrations the code does not know about', async () => {
+    await dbRun("INSERT INTO schema_migrations (version, name) VALUES (99, 'from_the_future')");
+    try {
+      await expect(ensureSchemaIsCurrent()).rejects.toThrow(/doesn't know about \(099_from_the_future\)/);
+      await expect(migrate()).rejects.toThrow(MigrationError);
+      await expect(rollback()).rejects.toThrow(MigrationError);
+    } finally {
+      await dbRun('DELETE FROM schema_migrations WHERE version = 99');
+    }
+  });
+
+  test('should roll the whole schema back and build it again', async () => {
+    await rollback(undefined, migrations.length);
+    expect((await getStatus()).applied).toEqual([]);
+    expect(await dbAll("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'restaurants'")).toEqual([]);
+
+    await migrate();
+    await expect(ensureSchemaIsCurrent()).resolves.toBeUndefined();
+    expect(await columnsOf('restaurants')).toContain('timezone');
+  });
+
+  test('should migrate a database file from the command line before the server will start', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    const root = path.join(__dirname, '..');
+    const env = { ...process.env, DB_PATH: path.join(dir, 'restaurant.db'), PORT: '0' };
+    const node = (...args) => spawnSync(process.execPath, args, { cwd: root, env, encoding: 'utf8', timeout: 15000 });
+
+    try {
+      const refused = node('server.js');
+      expect(refused.status).toBe(1);
+      expect(refused.stderr).toContain('Run npm run migrate first');
+
+      const migrated = node('db/migrate.js', 'migrate');
+      expect(migrated.status).toBe(0);
+      expect(migrated.stdout).toContain('Applied 001_initial_schema');
+
+      const status = node('db/migrate.js', 'status');
+      expect(status.status).toBe(0);
+      expect(status.stdout).toMatch(/^applied {2}001_initial_schema/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should bring a database made by the old start-up script up to date, keeping its bookings', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    const file = path.join(dir, 'restaurant.db');
+    const root = path.join(__dirname, '..');
+    const env = { ...process.env, DB_PATH: file, PORT: '0' };
+    const node = (...args) => spawnSync(process.execPath, args, { cwd: root, env, encoding: 'utf8', timeout: 15000 });
+
+    const open = () => new sqlite3.Database(file);
+    const close = (db) => new Promise((resolve, reject) => db.close((error) => (error ? reject(error) : resolve())));
+
+    try {
+      const old = open();
+      await new Promise((resolve, reject) =>
+        old.exec(STARTUP_SCRIPT_SCHEMA, (error) => (error ? reject(error) : resolve())));
+      await close(old);
+
+      const migrated = node('db/migrate.js', 'migrate');
+      expect(migrated.stderr).toBe('');
+      expect(migrated.status).toBe(0);
+      expect(migrated.stdout).toContain(`Applied ${label(migrations[migrations.length - 1])}`);
+      expect(node('db/migrate.js', 'status').status).toBe(0);
+
+      const db = open();
+      const reservation = await new Promise((resolve, reject) =>
+        db.get(
+          `SELECT r.*, rest.timezone, t.is_active FROM reservations r
+           JOIN restaurants rest ON r.restaurant_id = rest.id
+           JOIN tables t ON r.table_id = t.id`,
+          (error, row) => (error ? reject(error) : resolve(row))
+        ));
+      await close(db);
+
+      expect(reservation).toMatchObject({
+        customer_name: 'Early Bird',
+        status: 'confirmed',
+        deposit_cents: 0,
+        customer_id: null,
+        timezone: 'UTC',
+        is_active: 1
+      });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
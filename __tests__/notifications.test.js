@@ -0,0 +1,256 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const { initializeDatabase, dbRun } = require('../db/db');
+const { processNotifications, useProviders } = require('../services/notifications');
+const { fileProvider } = require('../services/notificationProviders');
+const { toZonedISOString } = require('../services/timezone');
+
+// Runs as a platform admin; who-can-do-what is covered in auth.test.js
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
+// Tomorrow at the given UTC time, as an ISO string
+const tomorrowAt = (hours, minutes = 0) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + 1);
+  date.setUTCHours(hours, minutes, 0, 0);
+  return date.toISOString();
+};
+
+// Stands in for an email or SMS gateway - remembers everything it's asked to send
+const recordingProvider = (name) => {
+  const provider = {
+    name,
+    sent: [],
+    failing: false,
+    send: async (message) => {
+      if (provider.failing) throw new Error('Gateway down');
+      provider.sent.push(message);
+    }
+  };
+  return provider;
+};
+
+describe('Guest notifications', () => {
+  let restaurantId;
+  let tableId;
+  const email = recordingProvider('test-email');
+  const sms = recordingProvider('test-sms');
+
+  const book = async (overrides = {}) => {
+    const res = await api
+      .post('/api/reservations')
+      .send({
+        restaurant_id: restaurantId,
+        table_id: tableId,
+        customer_name: 'Nora Notify',
+        phone: '5556667777',
+        email: 'nora@example.com',
+        party_size: 2,
+        start_time: tomorrowAt(12),
+        duration_minutes: 60,
+        ...overrides
+      });
+    return res.body;
+  };
+
+  const notificationsFor = async (reservation) =>
+    (await api.get(`/api/reservations/${reservation.id}/notifications`)).body;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    useProviders({ email, sms });
+
+    const restaurant = await api
+      .post('/api/restaurants')
+      .send({
+        name: 'Ping Palace',
+        opening_time: '10:00',
+        closing_time: '22:00',
+        timezone: 'Europe/Paris',
+        reminder_hours_before: 3
+      });
+    restaurantId = restaurant.body.id;
+
+    const table = await api
+      .post(`/api/restaurants/${restaurantId}/tables`)
+      .send({ table_number: 7, capacity: 4 });
+    tableId = table.body.id;
+  });
+
+  beforeEach(async () => {
+    // Flush anything left over from the last test
+    await processNotifications();
+    email.sent = [];
+    sms.sent = [];
+    email.failing = false;
+  });
+
+  test('should send a confirmation by email and SMS once a booking is made', async () => {
+    const reservation = await book({ start_time: tomorrowAt(10) });
+
+    expect(await processNotifications()).toBe(2);
+
+    expect(email.sent).toHaveLength(1);
+    expect(email.sent[0]).toMatchObject({
+      channel: 'email',
+      to: 'nora@example.com',
+      subject: 'Your table at Ping Palace is booked'
+    });
+    // Dates and times are the restaurant's local ones
+    const local = toZonedISOString(tomorrowAt(10), 'Europe/Paris');
+    expect(email.sent[0].body).toContain(`for 2 at Ping Palace on ${local.slice(0, 10)} at ${local.slice(11, 16)}`);
+    expect(sms.sent[0]).toMatchObject({ channel: 'sms', to: '5556667777', subject: null });
+    expect(sms.sent[0].body).toContain(`Ref #${reservation.id}`);
+
+    const status = await notificationsFor(reservation);
+    expect(status.map((row) => [row.kind, row.channel, row.status, row.provider])).toEqual([
+      ['confirmation', 'email', 'sent', 'test-email'],
+      ['confirmation', 'sms', 'sent', 'test-sms']
+    ]);
+  });
+
+  test('should only text guests without an email address', async () => {
+    await book({ start_time: tomorrowAt(11), email: undefined });
+    await processNotifications();
+
+    expect(email.sent).toHaveLength(0);
+    expect(sms.sent).toHaveLength(1);
+  });
+
+  test('should send the confirmation when staff confirm a pending booking', async () => {
+    const reservation = await book({ start_time: tomorrowAt(9) });
+
+    // Put it back to waiting on the restaurant, as if the confirmation had never been queued
+    await dbRun("UPDATE reservations SET status = 'pending' WHERE id = ?", [reservation.id]);
+    await dbRun('DELETE FROM notifications WHERE reservation_id = ?', [reservation.id]);
+
+    const confirmed = await api.patch(`/api/reservations/${reservation.id}/confirm`);
+    expect(confirmed.statusCode).toBe(200);
+    await processNotifications();
+
+    expect(email.sent.map((message) => message.subject)).toEqual(['Your table at Ping Palace is booked']);
+    expect(sms.sent).toHaveLength(1);
+  });
+
+  test('should send a cancellation notice', async () => {
+    const reservation = await book({ start_time: tomorrowAt(13) });
+    await processNotifications();
+
+    await api.patch(`/api/reservations/${reservation.id}/cancel`);
+    await processNotifications();
+
+    expect(email.sent.map((message) => message.subject)).toEqual([
+      'Your table at Ping Palace is booked',
+      'Your booking at Ping Palace is cancelled'
+    ]);
+  });
+
+  test('should send one reminder in the window before the booking, however often the scheduler runs', async () => {
+    const reservation = await book({ start_time: tomorrowAt(15) });
+    await processNotifications();
+    email.sent = [];
+    sms.sent = [];
+
+    // Four hours before: too early
+    const fourHoursBefore = new Date(new Date(tomorrowAt(15)).getTime() - 4 * 3600000);
+    expect(await processNotifications({ now: fourHoursBefore })).toBe(0);
+
+    // Inside the three-hour window - it goes out, and only once
+    const twoHoursBefore = new Date(new Date(tomorrowAt(15)).getTime() - 2 * 3600000);
+    expect(await processNotifications({ now: twoHoursBefore })).toBe(2);
+    expect(await processNotifications({ now: new Date(twoHoursBefore.getTime() + 60000) })).toBe(0);
+
+    expect(email.sent.map((message) => message.subject)).toEqual(['See you soon at Ping Palace']);
+    expect(sms.sent[0].body).toMatch(/^Reminder from Ping Palace/);
+
+    const kinds = (await notificationsFor(reservation)).map((row) => row.kind);
+    expect(kinds.filter((kind) => kind === 'reminder')).toHaveLength(2);
+  });
+
+  test('should not remind guests whose booking was cancelled', async () => {
+    const reservation = await book({ start_time: tomorrowAt(17) });
+    await api.patch(`/api/reservations/${reservation.id}/cancel`);
+    await processNotifications();
+
+    const oneHourBefore = new Date(new Date(tomorrowAt(17)).getTime() - 3600000);
+    expect(await processNotifications({ now: oneHourBefore })).toBe(0);
+  });
+
+  test('should retry messages the gateway refused, then give up', async () => {
+    email.failing = true;
+    const reservation = await book({ start_time: tomorrowAt(18) });
+
+    let now = Date.now();
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await processNotifications({ now: new Date(now) });
+      now += 10 * 60000;
+    }
+
+    const [emailStatus] = (await notificationsFor(reservation)).filter((row) => row.channel === 'email');
+    expect(emailStatus).toMatchObject({ status: 'failed', attempts: 3, last_error: 'Gateway down' });
+  });
+
+  test('should use the restaurant\'s own templates', async () => {
+    const res = await api
+      .put(`/api/restaurants/${restaurantId}/notification-templates/confirmation/sms`)
+      .send({ body: 'Hey {{customer_name}}, table {{table_number}} is yours at {{time}}!' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.is_default).toBe(false);
+
+    await book({ start_time: tomorrowAt(19) });
+    await processNotifications();
+    expect(sms.sent[0].body).toMatch(/^Hey Nora Notify, table 7 is yours at \d\d:00!$/);
+
+    const reset = await api
+      .delete(`/api/restaurants/${restaurantId}/notification-templates/confirmation/sms`);
+    expect(reset.body.is_default).toBe(true);
+  });
+
+  test('should list every template with the placeholders they can use', async () => {
+    const res = await api.get(`/api/restaurants/${restaurantId}/notification-templates`);
+
+    expect(res.body.reminder_hours_before).toBe(3);
+    expect(res.body.templates).toHaveLength(6);
+    expect(res.body.placeholders).toContain('customer_name');
+  });
+
+  test('should reject unknown placeholders, kinds and missing email subjects', async () => {
+    const badPlaceholder = await api
+      .put(`/api/restaurants/${restaurantId}/notification-templates/reminder/sms`)
+      .send({ body: 'See you {{tomorow}}' });
+    expect(badPlaceholder.statusCode).toBe(400);
+    expect(badPlaceholder.body.error).toContain('tomorow');
+
+    const noSubject = await api
+      .put(`/api/restaurants/${restaurantId}/notification-templates/reminder/email`)
+      .send({ body: 'See you soon' });
+    expect(noSubject.statusCode).toBe(400);
+
+    const badKind = await api
+      .put(`/api/restaurants/${restaurantId}/notification-templates/birthday/sms`)
+      .send({ body: 'Happy birthday' });
+    expect(badKind.statusCode).toBe(404);
+  });
+});
+
+describe('File notification provider', () => {
+  test('should append each message as a JSON line', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifications-'));
+    const file = path.join(dir, 'sent.jsonl');
+
+    try {
+      const provider = fileProvider(file);
+      await provider.send({ channel: 'sms', to: '5551234567', subject: null, body: 'First' });
+      await provider.send({ channel: 'sms', to: '5551234567', subject: null, body: 'Second' });
+
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+      expect(lines.map((line) => line.body)).toEqual(['First', 'Second']);
+      expect(lines[0]).toHaveProperty('sent_at');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
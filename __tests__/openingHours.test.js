@@ -0,0 +1,158 @@
+const request = require('supertest');
+const app = require('../server');
+const { initializeDatabase } = require('../db/db');
+
+// Runs as a platform admin; who-can-do-what is covered in auth.test.js
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
+// Next YYYY-MM-DD (from tomorrow on) that falls on the given weekday
+const nextWeekday = (weekday) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + 1);
+  while (date.getUTCDay() !== weekday) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date.toISOString().split('T')[0];
+};
+
+const dayAfter = (date) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().split('T')[0];
+};
+
+// Wall-clock time on a date in a UTC restaurant, as an ISO string
+const at = (date, time) => new Date(`${date}T${time}:00Z`).toISOString();
+
+describe('Opening hours calendar', () => {
+  let restaurantId;
+  const tuesday = nextWeekday(2);
+  const sunday = nextWeekday(0);
+
+  const book = (start_time, duration_minutes = 60) =>
+    api
+      .post('/api/reservations')
+      .send({
+        restaurant_id: restaurantId,
+        customer_name: 'Night Owl',
+        phone: '5551112222',
+        party_size: 2,
+        start_time,
+        duration_minutes
+      });
+
+  beforeAll(async () => {
+    await initializeDatabase();
+
+    const restaurant = await api
+      .post('/api/restaurants')
+      .send({ name: 'Two Sittings', opening_time: '10:00', closing_time: '22:00' });
+    restaurantId = restaurant.body.id;
+
+    for (let i = 1; i <= 3; i++) {
+      await api
+        .post(`/api/restaurants/${restaurantId}/tables`)
+        .send({ table_number: i, capacity: 4 });
+    }
+  });
+
+  test('should replace the weekly calendar with split and late shifts', async () => {
+    // Lunch and a late dinner Monday to Saturday, closed on Sunday
+    const rules = [];
+    for (let weekday = 1; weekday <= 6; weekday++) {
+      rules.push({ weekday, open_time: '12:00', close_time: '15:00' });
+      rules.push({ weekday, open_time: '18:00', close_time: '02:00' });
+    }
+
+    const res = await api
+      .put(`/api/restaurants/${restaurantId}/hours/weekly`)
+      .send({ rules });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.weekly).toHaveLength(12);
+  });
+
+  test('should reject invalid weekly rules', async () => {
+    const res = await api
+      .put(`/api/restaurants/${restaurantId}/hours/weekly`)
+      .send({ rules: [{ weekday: 7, open_time: '12:00', close_time: '25:00' }] });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('should accept bookings in either service, including after midnight', async () => {
+    expect((await book(at(tuesday, '12:30'))).statusCode).toBe(201);
+    expect((await book(at(tuesday, '20:00'))).statusCode).toBe(201);
+    expect((await book(at(dayAfter(tuesday), '00:30'))).statusCode).toBe(201);
+  });
+
+  test('should reject bookings between services or running past closing', async () => {
+    const between = await book(at(tuesday, '16:00'));
+    expect(between.statusCode).toBe(400);
+    expect(between.body.error).toContain('12:00 to 15:00 and 18:00 to 02:00');
+
+    const tooLate = await book(at(dayAfter(tuesday), '01:30'));
+    expect(tooLate.statusCode).toBe(400);
+  });
+
+  test('should reject bookings on a closed weekday', async () => {
+    const res = await book(at(sunday, '12:30'));
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toContain('closed');
+  });
+
+  test('should only offer slots inside the services', async () => {
+    const res = await api
+      .get('/api/availability')
+      .query({ restaurant_id: restaurantId, date: tuesday, party_size: 2 });
+
+    expect(res.statusCode).toBe(200);
+    const times = res.body.available_slots.map((slot) => slot.time);
+    expect(times).toContain(at(tuesday, '12:00'));
+    expect(times).toContain(at(dayAfter(tuesday), '00:30'));
+    expect(times).not.toContain(at(tuesday, '16:00'));
+    // 13:45 + 90 minutes runs past the end of lunch
+    expect(times).not.toContain(at(tuesday, '13:45'));
+  });
+
+  test('should close the restaurant for a holiday exception', async () => {
+    const holiday = await api
+      .post(`/api/restaurants/${restaurantId}/hours/exceptions`)
+      .send({ date: tuesday, closed: true, reason: 'Public holiday' });
+    expect(holiday.statusCode).toBe(201);
+
+    const hours = await api.get(`/api/restaurants/${restaurantId}/hours/${tuesday}`);
+    expect(hours.body.closed).toBe(true);
+
+    const slots = await api
+      .get('/api/availability')
+      .query({ restaurant_id: restaurantId, date: tuesday, party_size: 2 });
+    expect(slots.body.available_slots).toEqual([]);
+
+    // Removing the exception brings the weekly hours back
+    const removed = await api
+      .delete(`/api/restaurants/${restaurantId}/hours/exceptions/${holiday.body.id}`);
+    expect(removed.statusCode).toBe(200);
+
+    const restored = await api.get(`/api/restaurants/${restaurantId}/hours/${tuesday}`);
+    expect(restored.body.shifts).toHaveLength(2);
+  });
+
+  test('should open on special hours for an exception date', async () => {
+    const res = await api
+      .post(`/api/restaurants/${restaurantId}/hours/exceptions`)
+      .send({ date: sunday, open_time: '11:00', close_time: '16:00', reason: 'Mothers Day brunch' });
+    expect(res.statusCode).toBe(201);
+
+    expect((await book(at(sunday, '11:30'))).statusCode).toBe(201);
+  });
+
+  test('should require hours unless the exception closes the day', async () => {
+    const res = await api
+      .post(`/api/restaurants/${restaurantId}/hours/exceptions`)
+      .send({ date: sunday });
+
+    expect(res.statusCode).toBe(400);
+  });
+});
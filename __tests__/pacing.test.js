@@ -0,0 +1,189 @@
+const request = require('supertest');
+const app = require('../server');
+const { initializeDatabase } = require('../db/db');
+
+// Runs as a platform admin; who-can-do-what is covered in auth.test.js
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
+// Tomorrow's date (YYYY-MM-DD) and a UTC time on it
+const tomorrow = (() => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().split('T')[0];
+})();
+const at = (time) => `${tomorrow}T${time}:00.000Z`;
+
+describe('Pacing limits', () => {
+  let restaurantId;
+  const booked = {};
+
+  const book = (time, partySize = 2) =>
+    api.post('/api/reservations').send({
+      restaurant_id: restaurantId,
+      customer_name: 'Penny Pace',
+      phone: '5556667777',
+      party_size: partySize,
+      start_time: at(time),
+      duration_minutes: 60
+    });
+
+  const slotTimes = async (partySize = 2) => {
+    const res = await api
+      .get('/api/availability')
+      .query({ restaurant_id: restaurantId, date: tomorrow, party_size: partySize, duration_minutes: 60 });
+    return res.body.available_slots.map((slot) => slot.time);
+  };
+
+  beforeAll(async () => {
+    await initializeDatabase();
+
+    const restaurant = await api
+      .post('/api/restaurants')
+      .send({ name: 'Steady Kitchen', opening_time: '10:00', closing_time: '22:00' });
+    restaurantId = restaurant.body.id;
+
+    // Plenty of tables - pacing is what runs out
+    for (let table_number = 1; table_number <= 8; table_number++) {
+      await api
+        .post(`/api/restaurants/${restaurantId}/tables`)
+        .send({ table_number, capacity: 4 });
+    }
+  });
+
+  test('should save and return pacing limits', async () => {
+    const saved = await api.put(`/api/restaurants/${restaurantId}/pacing`).send({
+      window_minutes: 15,
+      max_reservations_per_window: 2,
+      max_covers_per_window: 6,
+      max_covers_per_service: 14
+    });
+    expect(saved.statusCode).toBe(200);
+
+    const res = await api.get(`/api/restaurants/${restaurantId}/pacing`);
+    expect(res.body).toEqual({
+      limits: {
+        window_minutes: 15,
+        max_reservations_per_window: 2,
+        max_covers_per_window: 6,
+        max_covers_per_service: 14
+      },
+      overrides: []
+    });
+  });
+
+  test('should refuse a booking once its window has the most bookings allowed', async () => {
+    expect((await book('19:00')).statusCode).toBe(201);
+    expect((await book('19:10')).statusCode).toBe(201);
+
+    const res = await book('19:05');
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toMatch(/2 bookings arriving between 19:00 and 19:15/);
+
+    // Suggestions are times the kitchen can take
+    expect(res.body.suggestions.length).toBeGreaterThan(0);
+    for (const suggestion of res.body.suggestions) {
+      expect(suggestion.start_time < at('19:00') || suggestion.start_time >= at('19:15')).toBe(true);
+    }
+  });
+
+  test('should refuse a party that would take a window over its covers', async () => {
+    expect((await book('19:30', 4)).statusCode).toBe(201);
+
+    const tooMany = await book('19:40', 4);
+    expect(tooMany.statusCode).toBe(409);
+    expect(tooMany.body.error).toMatch(/6 guests arriving between 19:30 and 19:45, and 4 are already booked/);
+
+    const fits = await book('19:40', 2);
+    expect(fits.statusCode).toBe(201);
+    booked.lastInWindow = fits.body.id;
+  });
+
+  test('should hide slots that would break the pacing', async () => {
+    const times = await slotTimes();
+
+    expect(times).not.toContain(at('19:00'));
+    expect(times).not.toContain(at('19:30'));
+    expect(times).toContain(at('19:15'));
+    expect(times).toContain(at('18:00'));
+
+    const calendar = await api
+      .get(`/api/restaurants/${restaurantId}/availability/calendar`)
+      .query({ from: tomorrow, to: tomorrow, party_size: 2, duration_minutes: 60 });
+    expect(calendar.body.days[0].bookable_slots).toBe(times.length);
+  });
+
+  test('should pace changes to existing bookings', async () => {
+    const moved = await api
+      .patch(`/api/reservations/${booked.lastInWindow}`)
+      .send({ start_time: at('19:05') });
+    expect(moved.statusCode).toBe(409);
+    expect(moved.body.error).toMatch(/between 19:00 and 19:15/);
+
+    const bigger = await api
+      .patch(`/api/reservations/${booked.lastInWindow}`)
+      .send({ party_size: 3 });
+    expect(bigger.statusCode).toBe(409);
+
+    // A booking doesn't count against itself
+    const later = await api
+      .patch(`/api/reservations/${booked.lastInWindow}`)
+      .send({ start_time: at('19:35') });
+    expect(later.statusCode).toBe(200);
+  });
+
+  test('should stop taking bookings once the service is full', async () => {
+    // 10 guests so far; 4 more reaches the limit of 14
+    expect((await book('18:00', 4)).statusCode).toBe(201);
+
+    const res = await book('20:30', 2);
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toMatch(/10:00 to 22:00 service .* limited to 14 guests, and 14 are already booked/);
+
+    expect(await slotTimes()).toEqual([]);
+  });
+
+  test('should apply a date override instead of the everyday limits', async () => {
+    const override = await api
+      .put(`/api/restaurants/${restaurantId}/pacing/overrides/${tomorrow}`)
+      .send({ max_covers_per_service: 20 });
+    expect(override.statusCode).toBe(200);
+    expect(override.body).toEqual({
+      date: tomorrow,
+      window_minutes: 15,
+      max_reservations_per_window: null,
+      max_covers_per_window: null,
+      max_covers_per_service: 20
+    });
+
+    // Window limits are lifted for the day; the service limit is higher
+    expect((await book('19:05', 2)).statusCode).toBe(201);
+
+    const listed = await api.get(`/api/restaurants/${restaurantId}/pacing`);
+    expect(listed.body.overrides).toEqual([override.body]);
+
+    const removed = await api.delete(`/api/restaurants/${restaurantId}/pacing/overrides/${tomorrow}`);
+    expect(removed.statusCode).toBe(200);
+    expect((await book('20:30', 2)).statusCode).toBe(409);
+
+    const again = await api.delete(`/api/restaurants/${restaurantId}/pacing/overrides/${tomorrow}`);
+    expect(again.statusCode).toBe(404);
+  });
+
+  test('should reject limits that make no sense', async () => {
+    const window = await api.put(`/api/restaurants/${restaurantId}/pacing`).send({ window_minutes: 20 });
+    expect(window.statusCode).toBe(400);
+    expect(window.body.errors.window_minutes).toBeDefined();
+
+    const zero = await api.put(`/api/restaurants/${restaurantId}/pacing`).send({ max_covers_per_window: 0 });
+    expect(zero.statusCode).toBe(400);
+
+    const date = await api.put(`/api/restaurants/${restaurantId}/pacing/overrides/christmas`).send({});
+    expect(date.statusCode).toBe(400);
+    expect(date.body.errors.date).toBeDefined();
+  });
+
+  test('should keep pacing settings to managers', async () => {
+    const guest = await request(app).get(`/api/restaurants/${restaurantId}/pacing`);
+    expect(guest.statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,182 @@
+const request = require('supertest');
+const app = require('../server');
+const { initializeDatabase } = require('../db/db');
+
+// Runs as a platform admin; who-can-do-what is covered in auth.test.js
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
+// A UTC time a number of days from now, as an ISO string
+const daysFromNowAt = (days, hours, minutes = 0) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  date.setUTCHours(hours, minutes, 0, 0);
+  return date.toISOString();
+};
+const dateOf = (iso) => iso.split('T')[0];
+
+describe('Reservation lists', () => {
+  let restaurantId;
+  const tableIds = [];
+  const reservationIds = [];
+
+  const list = (query = {}) =>
+    api.get(`/api/restaurants/${restaurantId}/reservations`).query(query);
+
+  beforeAll(async () => {
+    await initializeDatabase();
+
+    const restaurant = await api
+      .post('/api/restaurants')
+      .send({ name: 'Paging Bistro', opening_time: '10:00', closing_time: '22:00' });
+    restaurantId = restaurant.body.id;
+
+    for (const [table_number, capacity] of [[1, 2], [2, 6]]) {
+      const table = await api
+        .post(`/api/restaurants/${restaurantId}/tables`)
+        .send({ table_number, capacity });
+      tableIds.push(table.body.id);
+    }
+
+    // Five bookings over two days, alternating tables
+    const bookings = [
+      { day: 1, hour: 12, table: 0, party_size: 2, customer_name: 'Ada', phone: '5550000001' },
+      { day: 1, hour: 14, table: 1, party_size: 6, customer_name: 'Bea', phone: '5550000002' },
+      { day: 1, hour: 18, table: 0, party_size: 1, customer_name: 'Cal', phone: '5550000003' },
+      { day: 2, hour: 12, table: 1, party_size: 4, customer_name: 'Dot', phone: '5550000004' },
+      { day: 2, hour: 19, table: 0, party_size: 2, customer_name: 'Eve', phone: '5550000001' }
+    ];
+
+    for (const booking of bookings) {
+      const res = await api
+        .post('/api/reservations')
+        .send({
+          restaurant_id: restaurantId,
+          table_id: tableIds[booking.table],
+          customer_name: booking.customer_name,
+          phone: booking.phone,
+          party_size: booking.party_size,
+          start_time: daysFromNowAt(booking.day, booking.hour),
+          duration_minutes: 60
+        });
+      reservationIds.push(res.body.id);
+    }
+
+    await api.patch(`/api/reservations/${reservationIds[2]}/cancel`);
+  });
+
+  test('should return everything in start order with the total in headers', async () => {
+    const res = await list();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.map((reservation) => reservation.id)).toEqual(reservationIds);
+    expect(res.headers['x-total-count']).toBe('5');
+    expect(res.headers['x-limit']).toBe('100');
+    expect(res.headers['x-offset']).toBe('0');
+    expect(res.headers.link).toBeUndefined();
+    expect(res.body[0]).toHaveProperty('table_number', 1);
+  });
+
+  test('should page with limit and offset and link to the next page', async () => {
+    const first = await list({ limit: 2 });
+    expect(first.body.map((reservation) => reservation.id)).toEqual(reservationIds.slice(0, 2));
+    expect(first.headers['x-total-count']).toBe('5');
+    expect(first.headers.link).toBe(
+      `</api/restaurants/${restaurantId}/reservations?limit=2&offset=2>; rel="next"`
+    );
+
+    const last = await list({ limit: 2, offset: 4 });
+    expect(last.body.map((reservation) => reservation.id)).toEqual([reservationIds[4]]);
+    expect(last.headers.link).toBeUndefined();
+  });
+
+  test('should filter by date range, status, table, party size and phone', async () => {
+    const dayTwo = await list({ from: dateOf(daysFromNowAt(2, 0)), to: dateOf(daysFromNowAt(2, 0)) });
+    expect(dayTwo.body.map((reservation) => reservation.id)).toEqual(reservationIds.slice(3));
+
+    const cancelled = await list({ status: 'cancelled' });
+    expect(cancelled.body.map((reservation) => reservation.id)).toEqual([reservationIds[2]]);
+
+    const active = await list({ status: 'pending,confirmed' });
+    expect(active.headers['x-total-count']).toBe('4');
+
+    const tableTwo = await list({ table_id: tableIds[1] });
+    expect(tableTwo.body.map((reservation) => reservation.id)).toEqual([reservationIds[1], reservationIds[3]]);
+
+    const bigParties = await list({ min_party_size: 3, max_party_size: 5 });
+    expect(bigParties.body.map((reservation) => reservation.id)).toEqual([reservationIds[3]]);
+
+    const byPhone = await list({ phone: '(555) 000-0001' });
+    expect(byPhone.body.map((reservation) => reservation.id)).toEqual([reservationIds[0], reservationIds[4]]);
+  });
+
+  test('should sort by any allowed field, descending with a minus', async () => {
+    const byParty = await list({ sort: '-party_size' });
+    expect(byParty.body.map((reservation) => reservation.party_size)).toEqual([6, 4, 2, 2, 1]);
+
+    const byName = await list({ sort: '-customer_name', limit: 1 });
+    expect(byName.body[0].customer_name).toBe('Eve');
+  });
+
+  test('should reject bad sorts, limits, statuses and ranges', async () => {
+    const res = await list({ sort: 'phone', limit: 0, status: 'lost', from: '2026-02-10', to: '2026-02-01' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors).toHaveProperty('sort');
+    expect(res.body.errors).toHaveProperty('limit');
+    expect(res.body.errors).toHaveProperty('status');
+    expect(res.body.errors).toHaveProperty('to');
+  });
+
+  test('should apply the same filters to the day sheet', async () => {
+    const res = await api
+      .get(`/api/restaurants/${restaurantId}/reservations/${dateOf(daysFromNowAt(1, 0))}`)
+      .query({ status: 'confirmed,pending', sort: '-start_time' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.map((reservation) => reservation.id)).toEqual([reservationIds[1], reservationIds[0]]);
+    expect(res.headers['x-total-count']).toBe('2');
+  });
+});
+
+describe('Other lists', () => {
+  beforeAll(async () => {
+    await initializeDatabase();
+
+    for (const name of ['Zest Canteen', 'Apple Canteen', 'Mango Canteen']) {
+      await api
+        .post('/api/restaurants')
+        .send({ name, opening_time: '10:00', closing_time: '22:00' });
+    }
+  });
+
+  test('should search, sort and page restaurants', async () => {
+    const res = await api.get('/api/restaurants').query({ q: 'canteen', limit: 2 });
+
+    expect(res.body.map((restaurant) => restaurant.name)).toEqual(['Apple Canteen', 'Mango Canteen']);
+    expect(res.headers['x-total-count']).toBe('3');
+    expect(res.headers.link).toContain('offset=2');
+
+    const newest = await api.get('/api/restaurants').query({ q: 'canteen', sort: '-created_at', limit: 1 });
+    expect(newest.body[0].name).toBe('Mango Canteen');
+  });
+
+  test('should page API keys', async () => {
+    for (const name of ['Front desk', 'Back office']) {
+      await api.post('/api/api-keys').send({ name, role: 'admin' });
+    }
+
+    const res = await api.get('/api/api-keys').query({ limit: 1, offset: 1 });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toHaveLength(1);
+    expect(Number(res.headers['x-total-count'])).toBeGreaterThanOrEqual(2);
+  });
+
+  test('should reject unknown sort fields on every list', async () => {
+    const restaurants = await api.get('/api/restaurants').query({ sort: 'secret' });
+    expect(restaurants.statusCode).toBe(400);
+
+    const customers = await api.get('/api/customers').query({ q: 'paging', sort: 'phone' });
+    expect(customers.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,174 @@
+const request = require('supertest');
+const app = require('../server');
+const { initializeDatabase, dbRun } = require('../db/db');
+
+// Runs as a platform admin; who-can-do-what is covered in auth.test.js
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
+// A date some days from now (YYYY-MM-DD)
+const inDays = (days) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+describe('Reports', () => {
+  let restaurantId;
+  const tables = {};
+  let booked = 0;
+
+  // Book a visit, then move it into the past with its outcome and when it was made
+  const pastVisit = async ({ start, created, table, party_size, duration_minutes, status, is_walk_in = false }) => {
+    booked += 1;
+    const res = await api.post('/api/reservations').send({
+      restaurant_id: restaurantId,
+      table_id: tables[table],
+      customer_name: 'Report Guest',
+      phone: '5556667777',
+      party_size,
+      duration_minutes,
+      start_time: `${inDays(10 + booked)}T12:00:00.000Z`
+    });
+    await dbRun(
+      'UPDATE reservations SET start_time = ?, created_at = ?, status = ?, is_walk_in = ? WHERE id = ?',
+      [start, created, status, is_walk_in ? 1 : 0, res.body.id]
+    );
+  };
+
+  const report = (name, query) =>
+    api.get(`/api/restaurants/${restaurantId}/reports/${name}`).query(query);
+
+  beforeAll(async () => {
+    await initializeDatabase();
+
+    const restaurant = await api
+      .post('/api/restaurants')
+      .send({ name: 'Report Bistro', opening_time: '10:00', closing_time: '22:00' });
+    restaurantId = restaurant.body.id;
+
+    for (const table_number of [1, 2]) {
+      const table = await api
+        .post(`/api/restaurants/${restaurantId}/tables`)
+        .send({ table_number, capacity: 4 });
+      tables[table_number] = table.body.id;
+    }
+
+    // Monday 2 March 2026
+    await pastVisit({
+      start: '2026-03-02T12:00:00.000Z', created: '2026-03-01 12:00:00',
+      table: 1, party_size: 4, duration_minutes: 120, status: 'completed'
+    });
+    await pastVisit({
+      start: '2026-03-02T12:30:00.000Z', created: '2026-02-27 12:30:00',
+      table: 2, party_size: 2, duration_minutes: 60, status: 'no_show'
+    });
+    // Tuesday 3 March
+    await pastVisit({
+      start: '2026-03-03T19:00:00.000Z', created: '2026-03-02 19:00:00',
+      table: 1, party_size: 3, duration_minutes: 90, status: 'cancelled'
+    });
+    await pastVisit({
+      start: '2026-03-03T19:00:00.000Z', created: '2026-03-03 18:00:00',
+      table: 2, party_size: 2, duration_minutes: 60, status: 'completed'
+    });
+    // The next Monday, a walk-in
+    await pastVisit({
+      start: '2026-03-09T13:00:00.000Z', created: '2026-03-09 13:00:00',
+      table: 1, party_size: 2, duration_minutes: 60, status: 'completed', is_walk_in: true
+    });
+  });
+
+  test('should count covers per day and per week', async () => {
+    const daily = await report('covers', { from: '2026-03-02', to: '2026-03-03' });
+    expect(daily.statusCode).toBe(200);
+    expect(daily.body).toMatchObject({ report: 'covers', group_by: 'day', timezone: 'UTC' });
+    expect(daily.body.rows).toEqual([
+      { period: '2026-03-02', bookings: 1, covers: 4, average_party_size: 4 },
+      { period: '2026-03-03', bookings: 1, covers: 2, average_party_size: 2 }
+    ]);
+    expect(daily.body.totals).toEqual({ bookings: 2, covers: 6, average_party_size: 3 });
+
+    const weekly = await report('covers', { from: '2026-03-02', to: '2026-03-15', group_by: 'week' });
+    expect(weekly.body.rows.map((row) => [row.period, row.covers])).toEqual([['2026-03-02', 6], ['2026-03-09', 2]]);
+  });
+
+  test('should work out cancellation and no-show rates', async () => {
+    const res = await report('outcomes', { from: '2026-03-02', to: '2026-03-09' });
+    expect(res.body.rows[0]).toEqual({
+      period: '2026-03-02',
+      bookings: 2,
+      cancelled: 0,
+      no_shows: 1,
+      cancellation_rate: 0,
+      no_show_rate: 50
+    });
+    // The walk-in doesn't count
+    expect(res.body.rows[7]).toMatchObject({ period: '2026-03-09', bookings: 0, no_show_rate: null });
+    expect(res.body.totals).toEqual({
+      bookings: 4,
+      cancelled: 1,
+      no_shows: 1,
+      cancellation_rate: 25,
+      no_show_rate: 33.3
+    });
+  });
+
+  test('should measure how far ahead guests book', async () => {
+    const res = await report('lead-time', { from: '2026-03-02', to: '2026-03-03' });
+    expect(res.body.rows).toEqual([
+      { period: '2026-03-02', bookings: 2, average_lead_time_hours: 48, median_lead_time_hours: 48 },
+      { period: '2026-03-03', bookings: 1, average_lead_time_hours: 1, median_lead_time_hours: 1 }
+    ]);
+    expect(res.body.totals).toMatchObject({ bookings: 3, average_lead_time_hours: 32.3, median_lead_time_hours: 24 });
+  });
+
+  test('should compare booked table time with opening hours', async () => {
+    const daily = await report('utilisation', { from: '2026-03-02', to: '2026-03-02' });
+    // Open 12 hours with 2 tables; only the completed 2-hour lunch held a table
+    expect(daily.body.rows).toEqual([
+      { period: '2026-03-02', open_table_minutes: 1440, booked_table_minutes: 120, utilisation: 8.3 }
+    ]);
+
+    const hourly = await report('utilisation', { from: '2026-03-02', to: '2026-03-02', group_by: 'hour' });
+    expect(hourly.body.rows.length).toBe(24);
+    const byHour = Object.fromEntries(hourly.body.rows.map((row) => [row.period, row]));
+    expect(byHour['12:00']).toEqual({ period: '12:00', open_table_minutes: 120, booked_table_minutes: 60, utilisation: 50 });
+    expect(byHour['15:00'].utilisation).toBe(0);
+    expect(byHour['08:00']).toMatchObject({ open_table_minutes: 0, utilisation: null });
+  });
+
+  test('should export a report as CSV with a totals row', async () => {
+    const res = await report('covers', { from: '2026-03-02', to: '2026-03-03', format: 'csv' });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    expect(res.headers['content-disposition']).toMatch(/covers-2026-03-02-to-2026-03-03\.csv/);
+    expect(res.text.split('\r\n')).toEqual([
+      'period,bookings,covers,average_party_size',
+      '2026-03-02,1,4,4',
+      '2026-03-03,1,2,2',
+      'total,2,6,3',
+      ''
+    ]);
+  });
+
+  test('should check the report, range and grouping', async () => {
+    const unknown = await report('revenue', { from: '2026-03-02', to: '2026-03-03' });
+    expect(unknown.statusCode).toBe(404);
+
+    const backwards = await report('covers', { from: '2026-03-03', to: '2026-03-02' });
+    expect(backwards.statusCode).toBe(400);
+    expect(backwards.body.errors.to).toBeDefined();
+
+    const tooLong = await report('covers', { from: '2025-01-01', to: '2026-03-02' });
+    expect(tooLong.statusCode).toBe(400);
+
+    const monthly = await report('covers', { from: '2026-03-02', to: '2026-03-03', group_by: 'month' });
+    expect(monthly.statusCode).toBe(400);
+    expect(monthly.body.errors.group_by).toBeDefined();
+
+    const guest = await request(app)
+      .get(`/api/restaurants/${restaurantId}/reports/covers`)
+      .query({ from: '2026-03-02', to: '2026-03-03' });
+    expect(guest.statusCode).toBe(401);
+  });
+});
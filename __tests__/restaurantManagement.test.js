@@ -0,0 +1,234 @@
+const request = require('supertest');
+const app = require('../server');
+const { initializeDatabase } = require('../db/db');
+
+// Runs as a platform admin; who-can-do-what is covered in auth.test.js
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
+// Tomorrow at the given UTC time, as an ISO string
+const tomorrowAt = (hours, minutes = 0) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + 1);
+  date.setUTCHours(hours, minutes, 0, 0);
+  return date.toISOString();
+};
+
+const createRestaurant = async (fields = {}) =>
+  (await api
+    .post('/api/restaurants')
+    .send({ name: 'Fixer Upper', opening_time: '10:00', closing_time: '22:00', ...fields })).body;
+
+const addTable = async (restaurantId, table_number, capacity) =>
+  (await api
+    .post(`/api/restaurants/${restaurantId}/tables`)
+    .send({ table_number, capacity })).body;
+
+const book = (restaurant_id, table_id, fields = {}) =>
+  api
+    .post('/api/reservations')
+    .send({
+      restaurant_id,
+      table_id,
+      customer_name: 'Steady Regular',
+      phone: '5556667777',
+      party_size: 4,
+      start_time: tomorrowAt(19),
+      duration_minutes: 90,
+      ...fields
+    });
+
+describe('Managing restaurants and tables', () => {
+  beforeAll(async () => {
+    await initializeDatabase();
+  });
+
+  describe('Restaurants', () => {
+    test('should rename a restaurant with PATCH and leave the rest alone', async () => {
+      const restaurant = await createRestaurant({ timezone: 'Europe/Paris' });
+
+      const res = await api
+        .patch(`/api/restaurants/${restaurant.id}`)
+        .send({ name: 'Freshly Painted' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({
+        name: 'Freshly Painted',
+        opening_time: '10:00',
+        timezone: 'Europe/Paris'
+      });
+    });
+
+    test('should require the core fields on PUT', async () => {
+      const restaurant = await createRestaurant();
+
+      const partial = await api
+        .put(`/api/restaurants/${restaurant.id}`)
+        .send({ name: 'Half Done' });
+      expect(partial.statusCode).toBe(400);
+      expect(partial.body.errors).toHaveProperty('opening_time');
+
+      const full = await api
+        .put(`/api/restaurants/${restaurant.id}`)
+        .send({ name: 'All Done', opening_time: '09:00', closing_time: '23:00' });
+      expect(full.statusCode).toBe(200);
+      expect(full.body.opening_time).toBe('09:00');
+    });
+
+    test('should refuse new hours that leave upcoming bookings outside them', async () => {
+      const restaurant = await createRestaurant();
+      const table = await addTable(restaurant.id, 1, 4);
+      const booked = await book(restaurant.id, table.id, { start_time: tomorrowAt(20) });
+
+      const res = await api
+        .patch(`/api/restaurants/${restaurant.id}`)
+        .send({ closing_time: '21:00' });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.reservation_ids).toEqual([booked.body.id]);
+
+      // Closing late enough for the booking is fine
+      const ok = await api
+        .patch(`/api/restaurants/${restaurant.id}`)
+        .send({ closing_time: '21:30' });
+      expect(ok.statusCode).toBe(200);
+    });
+
+    test('should only delete a restaurant with no upcoming bookings', async () => {
+      const restaurant = await createRestaurant();
+      const table = await addTable(restaurant.id, 1, 4);
+      const booked = await book(restaurant.id, table.id);
+
+      const blocked = await api.delete(`/api/restaurants/${restaurant.id}`);
+      expect(blocked.statusCode).toBe(409);
+
+      await api.patch(`/api/reservations/${booked.body.id}/cancel`);
+
+      const deleted = await api.delete(`/api/restaurants/${restaurant.id}`);
+      expect(deleted.statusCode).toBe(200);
+
+      const gone = await api.get(`/api/restaurants/${restaurant.id}`);
+      expect(gone.statusCode).toBe(404);
+    });
+
+    test('should return 404 when changing a missing restaurant', async () => {
+      const res = await api.patch('/api/restaurants/99999').send({ name: 'Nobody' });
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  describe('Tables', () => {
+    let restaurant;
+    let table;
+    let spare;
+    let booking;
+
+    beforeAll(async () => {
+      restaurant = await createRestaurant({ name: 'Table Shuffle' });
+      table = await addTable(restaurant.id, 1, 6);
+      spare = await addTable(restaurant.id, 2, 6);
+      booking = (await book(restaurant.id, table.id, { party_size: 4 })).body;
+    });
+
+    test('should not shrink a table below an upcoming party', async () => {
+      const res = await api
+        .patch(`/api/restaurants/${restaurant.id}/tables/${table.id}`)
+        .send({ capacity: 2 });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.reservation_ids).toEqual([booking.id]);
+
+      const ok = await api
+        .patch(`/api/restaurants/${restaurant.id}/tables/${table.id}`)
+        .send({ capacity: 4 });
+      expect(ok.statusCode).toBe(200);
+      expect(ok.body.capacity).toBe(4);
+    });
+
+    test('should not renumber onto another table', async () => {
+      const res = await api
+        .put(`/api/restaurants/${restaurant.id}/tables/${table.id}`)
+        .send({ table_number: 2, capacity: 4 });
+
+      expect(res.statusCode).toBe(409);
+    });
+
+    test('should not take a booked table out of service or delete it', async () => {
+      const deactivate = await api
+        .patch(`/api/restaurants/${restaurant.id}/tables/${table.id}`)
+        .send({ is_active: false });
+      expect(deactivate.statusCode).toBe(409);
+
+      const remove = await api.delete(`/api/restaurants/${restaurant.id}/tables/${table.id}`);
+      expect(remove.statusCode).toBe(409);
+      expect(remove.body.reservation_ids).toEqual([booking.id]);
+    });
+
+    test('should allow it once the booking has moved to another table', async () => {
+      const moved = await api
+        .patch(`/api/reservations/${booking.id}`)
+        .send({ table_id: spare.id });
+      expect(moved.statusCode).toBe(200);
+
+      const res = await api
+        .patch(`/api/restaurants/${restaurant.id}/tables/${table.id}`)
+        .send({ is_active: false });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.is_active).toBe(0);
+    });
+
+    test('should skip inactive tables when booking and searching', async () => {
+      const date = tomorrowAt(0).split('T')[0];
+      const slots = await api
+        .get('/api/availability')
+        .query({ restaurant_id: restaurant.id, date, party_size: 2 });
+
+      for (const slot of slots.body.available_slots) {
+        expect(slot.tables.map((free) => free.table_id)).not.toContain(table.id);
+      }
+
+      const direct = await book(restaurant.id, table.id, { start_time: tomorrowAt(12) });
+      expect(direct.statusCode).toBe(409);
+      expect(direct.body.error).toContain('out of service');
+
+      const auto = await book(restaurant.id, undefined, { start_time: tomorrowAt(12) });
+      expect(auto.statusCode).toBe(201);
+      expect(auto.body.table_id).toBe(spare.id);
+    });
+
+    test('should keep the table listed and bring it back into service', async () => {
+      const details = await api.get(`/api/restaurants/${restaurant.id}`);
+      expect(details.body.tables.find((listed) => listed.id === table.id).is_active).toBe(0);
+
+      const res = await api
+        .patch(`/api/restaurants/${restaurant.id}/tables/${table.id}`)
+        .send({ is_active: true });
+      expect(res.body.is_active).toBe(1);
+    });
+
+    test('should delete a table with nothing booked', async () => {
+      const extra = await addTable(restaurant.id, 9, 2);
+
+      const res = await api.delete(`/api/restaurants/${restaurant.id}/tables/${extra.id}`);
+      expect(res.statusCode).toBe(200);
+
+      const missing = await api.delete(`/api/restaurants/${restaurant.id}/tables/${extra.id}`);
+      expect(missing.statusCode).toBe(404);
+    });
+  });
+
+  describe('Permissions', () => {
+    test('should let managers edit but not delete their restaurant', async () => {
+      const restaurant = await createRestaurant();
+      const key = await api
+        .post('/api/api-keys')
+        .send({ name: 'Manager', role: 'manager', restaurant_ids: [restaurant.id] });
+      const manager = request.agent(app).set('X-API-Key', key.body.api_key);
+
+      const rename = await manager.patch(`/api/restaurants/${restaurant.id}`).send({ name: 'Mine Now' });
+      expect(rename.statusCode).toBe(200);
+
+      const remove = await manager.delete(`/api/restaurants/${restaurant.id}`);
+      expect(remove.statusCode).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+const request = require('supertest');
+const app = require('../server');
+const { initializeDatabase } = require('../db/db');
+
+// Runs as a platform admin; who-can-do-what is covered in auth.test.js
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
+// Tomorrow's date (YYYY-MM-DD) and a UTC time on it
+const tomorrow = (() => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().split('T')[0];
+})();
+const at = (time) => `${tomorrow}T${time}:00.000Z`;
+
+describe('Turnover buffers and default durations', () => {
+  let restaurantId;
+  let smallTableId;
+  let largeTableId;
+
+  const book = (tableId, time, extra = {}) =>
+    api.post('/api/reservations').send({
+      restaurant_id: restaurantId,
+      table_id: tableId,
+      customer_name: 'Terry Turnover',
+      phone: '5553334444',
+      party_size: 2,
+      start_time: at(time),
+      duration_minutes: 60,
+      ...extra
+    });
+
+  beforeAll(async () => {
+    await initializeDatabase();
+
+    const restaurant = await api
+      .post('/api/restaurants')
+      .send({ name: 'Quick Reset Bistro', opening_time: '10:00', closing_time: '22:00' });
+    restaurantId = restaurant.body.id;
+
+    const small = await api
+      .post(`/api/restaurants/${restaurantId}/tables`)
+      .send({ table_number: 1, capacity: 2 });
+    smallTableId = small.body.id;
+
+    const large = await api
+      .post(`/api/restaurants/${restaurantId}/tables`)
+      .send({ table_number: 2, capacity: 8 });
+    largeTableId = large.body.id;
+
+    await api.put(`/api/restaurants/${restaurantId}/seating-times`).send({
+      turnover_minutes: 15,
+      turnover_by_table_size: [{ min_capacity: 8, turnover_minutes: 30 }],
+      durations_by_party_size: [
+        { min_party_size: 1, duration_minutes: 75 },
+        { min_party_size: 6, duration_minutes: 120 }
+      ]
+    });
+  });
+
+  test('should save and return the seating times', async () => {
+    const res = await api.get(`/api/restaurants/${restaurantId}/seating-times`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({
+      turnover_minutes: 15,
+      turnover_by_table_size: [{ min_capacity: 8, turnover_minutes: 30 }],
+      default_duration_minutes: 90,
+      durations_by_party_size: [
+        { min_party_size: 1, duration_minutes: 75 },
+        { min_party_size: 6, duration_minutes: 120 }
+      ]
+    });
+  });
+
+  test('should keep a table free for the buffer after each booking', async () => {
+    // 10:00-11:00, then 15 minutes to reset the table
+    const first = await book(smallTableId, '10:00');
+    expect(first.statusCode).toBe(201);
+
+    const tooSoon = await book(smallTableId, '11:00');
+    expect(tooSoon.statusCode).toBe(409);
+
+    // A booking that would run into the next one's reset is refused too
+    const next = await book(smallTableId, '12:00');
+    expect(next.statusCode).toBe(201);
+    const runsInto = await book(smallTableId, '11:15', { duration_minutes: 45 });
+    expect(runsInto.statusCode).toBe(409);
+
+    const afterReset = await book(smallTableId, '13:15');
+    expect(afterReset.statusCode).toBe(201);
+  });
+
+  test('should use the buffer for the table size when there is one', async () => {
+    const first = await book(largeTableId, '15:00', { party_size: 4 });
+    expect(first.statusCode).toBe(201);
+
+    const withinLargeBuffer = await book(largeTableId, '16:15', { party_size: 4 });
+    expect(withinLargeBuffer.statusCode).toBe(409);
+
+    const afterLargeBuffer = await book(largeTableId, '16:30', { party_size: 4 });
+    expect(afterLargeBuffer.statusCode).toBe(201);
+  });
+
+  test('should leave slots inside the buffer out of availability', async () => {
+    const res = await api
+      .get('/api/availability')
+      .query({ restaurant_id: restaurantId, date: tomorrow, party_size: 2, duration_minutes: 60 });
+
+    expect(res.statusCode).toBe(200);
+    const tablesAt = (time) => {
+      const slot = res.body.available_slots.find((candidate) => candidate.time === at(time));
+      return slot ? slot.tables.map((table) => table.table_id) : [];
+    };
+
+    // Table 2 is booked 15:00-16:00 and 16:30-17:30 with 30 minutes of reset around each,
+    // so an hour-long visit has to finish by 14:30 or start from 18:00
+    expect(tablesAt('13:30')).toContain(largeTableId);
+    expect(tablesAt('13:45')).not.toContain(largeTableId);
+    expect(tablesAt('18:00')).toContain(largeTableId);
+    expect(tablesAt('17:45')).not.toContain(largeTableId);
+
+    // Table 1 is free from 14:30 (13:15-14:15 plus 15 minutes)
+    expect(tablesAt('14:15')).not.toContain(smallTableId);
+    expect(tablesAt('14:30')).toContain(smallTableId);
+  });
+
+  test('should book parties for the length set for their size', async () => {
+    const small = await book(null, '19:00', { duration_minutes: undefined, table_id: undefined });
+    expect(small.statusCode).toBe(201);
+    expect(small.body.duration_minutes).toBe(75);
+
+    const large = await book(null, '19:00', { duration_minutes: undefined, table_id: undefined, party_size: 6 });
+    expect(large.statusCode).toBe(201);
+    expect(large.body.duration_minutes).toBe(120);
+
+    // Saying how long still wins
+    const explicit = await book(null, '11:00', { table_id: undefined, party_size: 6, duration_minutes: 90 });
+    expect(explicit.statusCode).toBe(201);
+    expect(explicit.body.duration_minutes).toBe(90);
+  });
+
+  test('should search availability with the default for the party size', async () => {
+    const res = await api
+      .get('/api/availability')
+      .query({ restaurant_id: restaurantId, date: tomorrow, party_size: 6 });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.duration_minutes).toBe(120);
+  });
+
+  test('should reject rules that overlap or make no sense', async () => {
+    const duplicate = await api.put(`/api/restaurants/${restaurantId}/seating-times`).send({
+      turnover_by_table_size: [
+        { min_capacity: 4, turnover_minutes: 10 },
+        { min_capacity: 4, turnover_minutes: 20 }
+      ]
+    });
+    expect(duplicate.statusCode).toBe(400);
+    expect(duplicate.body.errors.turnover_by_table_size).toBeDefined();
+
+    const negative = await api.put(`/api/restaurants/${restaurantId}/seating-times`).send({ turnover_minutes: -5 });
+    expect(negative.statusCode).toBe(400);
+
+    const missing = await api.put('/api/restaurants/99999/seating-times').send({ turnover_minutes: 5 });
+    expect(missing.statusCode).toBe(404);
+  });
+
+  test('should keep seating times to managers', async () => {
+    const guest = await request(app).get(`/api/restaurants/${restaurantId}/seating-times`);
+    expect(guest.statusCode).toBe(401);
+  });
+});
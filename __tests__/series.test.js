@@ -0,0 +1,305 @@
+const request = require('supertest');
+const app = require('../server');
+const { initializeDatabase } = require('../db/db');
+const { occurrenceDates } = require('../services/series');
+
+// Runs as a platform admin; who-can-do-what is covered in auth.test.js
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
+// A date some days from now (YYYY-MM-DD) and a UTC time on it
+const inDays = (days) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+const at = (date, time) => `${date}T${time}:00.000Z`;
+
+describe('Occurrence dates', () => {
+  test('should repeat weekly and monthly, keeping month ends inside the month', () => {
+    expect(occurrenceDates('2026-03-03', { frequency: 'weekly', interval: 2, count: 3 }))
+      .toEqual(['2026-03-03', '2026-03-17', '2026-03-31']);
+
+    expect(occurrenceDates('2026-01-31', { frequency: 'monthly', interval: 1, until: '2026-04-30' }))
+      .toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+
+    expect(occurrenceDates('2026-01-01', { frequency: 'weekly', interval: 1, until: '2027-06-01' })).toBeNull();
+  });
+});
+
+describe('Recurring series and group bookings', () => {
+  let restaurantId;
+  const tables = {};
+  const weeks = [1, 8, 15, 22].map(inDays);
+  let seriesId;
+  let reservationIds;
+
+  const guest = {
+    customer_name: 'Acme Lunch Club',
+    phone: '5551112222',
+    email: 'lunch@acme.example'
+  };
+
+  const createSeries = (details = {}) =>
+    api.post('/api/reservation-series').send({
+      restaurant_id: restaurantId,
+      ...guest,
+      table_id: tables[1],
+      party_size: 4,
+      start_time: at(weeks[0], '12:30'),
+      duration_minutes: 60,
+      repeat: { frequency: 'weekly', count: 4 },
+      ...details
+    });
+
+  const reservationsOn = async (date) => {
+    const res = await api.get(`/api/restaurants/${restaurantId}/reservations/${date}`);
+    return res.body;
+  };
+
+  beforeAll(async () => {
+    await initializeDatabase();
+
+    const restaurant = await api
+      .post('/api/restaurants')
+      .send({ name: 'Series Bistro', opening_time: '10:00', closing_time: '22:00' });
+    restaurantId = restaurant.body.id;
+
+    for (const [table_number, capacity] of [[1, 4], [2, 4], [3, 6], [4, 2]]) {
+      const table = await api
+        .post(`/api/restaurants/${restaurantId}/tables`)
+        .send({ table_number, capacity });
+      tables[table_number] = table.body.id;
+    }
+  });
+
+  test('should book every date of a weekly series at the same table', async () => {
+    const res = await createSeries();
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toMatchObject({
+      kind: 'recurring',
+      frequency: 'weekly',
+      interval: 1,
+      count: 4,
+      booked: 4,
+      conflicts: 0
+    });
+    expect(res.body.occurrences.map((occurrence) => occurrence.start_time))
+      .toEqual(weeks.map((date) => at(date, '12:30')));
+    for (const occurrence of res.body.occurrences) {
+      expect(occurrence).toMatchObject({ status: 'booked', table_id: tables[1] });
+    }
+    seriesId = res.body.id;
+
+    const series = await api.get(`/api/reservation-series/${seriesId}`);
+    expect(series.statusCode).toBe(200);
+    expect(series.body.reservations.length).toBe(4);
+    for (const reservation of series.body.reservations) {
+      expect(reservation).toMatchObject({ series_id: seriesId, status: 'confirmed', table_number: 1 });
+      expect(reservation.guest_token_hash).toBeUndefined();
+    }
+    reservationIds = series.body.reservations.map((reservation) => reservation.id);
+  });
+
+  test('should report the dates that clash and book the rest', async () => {
+    // Table 2 is already taken in the third week
+    await api.post('/api/reservations').send({
+      restaurant_id: restaurantId,
+      table_id: tables[2],
+      ...guest,
+      party_size: 2,
+      start_time: at(weeks[2], '12:00'),
+      duration_minutes: 60
+    });
+
+    const res = await createSeries({ table_id: tables[2] });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.booked).toBe(3);
+    expect(res.body.conflicts).toBe(1);
+    expect(res.body.occurrences[2]).toMatchObject({
+      date: weeks[2],
+      status: 'conflict',
+      error: 'Table 2 is already booked for that time'
+    });
+    expect(res.body.occurrences[3].status).toBe('booked');
+  });
+
+  test('should book nothing when all_or_nothing is set and a date clashes', async () => {
+    // Table 3 is taken in the second week
+    await api.post('/api/reservations').send({
+      restaurant_id: restaurantId,
+      table_id: tables[3],
+      ...guest,
+      party_size: 2,
+      start_time: at(weeks[1], '13:00'),
+      duration_minutes: 60
+    });
+    const before = (await reservationsOn(weeks[0])).length;
+
+    const res = await createSeries({ table_id: tables[3], all_or_nothing: true });
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toMatch(/1 of the 4 dates can't be booked, so none were/);
+    expect(res.body.occurrences[0]).toMatchObject({ status: 'available', table_id: tables[3] });
+    expect(res.body.occurrences[0].reservation_id).toBeUndefined();
+
+    expect((await reservationsOn(weeks[0])).length).toBe(before);
+  });
+
+  test('should check how the series ends', async () => {
+    const both = await createSeries({ repeat: { frequency: 'weekly', count: 3, until: weeks[3] } });
+    expect(both.statusCode).toBe(400);
+    expect(both.body.errors.repeat).toBeDefined();
+
+    const tooLong = await createSeries({ repeat: { frequency: 'weekly', until: inDays(800) } });
+    expect(tooLong.statusCode).toBe(400);
+    expect(tooLong.body.error).toMatch(/at most 52 bookings/);
+
+    const backwards = await createSeries({ repeat: { frequency: 'monthly', until: inDays(0) } });
+    expect(backwards.statusCode).toBe(400);
+  });
+
+  test('should move this and every following booking to a new time', async () => {
+    const res = await api.patch(`/api/reservation-series/${seriesId}`).send({
+      scope: 'following',
+      reservation_id: reservationIds[1],
+      time: '13:00'
+    });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.changed).toBe(3);
+    expect(res.body.reservations.map((reservation) => reservation.start_time))
+      .toEqual(weeks.slice(1).map((date) => at(date, '13:00')));
+
+    const series = await api.get(`/api/reservation-series/${seriesId}`);
+    expect(series.body.reservations[0].start_time).toBe(at(weeks[0], '12:30'));
+  });
+
+  test('should change no booking when one of them fails the checks', async () => {
+    // Someone else has table 1 at 18:00 in the last week
+    await api.post('/api/reservations').send({
+      restaurant_id: restaurantId,
+      table_id: tables[1],
+      ...guest,
+      party_size: 2,
+      start_time: at(weeks[3], '18:00'),
+      duration_minutes: 60
+    });
+
+    const res = await api.patch(`/api/reservation-series/${seriesId}`).send({ scope: 'all', time: '18:00' });
+    expect(res.statusCode).toBe(409);
+    expect(res.body.conflicts).toEqual([
+      expect.objectContaining({ reservation_id: reservationIds[3], error: expect.stringMatching(/already booked/) })
+    ]);
+
+    const series = await api.get(`/api/reservation-series/${seriesId}`);
+    expect(series.body.reservations[0].start_time).toBe(at(weeks[0], '12:30'));
+
+    const tooBig = await api.patch(`/api/reservation-series/${seriesId}`).send({ scope: 'all', party_size: 5 });
+    expect(tooBig.statusCode).toBe(409);
+    expect(tooBig.body.conflicts.length).toBe(4);
+
+    const nothing = await api.patch(`/api/reservation-series/${seriesId}`).send({ scope: 'all' });
+    expect(nothing.statusCode).toBe(400);
+
+    const noStart = await api.patch(`/api/reservation-series/${seriesId}`).send({ scope: 'this', party_size: 3 });
+    expect(noStart.statusCode).toBe(400);
+    expect(noStart.body.errors.reservation_id).toBeDefined();
+  });
+
+  test('should cancel one booking, then the rest of the series', async () => {
+    const one = await api.patch(`/api/reservation-series/${seriesId}/cancel`).send({
+      scope: 'this',
+      reservation_id: reservationIds[1]
+    });
+    expect(one.statusCode).toBe(200);
+    expect(one.body.cancelled).toEqual([reservationIds[1]]);
+
+    const again = await api.patch(`/api/reservation-series/${seriesId}/cancel`).send({
+      scope: 'this',
+      reservation_id: reservationIds[1]
+    });
+    expect(again.statusCode).toBe(409);
+
+    const following = await api.patch(`/api/reservation-series/${seriesId}/cancel`).send({
+      scope: 'following',
+      reservation_id: reservationIds[2]
+    });
+    expect(following.body.cancelled).toEqual([reservationIds[2], reservationIds[3]]);
+
+    const all = await api.patch(`/api/reservation-series/${seriesId}/cancel`).send({ scope: 'all' });
+    expect(all.body.cancelled).toEqual([reservationIds[0]]);
+
+    const none = await api.patch(`/api/reservation-series/${seriesId}/cancel`).send({ scope: 'all' });
+    expect(none.statusCode).toBe(409);
+  });
+
+  test('should book a group across several tables at once', async () => {
+    const res = await api.post('/api/reservation-groups').send({
+      restaurant_id: restaurantId,
+      ...guest,
+      start_time: at(weeks[1], '19:00'),
+      duration_minutes: 120,
+      parties: [
+        { party_size: 6 },
+        { party_size: 4, table_id: tables[2] },
+        { party_size: 4 }
+      ]
+    });
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toMatchObject({ kind: 'group', total_party_size: 14 });
+    expect(res.body.parties.map((party) => [party.status, party.table_id]))
+      .toEqual([['booked', tables[3]], ['booked', tables[2]], ['booked', tables[1]]]);
+
+    // Moving the whole group keeps every party together
+    const moved = await api.patch(`/api/reservation-series/${res.body.id}`).send({ scope: 'all', time: '19:30' });
+    expect(moved.statusCode).toBe(200);
+    expect(moved.body.changed).toBe(3);
+
+    const oneTable = await api.patch(`/api/reservation-series/${res.body.id}`).send({
+      scope: 'all',
+      table_id: tables[4]
+    });
+    expect(oneTable.statusCode).toBe(400);
+  });
+
+  test('should book none of a group when one party does not fit', async () => {
+    const before = (await reservationsOn(weeks[2])).length;
+
+    const res = await api.post('/api/reservation-groups').send({
+      restaurant_id: restaurantId,
+      ...guest,
+      start_time: at(weeks[2], '19:00'),
+      duration_minutes: 60,
+      parties: [{ party_size: 6 }, { party_size: 6 }]
+    });
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toMatch(/1 of the 2 parties can't be seated/);
+    expect(res.body.parties[0]).toMatchObject({ status: 'available', table_id: tables[3] });
+    expect(res.body.parties[1]).toMatchObject({ status: 'conflict' });
+
+    expect((await reservationsOn(weeks[2])).length).toBe(before);
+
+    const sameTable = await api.post('/api/reservation-groups').send({
+      restaurant_id: restaurantId,
+      ...guest,
+      start_time: at(weeks[2], '19:00'),
+      parties: [{ party_size: 2, table_id: tables[1] }, { party_size: 2, table_id: tables[1] }]
+    });
+    expect(sameTable.statusCode).toBe(400);
+  });
+
+  test('should keep series and groups to staff', async () => {
+    const guestSeries = await request(app).post('/api/reservation-series').send({
+      restaurant_id: restaurantId,
+      ...guest,
+      party_size: 2,
+      start_time: at(weeks[0], '15:00'),
+      repeat: { frequency: 'weekly', count: 2 }
+    });
+    expect(guestSeries.statusCode).toBe(401);
+
+    const lookup = await request(app).get(`/api/reservation-series/${seriesId}`);
+    expect(lookup.statusCode).toBe(401);
+
+    const missing = await api.get('/api/reservation-series/99999');
+    expect(missing.statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,171 @@
+const request = require('supertest');
+const app = require('../server');
+const { initializeDatabase } = require('../db/db');
+
+// Runs as a platform admin; who-can-do-what is covered in auth.test.js
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
+// Tomorrow at the given UTC time, as an ISO string
+const tomorrowAt = (hours, minutes = 0) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + 1);
+  date.setUTCHours(hours, minutes, 0, 0);
+  return date.toISOString();
+};
+
+const createRestaurant = async (overrides = {}) => {
+  const res = await api
+    .post('/api/restaurants')
+    .send({ name: 'Auto Bistro', opening_time: '10:00', closing_time: '22:00', ...overrides });
+  return res.body.id;
+};
+
+const addTable = async (restaurantId, table_number, capacity, extra = {}) => {
+  const res = await api
+    .post(`/api/restaurants/${restaurantId}/tables`)
+    .send({ table_number, capacity, ...extra });
+  return res.body;
+};
+
+const book = (restaurantId, overrides = {}) =>
+  api
+    .post('/api/reservations')
+    .send({
+      restaurant_id: restaurantId,
+      customer_name: 'Walk Up',
+      phone: '5551234567',
+      party_size: 2,
+      start_time: tomorrowAt(12),
+      duration_minutes: 90,
+      ...overrides
+    });
+
+describe('Automatic table assignment', () => {
+  beforeAll(async () => {
+    await initializeDatabase();
+  });
+
+  test('should pick the smallest free table that seats the party', async () => {
+    const restaurantId = await createRestaurant();
+    await addTable(restaurantId, 1, 6);
+    const small = await addTable(restaurantId, 2, 2);
+    const medium = await addTable(restaurantId, 3, 4);
+
+    const first = await book(restaurantId);
+    expect(first.statusCode).toBe(201);
+    expect(first.body.table_id).toBe(small.id);
+    expect(first.body.table_number).toBe(2);
+
+    // The 2-top is now taken, so the next party of two moves up to the 4-top
+    const second = await book(restaurantId);
+    expect(second.statusCode).toBe(201);
+    expect(second.body.table_id).toBe(medium.id);
+  });
+
+  test('should return 409 with nearby suggestions when nothing fits', async () => {
+    const restaurantId = await createRestaurant();
+    await addTable(restaurantId, 1, 2);
+
+    await book(restaurantId);
+    const res = await book(restaurantId);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toContain('No table');
+    expect(res.body.suggestions.length).toBeGreaterThan(0);
+    expect(res.body.suggestions[0]).toHaveProperty('start_time');
+    expect(res.body.suggestions[0]).toHaveProperty('table_id');
+  });
+
+  test('should spread bookings across tables under the spread strategy', async () => {
+    const restaurantId = await createRestaurant({ assignment_strategy: 'spread' });
+    const first = await addTable(restaurantId, 1, 4);
+    const second = await addTable(restaurantId, 2, 4);
+
+    const lunch = await book(restaurantId, { start_time: tomorrowAt(12) });
+    const dinner = await book(restaurantId, { start_time: tomorrowAt(18) });
+
+    expect(lunch.body.table_id).toBe(first.id);
+    expect(dinner.body.table_id).toBe(second.id);
+  });
+
+  test('should keep VIP tables for VIP bookings under reserve_vip', async () => {
+    const restaurantId = await createRestaurant();
+    const vipTable = await addTable(restaurantId, 1, 2, { is_vip: true });
+    const regularTable = await addTable(restaurantId, 2, 4);
+
+    const strategy = await api
+      .put(`/api/restaurants/${restaurantId}/assignment-strategy`)
+      .send({ assignment_strategy: 'reserve_vip' });
+    expect(strategy.statusCode).toBe(200);
+
+    const regular = await book(restaurantId);
+    expect(regular.body.table_id).toBe(regularTable.id);
+
+    const vip = await book(restaurantId, { vip: true });
+    expect(vip.body.table_id).toBe(vipTable.id);
+  });
+
+  test('should only offer slots at VIP tables to VIP searches under reserve_vip', async () => {
+    const restaurantId = await createRestaurant();
+    const vipTable = await addTable(restaurantId, 1, 2, { is_vip: true });
+    await api
+      .put(`/api/restaurants/${restaurantId}/assignment-strategy`)
+      .send({ assignment_strategy: 'reserve_vip' });
+
+    const date = tomorrowAt(0).slice(0, 10);
+    const search = (query) => api
+      .get('/api/availability')
+      .query({ restaurant_id: restaurantId, date, party_size: 2, ...query });
+
+    expect((await search()).body.available_slots).toEqual([]);
+    const vipSlots = (await search({ vip: 'true' })).body.available_slots;
+    expect(vipSlots.length).toBeGreaterThan(0);
+    expect(vipSlots[0].table_id).toBe(vipTable.id);
+
+    const calendar = (query) => api
+      .get(`/api/restaurants/${restaurantId}/availability/calendar`)
+      .query({ from: date, to: date, party_size: 2, ...query });
+    expect((await calendar()).body.days[0].status).toBe('fully_booked');
+    expect((await calendar({ vip: 'true' })).body.days[0].status).toBe('available');
+
+    expect((await search({ vip: 'yes' })).statusCode).toBe(400);
+  });
+
+  test('should hold back combinations with a VIP table under reserve_vip', async () => {
+    const restaurantId = await createRestaurant();
+    const first = await addTable(restaurantId, 1, 2, { is_vip: true });
+    const second = await addTable(restaurantId, 2, 2, { is_vip: true });
+    const combined = await api
+      .post(`/api/restaurants/${restaurantId}/table-combinations`)
+      .send({ table_ids: [first.id, second.id] });
+    expect(combined.statusCode).toBe(201);
+    await api
+      .put(`/api/restaurants/${restaurantId}/assignment-strategy`)
+      .send({ assignment_strategy: 'reserve_vip' });
+
+    const search = (query) => api
+      .get('/api/availability')
+      .query({ restaurant_id: restaurantId, date: tomorrowAt(0).slice(0, 10), party_size: 4, ...query });
+    expect((await search()).body.available_slots).toEqual([]);
+    const vipSlots = (await search({ vip: 'true' })).body.available_slots;
+    expect(vipSlots[0].combinations.map((combination) => combination.combination_id)).toEqual([combined.body.id]);
+
+    const regular = await book(restaurantId, { party_size: 4 });
+    expect(regular.statusCode).toBe(409);
+
+    const vip = await book(restaurantId, { party_size: 4, vip: true });
+    expect(vip.statusCode).toBe(201);
+    expect(vip.body.combination_id).toBe(combined.body.id);
+  });
+
+  test('should reject an unknown assignment strategy', async () => {
+    const restaurantId = await createRestaurant();
+
+    const res = await api
+      .put(`/api/restaurants/${restaurantId}/assignment-strategy`)
+      .send({ assignment_strategy: 'random' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors).toHaveProperty('assignment_strategy');
+  });
+});
@@ -0,0 +1,152 @@
+const request = require('supertest');
+const app = require('../server');
+const { initializeDatabase } = require('../db/db');
+
+// Runs as a platform admin; who-can-do-what is covered in auth.test.js
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
+const createRestaurant = async (fields) => {
+  const res = await api
+    .post('/api/restaurants')
+    .send({ name: 'Zoned Kitchen', opening_time: '10:00', closing_time: '22:00', ...fields });
+
+  await api
+    .post(`/api/restaurants/${res.body.id}/tables`)
+    .send({ table_number: 1, capacity: 4 });
+
+  return res;
+};
+
+const book = (restaurant_id, start_time, duration_minutes = 60) =>
+  api
+    .post('/api/reservations')
+    .send({
+      restaurant_id,
+      customer_name: 'Globe Trotter',
+      phone: '5553334444',
+      party_size: 2,
+      start_time,
+      duration_minutes
+    });
+
+const slotsFor = (restaurant_id, date) =>
+  api
+    .get('/api/availability')
+    .query({ restaurant_id, date, party_size: 2 });
+
+describe('Timezone-aware restaurants', () => {
+  beforeAll(async () => {
+    await initializeDatabase();
+  });
+
+  test('should default to UTC and reject unknown zones', async () => {
+    const utc = await createRestaurant({});
+    expect(utc.body.timezone).toBe('UTC');
+
+    const bad = await api
+      .post('/api/restaurants')
+      .send({ name: 'Nowhere', opening_time: '10:00', closing_time: '22:00', timezone: 'Mars/Olympus' });
+    expect(bad.statusCode).toBe(400);
+    expect(bad.body.errors).toHaveProperty('timezone');
+  });
+
+  test('should check opening hours in the restaurant zone', async () => {
+    const { body: restaurant } = await createRestaurant({ timezone: 'America/New_York' });
+
+    // 14:00 UTC in January is 09:00 in New York - before opening
+    const early = await book(restaurant.id, '2027-01-15T14:00:00Z');
+    expect(early.statusCode).toBe(400);
+
+    // 16:00 UTC is 11:00 in New York
+    const ok = await book(restaurant.id, '2027-01-15T16:00:00Z');
+    expect(ok.statusCode).toBe(201);
+    expect(ok.body.start_time_local).toBe('2027-01-15T11:00:00-05:00');
+  });
+
+  test('should use local midnight for the reservations-by-date boundaries', async () => {
+    const { body: restaurant } = await createRestaurant({
+      timezone: 'Asia/Tokyo',
+      opening_time: '07:00'
+    });
+
+    // 23:00 UTC on the 2nd is 08:00 on the 3rd in Tokyo
+    const booked = await book(restaurant.id, '2026-11-02T23:00:00Z');
+    expect(booked.statusCode).toBe(201);
+
+    const third = await api.get(`/api/restaurants/${restaurant.id}/reservations/2026-11-03`);
+    expect(third.body).toHaveLength(1);
+    expect(third.body[0].start_time_local).toBe('2026-11-03T08:00:00+09:00');
+
+    const second = await api.get(`/api/restaurants/${restaurant.id}/reservations/2026-11-02`);
+    expect(second.body).toHaveLength(0);
+  });
+
+  test('should follow the clock change on DST days', async () => {
+    const { body: restaurant } = await createRestaurant({ timezone: 'America/New_York' });
+
+    // Clocks spring forward on 2027-03-14, so opening moves from 15:00 to 14:00 UTC
+    const before = await slotsFor(restaurant.id, '2027-03-13');
+    const after = await slotsFor(restaurant.id, '2027-03-14');
+
+    expect(before.body.timezone).toBe('America/New_York');
+    expect(before.body.available_slots[0].time).toBe('2027-03-13T15:00:00.000Z');
+    expect(before.body.available_slots[0].local_time).toBe('2027-03-13T10:00:00-05:00');
+    expect(after.body.available_slots[0].time).toBe('2027-03-14T14:00:00.000Z');
+    expect(after.body.available_slots[0].local_time).toBe('2027-03-14T10:00:00-04:00');
+  });
+
+  test('should handle a late service that crosses the autumn clock change', async () => {
+    const { body: restaurant } = await createRestaurant({
+      timezone: 'Europe/London',
+      opening_time: '18:00',
+      closing_time: '02:00'
+    });
+
+    // 18:00 BST to 02:00 GMT on the night the clocks go back is nine hours long
+    const res = await slotsFor(restaurant.id, '2026-10-24');
+    const slots = res.body.available_slots;
+
+    expect(slots[0].time).toBe('2026-10-24T17:00:00.000Z');
+    expect(slots[slots.length - 1].time).toBe('2026-10-25T00:30:00.000Z');
+    // (9 hours - 90 minutes) / 15 minutes + 1
+    expect(slots).toHaveLength(31);
+
+    // 01:30 GMT - after the change - until 02:00 GMT is still inside the service
+    const late = await book(restaurant.id, '2026-10-25T01:30:00Z', 30);
+    expect(late.statusCode).toBe(201);
+    expect(late.body.start_time_local).toBe('2026-10-25T01:30:00+00:00');
+  });
+
+  test('should let a restaurant move to another zone', async () => {
+    const { body: restaurant } = await createRestaurant({});
+
+    const res = await api
+      .put(`/api/restaurants/${restaurant.id}/timezone`)
+      .send({ timezone: 'Australia/Sydney' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.timezone).toBe('Australia/Sydney');
+  });
+
+  test('should not move to a zone that leaves upcoming bookings outside the hours', async () => {
+    const { body: restaurant } = await createRestaurant({});
+    const tomorrow = new Date(Date.now() + 86400000).toISOString().split('T')[0];
+    const lunch = await book(restaurant.id, `${tomorrow}T12:00:00Z`);
+
+    // Noon UTC is 22:00 or later in Sydney, after closing
+    const sydney = await api
+      .put(`/api/restaurants/${restaurant.id}/timezone`)
+      .send({ timezone: 'Australia/Sydney' });
+    expect(sydney.statusCode).toBe(409);
+    expect(sydney.body.reservation_ids).toEqual([lunch.body.id]);
+
+    const unchanged = await api.get(`/api/restaurants/${restaurant.id}`);
+    expect(unchanged.body.timezone).toBe('UTC');
+
+    // In London it's still lunchtime
+    const london = await api
+      .put(`/api/restaurants/${restaurant.id}/timezone`)
+      .send({ timezone: 'Europe/London' });
+    expect(london.statusCode).toBe(200);
+  });
+});
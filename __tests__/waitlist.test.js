@@ -0,0 +1,239 @@
+const request = require('supertest');
+const app = require('../server');
+const { initializeDatabase, dbGet } = require('../db/db');
+const { processNotifications, useProviders } = require('../services/notifications');
+const { usePaymentProvider } = require('../services/deposits');
+const { fakePaymentProvider } = require('../services/paymentProviders');
+
+// Runs as a platform admin; who-can-do-what is covered in auth.test.js
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
+// Tomorrow at the given UTC time, as an ISO string
+const tomorrowAt = (hours, minutes = 0) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + 1);
+  date.setUTCHours(hours, minutes, 0, 0);
+  return date.toISOString();
+};
+
+const party = (overrides = {}) => ({
+  customer_name: 'Waiting Wendy',
+  phone: '5559876543',
+  party_size: 2,
+  start_time: tomorrowAt(19),
+  duration_minutes: 90,
+  ...overrides
+});
+
+describe('Waitlist', () => {
+  let restaurantId;
+  let reservationId;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+
+    const restaurant = await api
+      .post('/api/restaurants')
+      .send({ name: 'Busy Place', opening_time: '10:00', closing_time: '23:00' });
+    restaurantId = restaurant.body.id;
+
+    await api
+      .post(`/api/restaurants/${restaurantId}/tables`)
+      .send({ table_number: 1, capacity: 2 });
+
+    // Fill the only table at 19:00
+    const reservation = await api
+      .post('/api/reservations')
+      .send({ restaurant_id: restaurantId, ...party({ customer_name: 'First In' }) });
+    reservationId = reservation.body.id;
+  });
+
+  test('should add parties to the waitlist', async () => {
+    const res = await api
+      .post(`/api/restaurants/${restaurantId}/waitlist`)
+      .send(party());
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.status).toBe('waiting');
+
+    await api
+      .post(`/api/restaurants/${restaurantId}/waitlist`)
+      .send(party({ customer_name: 'Second Sam', start_time: tomorrowAt(19, 30) }));
+
+    const list = await api.get(`/api/restaurants/${restaurantId}/waitlist`);
+    expect(list.statusCode).toBe(200);
+    expect(list.body.map((entry) => entry.customer_name)).toEqual(['Waiting Wendy', 'Second Sam']);
+  });
+
+  test('should reject waitlist requests outside opening hours', async () => {
+    const res = await api
+      .post(`/api/restaurants/${restaurantId}/waitlist`)
+      .send(party({ start_time: tomorrowAt(8) }));
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toContain('open');
+  });
+
+  test('should not promote while the table is still taken', async () => {
+    const [entry] = (await api.get(`/api/restaurants/${restaurantId}/waitlist`)).body;
+
+    const res = await api
+      .post(`/api/restaurants/${restaurantId}/waitlist/${entry.id}/promote`);
+
+    expect(res.statusCode).toBe(409);
+  });
+
+  test('should promote the first matching party when a reservation is cancelled', async () => {
+    const res = await api.patch(`/api/reservations/${reservationId}/cancel`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.waitlist_promotion).not.toBeNull();
+
+    const promoted = await api
+      .get(`/api/restaurants/${restaurantId}/waitlist`)
+      .query({ status: 'promoted' });
+    expect(promoted.body).toHaveLength(1);
+    expect(promoted.body[0].customer_name).toBe('Waiting Wendy');
+    expect(promoted.body[0].reservation_id).toBe(res.body.waitlist_promotion.reservation_id);
+
+    // Second Sam overlaps Wendy's new booking, so they're still waiting
+    const waiting = await api.get(`/api/restaurants/${restaurantId}/waitlist`);
+    expect(waiting.body.map((entry) => entry.customer_name)).toEqual(['Second Sam']);
+  });
+
+  test('should remove a party from the waitlist', async () => {
+    const [entry] = (await api.get(`/api/restaurants/${restaurantId}/waitlist`)).body;
+
+    const res = await api
+      .delete(`/api/restaurants/${restaurantId}/waitlist/${entry.id}`);
+    expect(res.statusCode).toBe(200);
+
+    const again = await api
+      .delete(`/api/restaurants/${restaurantId}/waitlist/${entry.id}`);
+    expect(again.statusCode).toBe(409);
+  });
+
+  test('should keep an audit trail of waitlist activity', async () => {
+    const res = await api.get(`/api/restaurants/${restaurantId}/waitlist/events`);
+
+    expect(res.statusCode).toBe(200);
+    const events = res.body.map((event) => event.event);
+    expect(events).toEqual(expect.arrayContaining(['added', 'skipped', 'promoted', 'removed']));
+  });
+});
+
+describe('Waitlist promotion rules', () => {
+  let restaurantId;
+
+  const waitlistEvents = async () =>
+    (await api.get(`/api/restaurants/${restaurantId}/waitlist/events`)).body;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+
+    const restaurant = await api
+      .post('/api/restaurants')
+      .send({ name: 'Paced Place', opening_time: '10:00', closing_time: '23:00' });
+    restaurantId = restaurant.body.id;
+
+    for (const table_number of [1, 2]) {
+      await api
+        .post(`/api/restaurants/${restaurantId}/tables`)
+        .send({ table_number, capacity: 2 });
+    }
+  });
+
+  test('should not promote past the pacing limits', async () => {
+    await api.put(`/api/restaurants/${restaurantId}/pacing`).send({ window_minutes: 15, max_reservations_per_window: 1 });
+
+    // One party arriving at 20:00 fills the window, though table 2 is free
+    await api
+      .post('/api/reservations')
+      .send({ restaurant_id: restaurantId, ...party({ customer_name: 'On Time', start_time: tomorrowAt(20) }) });
+    const early = await api
+      .post('/api/reservations')
+      .send({ restaurant_id: restaurantId, ...party({ customer_name: 'Early Bird', start_time: tomorrowAt(18, 45) }) });
+
+    const entry = await api
+      .post(`/api/restaurants/${restaurantId}/waitlist`)
+      .send(party({ customer_name: 'Paced Out', start_time: tomorrowAt(20) }));
+
+    const manual = await api.post(`/api/restaurants/${restaurantId}/waitlist/${entry.body.id}/promote`);
+    expect(manual.statusCode).toBe(409);
+    expect(manual.body.error).toMatch(/We can only take 1 bookings arriving/);
+
+    // Freeing a table doesn't get round the limit either
+    const cancelled = await api.patch(`/api/reservations/${early.body.id}/cancel`);
+    expect(cancelled.body.waitlist_promotion).toBeNull();
+
+    const skipped = (await waitlistEvents()).filter((event) => event.event === 'skipped');
+    expect(skipped.map((event) => event.details)).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^Manual promotion failed - the kitchen can't take them/),
+      expect.stringMatching(/was cancelled, but the kitchen can't take them/)
+    ]));
+
+    await api.delete(`/api/restaurants/${restaurantId}/waitlist/${entry.body.id}`);
+    await api.put(`/api/restaurants/${restaurantId}/pacing`).send({ max_reservations_per_window: null });
+  });
+
+  test('should not give a table for free to a party that would owe a deposit', async () => {
+    usePaymentProvider(fakePaymentProvider({ secret: 'test-payment-secret' }));
+    await api
+      .put(`/api/restaurants/${restaurantId}/deposit-policy`)
+      .send({ currency: 'eur', rules: [{ min_party_size: 2, from_time: '21:00', amount_per_cover_cents: 1500 }] });
+
+    // Table 1 is still taken at 20:00, so this fills the restaurant at 21:00
+    const blocker = await api
+      .post('/api/reservations')
+      .send({ restaurant_id: restaurantId, ...party({ customer_name: 'Blocker', start_time: tomorrowAt(20, 30), party_size: 1 }) });
+    expect(blocker.statusCode).toBe(201);
+
+    const entry = await api
+      .post(`/api/restaurants/${restaurantId}/waitlist`)
+      .send(party({ customer_name: 'Late Diner', start_time: tomorrowAt(21) }));
+
+    const cancelled = await api.patch(`/api/reservations/${blocker.body.id}/cancel`);
+    expect(cancelled.body.waitlist_promotion).toBeNull();
+
+    const manual = await api.post(`/api/restaurants/${restaurantId}/waitlist/${entry.body.id}/promote`);
+    expect(manual.statusCode).toBe(409);
+    expect(manual.body).toMatchObject({ deposit_cents: 3000 });
+    expect(manual.body.error).toBe(
+      'This party needs a deposit of 30.00 EUR - book them as a normal reservation so they get a payment link'
+    );
+
+    const skipped = (await waitlistEvents()).filter((event) => event.event === 'skipped');
+    expect(skipped[0].details).toMatch(/^Manual promotion failed - they need to pay a deposit of 30.00 EUR/);
+    expect(skipped[1].details).toMatch(/was cancelled, but they need to pay a deposit/);
+
+    await api.delete(`/api/restaurants/${restaurantId}/waitlist/${entry.body.id}`);
+    await api.put(`/api/restaurants/${restaurantId}/deposit-policy`).send({ rules: [] });
+  });
+
+  test('should give promoted guests a reservation token in their confirmation', async () => {
+    const sent = [];
+    useProviders({ sms: { name: 'test-sms', send: async (message) => sent.push(message) }, email: null });
+
+    const entry = await api
+      .post(`/api/restaurants/${restaurantId}/waitlist`)
+      .send(party({ customer_name: 'Token Tina', phone: '5551112222', start_time: tomorrowAt(12) }));
+
+    const res = await api.post(`/api/restaurants/${restaurantId}/waitlist/${entry.body.id}/promote`);
+    expect(res.statusCode).toBe(201);
+    expect(res.body.guest_token).toMatch(/^rsv_/);
+    expect(res.body.reservation.guest_token_hash).toBeUndefined();
+
+    const own = await request(app)
+      .get(`/api/reservations/${res.body.reservation.id}/calendar.ics`)
+      .set('X-Reservation-Token', res.body.guest_token);
+    expect(own.statusCode).toBe(200);
+
+    await processNotifications();
+    const confirmation = sent.find((message) => message.to === '5551112222');
+    expect(confirmation.body).toContain(`Booking token: ${res.body.guest_token}`);
+
+    // The token isn't kept once the message has gone
+    const queued = await dbGet('SELECT guest_token FROM notifications WHERE reservation_id = ?', [res.body.reservation.id]);
+    expect(queued.guest_token).toBeNull();
+  });
+});
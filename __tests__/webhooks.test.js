@@ -0,0 +1,272 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../server');
+const { initializeDatabase } = require('../db/db');
+const { processOutbox, signPayload, MAX_ATTEMPTS } = require('../services/webhooks');
+
+// Runs as a platform admin; who-can-do-what is covered in auth.test.js
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
+// Tomorrow at the given UTC time, as an ISO string
+const tomorrowAt = (hours, minutes = 0) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + 1);
+  date.setUTCHours(hours, minutes, 0, 0);
+  return date.toISOString();
+};
+
+// A local HTTP server standing in for the POS - it records every call
+// and answers with whatever status the test sets
+const startReceiver = () =>
+  new Promise((resolve) => {
+    const receiver = { calls: [], status: 200 };
+    receiver.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        receiver.calls.push({ headers: req.headers, body });
+        res.writeHead(receiver.status, { Connection: 'close' });
+        res.end();
+      });
+    });
+    receiver.server.listen(0, '127.0.0.1', () => {
+      receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hooks`;
+      resolve(receiver);
+    });
+  });
+
+describe('Webhooks', () => {
+  let receiver;
+  let restaurantId;
+  let tableId;
+  let webhook;
+
+  const book = async (overrides = {}) => {
+    const res = await api
+      .post('/api/reservations')
+      .send({
+        restaurant_id: restaurantId,
+        table_id: tableId,
+        customer_name: 'Hook Guest',
+        phone: '5554443333',
+        party_size: 2,
+        start_time: tomorrowAt(12),
+        duration_minutes: 60,
+        ...overrides
+      });
+    return res.body;
+  };
+
+  // The events the receiver has seen, in order
+  const receivedTypes = () => receiver.calls.map((call) => JSON.parse(call.body).type);
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    receiver = await startReceiver();
+
+    const restaurant = await api
+      .post('/api/restaurants')
+      .send({ name: 'Hooked On Fish', opening_time: '10:00', closing_time: '22:00' });
+    restaurantId = restaurant.body.id;
+
+    const table = await api
+      .post(`/api/restaurants/${restaurantId}/tables`)
+      .send({ table_number: 1, capacity: 4 });
+    tableId = table.body.id;
+
+    const res = await api
+      .post(`/api/restaurants/${restaurantId}/webhooks`)
+      .send({ url: receiver.url });
+    webhook = res.body;
+  });
+
+  beforeEach(async () => {
+    // Start every test with an empty outbox and a happy receiver
+    await processOutbox({ now: new Date(Date.now() + 365 * 24 * 3600 * 1000) });
+    receiver.calls = [];
+    receiver.status = 200;
+  });
+
+  afterAll(async () => {
+    receiver.server.closeAllConnections();
+    await new Promise((resolve) => receiver.server.close(resolve));
+  });
+
+  test('should create a subscription for every event by default and show the secret once', async () => {
+    expect(webhook.secret).toMatch(/^whsec_/);
+    expect(webhook.events).toEqual([
+      'reservation.created',
+      'reservation.updated',
+      'reservation.cancelled',
+      'reservation.no_show'
+    ]);
+
+    const list = await api.get(`/api/restaurants/${restaurantId}/webhooks`);
+    expect(list.body).toHaveLength(1);
+    expect(list.body[0]).not.toHaveProperty('secret');
+  });
+
+  test('should reject bad URLs and unknown events', async () => {
+    const res = await api
+      .post(`/api/restaurants/${restaurantId}/webhooks`)
+      .send({ url: 'ftp://example.com', events: ['reservation.eaten'] });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors).toHaveProperty('url');
+    expect(res.body.errors).toHaveProperty('events');
+  });
+
+  test('should deliver a signed reservation.created event', async () => {
+    const reservation = await book({ start_time: tomorrowAt(11) });
+
+    // Nothing is sent until the outbox is processed
+    expect(receiver.calls).toHaveLength(0);
+    expect(await processOutbox()).toBe(1);
+    expect(receiver.calls).toHaveLength(1);
+
+    const [{ headers, body }] = receiver.calls;
+    const payload = JSON.parse(body);
+
+    expect(headers['x-webhook-event']).toBe('reservation.created');
+    expect(headers['x-webhook-id']).toBe(payload.id);
+    expect(headers['x-webhook-signature']).toBe(
+      `sha256=${signPayload(webhook.secret, headers['x-webhook-timestamp'], body)}`
+    );
+    expect(payload).toMatchObject({ type: 'reservation.created', restaurant_id: restaurantId });
+    expect(payload.data.reservation).toMatchObject({ id: reservation.id, status: 'confirmed' });
+    expect(payload.data.reservation).not.toHaveProperty('guest_token_hash');
+  });
+
+  test('should send updated, cancelled and no-show events', async () => {
+    const reservation = await book({ start_time: tomorrowAt(14) });
+    await api.patch(`/api/reservations/${reservation.id}`).send({ party_size: 3 });
+    await api.patch(`/api/reservations/${reservation.id}/cancel`);
+
+    const yesterday = new Date();
+    yesterday.setUTCDate(yesterday.getUTCDate() - 1);
+    yesterday.setUTCHours(12, 0, 0, 0);
+    const past = await book({ start_time: yesterday.toISOString() });
+    await api.patch(`/api/reservations/${past.id}/no-show`);
+
+    await processOutbox();
+
+    expect(receivedTypes()).toEqual([
+      'reservation.created',
+      'reservation.updated',
+      'reservation.cancelled',
+      'reservation.created',
+      'reservation.no_show'
+    ]);
+  });
+
+  test('should only send the events a subscription asked for', async () => {
+    const other = await api
+      .post(`/api/restaurants/${restaurantId}/webhooks`)
+      .send({ url: `${receiver.url}/cancellations`, events: ['reservation.cancelled'] });
+
+    const reservation = await book({ start_time: tomorrowAt(16) });
+    await api.patch(`/api/reservations/${reservation.id}/cancel`);
+    await processOutbox();
+
+    // created + cancelled for the catch-all subscription, just cancelled for the new one
+    expect(receivedTypes()).toEqual(['reservation.created', 'reservation.cancelled', 'reservation.cancelled']);
+
+    const deliveries = await api
+      .get(`/api/restaurants/${restaurantId}/webhooks/deliveries`)
+      .query({ webhook_id: other.body.id });
+    expect(deliveries.body.map((delivery) => delivery.event)).toEqual(['reservation.cancelled']);
+
+    await api.delete(`/api/restaurants/${restaurantId}/webhooks/${other.body.id}`);
+  });
+
+  test('should retry with backoff, give up, and replay failed deliveries', async () => {
+    receiver.status = 500;
+    await book({ start_time: tomorrowAt(18) });
+
+    // First attempt fails and is scheduled for later, not retried straight away
+    await processOutbox();
+    expect(await processOutbox()).toBe(0);
+
+    let [delivery] = (await api
+      .get(`/api/restaurants/${restaurantId}/webhooks/deliveries`)
+      .query({ status: 'pending' })).body;
+    expect(delivery).toMatchObject({ attempts: 1, last_status_code: 500 });
+    expect(new Date(delivery.next_attempt_at).getTime()).toBeGreaterThan(Date.now());
+
+    // Keep jumping ahead until the retries run out
+    let now = Date.now();
+    for (let attempt = 2; attempt <= MAX_ATTEMPTS; attempt++) {
+      now += 7 * 3600 * 1000;
+      await processOutbox({ now: new Date(now) });
+    }
+
+    const failed = await api
+      .get(`/api/restaurants/${restaurantId}/webhooks/deliveries`)
+      .query({ status: 'failed' });
+    expect(failed.body).toHaveLength(1);
+    [delivery] = failed.body;
+    expect(delivery).toMatchObject({ attempts: MAX_ATTEMPTS, last_error: 'Receiver answered 500' });
+    expect(receiver.calls).toHaveLength(MAX_ATTEMPTS);
+
+    // The receiver is back up - replaying sends it straight away
+    receiver.status = 204;
+    const replay = await api
+      .post(`/api/restaurants/${restaurantId}/webhooks/deliveries/${delivery.id}/replay`);
+
+    expect(replay.statusCode).toBe(200);
+    expect(replay.body).toMatchObject({ status: 'delivered', attempts: 1, last_status_code: 204 });
+    expect(JSON.parse(receiver.calls[receiver.calls.length - 1].body).id).toBe(delivery.event_id);
+  });
+
+  test('should queue every failed delivery again in one go', async () => {
+    receiver.status = 503;
+    await book({ start_time: tomorrowAt(20) });
+
+    let now = Date.now();
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      await processOutbox({ now: new Date(now) });
+      now += 7 * 3600 * 1000;
+    }
+
+    const res = await api.post(`/api/restaurants/${restaurantId}/webhooks/deliveries/replay`);
+    expect(res.body.queued).toBe(1);
+
+    receiver.status = 200;
+    expect(await processOutbox()).toBe(1);
+
+    const failed = await api
+      .get(`/api/restaurants/${restaurantId}/webhooks/deliveries`)
+      .query({ status: 'failed' });
+    expect(failed.body).toHaveLength(0);
+  });
+
+  test('should record unreachable receivers as errors', async () => {
+    const unreachable = await api
+      .post(`/api/restaurants/${restaurantId}/webhooks`)
+      .send({ url: 'http://127.0.0.1:1/nowhere', events: ['reservation.created'] });
+
+    await book({ start_time: tomorrowAt(21) });
+    await processOutbox();
+
+    const [delivery] = (await api
+      .get(`/api/restaurants/${restaurantId}/webhooks/deliveries`)
+      .query({ webhook_id: unreachable.body.id })).body;
+    expect(delivery.status).toBe('pending');
+    expect(delivery.last_status_code).toBeNull();
+    expect(delivery.last_error).toBeTruthy();
+
+    await api.delete(`/api/restaurants/${restaurantId}/webhooks/${unreachable.body.id}`);
+  });
+
+  test('should keep webhooks to managers of the restaurant', async () => {
+    const host = await api
+      .post('/api/api-keys')
+      .send({ name: 'Host', role: 'host', restaurant_ids: [restaurantId] });
+
+    const res = await request(app)
+      .get(`/api/restaurants/${restaurantId}/webhooks`)
+      .set('Authorization', `Bearer ${host.body.api_key}`);
+
+    expect(res.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,134 @@
+const { dbRun, dbGet, dbAll } = require('../db/db');
+const { z } = require('zod');
+const { ROLES, MANAGER_ROLES, hashSecret, generateSecret, ensureRole } = require('../middleware/auth');
+const { paginationShape, sendPage } = require('../services/pagination');
+
+// Validation rules for issuing a staff API key
+const createApiKeySchema = z.object({
+  name: z.string().min(1, 'Please give the key a name (like "Front desk tablet")'),
+  role: z.enum(ROLES),
+  restaurant_ids: z.array(z.number().int().positive()).default([])
+}).refine((key) => key.role === 'admin' || key.restaurant_ids.length > 0, {
+  message: 'Manager and host keys need at least one restaurant',
+  path: ['restaurant_ids']
+});
+
+// Shape a key row for responses - never includes the hash
+const toApiKeyResponse = (key, restaurantIds) => ({
+  id: key.id,
+  name: key.name,
+  role: key.role,
+  restaurant_ids: restaurantIds,
+  created_at: key.created_at,
+  revoked_at: key.revoked_at
+});
+
+// Issue a new API key
+// Admins can issue any key; managers can only issue host keys for their own restaurants
+const createApiKey = async (req, res) => {
+  try {
+    if (!ensureRole(req, res, MANAGER_ROLES)) return;
+
+    const validated = createApiKeySchema.parse(req.body);
+
+    if (req.auth.role === 'manager') {
+      const ownsAll = validated.restaurant_ids.every((id) => req.auth.restaurantIds.includes(id));
+      if (validated.role !== 'host' || !ownsAll) {
+        return res.status(403).json({
+          error: 'Managers can only create host keys for their own restaurants'
+        });
+      }
+    }
+
+    // Every restaurant in the scope has to exist
+    for (const restaurantId of validated.restaurant_ids) {
+      const restaurant = await dbGet('SELECT id FROM restaurants WHERE id = ?', [restaurantId]);
+      if (!restaurant) {
+        return res.status(404).json({ error: `Restaurant ${restaurantId} not found` });
+      }
+    }
+
+    const apiKey = generateSecret('tk');
+    const result = await dbRun(
+      'INSERT INTO api_keys (name, key_hash, role) VALUES (?, ?, ?)',
+      [validated.name, hashSecret(apiKey), validated.role]
+    );
+
+    const restaurantIds = validated.role === 'admin' ? [] : validated.restaurant_ids;
+    for (const restaurantId of restaurantIds) {
+      await dbRun(
+        'INSERT INTO api_key_restaurants (api_key_id, restaurant_id) VALUES (?, ?)',
+        [result.id, restaurantId]
+      );
+    }
+
+    const key = await dbGet('SELECT * FROM api_keys WHERE id = ?', [result.id]);
+
+    // This is the only time the key itself is ever shown
+    res.status(201).json({
+      ...toApiKeyResponse(key, restaurantIds),
+      api_key: apiKey
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// List every API key (without the secrets)
+const getApiKeys = async (req, res) => {
+  try {
+    if (!ensureRole(req, res, ['admin'])) return;
+
+    const query = z.object(paginationShape).parse(req.query);
+
+    const { total } = await dbGet('SELECT COUNT(*) AS total FROM api_keys');
+    const keys = await dbAll(
+      'SELECT * FROM api_keys ORDER BY id LIMIT ? OFFSET ?',
+      [query.limit, query.offset]
+    );
+    const scopes = await dbAll('SELECT * FROM api_key_restaurants');
+
+    sendPage(req, res, keys.map((key) => toApiKeyResponse(
+      key,
+      scopes
+        .filter((scope) => scope.api_key_id === key.id)
+        .map((scope) => scope.restaurant_id)
+    )), { total, limit: query.limit, offset: query.offset });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Revoke a key - it stops working straight away but stays on record
+const revokeApiKey = async (req, res) => {
+  try {
+    if (!ensureRole(req, res, ['admin'])) return;
+
+    const { id } = req.params;
+
+    const result = await dbRun(
+      "UPDATE api_keys SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL",
+      [id]
+    );
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+
+    res.json({ message: 'API key revoked', id: Number(id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey
+};
@@ -0,0 +1,201 @@
+const { dbRun, dbGet, dbAll, dbTransaction } = require('../db/db');
+const { z } = require('zod');
+const { loadBlocks } = require('../services/blocks');
+const { loadCombinationTableIds } = require('../services/combinations');
+const { ACTIVE_STATUSES, activeStatusPlaceholders } = require('../services/reservationStatus');
+const { timeZoneOf, toZonedISOString } = require('../services/timezone');
+const { MANAGER_ROLES, ensureRestaurantAccess } = require('../middleware/auth');
+
+// Blocks take tables out of booking for a while - a private event, a broken heater, a staff meeting
+// Send table_ids to block some tables, section_id for a whole section, or neither to close the restaurant
+// Bookings that already clash aren't touched; the manager is told about them and decides what to do
+
+const timeSchema = z.string().datetime('Please use ISO 8601 format for the time (e.g., 2026-01-10T19:00:00Z)');
+
+// Validation rules for a new block
+const blockSchema = z.object({
+  starts_at: timeSchema,
+  ends_at: timeSchema,
+  reason: z.string().trim().min(1, 'Please say why the tables are blocked').max(200, 'Keep the reason to 200 characters'),
+  table_ids: z.array(z.number().int().positive('Need a valid table ID'))
+    .min(1, 'List at least one table, or leave table_ids out to block the whole restaurant')
+    .refine((ids) => new Set(ids).size === ids.length, 'Each table can only be listed once')
+    .optional(),
+  section_id: z.number().int().positive('Need a valid section ID').optional()
+}).refine((block) => new Date(block.ends_at) > new Date(block.starts_at), {
+  message: 'ends_at must be after starts_at',
+  path: ['ends_at']
+}).refine((block) => new Date(block.ends_at) > new Date(), {
+  message: 'That block would already be over',
+  path: ['ends_at']
+}).refine((block) => !(block.table_ids && block.section_id), {
+  message: 'Send table_ids or a section_id, not both',
+  path: ['section_id']
+});
+
+// Optional window for the list (defaults to everything that hasn't ended yet)
+const listQuerySchema = z.object({
+  from: timeSchema.optional(),
+  to: timeSchema.optional()
+});
+
+// A block as we hand it back, with the restaurant's local view of its times
+const describeBlock = (block, timeZone) => ({
+  id: block.id,
+  restaurant_id: block.restaurant_id,
+  scope: block.scope,
+  section_id: block.section_id,
+  table_ids: block.table_ids,
+  starts_at: block.starts_at,
+  ends_at: block.ends_at,
+  starts_at_local: toZonedISOString(block.starts_at, timeZone),
+  ends_at_local: toZonedISOString(block.ends_at, timeZone),
+  reason: block.reason,
+  created_at: block.created_at
+});
+
+// Active bookings on any of the block's tables while it's in place (combination bookings included)
+const findClashingReservations = async (block) => {
+  const combinationTableIds = await loadCombinationTableIds(block.restaurant_id);
+  const reservations = await dbAll(
+    `SELECT * FROM reservations
+     WHERE restaurant_id = ?
+     AND status IN (${activeStatusPlaceholders})
+     AND datetime(start_time) < datetime(?)
+     AND datetime(datetime(start_time), '+' || duration_minutes || ' minutes') > datetime(?)
+     ORDER BY datetime(start_time), id`,
+    [block.restaurant_id, ...ACTIVE_STATUSES, block.ends_at, block.starts_at]
+  );
+
+  return reservations.filter((reservation) =>
+    (combinationTableIds.get(reservation.combination_id) || [reservation.table_id])
+      .some((tableId) => block.table_ids.includes(tableId)));
+};
+
+// List a restaurant's blocks
+const getBlocks = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const { from, to } = listQuerySchema.parse(req.query);
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [id]);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    const blocks = await loadBlocks(restaurant.id, from ?? new Date(), to ?? null);
+    res.json(blocks.map((block) => describeBlock(block, timeZoneOf(restaurant))));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Block the restaurant, a section or some tables for a while
+// Comes back with a warning listing any existing bookings that clash
+const createBlock = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const validated = blockSchema.parse(req.body);
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [id]);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    if (validated.section_id) {
+      const section = await dbGet(
+        'SELECT id FROM sections WHERE id = ? AND restaurant_id = ?',
+        [validated.section_id, restaurant.id]
+      );
+      if (!section) {
+        return res.status(404).json({ error: 'Section not found in this restaurant' });
+      }
+    }
+
+    if (validated.table_ids) {
+      const tables = await dbAll(
+        `SELECT id FROM tables WHERE restaurant_id = ? AND id IN (${validated.table_ids.map(() => '?').join(', ')})`,
+        [restaurant.id, ...validated.table_ids]
+      );
+      if (tables.length !== validated.table_ids.length) {
+        return res.status(404).json({ error: 'Table not found in this restaurant' });
+      }
+    }
+
+    const scope = validated.table_ids ? 'tables' : validated.section_id ? 'section' : 'restaurant';
+    const startsAt = new Date(validated.starts_at).toISOString();
+    const endsAt = new Date(validated.ends_at).toISOString();
+
+    const blockId = await dbTransaction(async () => {
+      const result = await dbRun(
+        `INSERT INTO blocks (restaurant_id, scope, section_id, starts_at, ends_at, reason)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [restaurant.id, scope, validated.section_id ?? null, startsAt, endsAt, validated.reason]
+      );
+      for (const tableId of validated.table_ids || []) {
+        await dbRun('INSERT INTO block_tables (block_id, table_id) VALUES (?, ?)', [result.id, tableId]);
+      }
+      return result.id;
+    });
+
+    const block = (await loadBlocks(restaurant.id, startsAt, endsAt)).find((loaded) => loaded.id === blockId);
+    const timeZone = timeZoneOf(restaurant);
+    const clashing = await findClashingReservations(block);
+
+    res.status(201).json({
+      ...describeBlock(block, timeZone),
+      ...(clashing.length > 0 && {
+        warning: `${clashing.length} existing reservation${clashing.length === 1 ? '' : 's'} ` +
+          `clash${clashing.length === 1 ? 'es' : ''} with this block. ` +
+          'They have not been moved or cancelled - move them to another table or contact the guests.'
+      }),
+      clashing_reservations: clashing.map((reservation) => ({
+        id: reservation.id,
+        customer_name: reservation.customer_name,
+        party_size: reservation.party_size,
+        status: reservation.status,
+        table_id: reservation.table_id,
+        combination_id: reservation.combination_id,
+        start_time: reservation.start_time,
+        start_time_local: toZonedISOString(reservation.start_time, timeZone),
+        duration_minutes: reservation.duration_minutes
+      }))
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Lift a block - its tables can be booked again straight away
+const deleteBlock = async (req, res) => {
+  try {
+    const { id, block_id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const result = await dbRun('DELETE FROM blocks WHERE id = ? AND restaurant_id = ?', [block_id, id]);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Block not found in this restaurant' });
+    }
+
+    res.json({ message: 'Block removed', id: Number(block_id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getBlocks,
+  createBlock,
+  deleteBlock
+};
@@ -0,0 +1,104 @@
+const { dbGet, dbAll } = require('../db/db');
+const { z } = require('zod');
+const { reservationEvent, toIcs, sendIcs } = require('../services/ics');
+const { timeZoneOf, toZonedDate, addDays, dayBounds } = require('../services/timezone');
+const { STAFF_ROLES, ensureRestaurantAccess, ensureReservationAccess } = require('../middleware/auth');
+
+// iCalendar feeds: every booking at a restaurant for staff calendars, and one booking for the guest's
+
+// A feed covers the next 90 days unless it asks for other dates
+const DEFAULT_FEED_DAYS = 90;
+const MAX_FEED_DAYS = 366;
+
+// Optional local date range for the restaurant feed
+const feedQuerySchema = z.object({
+  from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'from must be a date in YYYY-MM-DD format').optional(),
+  to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'to must be a date in YYYY-MM-DD format').optional()
+});
+
+// Every booking at the restaurant that's still going ahead, as a calendar staff can subscribe to
+// Defaults to today and the 90 days after it, in the restaurant's timezone
+const getRestaurantCalendar = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Guest names and phone numbers, so staff only
+    if (!ensureRestaurantAccess(req, res, id, STAFF_ROLES)) return;
+
+    const query = feedQuerySchema.parse(req.query);
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [id]);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    const timeZone = timeZoneOf(restaurant);
+    const from = query.from ?? toZonedDate(new Date(), timeZone);
+    const to = query.to ?? addDays(from, DEFAULT_FEED_DAYS);
+    if (to < from || addDays(from, MAX_FEED_DAYS - 1) < to) {
+      return res.status(400).json({
+        error: `to must be on or after from, and a feed covers at most ${MAX_FEED_DAYS} days`
+      });
+    }
+
+    const reservations = await dbAll(
+      `SELECT r.*, t.table_number
+       FROM reservations r
+       JOIN tables t ON r.table_id = t.id
+       WHERE r.restaurant_id = ?
+       AND r.status NOT IN ('cancelled', 'no_show')
+       AND datetime(r.start_time) >= datetime(?)
+       AND datetime(r.start_time) < datetime(?)
+       ORDER BY datetime(r.start_time), r.id`,
+      [restaurant.id, dayBounds(from, timeZone).start.toISOString(), dayBounds(to, timeZone).end.toISOString()]
+    );
+
+    const events = reservations.map((reservation) => reservationEvent(reservation, {
+      summary: `${reservation.customer_name}, party of ${reservation.party_size} - table ${reservation.table_number}`,
+      description: [
+        `Reservation #${reservation.id} (${reservation.status})`,
+        reservation.phone && `Phone: ${reservation.phone}`,
+        reservation.email && `Email: ${reservation.email}`
+      ].filter(Boolean).join('\n')
+    }));
+
+    sendIcs(res, `restaurant-${restaurant.id}.ics`, toIcs(`${restaurant.name} reservations`, events));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// One booking as a calendar file the guest can add to their own calendar
+// A cancelled booking comes back as a cancelled event, so calendars that already have it drop it
+const getReservationCalendar = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const reservation = await dbGet('SELECT * FROM reservations WHERE id = ?', [id]);
+    if (!reservation) {
+      return res.status(404).json({ error: 'Reservation not found' });
+    }
+
+    // Staff at the restaurant, or the guest holding the reservation token
+    if (!ensureReservationAccess(req, res, reservation)) return;
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [reservation.restaurant_id]);
+
+    const event = reservationEvent(reservation, {
+      summary: `Table for ${reservation.party_size} at ${restaurant.name}`,
+      description: `Reservation #${reservation.id} for ${reservation.customer_name}, party of ${reservation.party_size}`
+    });
+
+    sendIcs(res, `reservation-${reservation.id}.ics`, toIcs(restaurant.name, [event]));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getRestaurantCalendar,
+  getReservationCalendar
+};
@@ -0,0 +1,166 @@
+const { dbGet, dbAll } = require('../db/db');
+const { z } = require('zod');
+const { getCustomerStats, normalizePhone, normalizeEmail } = require('../services/customers');
+const { STAFF_ROLES, withoutSecrets, ensureRole, ensureRestaurantAccess } = require('../middleware/auth');
+const { paginationShape, sortParam, orderBy, sendPage } = require('../services/pagination');
+
+// Sorting and paging guest searches and a guest's booking history
+const CUSTOMER_SORTS = { name: 'c.name', created_at: 'c.created_at' };
+const customerSearchSchema = z.object({
+  sort: sortParam(CUSTOMER_SORTS, 'name'),
+  ...paginationShape
+});
+
+const HISTORY_SORTS = { start_time: 'r.start_time', created_at: 'r.created_at' };
+const historySchema = z.object({
+  sort: sortParam(HISTORY_SORTS, '-start_time'),
+  ...paginationShape
+});
+
+// Which restaurants' bookings the caller may see - null means all of them (admins)
+const visibleRestaurantIds = (auth) => (auth.role === 'admin' ? null : auth.restaurantIds);
+
+// SQL filter limiting rows to the visible restaurants
+const restaurantScope = (column, restaurantIds) =>
+  restaurantIds
+    ? { sql: `AND ${column} IN (${restaurantIds.map(() => '?').join(', ') || 'NULL'})`, params: restaurantIds }
+    : { sql: '', params: [] };
+
+// Load a customer the caller is allowed to see
+// Staff only see guests who have booked at one of their restaurants
+const findVisibleCustomer = async (id, restaurantIds) => {
+  const scope = restaurantScope('r.restaurant_id', restaurantIds);
+  return dbGet(
+    `SELECT c.* FROM customers c
+     WHERE c.id = ?
+     AND (? OR EXISTS (SELECT 1 FROM reservations r WHERE r.customer_id = c.id ${scope.sql}))`,
+    [id, restaurantIds ? 0 : 1, ...scope.params]
+  );
+};
+
+// Search guest profiles by name, phone or email
+// ?restaurant_id= narrows it to guests of one restaurant
+const searchCustomers = async (req, res) => {
+  try {
+    if (!ensureRole(req, res, STAFF_ROLES)) return;
+
+    const { q, restaurant_id } = req.query;
+
+    if (!q || q.trim().length < 2) {
+      return res.status(400).json({
+        error: 'Search with at least 2 characters, e.g. ?q=smith or ?q=5551234'
+      });
+    }
+
+    let restaurantIds = visibleRestaurantIds(req.auth);
+    if (restaurant_id) {
+      if (!ensureRestaurantAccess(req, res, restaurant_id, STAFF_ROLES)) return;
+      restaurantIds = [Number(restaurant_id)];
+    }
+
+    const query = customerSearchSchema.parse(req.query);
+
+    // Phone numbers are stored as digits, so only search them when the query has some
+    const digits = normalizePhone(q);
+    const scope = restaurantScope('r.restaurant_id', restaurantIds);
+    const where = `WHERE (c.name LIKE ? OR c.email LIKE ? OR c.phone LIKE ?)
+       AND (? OR EXISTS (SELECT 1 FROM reservations r WHERE r.customer_id = c.id ${scope.sql}))`;
+    const params = [
+      `%${q.trim()}%`,
+      `%${normalizeEmail(q)}%`,
+      digits ? `%${digits}%` : null,
+      restaurantIds ? 0 : 1,
+      ...scope.params
+    ];
+
+    const { total } = await dbGet(`SELECT COUNT(*) AS total FROM customers c ${where}`, params);
+    const customers = await dbAll(
+      `SELECT c.* FROM customers c
+       ${where}
+       ${orderBy(query.sort, CUSTOMER_SORTS, 'c.id')}
+       LIMIT ? OFFSET ?`,
+      [...params, query.limit, query.offset]
+    );
+
+    const stats = await getCustomerStats(customers.map((customer) => customer.id), restaurantIds);
+
+    sendPage(
+      req,
+      res,
+      customers.map((customer) => ({ ...customer, ...stats.get(customer.id) })),
+      { total, limit: query.limit, offset: query.offset }
+    );
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// One guest profile with visit, no-show and cancellation stats
+// Staff see stats for their own restaurants only
+const getCustomer = async (req, res) => {
+  try {
+    if (!ensureRole(req, res, STAFF_ROLES)) return;
+
+    const { id } = req.params;
+    const restaurantIds = visibleRestaurantIds(req.auth);
+
+    const customer = await findVisibleCustomer(id, restaurantIds);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const stats = await getCustomerStats([customer.id], restaurantIds);
+
+    res.json({ ...customer, ...stats.get(customer.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Every reservation a guest has made, newest first unless ?sort= says otherwise
+const getCustomerReservations = async (req, res) => {
+  try {
+    if (!ensureRole(req, res, STAFF_ROLES)) return;
+
+    const { id } = req.params;
+    const restaurantIds = visibleRestaurantIds(req.auth);
+    const query = historySchema.parse(req.query);
+
+    const customer = await findVisibleCustomer(id, restaurantIds);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const scope = restaurantScope('r.restaurant_id', restaurantIds);
+    const { total } = await dbGet(
+      `SELECT COUNT(*) AS total FROM reservations r WHERE r.customer_id = ? ${scope.sql}`,
+      [customer.id, ...scope.params]
+    );
+    const reservations = await dbAll(
+      `SELECT r.*, t.table_number, rest.name AS restaurant_name
+       FROM reservations r
+       JOIN tables t ON r.table_id = t.id
+       JOIN restaurants rest ON r.restaurant_id = rest.id
+       WHERE r.customer_id = ? ${scope.sql}
+       ${orderBy(query.sort, HISTORY_SORTS, 'r.id')}
+       LIMIT ? OFFSET ?`,
+      [customer.id, ...scope.params, query.limit, query.offset]
+    );
+
+    sendPage(req, res, reservations.map(withoutSecrets), { total, limit: query.limit, offset: query.offset });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  searchCustomers,
+  getCustomer,
+  getCustomerReservations
+};
@@ -0,0 +1,181 @@
+const { dbRun, dbGet, dbTransaction } = require('../db/db');
+const { z } = require('zod');
+const { checkForOverlaps } = require('../services/bookingRules');
+const { isWithinOperatingHours, describeOpeningHours } = require('../services/openingHours');
+const { findAvailableTable } = require('../services/tableAssignment');
+const { findOrCreateCustomer } = require('../services/customers');
+const { queueReservationEventById } = require('../services/webhooks');
+const { defaultDurationFor } = require('../services/seatingTimes');
+const { DEFAULT_SOON_MINUTES, floorStatus } = require('../services/floor');
+const { timeZoneOf, toZonedISOString } = require('../services/timezone');
+const { STAFF_ROLES, withoutSecrets, ensureRestaurantAccess } = require('../middleware/auth');
+
+// The floor is run by front-of-house staff, so every handler here needs a staff key
+
+// Validation rules for seating a walk-in
+// Only the party size is needed - hosts rarely get a name and number at the door
+const walkInSchema = z.object({
+  party_size: z.number().int().positive('Party size must be at least 1 person'),
+  // Optional - leave it out and we'll pick the best free table for the party
+  table_id: z.number().int().positive('Need a valid table ID').optional(),
+  customer_name: z.string().min(1, 'The customer name cannot be empty').default('Walk-in'),
+  phone: z.string().regex(/^\d{10,}$/, 'Phone number needs to be at least 10 digits').optional(),
+  email: z.string().email('Please provide a valid email address').optional(),
+  duration_minutes: z.number().int().min(15, 'Walk-ins need at least 15 minutes').optional()
+});
+
+// Query options for the floor plan
+const floorQuerySchema = z.object({
+  soon_minutes: z.coerce.number().int()
+    .min(0, 'soon_minutes cannot be negative')
+    .max(240, 'soon_minutes can be at most 240')
+    .default(DEFAULT_SOON_MINUTES)
+});
+
+// Seat a party that turned up without a booking, right now
+// The table has to be free for the whole visit, so a walk-in never bumps a booking
+const seatWalkIn = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, STAFF_ROLES)) return;
+
+    const validated = walkInSchema.parse(req.body);
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [id]);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    const now = new Date();
+    const startTime = now.toISOString();
+    const duration = validated.duration_minutes || await defaultDurationFor(restaurant, validated.party_size);
+
+    // Walk-ins can only be seated while the restaurant is open
+    // (they may stay past closing, like any party that sat down before it)
+    const oneMinuteLater = new Date(now.getTime() + 60000).toISOString();
+    if (!(await isWithinOperatingHours(restaurant, startTime, oneMinuteLater))) {
+      return res.status(400).json({ error: await describeOpeningHours(restaurant, startTime, oneMinuteLater) });
+    }
+
+    let table = null;
+    if (validated.table_id) {
+      table = await dbGet(
+        'SELECT * FROM tables WHERE id = ? AND restaurant_id = ?',
+        [validated.table_id, id]
+      );
+
+      if (!table) {
+        return res.status(404).json({ error: 'Table not found in this restaurant' });
+      }
+
+      if (!table.is_active) {
+        return res.status(409).json({ error: `Table ${table.table_number} is out of service` });
+      }
+
+      if (validated.party_size > table.capacity) {
+        return res.status(400).json({
+          error: `Sorry, this table seats ${table.capacity} people but you need space for ${validated.party_size}`
+        });
+      }
+    }
+
+    // Checking the table and seating the party happen together, like a booking
+    const seating = await dbTransaction(async () => {
+      let seatedTable = table;
+
+      if (seatedTable) {
+        if (await checkForOverlaps(seatedTable.id, startTime, duration)) {
+          return { conflict: `Table ${seatedTable.table_number} is taken or booked within the next ${duration} minutes` };
+        }
+      } else {
+        seatedTable = await findAvailableTable(restaurant, {
+          party_size: validated.party_size,
+          start_time: startTime,
+          duration_minutes: duration
+        });
+
+        if (!seatedTable) {
+          return { conflict: `No table for ${validated.party_size} is free for the next ${duration} minutes` };
+        }
+      }
+
+      // Link to a guest profile only when we know who they are
+      const customer = validated.phone || validated.email
+        ? await findOrCreateCustomer({ name: validated.customer_name, phone: validated.phone, email: validated.email })
+        : null;
+
+      const result = await dbRun(
+        `INSERT INTO reservations
+         (restaurant_id, table_id, customer_name, phone, party_size, start_time, duration_minutes, status,
+          seated_at, customer_id, email, is_walk_in)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 'seated', ?, ?, ?, 1)`,
+        [
+          restaurant.id,
+          seatedTable.id,
+          validated.customer_name,
+          validated.phone || '',
+          validated.party_size,
+          startTime,
+          duration,
+          startTime,
+          customer ? customer.id : null,
+          validated.email || null
+        ]
+      );
+
+      await queueReservationEventById('reservation.created', result.id);
+      return { id: result.id };
+    });
+
+    if (seating.conflict) {
+      return res.status(409).json({ error: seating.conflict });
+    }
+
+    const reservation = await dbGet(
+      `SELECT r.*, t.table_number FROM reservations r
+       JOIN tables t ON r.table_id = t.id
+       WHERE r.id = ?`,
+      [seating.id]
+    );
+
+    res.status(201).json({
+      ...withoutSecrets(reservation),
+      is_walk_in: true,
+      start_time_local: toZonedISOString(reservation.start_time, timeZoneOf(restaurant)),
+      timezone: timeZoneOf(restaurant)
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Live state of every table: free, reserved soon, seated or overdue,
+// who is there and when the table is next needed
+const getFloor = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, STAFF_ROLES)) return;
+
+    const query = floorQuerySchema.parse(req.query);
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [id]);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    res.json(await floorStatus(restaurant, { soonMinutes: query.soon_minutes }));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  seatWalkIn,
+  getFloor
+};
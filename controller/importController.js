@@ -0,0 +1,317 @@
+const { dbRun, dbGet, dbTransaction } = require('../db/db');
+const { z } = require('zod');
+const { addTableSchema } = require('./restaurantController');
+const { createReservationSchema } = require('./reservationController');
+const { CsvError, parseCsv } = require('../services/csv');
+const { isWithinOperatingHours, describeOpeningHours } = require('../services/openingHours');
+const { claimTables, checkPickedTables } = require('../services/tableAssignment');
+const { defaultDurationFor } = require('../services/seatingTimes');
+const { findOrCreateCustomer } = require('../services/customers');
+const { queueReservationEventById } = require('../services/webhooks');
+const { publishTableState } = require('../services/liveEvents');
+const { timeZoneOf, toZonedISOString } = require('../services/timezone');
+const { MANAGER_ROLES, STAFF_ROLES, ensureRestaurantAccess } = require('../middleware/auth');
+
+// Bulk imports for restaurants moving over from another system: their tables, then their upcoming bookings
+// Rows come as CSV (Content-Type: text/csv, with a header row) or JSON ({ "rows": [...] }).
+// Each row gets the same checks as adding one table or booking; rows that pass are saved and the rest
+// are reported back with what's wrong. With ?dry_run=true the same checks and inserts run in a transaction
+// that is rolled back at the end, so the report shows what would be saved without keeping any of it.
+// Imported bookings are confirmed straight away with no deposit, and guests aren't notified again.
+
+const MAX_IMPORT_ROWS = 500;
+
+// JSON uploads
+const importBodySchema = z.object({
+  rows: z.array(z.record(z.string(), z.unknown()))
+    .min(1, 'There are no rows to import')
+    .max(MAX_IMPORT_ROWS, `Import at most ${MAX_IMPORT_ROWS} rows at a time`)
+});
+
+const importQuerySchema = z.object({
+  dry_run: z.enum(['true', 'false'], 'dry_run must be true or false').default('false')
+    .transform((value) => value === 'true')
+});
+
+// Which CSV columns hold numbers or yes/no values - everything in a CSV file is text
+const TABLE_COLUMNS = {
+  numbers: ['table_number', 'capacity', 'section_id'],
+  booleans: ['is_vip']
+};
+const RESERVATION_COLUMNS = {
+  numbers: ['table_id', 'table_number', 'combination_id', 'section_id', 'party_size', 'duration_minutes'],
+  booleans: ['vip']
+};
+
+// Thrown at the end of a dry run to undo everything, carrying the report back out
+class DryRun extends Error {
+  constructor(report) {
+    super('Dry run');
+    this.report = report;
+  }
+}
+
+// A CSV line as the values the schemas expect: empty cells left out, numbers and yes/no values converted
+// Anything that doesn't convert is left as text, so the schema reports it
+const fromCsvRow = (row, { numbers, booleans }) => {
+  const values = {};
+  for (const [column, text] of Object.entries(row)) {
+    const value = text.trim();
+    if (value === '') continue;
+
+    if (numbers.includes(column) && /^-?\d+(\.\d+)?$/.test(value)) {
+      values[column] = Number(value);
+    } else if (booleans.includes(column) && /^(true|yes|1)$/i.test(value)) {
+      values[column] = true;
+    } else if (booleans.includes(column) && /^(false|no|0)$/i.test(value)) {
+      values[column] = false;
+    } else {
+      values[column] = value;
+    }
+  }
+  return values;
+};
+
+// The rows in the upload, or { error } saying why there aren't any to work with
+const readRows = (req, columns) => {
+  if (!req.is('text/csv')) {
+    return { rows: importBodySchema.parse(req.body).rows };
+  }
+
+  const rows = parseCsv(typeof req.body === 'string' ? req.body : '');
+  if (rows.length === 0) {
+    return { error: 'There are no rows to import - send a header row and at least one line' };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { error: `Import at most ${MAX_IMPORT_ROWS} rows at a time` };
+  }
+  return { rows: rows.map((row) => fromCsvRow(row, columns)) };
+};
+
+// Run every row through importRow in one transaction and build the report
+// Nothing else touches the database while the transaction is open, so a dry run's rollback only undoes its own rows
+// importRow returns what was saved, or { error } / { errors } when the row can't be imported
+const runImport = async (restaurant, rows, dryRun, importRow) => {
+  const importAll = async () => {
+    const report = [];
+    for (const [index, row] of rows.entries()) {
+      let outcome;
+      try {
+        outcome = await importRow(restaurant, row);
+      } catch (error) {
+        if (!(error instanceof z.ZodError)) throw error;
+        outcome = { errors: error.flatten().fieldErrors };
+      }
+
+      const failed = outcome.error || outcome.errors;
+      report.push({
+        row: index + 1,
+        status: failed ? 'error' : dryRun ? 'valid' : 'created',
+        ...outcome
+      });
+    }
+
+    if (dryRun) {
+      throw new DryRun(report);
+    }
+    return report;
+  };
+
+  let report;
+  try {
+    report = await dbTransaction(importAll);
+  } catch (error) {
+    if (!(error instanceof DryRun)) throw error;
+    report = error.report;
+  }
+
+  const failed = report.filter((line) => line.status === 'error').length;
+  return {
+    dry_run: dryRun,
+    total: report.length,
+    [dryRun ? 'valid' : 'created']: report.length - failed,
+    failed,
+    rows: report
+  };
+};
+
+// Add one table from an import
+const importTableRow = async (restaurant, row) => {
+  const validated = addTableSchema.parse({ ...row, restaurant_id: restaurant.id });
+
+  // Earlier rows in the same import count too - they're already saved in this transaction
+  const existing = await dbGet(
+    'SELECT id FROM tables WHERE restaurant_id = ? AND table_number = ?',
+    [restaurant.id, validated.table_number]
+  );
+  if (existing) {
+    return { error: `Table ${validated.table_number} already exists for this restaurant` };
+  }
+
+  if (validated.section_id) {
+    const section = await dbGet(
+      'SELECT id FROM sections WHERE id = ? AND restaurant_id = ?',
+      [validated.section_id, restaurant.id]
+    );
+    if (!section) {
+      return { error: 'Section not found in this restaurant' };
+    }
+  }
+
+  const result = await dbRun(
+    'INSERT INTO tables (restaurant_id, table_number, capacity, is_vip, section_id) VALUES (?, ?, ?, ?, ?)',
+    [restaurant.id, validated.table_number, validated.capacity, validated.is_vip ? 1 : 0, validated.section_id]
+  );
+  await publishTableState(restaurant.id, result.id);
+
+  return {
+    id: result.id,
+    table_number: validated.table_number,
+    capacity: validated.capacity,
+    is_vip: validated.is_vip,
+    section_id: validated.section_id
+  };
+};
+
+// Add one upcoming booking from an import
+// Tables can be given by table_number (what the old system knew them as) instead of table_id
+const importReservationRow = async (restaurant, { table_number, ...row }) => {
+  if (table_number !== undefined && row.table_id === undefined) {
+    const table = await dbGet(
+      'SELECT id FROM tables WHERE restaurant_id = ? AND table_number = ?',
+      [restaurant.id, table_number]
+    );
+    if (!table) {
+      return { error: `There's no table ${table_number} at this restaurant` };
+    }
+    row.table_id = table.id;
+  }
+
+  const validated = createReservationSchema.parse({ ...row, restaurant_id: restaurant.id });
+
+  if (new Date(validated.start_time) <= new Date()) {
+    return { error: 'Only upcoming bookings can be imported' };
+  }
+
+  validated.duration_minutes ??= await defaultDurationFor(restaurant, validated.party_size);
+
+  const picked = await checkPickedTables(restaurant.id, validated);
+  if (picked.error) {
+    return { error: picked.error };
+  }
+
+  if (validated.section_id) {
+    const section = await dbGet(
+      'SELECT id FROM sections WHERE id = ? AND restaurant_id = ?',
+      [validated.section_id, restaurant.id]
+    );
+    if (!section) {
+      return { error: 'Section not found in this restaurant' };
+    }
+  }
+
+  const endTime = new Date(
+    new Date(validated.start_time).getTime() + validated.duration_minutes * 60000
+  ).toISOString();
+  if (!(await isWithinOperatingHours(restaurant, validated.start_time, endTime))) {
+    return { error: await describeOpeningHours(restaurant, validated.start_time, endTime) };
+  }
+
+  // Pacing, overlaps (with bookings already here and earlier rows) and picking a table if none was given
+  const seating = await claimTables(restaurant, validated, picked);
+  if (seating.conflict === 'pacing') {
+    return { error: seating.reason };
+  }
+  if (seating.conflict === 'table_taken') {
+    return {
+      error: picked.combination
+        ? `A table in ${picked.combination.name} is already booked for that time`
+        : `Table ${picked.table.table_number} is already booked for that time`
+    };
+  }
+  if (seating.conflict === 'fully_booked') {
+    return { error: `No table for ${validated.party_size} is free at that time` };
+  }
+
+  const { table, combination } = seating;
+  const customer = await findOrCreateCustomer({
+    name: validated.customer_name,
+    phone: validated.phone,
+    email: validated.email
+  });
+
+  const result = await dbRun(
+    `INSERT INTO reservations
+     (restaurant_id, table_id, customer_name, phone, party_size, start_time, duration_minutes, status,
+      customer_id, email, combination_id, preferred_section_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, 'confirmed', ?, ?, ?, ?)`,
+    [
+      restaurant.id,
+      table.id,
+      validated.customer_name,
+      validated.phone,
+      validated.party_size,
+      validated.start_time,
+      validated.duration_minutes,
+      customer.id,
+      validated.email || null,
+      combination ? combination.id : null,
+      validated.section_id || null
+    ]
+  );
+  await queueReservationEventById('reservation.created', result.id);
+
+  return {
+    id: result.id,
+    table_id: table.id,
+    table_number: table.table_number,
+    combination_id: combination ? combination.id : null,
+    start_time: validated.start_time,
+    start_time_local: toZonedISOString(validated.start_time, timeZoneOf(restaurant))
+  };
+};
+
+// Shared by both imports: check access, read the upload and run it
+const handleImport = async (req, res, roles, columns, importRow) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, roles)) return;
+
+    const { dry_run: dryRun } = importQuerySchema.parse(req.query);
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [id]);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    const upload = readRows(req, columns);
+    if (upload.error) {
+      return res.status(400).json({ error: upload.error });
+    }
+
+    res.json(await runImport(restaurant, upload.rows, dryRun, importRow));
+  } catch (error) {
+    if (error instanceof CsvError) {
+      return res.status(400).json({ error: `We couldn't read the CSV: ${error.message}` });
+    }
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Import a restaurant's tables (managers)
+// CSV columns: table_number, capacity, is_vip, section_id
+const importTables = (req, res) => handleImport(req, res, MANAGER_ROLES, TABLE_COLUMNS, importTableRow);
+
+// Import a restaurant's upcoming bookings (staff)
+// CSV columns: customer_name, phone, email, party_size, start_time, duration_minutes,
+// and optionally table_number (or table_id), combination_id, section_id, vip
+const importReservations = (req, res) =>
+  handleImport(req, res, STAFF_ROLES, RESERVATION_COLUMNS, importReservationRow);
+
+module.exports = {
+  importTables,
+  importReservations
+};
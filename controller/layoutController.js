@@ -0,0 +1,322 @@
+const { dbRun, dbGet, dbAll, dbTransaction } = require('../db/db');
+const { z } = require('zod');
+const { findUpcomingReservations } = require('../services/bookingRules');
+const { loadCombinations, loadCombination, isBookable } = require('../services/combinations');
+const { MANAGER_ROLES, ensureRestaurantAccess } = require('../middleware/auth');
+
+// How the dining room is laid out: sections, and tables that can be pushed together
+// Anyone can look (guests pick a section or a combination when booking); managers make changes
+
+// Validation rules for a section of the dining room
+const sectionSchema = z.object({
+  name: z.string().trim().min(1, 'Please give the section a name').max(60, 'Keep the name to 60 characters'),
+  description: z.string().max(500, 'Keep the description to 500 characters').nullable().default(null),
+  is_outdoor: z.boolean().default(false),
+  // A room that can be closed off for a group
+  is_private: z.boolean().default(false),
+  // Step-free access
+  is_accessible: z.boolean().default(true)
+});
+
+// PATCH only sends what changes
+const patchSectionSchema = z.object({
+  name: sectionSchema.shape.name.optional(),
+  description: sectionSchema.shape.description.removeDefault().optional(),
+  is_outdoor: z.boolean().optional(),
+  is_private: z.boolean().optional(),
+  is_accessible: z.boolean().optional()
+});
+
+// Validation rules for a set of tables that can be pushed together
+// capacity defaults to the tables' seats added up - set it lower if joining them loses a seat or two
+const combinationSchema = z.object({
+  table_ids: z.array(z.number().int().positive('Need a valid table ID'))
+    .min(2, 'A combination needs at least 2 tables')
+    .max(8, 'A combination can join at most 8 tables')
+    .refine((ids) => new Set(ids).size === ids.length, 'Each table can only be listed once'),
+  name: z.string().trim().min(1, 'The name cannot be empty').max(60, 'Keep the name to 60 characters').optional(),
+  capacity: z.number().int().positive('Capacity must be at least 1 person').optional()
+});
+
+// A section as we hand it back, with the tables in it
+const describeSection = (section, tables) => ({
+  id: section.id,
+  restaurant_id: section.restaurant_id,
+  name: section.name,
+  description: section.description,
+  is_outdoor: Boolean(section.is_outdoor),
+  is_private: Boolean(section.is_private),
+  is_accessible: Boolean(section.is_accessible),
+  table_ids: tables.filter((table) => table.section_id === section.id).map((table) => table.id)
+});
+
+// A combination as we hand it back
+const describeCombination = (combination) => ({
+  id: combination.id,
+  restaurant_id: combination.restaurant_id,
+  name: combination.name,
+  capacity: combination.capacity,
+  table_ids: combination.tables.map((table) => table.id),
+  table_numbers: combination.tables.map((table) => table.table_number),
+  // false while any of its tables is out of service
+  is_bookable: isBookable(combination),
+  created_at: combination.created_at
+});
+
+const findRestaurant = (id) => dbGet('SELECT * FROM restaurants WHERE id = ?', [id]);
+
+const loadTables = (restaurantId) =>
+  dbAll('SELECT * FROM tables WHERE restaurant_id = ? ORDER BY table_number', [restaurantId]);
+
+// Sections are unique by name within a restaurant
+const nameTaken = async (restaurantId, name, exceptId = null) =>
+  Boolean(await dbGet(
+    'SELECT id FROM sections WHERE restaurant_id = ? AND name = ? COLLATE NOCASE AND (? IS NULL OR id != ?)',
+    [restaurantId, name, exceptId, exceptId]
+  ));
+
+// List a restaurant's sections
+const getSections = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const restaurant = await findRestaurant(id);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    const sections = await dbAll('SELECT * FROM sections WHERE restaurant_id = ? ORDER BY name', [id]);
+    const tables = await loadTables(id);
+
+    res.json(sections.map((section) => describeSection(section, tables)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Add a section; tables are put in it with their section_id
+const createSection = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const validated = sectionSchema.parse(req.body);
+
+    const restaurant = await findRestaurant(id);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    if (await nameTaken(restaurant.id, validated.name)) {
+      return res.status(409).json({ error: `There is already a section called ${validated.name}` });
+    }
+
+    const result = await dbRun(
+      `INSERT INTO sections (restaurant_id, name, description, is_outdoor, is_private, is_accessible)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        restaurant.id,
+        validated.name,
+        validated.description,
+        validated.is_outdoor ? 1 : 0,
+        validated.is_private ? 1 : 0,
+        validated.is_accessible ? 1 : 0
+      ]
+    );
+
+    const section = await dbGet('SELECT * FROM sections WHERE id = ?', [result.id]);
+    res.status(201).json(describeSection(section, []));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Rename or change a section's attributes
+const updateSection = async (req, res) => {
+  try {
+    const { id, section_id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const validated = patchSectionSchema.parse(req.body || {});
+
+    if (Object.keys(validated).length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to change. Send name, description, is_outdoor, is_private or is_accessible.'
+      });
+    }
+
+    const section = await dbGet(
+      'SELECT * FROM sections WHERE id = ? AND restaurant_id = ?',
+      [section_id, id]
+    );
+
+    if (!section) {
+      return res.status(404).json({ error: 'Section not found in this restaurant' });
+    }
+
+    const updated = {
+      name: validated.name ?? section.name,
+      description: validated.description !== undefined ? validated.description : section.description,
+      is_outdoor: validated.is_outdoor ?? Boolean(section.is_outdoor),
+      is_private: validated.is_private ?? Boolean(section.is_private),
+      is_accessible: validated.is_accessible ?? Boolean(section.is_accessible)
+    };
+
+    if (await nameTaken(section.restaurant_id, updated.name, section.id)) {
+      return res.status(409).json({ error: `There is already a section called ${updated.name}` });
+    }
+
+    await dbRun(
+      `UPDATE sections SET name = ?, description = ?, is_outdoor = ?, is_private = ?, is_accessible = ?
+       WHERE id = ?`,
+      [
+        updated.name,
+        updated.description,
+        updated.is_outdoor ? 1 : 0,
+        updated.is_private ? 1 : 0,
+        updated.is_accessible ? 1 : 0,
+        section.id
+      ]
+    );
+
+    const saved = await dbGet('SELECT * FROM sections WHERE id = ?', [section.id]);
+    res.json(describeSection(saved, await loadTables(section.restaurant_id)));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Remove a section - its tables stay, just no longer in a section
+// Bookings that asked for it keep their tables
+const deleteSection = async (req, res) => {
+  try {
+    const { id, section_id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const result = await dbRun(
+      'DELETE FROM sections WHERE id = ? AND restaurant_id = ?',
+      [section_id, id]
+    );
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Section not found in this restaurant' });
+    }
+
+    res.json({ message: 'Section deleted', id: Number(section_id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// List the tables that can be pushed together, smallest first
+const getCombinations = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const restaurant = await findRestaurant(id);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    res.json((await loadCombinations(restaurant.id)).map(describeCombination));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Say which tables can be pushed together and how many they seat as one
+const createCombination = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const validated = combinationSchema.parse(req.body);
+
+    const restaurant = await findRestaurant(id);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    // Every table has to be one of this restaurant's
+    const tables = (await loadTables(restaurant.id))
+      .filter((table) => validated.table_ids.includes(table.id));
+    if (tables.length !== validated.table_ids.length) {
+      return res.status(404).json({ error: 'Table not found in this restaurant' });
+    }
+
+    // The same tables joined twice would just be two names for one thing
+    const wanted = [...validated.table_ids].sort((a, b) => a - b).join(',');
+    const duplicate = (await loadCombinations(restaurant.id)).find((combination) =>
+      combination.tables.map((table) => table.id).sort((a, b) => a - b).join(',') === wanted);
+    if (duplicate) {
+      return res.status(409).json({ error: `Those tables are already combined as ${duplicate.name}` });
+    }
+
+    const name = validated.name ?? `Tables ${tables.map((table) => table.table_number).join(' + ')}`;
+    const capacity = validated.capacity ?? tables.reduce((sum, table) => sum + table.capacity, 0);
+
+    const combinationId = await dbTransaction(async () => {
+      const result = await dbRun(
+        'INSERT INTO table_combinations (restaurant_id, name, capacity) VALUES (?, ?, ?)',
+        [restaurant.id, name, capacity]
+      );
+      for (const table of tables) {
+        await dbRun(
+          'INSERT INTO table_combination_tables (combination_id, table_id) VALUES (?, ?)',
+          [result.id, table.id]
+        );
+      }
+      return result.id;
+    });
+
+    res.status(201).json(describeCombination(await loadCombination(restaurant.id, combinationId)));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Stop offering a combination - refused while it has upcoming bookings
+const deleteCombination = async (req, res) => {
+  try {
+    const { id, combination_id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const combination = await loadCombination(id, combination_id);
+    if (!combination) {
+      return res.status(404).json({ error: 'Table combination not found in this restaurant' });
+    }
+
+    const upcoming = await findUpcomingReservations({ combination_id: combination.id });
+    if (upcoming.length > 0) {
+      return res.status(409).json({
+        error: `${combination.name} has upcoming reservations. Move them before removing it.`,
+        reservation_ids: upcoming.map((reservation) => reservation.id)
+      });
+    }
+
+    await dbRun('DELETE FROM table_combinations WHERE id = ?', [combination.id]);
+
+    res.json({ message: 'Table combination deleted', id: combination.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getSections,
+  createSection,
+  updateSection,
+  deleteSection,
+  getCombinations,
+  createCombination,
+  deleteCombination
+};
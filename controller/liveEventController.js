@@ -0,0 +1,136 @@
+const { dbGet } = require('../db/db');
+const { z } = require('zod');
+const {
+  onLiveEvent,
+  liveEventsSince,
+  latestLiveEventId,
+  missedPrunedEvents
+} = require('../services/liveEvents');
+const { STAFF_ROLES, ensureRestaurantAccess } = require('../middleware/auth');
+
+// How long a dropped stream waits before reconnecting, and how often we send a keep-alive comment
+// (so proxies and load balancers don't close a quiet stream)
+const RECONNECT_MS = 3000;
+const HEARTBEAT_MS = 25000;
+
+// Events read from the database in one go while catching up
+const BATCH_SIZE = 500;
+
+// Where to pick up from - the Last-Event-ID header browsers send on reconnect wins,
+// ?last_event_id= is for the first connection of a client that kept its place
+const resumeSchema = z.object({
+  last_event_id: z.coerce.number().int().min(0, 'last_event_id must be a whole number, 0 or more').optional()
+});
+
+// One event in Server-Sent Events format
+const formatEvent = (row) => {
+  const payload = {
+    id: row.id,
+    type: row.event,
+    created_at: row.created_at,
+    restaurant_id: row.restaurant_id,
+    data: JSON.parse(row.data)
+  };
+  return `id: ${row.id}\nevent: ${row.event}\ndata: ${JSON.stringify(payload)}\n\n`;
+};
+
+// Stream a restaurant's reservation and table changes as they happen (text/event-stream)
+// Reconnecting with Last-Event-ID replays whatever was missed in between
+const streamRestaurantEvents = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, STAFF_ROLES)) return;
+
+    const resume = resumeSchema.parse({
+      last_event_id: req.get('last-event-id') ?? req.query.last_event_id
+    });
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [id]);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    // A new stream starts from now; a resumed one from where it left off
+    const resuming = resume.last_event_id !== undefined;
+    let lastId = resuming ? resume.last_event_id : await latestLiveEventId();
+    const gap = resuming ? await missedPrunedEvents(lastId) : false;
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+    // Too far behind to replay - the client should reload everything (e.g. GET /floor) and carry on
+    if (gap) {
+      res.write(`event: reset\ndata: ${JSON.stringify({ reason: 'Missed events are no longer available' })}\n\n`);
+    }
+
+    let closed = false;
+    let sending = false;
+    let sendAgain = false;
+
+    // Write out everything newer than lastId
+    // Wake-ups that arrive mid-send are remembered and handled in the next pass
+    const sendNewEvents = async () => {
+      if (sending) {
+        sendAgain = true;
+        return;
+      }
+      sending = true;
+
+      try {
+        do {
+          sendAgain = false;
+          const rows = await liveEventsSince(restaurant.id, lastId, BATCH_SIZE);
+          for (const row of rows) {
+            if (closed) return;
+            res.write(formatEvent(row));
+            lastId = row.id;
+          }
+          if (rows.length === BATCH_SIZE) sendAgain = true;
+        } while (sendAgain && !closed);
+      } catch (error) {
+        console.error('Live event stream error:', error.message);
+        res.end();
+      } finally {
+        sending = false;
+      }
+    };
+
+    const stopListening = onLiveEvent((restaurantId) => {
+      if (restaurantId === restaurant.id) {
+        sendNewEvents();
+      }
+    });
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+    heartbeat.unref();
+
+    // The tablet went away (or the response ended) - stop pushing to it
+    res.on('close', () => {
+      closed = true;
+      stopListening();
+      clearInterval(heartbeat);
+    });
+
+    // Catch up on anything missed while disconnected
+    await sendNewEvents();
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    if (res.headersSent) {
+      console.error('Live event stream error:', error.message);
+      return res.end();
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  streamRestaurantEvents
+};
@@ -0,0 +1,152 @@
+const { dbRun, dbGet, dbAll } = require('../db/db');
+const { z } = require('zod');
+const {
+  NOTIFICATION_KINDS,
+  NOTIFICATION_CHANNELS,
+  TEMPLATE_PLACEHOLDERS,
+  findTemplate,
+  unknownPlaceholders
+} = require('../services/notifications');
+const { MANAGER_ROLES, ensureRestaurantAccess, ensureReservationAccess } = require('../middleware/auth');
+
+// Validation rules for a restaurant's own wording
+// SMS has no subject; email needs one
+const templateSchema = z.object({
+  subject: z.string().min(1, 'The subject cannot be empty').max(200).optional(),
+  body: z.string().min(1, 'Please provide the message text').max(2000, 'Keep the message under 2000 characters')
+});
+
+const placeholderHint = `Templates can use: ${TEMPLATE_PLACEHOLDERS.map((name) => `{{${name}}}`).join(', ')}`;
+
+// Check :kind and :channel in the URL - sends a 404 and returns false if either is unknown
+const ensureTemplateParams = (req, res) => {
+  const { kind, channel } = req.params;
+  if (!NOTIFICATION_KINDS.includes(kind) || !NOTIFICATION_CHANNELS.includes(channel)) {
+    res.status(404).json({
+      error: `No such template. Kinds are ${NOTIFICATION_KINDS.join(', ')}; channels are ${NOTIFICATION_CHANNELS.join(', ')}.`
+    });
+    return false;
+  }
+  return true;
+};
+
+const findRestaurant = (id) =>
+  dbGet('SELECT * FROM restaurants WHERE id = ?', [id]);
+
+// Every template the restaurant sends, custom or built-in, plus the reminder setting
+const getTemplates = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const restaurant = await findRestaurant(id);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    const templates = [];
+    for (const kind of NOTIFICATION_KINDS) {
+      for (const channel of NOTIFICATION_CHANNELS) {
+        templates.push({ kind, channel, ...(await findTemplate(restaurant.id, kind, channel)) });
+      }
+    }
+
+    res.json({
+      reminder_hours_before: restaurant.reminder_hours_before,
+      placeholders: TEMPLATE_PLACEHOLDERS,
+      templates
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Set the restaurant's own wording for one kind of message on one channel
+const setTemplate = async (req, res) => {
+  try {
+    const { id, kind, channel } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+    if (!ensureTemplateParams(req, res)) return;
+
+    const validated = templateSchema.parse(req.body);
+
+    if (channel === 'email' && !validated.subject) {
+      return res.status(400).json({ errors: { subject: ['Email templates need a subject'] } });
+    }
+
+    const unknown = unknownPlaceholders(`${validated.subject || ''} ${validated.body}`);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Unknown placeholder(s): ${unknown.join(', ')}. ${placeholderHint}`
+      });
+    }
+
+    if (!(await findRestaurant(id))) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    await dbRun(
+      `INSERT INTO notification_templates (restaurant_id, kind, channel, subject, body)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (restaurant_id, kind, channel)
+       DO UPDATE SET subject = excluded.subject, body = excluded.body, updated_at = datetime('now')`,
+      [id, kind, channel, channel === 'email' ? validated.subject : null, validated.body]
+    );
+
+    res.json({ kind, channel, ...(await findTemplate(id, kind, channel)) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Go back to the built-in wording
+const resetTemplate = async (req, res) => {
+  try {
+    const { id, kind, channel } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+    if (!ensureTemplateParams(req, res)) return;
+
+    await dbRun(
+      'DELETE FROM notification_templates WHERE restaurant_id = ? AND kind = ? AND channel = ?',
+      [id, kind, channel]
+    );
+
+    res.json({ kind, channel, ...(await findTemplate(id, kind, channel)) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// What the guest has been sent about a reservation (and what's still queued)
+const getReservationNotifications = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const reservation = await dbGet('SELECT * FROM reservations WHERE id = ?', [id]);
+    if (!reservation) {
+      return res.status(404).json({ error: 'Reservation not found' });
+    }
+
+    // Staff at the restaurant, or the guest holding the reservation token
+    if (!ensureReservationAccess(req, res, reservation)) return;
+
+    const notifications = await dbAll(
+      'SELECT * FROM notifications WHERE reservation_id = ? ORDER BY id',
+      [reservation.id]
+    );
+
+    res.json(notifications);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getTemplates,
+  setTemplate,
+  resetTemplate,
+  getReservationNotifications
+};
@@ -0,0 +1,206 @@
+const { dbRun, dbGet, dbAll } = require('../db/db');
+const { z } = require('zod');
+const { getShiftsForDate } = require('../services/openingHours');
+const { MANAGER_ROLES, ensureRestaurantAccess } = require('../middleware/auth');
+
+const timeOfDay = (label) =>
+  z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, `${label} should be HH:MM (like 18:00)`);
+
+// One service in the weekly calendar - close_time before open_time means it runs past midnight
+const weeklyRuleSchema = z.object({
+  weekday: z.number().int().min(0).max(6, 'Weekday must be 0 (Sunday) to 6 (Saturday)'),
+  open_time: timeOfDay('Opening time'),
+  close_time: timeOfDay('Closing time')
+}).refine((rule) => rule.open_time !== rule.close_time, {
+  message: 'Opening and closing time cannot be the same',
+  path: ['close_time']
+});
+
+// Replacing the weekly calendar - an empty list falls back to the restaurant's default hours
+const weeklyHoursSchema = z.object({
+  rules: z.array(weeklyRuleSchema)
+});
+
+// A date override: either closed all day, or one service with its own hours
+// Post several for the same date to get split shifts on that day
+const exceptionSchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format (e.g., 2026-12-25)'),
+  closed: z.boolean().default(false),
+  open_time: timeOfDay('Opening time').optional(),
+  close_time: timeOfDay('Closing time').optional(),
+  reason: z.string().optional()
+}).refine((exception) => exception.closed || (exception.open_time && exception.close_time), {
+  message: 'Give both open_time and close_time, or set closed to true',
+  path: ['open_time']
+});
+
+const findRestaurant = (id) =>
+  dbGet('SELECT * FROM restaurants WHERE id = ?', [id]);
+
+// Get the full opening-hours calendar: weekly rules plus any date exceptions
+const getOpeningHours = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const restaurant = await findRestaurant(id);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    const weekly = await dbAll(
+      'SELECT * FROM opening_hours WHERE restaurant_id = ? ORDER BY weekday, open_time',
+      [id]
+    );
+    const exceptions = await dbAll(
+      'SELECT * FROM opening_hour_exceptions WHERE restaurant_id = ? ORDER BY date, open_time',
+      [id]
+    );
+
+    res.json({
+      // What applies on days without weekly rules configured
+      default_hours: { open_time: restaurant.opening_time, close_time: restaurant.closing_time },
+      weekly,
+      exceptions
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Replace the weekly calendar in one go
+// Days left out are closed; an empty list goes back to the default hours every day
+const setWeeklyHours = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const validated = weeklyHoursSchema.parse(req.body);
+
+    const restaurant = await findRestaurant(id);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    await dbRun('DELETE FROM opening_hours WHERE restaurant_id = ?', [id]);
+    for (const rule of validated.rules) {
+      await dbRun(
+        'INSERT INTO opening_hours (restaurant_id, weekday, open_time, close_time) VALUES (?, ?, ?, ?)',
+        [id, rule.weekday, rule.open_time, rule.close_time]
+      );
+    }
+
+    const weekly = await dbAll(
+      'SELECT * FROM opening_hours WHERE restaurant_id = ? ORDER BY weekday, open_time',
+      [id]
+    );
+
+    res.json({ weekly });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Add a date exception, such as a holiday closure or special event hours
+const addException = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const validated = exceptionSchema.parse(req.body);
+
+    const restaurant = await findRestaurant(id);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    const result = await dbRun(
+      `INSERT INTO opening_hour_exceptions (restaurant_id, date, closed, open_time, close_time, reason)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        id,
+        validated.date,
+        validated.closed ? 1 : 0,
+        validated.closed ? null : validated.open_time,
+        validated.closed ? null : validated.close_time,
+        validated.reason || null
+      ]
+    );
+
+    const exception = await dbGet(
+      'SELECT * FROM opening_hour_exceptions WHERE id = ?',
+      [result.id]
+    );
+
+    res.status(201).json(exception);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Remove a date exception so the weekly rules apply again
+const removeException = async (req, res) => {
+  try {
+    const { id, exception_id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const result = await dbRun(
+      'DELETE FROM opening_hour_exceptions WHERE id = ? AND restaurant_id = ?',
+      [exception_id, id]
+    );
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Exception not found' });
+    }
+
+    res.json({ message: 'Exception removed', id: Number(exception_id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Show the services that actually apply on one date, after exceptions are taken into account
+const getHoursForDate = async (req, res) => {
+  try {
+    const { id, date } = req.params;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        error: 'Date must be in YYYY-MM-DD format (e.g., 2026-01-10)'
+      });
+    }
+
+    const restaurant = await findRestaurant(id);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    const shifts = await getShiftsForDate(restaurant, date);
+
+    res.json({
+      date,
+      closed: shifts.length === 0,
+      shifts: shifts.map((shift) => ({
+        open_time: shift.open_time,
+        close_time: shift.close_time,
+        opens_at: shift.opens_at.toISOString(),
+        closes_at: shift.closes_at.toISOString()
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getOpeningHours,
+  setWeeklyHours,
+  addException,
+  removeException,
+  getHoursForDate
+};
@@ -0,0 +1,161 @@
+const { dbRun, dbGet, dbAll, dbTransaction } = require('../db/db');
+const { z } = require('zod');
+const { PACING_WINDOWS } = require('../services/pacing');
+const { MANAGER_ROLES, ensureRestaurantAccess } = require('../middleware/auth');
+
+// Pacing is set by managers - it's about what the kitchen can handle, not who sits where
+
+// A limit is a whole number, or null for no limit
+const limitSchema = (what) =>
+  z.number().int().min(1, `${what} must be at least 1 (or null for no limit)`).nullable().default(null);
+
+// Validation rules for a set of pacing limits
+// e.g. at most 20 guests arriving per 15 minutes, and 120 per service
+const pacingLimitsSchema = z.object({
+  window_minutes: z.number().int()
+    .refine((minutes) => PACING_WINDOWS.includes(minutes), {
+      message: `window_minutes must be one of ${PACING_WINDOWS.join(', ')}`
+    })
+    .default(15),
+  max_reservations_per_window: limitSchema('max_reservations_per_window'),
+  max_covers_per_window: limitSchema('max_covers_per_window'),
+  max_covers_per_service: limitSchema('max_covers_per_service')
+});
+
+// The date an override is for, from the URL
+const overrideParamsSchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format (e.g., 2026-12-24)')
+});
+
+// A limits row as we hand it back
+const describeLimits = ({ id, restaurant_id, date, ...limits }) => limits;
+
+// Save a set of limits: date null for every day, or a YYYY-MM-DD override
+const saveLimits = (restaurantId, date, limits) =>
+  dbTransaction(async () => {
+    await dbRun(
+      'DELETE FROM pacing_limits WHERE restaurant_id = ? AND date IS ?',
+      [restaurantId, date]
+    );
+    await dbRun(
+      `INSERT INTO pacing_limits
+       (restaurant_id, date, window_minutes, max_reservations_per_window, max_covers_per_window, max_covers_per_service)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        restaurantId,
+        date,
+        limits.window_minutes,
+        limits.max_reservations_per_window,
+        limits.max_covers_per_window,
+        limits.max_covers_per_service
+      ]
+    );
+  });
+
+// The everyday limits and every date override
+const getPacing = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [id]);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    const rows = await dbAll(
+      'SELECT * FROM pacing_limits WHERE restaurant_id = ? ORDER BY date',
+      [id]
+    );
+    const everyday = rows.find((row) => row.date === null);
+
+    res.json({
+      limits: everyday ? describeLimits(everyday) : null,
+      overrides: rows
+        .filter((row) => row.date !== null)
+        .map((row) => ({ date: row.date, ...describeLimits(row) }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Replace the limits that apply every day (unless a date has its own)
+// Limits left out (or null) aren't limited
+const setPacing = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const validated = pacingLimitsSchema.parse(req.body);
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [id]);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    await saveLimits(restaurant.id, null, validated);
+
+    res.json({ limits: validated });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Different limits for one date (a holiday, a private event, a short-staffed night)
+// They replace the everyday limits on that date completely; all null lifts pacing for the day
+// Bookings already made are kept even if they go over the new limits
+const setPacingOverride = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const { date } = overrideParamsSchema.parse(req.params);
+    const validated = pacingLimitsSchema.parse(req.body);
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [id]);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    await saveLimits(restaurant.id, date, validated);
+
+    res.json({ date, ...validated });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Drop a date override so the everyday limits apply again
+const removePacingOverride = async (req, res) => {
+  try {
+    const { id, date } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const result = await dbRun(
+      'DELETE FROM pacing_limits WHERE restaurant_id = ? AND date = ?',
+      [id, date]
+    );
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'No pacing override for that date' });
+    }
+
+    res.json({ message: 'Pacing override removed', date });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getPacing,
+  setPacing,
+  setPacingOverride,
+  removePacingOverride
+};
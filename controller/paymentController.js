@@ -0,0 +1,175 @@
+const { dbRun, dbGet, dbAll, dbTransaction } = require('../db/db');
+const { z } = require('zod');
+const {
+  getPaymentProvider,
+  paymentProviderProblem,
+  loadDepositRules,
+  applyPaymentResult
+} = require('../services/deposits');
+const { MANAGER_ROLES, ensureRestaurantAccess, ensureReservationAccess } = require('../middleware/auth');
+
+// One deposit rule - every condition left out matches any booking
+// e.g. { min_party_size: 6, amount_per_cover_cents: 1000 } = $10 a head for parties of 6+
+const depositRuleSchema = z.object({
+  min_party_size: z.number().int().min(1, 'Party size must be at least 1').optional(),
+  weekdays: z.array(z.number().int().min(0).max(6, 'Weekday must be 0 (Sunday) to 6 (Saturday)'))
+    .min(1, 'List at least one weekday, or leave weekdays out')
+    .optional(),
+  from_time: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'from_time should be HH:MM (like 19:00)').optional(),
+  amount_per_cover_cents: z.number().int().min(1, 'The deposit must be at least 1 cent per cover')
+});
+
+// Validation rules for a restaurant's deposit and cancellation policy
+// free_cancellation_hours: null means cancelling is always free
+const depositPolicySchema = z.object({
+  currency: z.string().regex(/^[A-Za-z]{3}$/, 'Currency should be a 3-letter code like USD')
+    .transform((code) => code.toUpperCase())
+    .optional(),
+  free_cancellation_hours: z.number().int().min(0, 'Hours cannot be negative').nullable().optional(),
+  late_cancellation_fee_cents: z.number().int().min(0, 'The fee cannot be negative').optional(),
+  rules: z.array(depositRuleSchema).max(20, 'Keep it to 20 rules or fewer')
+});
+
+// The policy as we hand it back: the restaurant's settings plus its rules
+const describePolicy = async (restaurant) => ({
+  currency: restaurant.currency,
+  free_cancellation_hours: restaurant.free_cancellation_hours,
+  late_cancellation_fee_cents: restaurant.late_cancellation_fee_cents,
+  rules: (await loadDepositRules(restaurant.id)).map(({ restaurant_id, ...rule }) => rule)
+});
+
+// When a deposit is needed and what cancelling late costs
+const getDepositPolicy = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [id]);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    res.json(await describePolicy(restaurant));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Replace the deposit rules (send rules: [] for no deposits) and the cancellation settings
+// Bookings already made keep the deposit they were asked for
+const setDepositPolicy = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const validated = depositPolicySchema.parse(req.body);
+
+    // Rules nobody could pay would leave those bookings unbookable
+    if (validated.rules.length > 0 && paymentProviderProblem()) {
+      return res.status(409).json({
+        error: `Deposits can't be taken until a payment provider is set up: ${paymentProviderProblem()}`
+      });
+    }
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [id]);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    // Settings left out stay as they were
+    const settings = {
+      currency: validated.currency ?? restaurant.currency,
+      free_cancellation_hours: validated.free_cancellation_hours !== undefined
+        ? validated.free_cancellation_hours
+        : restaurant.free_cancellation_hours,
+      late_cancellation_fee_cents: validated.late_cancellation_fee_cents ?? restaurant.late_cancellation_fee_cents
+    };
+
+    await dbTransaction(async () => {
+      await dbRun(
+        'UPDATE restaurants SET currency = ?, free_cancellation_hours = ?, late_cancellation_fee_cents = ? WHERE id = ?',
+        [settings.currency, settings.free_cancellation_hours, settings.late_cancellation_fee_cents, id]
+      );
+
+      await dbRun('DELETE FROM deposit_rules WHERE restaurant_id = ?', [id]);
+      for (const rule of validated.rules) {
+        await dbRun(
+          `INSERT INTO deposit_rules (restaurant_id, min_party_size, weekdays, from_time, amount_per_cover_cents)
+           VALUES (?, ?, ?, ?, ?)`,
+          [
+            id,
+            rule.min_party_size ?? null,
+            rule.weekdays ? [...new Set(rule.weekdays)].sort().join(',') : null,
+            rule.from_time ?? null,
+            rule.amount_per_cover_cents
+          ]
+        );
+      }
+    });
+
+    res.json(await describePolicy({ ...restaurant, ...settings }));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// The payment provider tells us a deposit was paid (or wasn't)
+// No API key here - the provider's signature is what proves the call is genuine
+const paymentCallback = async (req, res) => {
+  try {
+    let result;
+    try {
+      result = await getPaymentProvider().parseCallback(req);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // An event we don't act on - acknowledge it so the provider stops sending it
+    if (!result) {
+      return res.json({ received: true, ignored: true });
+    }
+
+    const payment = await applyPaymentResult(result);
+    if (!payment) {
+      return res.status(404).json({ error: 'No deposit with that reference' });
+    }
+
+    res.json({ received: true, payment_id: payment.id, status: payment.status });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Deposits taken (or asked for) on a reservation, and what was refunded
+const getReservationPayments = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const reservation = await dbGet('SELECT * FROM reservations WHERE id = ?', [id]);
+    if (!reservation) {
+      return res.status(404).json({ error: 'Reservation not found' });
+    }
+
+    // Staff at the restaurant, or the guest holding the reservation token
+    if (!ensureReservationAccess(req, res, reservation)) return;
+
+    const payments = await dbAll(
+      'SELECT * FROM payments WHERE reservation_id = ? ORDER BY id',
+      [reservation.id]
+    );
+
+    res.json(payments);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getDepositPolicy,
+  setDepositPolicy,
+  paymentCallback,
+  getReservationPayments
+};
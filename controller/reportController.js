@@ -0,0 +1,77 @@
+const { dbGet } = require('../db/db');
+const { z } = require('zod');
+const { REPORT_GROUPINGS, MAX_REPORT_DAYS, REPORTS } = require('../services/reports');
+const { sendCsv } = require('../services/csv');
+const { timeZoneOf, addDays } = require('../services/timezone');
+const { MANAGER_ROLES, ensureRestaurantAccess } = require('../middleware/auth');
+
+// Reports for managers: covers, utilisation, cancellations and no-shows, and booking lead time
+// See services/reports.js for what each one counts
+
+// Date range, grouping and format for a report
+const reportQuerySchema = z.object({
+  from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'from must be a date in YYYY-MM-DD format'),
+  to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'to must be a date in YYYY-MM-DD format'),
+  group_by: z.enum(REPORT_GROUPINGS, `group_by must be one of: ${REPORT_GROUPINGS.join(', ')}`).default('day'),
+  format: z.enum(['json', 'csv'], 'format must be json or csv').default('json')
+}).refine((query) => query.to >= query.from, {
+  message: 'to must be on or after from',
+  path: ['to']
+}).refine((query) => addDays(query.from, MAX_REPORT_DAYS - 1) >= query.to, {
+  message: `A report covers at most ${MAX_REPORT_DAYS} days at a time`,
+  path: ['to']
+});
+
+// Run one of the reports for a restaurant, as JSON or a CSV download
+// The CSV has a row per period and a last row with the totals
+const getReport = async (req, res) => {
+  try {
+    const { id, report: name } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const report = Object.hasOwn(REPORTS, name) ? REPORTS[name] : null;
+    if (!report) {
+      return res.status(404).json({
+        error: `There's no ${name} report. Try one of: ${Object.keys(REPORTS).join(', ')}`
+      });
+    }
+
+    const validated = reportQuerySchema.parse(req.query);
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [id]);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    const { rows, totals } = await report.build(restaurant, validated);
+
+    if (validated.format === 'csv') {
+      return sendCsv(
+        res,
+        `${name}-${validated.from}-to-${validated.to}.csv`,
+        report.columns,
+        [...rows, { period: 'total', ...totals }]
+      );
+    }
+
+    res.json({
+      report: name,
+      restaurant_id: restaurant.id,
+      timezone: timeZoneOf(restaurant),
+      from: validated.from,
+      to: validated.to,
+      group_by: validated.group_by,
+      rows,
+      totals
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getReport
+};
@@ -1,69 +1,172 @@
-const { dbRun, dbGet, dbAll } = require('../db/db');
+const { dbRun, dbGet, dbAll, dbTransaction } = require('../db/db');
 const { z } = require('zod');
+const { isWithinOperatingHours, describeOpeningHours } = require('../services/openingHours');
+const { claimTables, checkPickedTables, suggestAlternatives } = require('../services/tableAssignment');
+const { queueReservationEventById } = require('../services/webhooks');
+const { queueNotificationById } = require('../services/notifications');
+const {
+  depositFor,
+  openDeposit,
+  paymentProviderProblem,
+  requestCheckout,
+  settleRefund
+} = require('../services/deposits');
+const { findCustomer, findOrCreateCustomer, countNoShows, normalizePhone } = require('../services/customers');
+const { paginationShape, sortParam, orderBy, listOf, sendPage } = require('../services/pagination');
+const { sendCsv } = require('../services/csv');
+const { findOpenSlots, summarizeDays, DEFAULT_SLOT_INTERVAL } = require('../services/availability');
+const { defaultDurationFor } = require('../services/seatingTimes');
+const { changeReservation, cancelBooking } = require('../services/reservationChanges');
+const { timeZoneOf, toZonedISOString, zonedTimeToUtc, addDays, dayBounds } = require('../services/timezone');
+const { STATUSES, MODIFIABLE_STATUSES, canTransition } = require('../services/reservationStatus');
+const {
+  STAFF_ROLES,
+  hashSecret,
+  generateSecret,
+  withoutSecrets,
+  hasRestaurantAccess,
+  ensureRestaurantAccess,
+  ensureReservationAccess
+} = require('../middleware/auth');
 
 // Validation rules for creating a reservation
 // Ensures all required fields are present and in the correct format
 const createReservationSchema = z.object({
   restaurant_id: z.number().int().positive('Need a valid restaurant ID'),
-  table_id: z.number().int().positive('Need a valid table ID'),
+  // Optional - leave it out and we'll pick the best free table for the party
+  table_id: z.number().int().positive('Need a valid table ID').optional(),
+  // Or book tables that are pushed together, as one
+  combination_id: z.number().int().positive('Need a valid combination ID').optional(),
+  // Optional - the section the guest would like to sit in (patio, bar, ...) when we pick the table
+  section_id: z.number().int().positive('Need a valid section ID').optional(),
   customer_name: z.string().min(1, 'Please provide the customer name'),
   phone: z.string().regex(/^\d{10,}$/, 'Phone number needs to be at least 10 digits'),
+  // Optional - helps match the booking to the guest's profile
+  email: z.string().email('Please provide a valid email address').optional(),
   party_size: z.number().int().positive('Party size must be at least 1 person'),
   start_time: z.string().datetime('Please use ISO 8601 format for the time (e.g., 2026-01-10T19:00:00Z)'),
-  duration_minutes: z.number().int().positive().min(15, 'Reservations need to be at least 15 minutes long')
+  // Optional - defaults to the restaurant's usual visit length for the party size
+  duration_minutes: z.number().int().positive().min(15, 'Reservations need to be at least 15 minutes long').optional(),
+  // VIP bookings may be seated at tables the restaurant holds back for VIPs - staff only
+  vip: z.boolean().optional()
+}).refine((booking) => !(booking.table_id && booking.combination_id), {
+  message: 'Send a table_id or a combination_id, not both',
+  path: ['combination_id']
 });
 
-// Check if a reservation time falls within restaurant's operating hours
-// Returns true if the entire reservation fits within opening and closing times
-const isWithinOperatingHours = (restaurant, startTime, endTime) => {
-  const start = new Date(startTime);
-  const end = new Date(endTime);
-  
-  // Extract hours and minutes from the dates
-  const startHour = start.getHours().toString().padStart(2, '0');
-  const startMinute = start.getMinutes().toString().padStart(2, '0');
-  const startTimeStr = `${startHour}:${startMinute}`;
-  
-  const endHour = end.getHours().toString().padStart(2, '0');
-  const endMinute = end.getMinutes().toString().padStart(2, '0');
-  const endTimeStr = `${endHour}:${endMinute}`;
-  
-  // Compare times as strings (HH:MM can be compared lexicographically)
-  const startsAfterOpening = startTimeStr >= restaurant.opening_time;
-  const endsBeforeClosing = endTimeStr <= restaurant.closing_time;
-  
-  return startsAfterOpening && endsBeforeClosing;
+// Validation rules for changing an existing reservation
+// Everything is optional - only what's sent gets changed
+const updateReservationSchema = z.object({
+  table_id: z.number().int().positive('Need a valid table ID').optional(),
+  party_size: z.number().int().positive('Party size must be at least 1 person').optional(),
+  start_time: z.string().datetime('Please use ISO 8601 format for the time (e.g., 2026-01-10T19:00:00Z)').optional(),
+  duration_minutes: z.number().int().positive().min(15, 'Reservations need to be at least 15 minutes long').optional()
+});
+
+// Options when cancelling - staff can let a guest off a late-cancellation fee
+const cancelReservationSchema = z.object({
+  waive_fee: z.boolean().default(false)
+});
+
+// Query options for the availability search - everything after party_size is optional
+const availabilityQuerySchema = z.object({
+  restaurant_id: z.coerce.number().int().positive('Need a valid restaurant ID'),
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format (e.g., 2026-01-10)'),
+  party_size: z.coerce.number().int().positive('Party size must be at least 1 person'),
+  // Defaults to the restaurant's usual visit length for the party size
+  duration_minutes: z.coerce.number().int()
+    .min(15, 'Reservations need to be at least 15 minutes long')
+    .max(720, 'Reservations can be at most 12 hours long')
+    .optional(),
+  slot_interval: z.coerce.number().int()
+    .min(5, 'Slot interval must be at least 5 minutes')
+    .max(240, 'Slot interval can be at most 240 minutes')
+    .default(DEFAULT_SLOT_INTERVAL),
+  from: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'from should be HH:MM (like 18:00)').optional(),
+  to: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'to should be HH:MM (like 21:00)').optional(),
+  // Only tables (and combinations) in this section
+  section_id: z.coerce.number().int().positive('Need a valid section ID').optional(),
+  // Searching for a VIP also counts the tables a reserve_vip restaurant holds back - staff only
+  vip: z.enum(['true', 'false'], 'vip must be true or false').default('false')
+    .transform((value) => value === 'true')
+});
+
+// Query options for the month-view calendar - a date range instead of a single date
+const MAX_CALENDAR_DAYS = 62;
+const calendarQuerySchema = z.object({
+  from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'from must be a date in YYYY-MM-DD format'),
+  to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'to must be a date in YYYY-MM-DD format'),
+  party_size: availabilityQuerySchema.shape.party_size,
+  duration_minutes: availabilityQuerySchema.shape.duration_minutes,
+  slot_interval: availabilityQuerySchema.shape.slot_interval,
+  section_id: availabilityQuerySchema.shape.section_id,
+  vip: availabilityQuerySchema.shape.vip
+}).refine((query) => query.to >= query.from, {
+  message: 'to must be on or after from',
+  path: ['to']
+}).refine((query) => addDays(query.from, MAX_CALENDAR_DAYS - 1) >= query.to, {
+  message: `The calendar covers at most ${MAX_CALENDAR_DAYS} days at a time`,
+  path: ['to']
+});
+
+// Filters, sorting and paging for reservation lists
+const RESERVATION_SORTS = {
+  start_time: 'datetime(r.start_time)',
+  created_at: 'r.created_at',
+  party_size: 'r.party_size',
+  table_number: 't.table_number',
+  customer_name: 'r.customer_name'
 };
+const reservationListSchema = z.object({
+  from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'from must be a date in YYYY-MM-DD format').optional(),
+  to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'to must be a date in YYYY-MM-DD format').optional(),
+  status: listOf(STATUSES, 'status').optional(),
+  table_id: z.coerce.number().int().positive('Need a valid table ID').optional(),
+  min_party_size: z.coerce.number().int().positive('min_party_size must be at least 1').optional(),
+  max_party_size: z.coerce.number().int().positive('max_party_size must be at least 1').optional(),
+  phone: z.string().optional(),
+  customer_id: z.coerce.number().int().positive('Need a valid customer ID').optional(),
+  sort: sortParam(RESERVATION_SORTS, 'start_time'),
+  // csv downloads the same page as a spreadsheet
+  format: z.enum(['json', 'csv'], 'format must be json or csv').default('json'),
+  ...paginationShape
+}).refine((query) => !query.from || !query.to || query.to >= query.from, {
+  message: 'to must be on or after from',
+  path: ['to']
+});
 
-// Check if a table is already booked for the requested time slot
-// Prevents double-booking by finding any overlapping active reservations
-const checkForOverlaps = async (table_id, start_time, duration_minutes) => {
-  const startDate = new Date(start_time);
-  const endDate = new Date(startDate.getTime() + duration_minutes * 60000);
-  
-  // Look for any active reservations that overlap with our requested time
-  // We check both 'confirmed' and 'pending' reservations to be safe
-  const overlapping = await dbAll(
-    `SELECT * FROM reservations 
-     WHERE table_id = ? 
-     AND status IN ('confirmed', 'pending')
-     AND (
-       (datetime(start_time) < datetime(?) AND datetime(datetime(start_time), '+' || duration_minutes || ' minutes') > datetime(?))
-       OR (datetime(start_time) = datetime(?))
-     )`,
-    [table_id, endDate.toISOString(), startDate.toISOString(), startDate.toISOString()]
-  );
-  
-  // Returns true if any overlapping reservations exist
-  return overlapping.length > 0;
+// How each status change reads in an error message ("Can't seat a reservation that is cancelled")
+const TRANSITION_VERBS = {
+  confirmed: 'confirm',
+  seated: 'seat',
+  completed: 'complete',
+  no_show: 'mark as no-show',
+  cancelled: 'cancel'
 };
 
+// Short summary of a waitlist promotion for API responses
+const describePromotion = (promotion) =>
+  promotion
+    ? { waitlist_id: promotion.waitlist_id, reservation_id: promotion.reservation.id }
+    : null;
+
 // Create a new reservation - with comprehensive validation
 // This is the main endpoint customers use to book tables
 const createReservation = async (req, res) => {
   try {
     const validated = createReservationSchema.parse(req.body);
     
+    // Guests can book anywhere; staff keys only work for their own restaurants
+    if (req.auth.role !== 'guest' &&
+        !ensureRestaurantAccess(req, res, validated.restaurant_id, STAFF_ROLES)) {
+      return;
+    }
+    
+    // Only staff can say who's a VIP - otherwise anyone could take the tables held back for them
+    if (validated.vip && req.auth.role === 'guest') {
+      return res.status(403).json({ error: 'Only restaurant staff can make VIP bookings' });
+    }
+    
     // Step 1: Verify the restaurant exists
     const restaurant = await dbGet(
       'SELECT * FROM restaurants WHERE id = ?',
@@ -74,22 +177,42 @@ const createReservation = async (req, res) => {
       return res.status(404).json({ error: 'Restaurant not found' });
     }
     
-    // Step 2: Verify the table exists AND belongs to this restaurant
-    // (Someone could try to book a table from another restaurant)
-    const table = await dbGet(
-      'SELECT * FROM tables WHERE id = ? AND restaurant_id = ?',
-      [validated.table_id, validated.restaurant_id]
-    );
+    // No length given - use the restaurant's usual one for a party this size
+    validated.duration_minutes ??= await defaultDurationFor(restaurant, validated.party_size);
     
-    if (!table) {
-      return res.status(404).json({ error: 'Table not found in this restaurant' });
+    // Guests who keep not turning up get flagged, or blocked from booking online,
+    // depending on the restaurant's policy. Staff can still book them over the phone.
+    let repeatNoShow = false;
+    if (restaurant.no_show_policy !== 'off') {
+      const knownCustomer = await findCustomer(validated);
+      const noShows = knownCustomer ? await countNoShows(knownCustomer.id, restaurant.id) : 0;
+      repeatNoShow = noShows >= restaurant.no_show_threshold;
+      
+      if (repeatNoShow && restaurant.no_show_policy === 'block' && req.auth.role === 'guest') {
+        return res.status(403).json({
+          error: "Sorry, we can't take an online booking for you after several missed reservations. Please call the restaurant."
+        });
+      }
     }
     
-    // Step 3: Ensure the party size fits the table
-    if (validated.party_size > table.capacity) {
-      return res.status(400).json({ 
-        error: `Sorry, this table seats ${table.capacity} people but you need space for ${validated.party_size}` 
-      });
+    // Steps 2 and 3: A table or combination the guest picked has to belong to this restaurant
+    // (someone could try to book a table from another one), be in service and fit the party
+    const picked = await checkPickedTables(validated.restaurant_id, validated);
+    if (picked.error) {
+      return res.status(picked.status).json({ error: picked.error });
+    }
+    const { table, combination } = picked;
+    
+    // A section preference has to be one of this restaurant's sections
+    if (validated.section_id) {
+      const section = await dbGet(
+        'SELECT * FROM sections WHERE id = ? AND restaurant_id = ?',
+        [validated.section_id, validated.restaurant_id]
+      );
+      
+      if (!section) {
+        return res.status(404).json({ error: 'Section not found in this restaurant' });
+      }
     }
     
     // Step 4: Check the reservation time is during operating hours
@@ -98,46 +221,140 @@ const createReservation = async (req, res) => {
       new Date(validated.start_time).getTime() + validated.duration_minutes * 60000
     ).toISOString();
     
-    if (!isWithinOperatingHours(restaurant, validated.start_time, endTime)) {
+    if (!(await isWithinOperatingHours(restaurant, validated.start_time, endTime))) {
       return res.status(400).json({ 
-        error: `We're only open ${restaurant.opening_time} to ${restaurant.closing_time}` 
+        error: await describeOpeningHours(restaurant, validated.start_time, endTime)
       });
     }
     
-    // Step 5: Make sure no one else has booked this table at the same time
-    const hasOverlap = await checkForOverlaps(
-      validated.table_id, 
-      validated.start_time, 
-      validated.duration_minutes
-    );
+    // Big parties and busy nights may need a deposit - the booking then waits in
+    // 'pending' (holding the table) until the payment provider says it's paid
+    const depositCents = await depositFor(restaurant, validated);
+    const status = depositCents > 0 ? 'pending' : 'confirmed';
+    if (depositCents > 0 && paymentProviderProblem()) {
+      return res.status(503).json({
+        error: `This booking needs a deposit, but deposits can't be taken right now: ${paymentProviderProblem()}`
+      });
+    }
     
-    if (hasOverlap) {
+    // Steps 5 and 6 run as one transaction, so two requests racing for the same table
+    // can't both pass the overlap check before either of them has saved its booking
+    // The guest gets a secret token so they can change or cancel it themselves later
+    const guestToken = generateSecret('rsv');
+    const booking = await dbTransaction(async () => {
+      // Step 5: The kitchen has to have room for another party arriving then (pacing),
+      // and a table has to be free - pushing tables together if no single table will do
+      const seating = await claimTables(restaurant, validated, { table, combination });
+      if (seating.conflict) {
+        return seating;
+      }
+      const { table: bookedTable, combination: bookedCombination } = seating;
+      
+      // Step 6: All checks passed - create the reservation, linked to the guest's profile
+      const customer = await findOrCreateCustomer({
+        name: validated.customer_name,
+        phone: validated.phone,
+        email: validated.email
+      });
+      
+      const result = await dbRun(
+        `INSERT INTO reservations 
+         (restaurant_id, table_id, customer_name, phone, party_size, start_time, duration_minutes, status,
+          guest_token_hash, customer_id, email, repeat_no_show, deposit_cents, combination_id, preferred_section_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          validated.restaurant_id,
+          bookedTable.id,
+          validated.customer_name,
+          validated.phone,
+          validated.party_size,
+          validated.start_time,
+          validated.duration_minutes,
+          status,
+          hashSecret(guestToken),
+          customer.id,
+          validated.email || null,
+          repeatNoShow ? 1 : 0,
+          depositCents,
+          bookedCombination ? bookedCombination.id : null,
+          validated.section_id || null
+        ]
+      );
+      
+      // The guest hears it's confirmed once the deposit (if any) is paid
+      const paymentId = depositCents > 0 ? await openDeposit(result.id, restaurant, depositCents) : null;
+      await queueReservationEventById('reservation.created', result.id);
+      if (status === 'confirmed') {
+        await queueNotificationById('confirmation', result.id);
+      }
+      
+      return { id: result.id, table: bookedTable, combination: bookedCombination, customer_id: customer.id, paymentId };
+    });
+    
+    if (booking.conflict === 'table_taken') {
       return res.status(409).json({ 
-        error: 'This table is already booked for that time. Try another time or table.' 
+        error: combination
+          ? `A table in ${combination.name} is already booked for that time. Try another time or table.`
+          : 'This table is already booked for that time. Try another time or table.' 
       });
     }
     
-    // Step 6: All checks passed - create the reservation
-    const result = await dbRun(
-      `INSERT INTO reservations 
-       (restaurant_id, table_id, customer_name, phone, party_size, start_time, duration_minutes, status)
-       VALUES (?, ?, ?, ?, ?, ?, ?, 'confirmed')`,
-      [
-        validated.restaurant_id,
-        validated.table_id,
-        validated.customer_name,
-        validated.phone,
-        validated.party_size,
-        validated.start_time,
-        validated.duration_minutes
-      ]
-    );
+    if (booking.conflict === 'pacing') {
+      // Tables may be free, but too many guests arrive at once - offer times the kitchen can take
+      const suggestions = await suggestAlternatives(restaurant, validated);
+      return res.status(409).json({ error: booking.reason, suggestions });
+    }
+    
+    if (booking.conflict === 'fully_booked') {
+      // Nothing fits - offer nearby times that do work instead of a flat "no"
+      const suggestions = await suggestAlternatives(restaurant, validated);
+      return res.status(409).json({
+        error: `No table for ${validated.party_size} is free at that time.`,
+        suggestions
+      });
+    }
+    
+    // Send the guest off to pay - if the provider is down, the table has already been let go
+    let deposit = null;
+    if (booking.paymentId) {
+      const payment = await requestCheckout(booking.paymentId);
+      if (!payment) {
+        return res.status(502).json({
+          error: "We couldn't start the deposit payment, so the booking wasn't made. Please try again shortly."
+        });
+      }
+      deposit = {
+        payment_id: payment.id,
+        amount_cents: payment.amount_cents,
+        currency: payment.currency,
+        checkout_url: payment.checkout_url,
+        expires_at: payment.expires_at
+      };
+    }
     
-    // Return the created reservation
+    // Every table the party will sit at, and whether that's the section they asked for
+    const heldTables = booking.combination ? booking.combination.tables : [booking.table];
+    
+    // Return the created reservation (the only time the guest token is shown)
     res.status(201).json({
-      id: result.id,
+      id: booking.id,
       ...validated,
-      status: 'confirmed',
+      table_id: booking.table.id,
+      table_number: booking.table.table_number,
+      combination_id: booking.combination ? booking.combination.id : null,
+      table_ids: heldTables.map((heldTable) => heldTable.id),
+      section_id: booking.table.section_id,
+      preferred_section_id: validated.section_id || null,
+      section_preference_met: validated.section_id
+        ? heldTables.every((heldTable) => heldTable.section_id === validated.section_id)
+        : null,
+      customer_id: booking.customer_id,
+      repeat_no_show: repeatNoShow,
+      start_time_local: toZonedISOString(validated.start_time, timeZoneOf(restaurant)),
+      timezone: timeZoneOf(restaurant),
+      status,
+      deposit,
+      guest_token: guestToken,
       created_at: new Date().toISOString()
     });
   } catch (error) {
@@ -148,12 +365,133 @@ const createReservation = async (req, res) => {
   }
 };
 
+// Columns in a CSV download of reservations - the same names a reservation import reads
+const RESERVATION_CSV_COLUMNS = [
+  'id',
+  'start_time',
+  'start_time_local',
+  'duration_minutes',
+  'table_number',
+  'combination_id',
+  'party_size',
+  'customer_name',
+  'phone',
+  'email',
+  'status',
+  'is_walk_in',
+  'created_at'
+];
+
+// Filter, sort and page through a restaurant's reservations, then send the page
+// Shared by the date-range list and the single-day sheet
+// filename is what a CSV download is saved as
+const sendReservationList = async (req, res, restaurant, filters, filename = 'reservations.csv') => {
+  const timeZone = timeZoneOf(restaurant);
+  const where = ['r.restaurant_id = ?'];
+  const params = [restaurant.id];
+  
+  // Dates are whole local days, midnight to midnight in the restaurant's timezone
+  if (filters.from) {
+    where.push('datetime(r.start_time) >= datetime(?)');
+    params.push(dayBounds(filters.from, timeZone).start.toISOString());
+  }
+  if (filters.to) {
+    where.push('datetime(r.start_time) < datetime(?)');
+    params.push(dayBounds(filters.to, timeZone).end.toISOString());
+  }
+  if (filters.status) {
+    where.push(`r.status IN (${filters.status.map(() => '?').join(', ')})`);
+    params.push(...filters.status);
+  }
+  if (filters.table_id) {
+    where.push('r.table_id = ?');
+    params.push(filters.table_id);
+  }
+  if (filters.min_party_size) {
+    where.push('r.party_size >= ?');
+    params.push(filters.min_party_size);
+  }
+  if (filters.max_party_size) {
+    where.push('r.party_size <= ?');
+    params.push(filters.max_party_size);
+  }
+  if (filters.phone) {
+    where.push('r.phone = ?');
+    params.push(normalizePhone(filters.phone));
+  }
+  if (filters.customer_id) {
+    where.push('r.customer_id = ?');
+    params.push(filters.customer_id);
+  }
+  
+  const { total } = await dbGet(
+    `SELECT COUNT(*) AS total FROM reservations r WHERE ${where.join(' AND ')}`,
+    params
+  );
+  
+  const reservations = await dbAll(
+    `SELECT r.*, t.table_number, t.capacity
+     FROM reservations r
+     JOIN tables t ON r.table_id = t.id
+     WHERE ${where.join(' AND ')}
+     ${orderBy(filters.sort, RESERVATION_SORTS, 'r.id')}
+     LIMIT ? OFFSET ?`,
+    [...params, filters.limit, filters.offset]
+  );
+  
+  // Times are stored in UTC - add the restaurant's local view alongside
+  const rows = reservations.map((reservation) => ({
+    ...withoutSecrets(reservation),
+    start_time_local: toZonedISOString(reservation.start_time, timeZone),
+    timezone: timeZone
+  }));
+  
+  if (filters.format === 'csv') {
+    res.set('X-Total-Count', String(total));
+    return sendCsv(res, filename, RESERVATION_CSV_COLUMNS, rows);
+  }
+  
+  sendPage(req, res, rows, { total, limit: filters.limit, offset: filters.offset });
+};
+
+// List a restaurant's reservations with filters, e.g. ?from=2026-01-01&to=2026-01-31&status=confirmed
+const listReservations = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Reservation lists have guest names and phone numbers, so they're staff only
+    if (!ensureRestaurantAccess(req, res, id, STAFF_ROLES)) return;
+    
+    const filters = reservationListSchema.parse(req.query);
+    
+    const restaurant = await dbGet(
+      'SELECT * FROM restaurants WHERE id = ?',
+      [id]
+    );
+    
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+    
+    await sendReservationList(req, res, restaurant, filters);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
 // Get all reservations for a restaurant on a specific date
 // Useful for seeing the day's schedule and table availability
+// Takes the same filters as listReservations (e.g. ?status=confirmed,seated), apart from from/to
 const getReservationsByDate = async (req, res) => {
   try {
     const { restaurant_id, date } = req.params;
     
+    // The day sheet has guest names and phone numbers, so it's staff only
+    if (!ensureRestaurantAccess(req, res, restaurant_id, STAFF_ROLES)) return;
+    
     // Make sure the date format is correct (YYYY-MM-DD)
     if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
       return res.status(400).json({ 
@@ -161,6 +499,8 @@ const getReservationsByDate = async (req, res) => {
       });
     }
     
+    const filters = reservationListSchema.parse({ ...req.query, from: date, to: date });
+    
     // Verify restaurant exists
     const restaurant = await dbGet(
       'SELECT * FROM restaurants WHERE id = ?',
@@ -171,24 +511,18 @@ const getReservationsByDate = async (req, res) => {
       return res.status(404).json({ error: 'Restaurant not found' });
     }
     
-    // Fetch all reservations for the day, joined with table info
-    const reservations = await dbAll(
-      `SELECT r.*, t.table_number, t.capacity
-       FROM reservations r
-       JOIN tables t ON r.table_id = t.id
-       WHERE r.restaurant_id = ? AND DATE(r.start_time) = ?
-       ORDER BY r.start_time`,
-      [restaurant_id, date]
-    );
-    
-    res.json(reservations);
+    // "The day" is midnight to midnight in the restaurant's own timezone
+    await sendReservationList(req, res, restaurant, filters, `reservations-${date}.csv`);
   } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
     res.status(500).json({ error: error.message });
   }
 };
 
 // Find available time slots for booking a table
-// Returns 15-minute intervals where the restaurant has open tables for the party size
+// Reads the day's bookings once and works out every slot in memory
 const getAvailableSlots = async (req, res) => {
   try {
     const { restaurant_id, date, party_size } = req.query;
@@ -200,61 +534,91 @@ const getAvailableSlots = async (req, res) => {
       });
     }
     
+    const validated = availabilityQuerySchema.parse(req.query);
+    
+    if (validated.vip && !hasRestaurantAccess(req.auth, validated.restaurant_id, STAFF_ROLES)) {
+      return res.status(403).json({ error: 'Only restaurant staff can search for VIP tables' });
+    }
+    
     // Check that the restaurant exists
     const restaurant = await dbGet(
       'SELECT * FROM restaurants WHERE id = ?',
-      [restaurant_id]
+      [validated.restaurant_id]
     );
     
     if (!restaurant) {
       return res.status(404).json({ error: 'Restaurant not found' });
     }
     
-    // Find tables big enough for the party
-    const availableTables = await dbAll(
-      'SELECT * FROM tables WHERE restaurant_id = ? AND capacity >= ? ORDER BY capacity',
-      [restaurant_id, party_size]
+    validated.duration_minutes ??= await defaultDurationFor(restaurant, validated.party_size);
+    
+    // from/to are local wall-clock times on the date; a "to" at or before "from" means after midnight
+    const timeZone = timeZoneOf(restaurant);
+    const from = validated.from ? zonedTimeToUtc(validated.date, validated.from, timeZone) : null;
+    const to = validated.to
+      ? zonedTimeToUtc(
+        validated.from && validated.to <= validated.from ? addDays(validated.date, 1) : validated.date,
+        validated.to,
+        timeZone
+      )
+      : null;
+    
+    const slots = await findOpenSlots(restaurant, { ...validated, from, to });
+    
+    res.json({
+      timezone: timeZone,
+      duration_minutes: validated.duration_minutes,
+      slot_interval: validated.slot_interval,
+      available_slots: slots
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Day-by-day overview for a month view: is the restaurant open, and how much is left
+// Each day is "available", "fully_booked", "closed" or "past"
+const getAvailabilityCalendar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const validated = calendarQuerySchema.parse(req.query);
+    
+    if (validated.vip && !hasRestaurantAccess(req.auth, id, STAFF_ROLES)) {
+      return res.status(403).json({ error: 'Only restaurant staff can search for VIP tables' });
+    }
+    
+    const restaurant = await dbGet(
+      'SELECT * FROM restaurants WHERE id = ?',
+      [id]
     );
     
-    // No suitable tables found
-    if (availableTables.length === 0) {
-      return res.json({ available_slots: [] });
-    }
-    
-    // Generate all 15-minute time slots between opening and closing
-    const slots = [];
-    const [openHour, openMin] = restaurant.opening_time.split(':').map(Number);
-    const [closeHour, closeMin] = restaurant.closing_time.split(':').map(Number);
-    
-    // Loop through all hours and minutes in 15-min increments
-    for (let h = openHour; h < closeHour; h++) {
-      for (let m = 0; m < 60; m += 15) {
-        const timeStr = `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}`;
-        const slotDate = new Date(`${date}T${timeStr}:00`);
-        
-        // Try to find a table that's free at this time
-        let availableTable = null;
-        for (const table of availableTables) {
-          const hasOverlap = await checkForOverlaps(table.id, slotDate.toISOString(), 90);
-          if (!hasOverlap) {
-            availableTable = table;
-            break; // Found an available table, move to next time slot
-          }
-        }
-        
-        // Add to results if we found an open table at this time
-        if (availableTable) {
-          slots.push({
-            time: slotDate.toISOString(),
-            table_id: availableTable.id,
-            table_number: availableTable.table_number
-          });
-        }
-      }
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
     }
     
-    res.json({ available_slots: slots });
+    validated.duration_minutes ??= await defaultDurationFor(restaurant, validated.party_size);
+    
+    const dates = [];
+    for (let date = validated.from; date <= validated.to; date = addDays(date, 1)) {
+      dates.push(date);
+    }
+    
+    const days = await summarizeDays(restaurant, { ...validated, dates });
+    
+    res.json({
+      timezone: timeZoneOf(restaurant),
+      party_size: validated.party_size,
+      duration_minutes: validated.duration_minutes,
+      slot_interval: validated.slot_interval,
+      days
+    });
   } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
     res.status(500).json({ error: error.message });
   }
 };
@@ -262,9 +626,11 @@ const getAvailableSlots = async (req, res) => {
 // Cancel an existing reservation
 // Changes status to 'cancelled' instead of deleting the record
 // (This preserves history and prevents accidental data loss)
+// Cancelling inside the restaurant's cancellation window records the fee owed
 const cancelReservation = async (req, res) => {
   try {
     const { id } = req.params;
+    const validated = cancelReservationSchema.parse(req.body || {});
     
     // First check if the reservation exists
     const reservation = await dbGet(
@@ -276,21 +642,197 @@ const cancelReservation = async (req, res) => {
       return res.status(404).json({ error: 'Reservation not found' });
     }
     
-    // Mark it as cancelled (soft delete)
-    await dbRun(
-      'UPDATE reservations SET status = ? WHERE id = ?',
-      ['cancelled', id]
+    // Staff at the restaurant, or the guest holding the reservation token
+    if (!ensureReservationAccess(req, res, reservation)) return;
+    
+    // Cancelling twice (or cancelling a finished visit) isn't allowed
+    if (!canTransition(reservation.status, 'cancelled')) {
+      return res.status(409).json({
+        error: `Can't cancel a reservation that is ${reservation.status}`
+      });
+    }
+    
+    // Only staff can let a guest off the fee
+    if (validated.waive_fee && req.auth.role === 'guest') {
+      return res.status(403).json({ error: 'Only restaurant staff can waive a cancellation fee' });
+    }
+    
+    const restaurant = await dbGet(
+      'SELECT * FROM restaurants WHERE id = ?',
+      [reservation.restaurant_id]
+    );
+    
+    // Cancelling and handing the table to the waitlist happen together, so a new booking
+    // can't grab the freed slot in between
+    const { terms, promotion } = await dbTransaction(() =>
+      cancelBooking(restaurant, reservation, { waiveFee: validated.waive_fee })
+    );
+    
+    // Money goes back only once the cancellation is saved
+    await settleRefund(terms);
+    
+    const { deposit, ...cancellation } = terms;
+    res.json({
+      message: 'Reservation cancelled',
+      id,
+      cancellation,
+      waitlist_promotion: describePromotion(promotion)
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Change the time, party size or table of an upcoming reservation
+// Runs the same capacity, hours and overlap checks as createReservation
+const updateReservation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const validated = updateReservationSchema.parse(req.body || {});
+    
+    if (Object.keys(validated).length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to change. Send table_id, party_size, start_time or duration_minutes.'
+      });
+    }
+    
+    const reservation = await dbGet(
+      'SELECT * FROM reservations WHERE id = ?',
+      [id]
+    );
+    
+    if (!reservation) {
+      return res.status(404).json({ error: 'Reservation not found' });
+    }
+    
+    // Staff at the restaurant, or the guest holding the reservation token
+    if (!ensureReservationAccess(req, res, reservation)) return;
+    
+    // Once the party has sat down (or it's all over) the booking is fixed
+    if (!MODIFIABLE_STATUSES.includes(reservation.status)) {
+      return res.status(409).json({
+        error: `Can't change a reservation that is ${reservation.status}`
+      });
+    }
+    
+    const restaurant = await dbGet(
+      'SELECT * FROM restaurants WHERE id = ?',
+      [reservation.restaurant_id]
     );
     
-    res.json({ message: 'Reservation cancelled', id });
+    // Same capacity, hours, pacing and overlap checks as a new booking
+    // The checks and the update run as one transaction so a concurrent booking can't sneak in between
+    const outcome = await dbTransaction(() => changeReservation(restaurant, reservation, validated));
+    
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+    
+    const saved = await dbGet('SELECT * FROM reservations WHERE id = ?', [reservation.id]);
+    
+    res.json({
+      ...withoutSecrets(saved),
+      table_number: outcome.table.table_number,
+      start_time_local: toZonedISOString(saved.start_time, timeZoneOf(restaurant)),
+      timezone: timeZoneOf(restaurant),
+      waitlist_promotion: describePromotion(outcome.promotion)
+    });
   } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
     res.status(500).json({ error: error.message });
   }
 };
 
+// Build a handler that moves a reservation into the given status
+// The lifecycle rules in services/reservationStatus decide which moves are legal
+const transitionReservation = (nextStatus) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const reservation = await dbGet(
+      'SELECT * FROM reservations WHERE id = ?',
+      [id]
+    );
+    
+    if (!reservation) {
+      return res.status(404).json({ error: 'Reservation not found' });
+    }
+    
+    // Moving a booking through service is a job for the restaurant's staff
+    if (!ensureRestaurantAccess(req, res, reservation.restaurant_id, STAFF_ROLES)) return;
+    
+    if (!canTransition(reservation.status, nextStatus)) {
+      return res.status(409).json({
+        error: `Can't ${TRANSITION_VERBS[nextStatus]} a reservation that is ${reservation.status}`
+      });
+    }
+    
+    // A guest can't fail to show up before their booking has even started
+    if (nextStatus === 'no_show' && new Date(reservation.start_time) > new Date()) {
+      return res.status(409).json({
+        error: "This reservation hasn't started yet, so it can't be a no-show"
+      });
+    }
+    
+    // Remember when the party sat down and when they left
+    // The webhook event (and the guest's confirmation, when staff confirm a pending booking) is queued
+    // in the same transaction, so it's only sent if the change sticks
+    const now = new Date().toISOString();
+    await dbTransaction(async () => {
+      await dbRun(
+        `UPDATE reservations
+         SET status = ?,
+             seated_at = CASE WHEN ? = 'seated' THEN ? ELSE seated_at END,
+             completed_at = CASE WHEN ? = 'completed' THEN ? ELSE completed_at END,
+             updated_at = datetime('now')
+         WHERE id = ?`,
+        [nextStatus, nextStatus, now, nextStatus, now, id]
+      );
+      await queueReservationEventById(
+        nextStatus === 'no_show' ? 'reservation.no_show' : 'reservation.updated',
+        id
+      );
+      if (nextStatus === 'confirmed') {
+        await queueNotificationById('confirmation', id);
+      }
+    });
+    
+    const saved = await dbGet('SELECT * FROM reservations WHERE id = ?', [id]);
+    res.json(withoutSecrets(saved));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Confirm a pending reservation
+const confirmReservation = transitionReservation('confirmed');
+
+// The party has arrived and sat down
+const seatReservation = transitionReservation('seated');
+
+// The party has paid and left
+const completeReservation = transitionReservation('completed');
+
+// The party never turned up
+const markNoShow = transitionReservation('no_show');
+
 module.exports = {
   createReservation,
+  listReservations,
   getReservationsByDate,
   getAvailableSlots,
-  cancelReservation
+  getAvailabilityCalendar,
+  cancelReservation,
+  updateReservation,
+  confirmReservation,
+  seatReservation,
+  completeReservation,
+  markNoShow,
+  // Bulk imports check each row against the same rules
+  createReservationSchema
 };
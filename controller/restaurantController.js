@@ -1,31 +1,155 @@
-const { dbRun, dbGet, dbAll } = require('../db/db');
+const { dbRun, dbGet, dbAll, dbTransaction } = require('../db/db');
 const { z } = require('zod');
+const { ASSIGNMENT_STRATEGIES } = require('../services/tableAssignment');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../services/timezone');
+const { isWithinOperatingHours } = require('../services/openingHours');
+const { findUpcomingReservations } = require('../services/bookingRules');
+const { publishTableState } = require('../services/liveEvents');
+const { DEFAULT_DURATION_MINUTES, loadTurnoverRules, loadDurationRules } = require('../services/seatingTimes');
+const { NO_SHOW_POLICIES } = require('../services/customers');
+const { paginationShape, sortParam, orderBy, sendPage } = require('../services/pagination');
+const { MANAGER_ROLES, ensureRole, ensureRestaurantAccess } = require('../middleware/auth');
+
+// IANA timezone name, checked against what the runtime actually knows
+const timeZoneSchema = z.string().refine(isValidTimeZone, {
+  message: 'Timezone should be an IANA name (like Europe/London)'
+});
 
 // Validation rules for creating restaurants
 // Using Zod to ensure data is valid before it hits the database
 const createRestaurantSchema = z.object({
   name: z.string().min(1, 'Please provide a restaurant name'),
   opening_time: z.string().regex(/^\d{2}:\d{2}$/, 'Opening time should be HH:MM (like 10:00)'),
-  closing_time: z.string().regex(/^\d{2}:\d{2}$/, 'Closing time should be HH:MM (like 22:00)')
+  closing_time: z.string().regex(/^\d{2}:\d{2}$/, 'Closing time should be HH:MM (like 22:00)'),
+  timezone: timeZoneSchema.default(DEFAULT_TIMEZONE),
+  assignment_strategy: z.enum(ASSIGNMENT_STRATEGIES).default('best_fit'),
+  // What to do when a guest with repeated no-shows books (off, flag or block)
+  no_show_policy: z.enum(NO_SHOW_POLICIES).default('flag'),
+  no_show_threshold: z.number().int().min(1, 'No-show threshold must be at least 1').default(2),
+  // How many hours before the booking guests get a reminder (0 turns reminders off)
+  reminder_hours_before: z.number().int().min(0, 'Reminder hours cannot be negative')
+    .max(168, 'Reminders can be sent at most a week (168 hours) ahead')
+    .default(24)
 });
 
 // Validation rules for adding a table to a restaurant
 const addTableSchema = z.object({
   restaurant_id: z.number().int().positive('Restaurant ID must be a positive number'),
   table_number: z.number().int().positive('Table number must be a positive number'),
-  capacity: z.number().int().positive('Capacity must be at least 1 person')
+  capacity: z.number().int().positive('Capacity must be at least 1 person'),
+  is_vip: z.boolean().default(false),
+  // Which section of the dining room the table is in (null for none)
+  section_id: z.number().int().positive('Need a valid section ID').nullable().default(null)
+});
+
+// Validation rules for editing a restaurant
+// PUT sends the whole restaurant (the optional settings stay as they are if left out); PATCH only what changes
+const replaceRestaurantSchema = z.object({
+  name: createRestaurantSchema.shape.name,
+  opening_time: createRestaurantSchema.shape.opening_time,
+  closing_time: createRestaurantSchema.shape.closing_time,
+  timezone: timeZoneSchema.optional(),
+  assignment_strategy: z.enum(ASSIGNMENT_STRATEGIES).optional(),
+  no_show_policy: z.enum(NO_SHOW_POLICIES).optional(),
+  no_show_threshold: createRestaurantSchema.shape.no_show_threshold.unwrap().optional(),
+  reminder_hours_before: createRestaurantSchema.shape.reminder_hours_before.unwrap().optional()
+});
+const patchRestaurantSchema = replaceRestaurantSchema.partial();
+
+// Validation rules for editing a table - same PUT/PATCH split as restaurants
+const replaceTableSchema = z.object({
+  table_number: addTableSchema.shape.table_number,
+  capacity: addTableSchema.shape.capacity,
+  is_vip: z.boolean().optional(),
+  // false takes the table out of service (e.g. refurbishment) without losing its history
+  is_active: z.boolean().optional(),
+  section_id: addTableSchema.shape.section_id.unwrap().optional()
+});
+const patchTableSchema = replaceTableSchema.partial();
+
+// Searching, sorting and paging the restaurant list
+const RESTAURANT_SORTS = { name: 'name', created_at: 'created_at' };
+const restaurantListSchema = z.object({
+  q: z.string().optional(),
+  sort: sortParam(RESTAURANT_SORTS, 'name'),
+  ...paginationShape
+});
+
+// One of the restaurant's sections, or undefined
+const findSection = (restaurantId, sectionId) =>
+  dbGet('SELECT * FROM sections WHERE id = ? AND restaurant_id = ?', [sectionId, restaurantId]);
+
+// Validation rules for moving a restaurant to another timezone
+const setTimeZoneSchema = z.object({
+  timezone: timeZoneSchema
+});
+
+// Validation rules for changing how tables are auto-assigned
+const assignmentStrategySchema = z.object({
+  assignment_strategy: z.enum(ASSIGNMENT_STRATEGIES)
+});
+
+// Validation rules for the buffer between bookings and how long visits last by party size
+// e.g. 15 minutes between bookings, 30 for tables of 8+, and 2 hours for parties of 6+
+const seatingTimesSchema = z.object({
+  turnover_minutes: z.number().int().min(0, 'Turnover cannot be negative').max(240, 'Turnover can be at most 240 minutes').optional(),
+  turnover_by_table_size: z.array(z.object({
+    min_capacity: z.number().int().min(1, 'Table size must be at least 1'),
+    turnover_minutes: z.number().int().min(0, 'Turnover cannot be negative').max(240, 'Turnover can be at most 240 minutes')
+  })).max(20, 'Keep it to 20 rules or fewer').default([]),
+  durations_by_party_size: z.array(z.object({
+    min_party_size: z.number().int().min(1, 'Party size must be at least 1'),
+    duration_minutes: z.number().int().min(15, 'Visits need to be at least 15 minutes')
+  })).max(20, 'Keep it to 20 rules or fewer').default([])
+}).superRefine((settings, ctx) => {
+  // Two rules for the same size would leave it unclear which one applies
+  const sizes = settings.turnover_by_table_size.map((rule) => rule.min_capacity);
+  if (new Set(sizes).size !== sizes.length) {
+    ctx.addIssue({ code: 'custom', path: ['turnover_by_table_size'], message: 'Each table size can only have one rule' });
+  }
+  const partySizes = settings.durations_by_party_size.map((rule) => rule.min_party_size);
+  if (new Set(partySizes).size !== partySizes.length) {
+    ctx.addIssue({ code: 'custom', path: ['durations_by_party_size'], message: 'Each party size can only have one rule' });
+  }
+});
+
+// The seating times as we hand them back (smallest sizes first)
+const describeSeatingTimes = async (restaurant) => ({
+  turnover_minutes: restaurant.turnover_minutes,
+  turnover_by_table_size: (await loadTurnoverRules(restaurant.id))
+    .reverse()
+    .map(({ min_capacity, turnover_minutes }) => ({ min_capacity, turnover_minutes })),
+  default_duration_minutes: DEFAULT_DURATION_MINUTES,
+  durations_by_party_size: (await loadDurationRules(restaurant.id))
+    .reverse()
+    .map(({ min_party_size, duration_minutes }) => ({ min_party_size, duration_minutes }))
 });
 
 // Create a new restaurant with opening/closing times
 const createRestaurant = async (req, res) => {
   try {
+    // Only platform admins can open new restaurants
+    if (!ensureRole(req, res, ['admin'])) return;
+
     // First validate the incoming data matches our schema
     const validated = createRestaurantSchema.parse(req.body);
     
     // Insert into database and get back the new ID
     const result = await dbRun(
-      'INSERT INTO restaurants (name, opening_time, closing_time) VALUES (?, ?, ?)',
-      [validated.name, validated.opening_time, validated.closing_time]
+      `INSERT INTO restaurants
+       (name, opening_time, closing_time, timezone, assignment_strategy, no_show_policy, no_show_threshold,
+        reminder_hours_before)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        validated.name,
+        validated.opening_time,
+        validated.closing_time,
+        validated.timezone,
+        validated.assignment_strategy,
+        validated.no_show_policy,
+        validated.no_show_threshold,
+        validated.reminder_hours_before
+      ]
     );
     
     // Return 201 Created with the new restaurant object
@@ -44,35 +168,28 @@ const createRestaurant = async (req, res) => {
   }
 };
 
-
-// get all restaurant and all it tables
-
 // Get a specific restaurant and all its tables
 const getRestaurant = async (req, res) => {
   try {
     const { id } = req.params;
-    
+
     // Look up the restaurant
     const restaurant = await dbGet(
       'SELECT * FROM restaurants WHERE id = ?',
       [id]
     );
 
-    //get all restaurant and  all it tables
-
-
-    
     // Return 404 if restaurant doesn't exist
     if (!restaurant) {
       return res.status(404).json({ error: 'Restaurant not found' });
     }
-    
+
     // Get all tables for this restaurant, sorted by table number
     const tables = await dbAll(
       'SELECT * FROM tables WHERE restaurant_id = ? ORDER BY table_number',
       [id]
     );
-    
+
     // Return restaurant with its tables
     res.json({
       ...restaurant,
@@ -106,6 +223,9 @@ const addTable = async (req, res) => {
     // Validate input data
     const validated = addTableSchema.parse(dataToValidate);
 
+    // Only the restaurant's managers (or an admin) can change its floor plan
+    if (!ensureRestaurantAccess(req, res, validated.restaurant_id, MANAGER_ROLES)) return;
+
     // Make sure the restaurant exists before adding a table to it
     const restaurant = await dbGet(
       'SELECT * FROM restaurants WHERE id = ?',
@@ -129,16 +249,363 @@ const addTable = async (req, res) => {
       });
     }
     
+    if (validated.section_id && !(await findSection(validated.restaurant_id, validated.section_id))) {
+      return res.status(404).json({ error: 'Section not found in this restaurant' });
+    }
+    
     // Insert the new table
     const result = await dbRun(
-      'INSERT INTO tables (restaurant_id, table_number, capacity) VALUES (?, ?, ?)',
-      [validated.restaurant_id, validated.table_number, validated.capacity]
+      'INSERT INTO tables (restaurant_id, table_number, capacity, is_vip, section_id) VALUES (?, ?, ?, ?, ?)',
+      [
+        validated.restaurant_id,
+        validated.table_number,
+        validated.capacity,
+        validated.is_vip ? 1 : 0,
+        validated.section_id
+      ]
     );
+    await publishTableState(validated.restaurant_id, result.id);
     
     res.status(201).json({
       id: result.id,
-      ...validated
+      ...validated,
+      is_active: true
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Upcoming bookings (ids) that would fall outside the opening hours once `updated` is saved
+// Blocks are checked when they're made, so only the hours themselves matter here
+const findStrandedReservations = async (updated) => {
+  const stranded = [];
+  for (const reservation of await findUpcomingReservations({ restaurant_id: updated.id })) {
+    const endTime = new Date(
+      new Date(reservation.start_time).getTime() + reservation.duration_minutes * 60000
+    ).toISOString();
+    if (!(await isWithinOperatingHours(updated, reservation.start_time, endTime, { includeBlocks: false }))) {
+      stranded.push(reservation.id);
+    }
+  }
+  return stranded;
+};
+
+// Turn down a change that would strand bookings, listing them
+const refuseStranding = (res, stranded) =>
+  res.status(409).json({
+    error: `${stranded.length} upcoming reservation(s) would fall outside the new hours. Move or cancel them first.`,
+    reservation_ids: stranded
+  });
+
+// Change the timezone a restaurant's hours and dates are worked out in
+// Existing reservations keep their UTC times; only the local view changes.
+// Refused if that would leave upcoming bookings outside the hours, same as changing the hours.
+const setTimeZone = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const validated = setTimeZoneSchema.parse(req.body);
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [id]);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    // The hours stay the same on the clock, so they move in real time - bookings can end up outside them
+    if (validated.timezone !== restaurant.timezone) {
+      const stranded = await findStrandedReservations({ ...restaurant, ...validated });
+      if (stranded.length > 0) {
+        return refuseStranding(res, stranded);
+      }
+    }
+
+    await dbRun(
+      'UPDATE restaurants SET timezone = ? WHERE id = ?',
+      [validated.timezone, id]
+    );
+
+    res.json({ id: Number(id), ...validated });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Change how the restaurant hands out tables when guests don't pick one
+const setAssignmentStrategy = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const validated = assignmentStrategySchema.parse(req.body);
+
+    const result = await dbRun(
+      'UPDATE restaurants SET assignment_strategy = ? WHERE id = ?',
+      [validated.assignment_strategy, id]
+    );
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    res.json({ id: Number(id), ...validated });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// How long tables are held between bookings and how long visits last by default
+const getSeatingTimes = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [id]);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    res.json(await describeSeatingTimes(restaurant));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Replace the turnover buffers and visit lengths
+// Existing bookings keep their durations; the new buffer applies to every check from now on
+const setSeatingTimes = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const validated = seatingTimesSchema.parse(req.body);
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [id]);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    // Left out, the restaurant-wide buffer stays as it was
+    const turnoverMinutes = validated.turnover_minutes ?? restaurant.turnover_minutes;
+
+    await dbTransaction(async () => {
+      await dbRun('UPDATE restaurants SET turnover_minutes = ? WHERE id = ?', [turnoverMinutes, id]);
+
+      await dbRun('DELETE FROM turnover_rules WHERE restaurant_id = ?', [id]);
+      for (const rule of validated.turnover_by_table_size) {
+        await dbRun(
+          'INSERT INTO turnover_rules (restaurant_id, min_capacity, turnover_minutes) VALUES (?, ?, ?)',
+          [id, rule.min_capacity, rule.turnover_minutes]
+        );
+      }
+
+      await dbRun('DELETE FROM duration_rules WHERE restaurant_id = ?', [id]);
+      for (const rule of validated.durations_by_party_size) {
+        await dbRun(
+          'INSERT INTO duration_rules (restaurant_id, min_party_size, duration_minutes) VALUES (?, ?, ?)',
+          [id, rule.min_party_size, rule.duration_minutes]
+        );
+      }
     });
+
+    res.json(await describeSeatingTimes({ ...restaurant, turnover_minutes: turnoverMinutes }));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Build a PUT or PATCH handler for a restaurant - they only differ in which fields are required
+// Changing the hours or timezone is refused if it would leave upcoming bookings outside opening hours
+const saveRestaurant = (schema) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const validated = schema.parse(req.body || {});
+
+    if (Object.keys(validated).length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to change. Send name, opening_time, closing_time, timezone, assignment_strategy, a no-show setting or reminder_hours_before.'
+      });
+    }
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [id]);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    const updated = { ...restaurant, ...validated };
+
+    const hoursChanged = updated.opening_time !== restaurant.opening_time ||
+      updated.closing_time !== restaurant.closing_time ||
+      updated.timezone !== restaurant.timezone;
+
+    if (hoursChanged) {
+      // Check every upcoming booking against the new hours before saving anything
+      const stranded = await findStrandedReservations(updated);
+      if (stranded.length > 0) {
+        return refuseStranding(res, stranded);
+      }
+    }
+
+    await dbRun(
+      `UPDATE restaurants
+       SET name = ?, opening_time = ?, closing_time = ?, timezone = ?, assignment_strategy = ?,
+           no_show_policy = ?, no_show_threshold = ?, reminder_hours_before = ?
+       WHERE id = ?`,
+      [
+        updated.name,
+        updated.opening_time,
+        updated.closing_time,
+        updated.timezone,
+        updated.assignment_strategy,
+        updated.no_show_policy,
+        updated.no_show_threshold,
+        updated.reminder_hours_before,
+        restaurant.id
+      ]
+    );
+
+    res.json(await dbGet('SELECT * FROM restaurants WHERE id = ?', [restaurant.id]));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const replaceRestaurant = saveRestaurant(replaceRestaurantSchema);
+const updateRestaurant = saveRestaurant(patchRestaurantSchema);
+
+// Delete a restaurant along with its tables, hours and booking history
+// Refused while it still has upcoming bookings
+const deleteRestaurant = async (req, res) => {
+  try {
+    // Closing a restaurant down is a platform decision, like opening one
+    if (!ensureRole(req, res, ['admin'])) return;
+
+    const { id } = req.params;
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [id]);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    const upcoming = await findUpcomingReservations({ restaurant_id: restaurant.id });
+    if (upcoming.length > 0) {
+      return res.status(409).json({
+        error: `This restaurant still has ${upcoming.length} upcoming reservation(s). Cancel them first.`,
+        reservation_ids: upcoming.map((reservation) => reservation.id)
+      });
+    }
+
+    await dbRun('DELETE FROM restaurants WHERE id = ?', [restaurant.id]);
+
+    res.json({ message: 'Restaurant deleted', id: restaurant.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Build a PUT or PATCH handler for a table
+// Won't shrink a table below an upcoming party, or take it out of service while it still has bookings
+const saveTable = (schema) => async (req, res) => {
+  try {
+    const { restaurant_id, table_id } = req.params;
+    if (!ensureRestaurantAccess(req, res, restaurant_id, MANAGER_ROLES)) return;
+
+    const validated = schema.parse(req.body || {});
+
+    if (Object.keys(validated).length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to change. Send table_number, capacity, is_vip, is_active or section_id.'
+      });
+    }
+
+    const table = await dbGet(
+      'SELECT * FROM tables WHERE id = ? AND restaurant_id = ?',
+      [table_id, restaurant_id]
+    );
+
+    if (!table) {
+      return res.status(404).json({ error: 'Table not found in this restaurant' });
+    }
+
+    const updated = {
+      table_number: validated.table_number ?? table.table_number,
+      capacity: validated.capacity ?? table.capacity,
+      is_vip: validated.is_vip ?? Boolean(table.is_vip),
+      is_active: validated.is_active ?? Boolean(table.is_active),
+      section_id: validated.section_id !== undefined ? validated.section_id : table.section_id
+    };
+    
+    if (updated.section_id && updated.section_id !== table.section_id &&
+        !(await findSection(table.restaurant_id, updated.section_id))) {
+      return res.status(404).json({ error: 'Section not found in this restaurant' });
+    }
+
+    // Renumbering can't clash with another table at the restaurant
+    if (updated.table_number !== table.table_number) {
+      const existing = await dbGet(
+        'SELECT * FROM tables WHERE restaurant_id = ? AND table_number = ? AND id != ?',
+        [table.restaurant_id, updated.table_number, table.id]
+      );
+
+      if (existing) {
+        return res.status(409).json({
+          error: `Table ${updated.table_number} already exists for this restaurant`
+        });
+      }
+    }
+
+    const upcoming = await findUpcomingReservations({ table_id: table.id });
+
+    // Parties booked on pushed-together tables only need to fit the combination
+    const tooBig = upcoming.filter((reservation) =>
+      !reservation.combination_id && reservation.party_size > updated.capacity);
+    if (tooBig.length > 0) {
+      const largest = Math.max(...tooBig.map((reservation) => reservation.party_size));
+      return res.status(409).json({
+        error: `Table ${table.table_number} has upcoming bookings for up to ${largest} people. Move them before shrinking it.`,
+        reservation_ids: tooBig.map((reservation) => reservation.id)
+      });
+    }
+
+    if (!updated.is_active && table.is_active && upcoming.length > 0) {
+      return res.status(409).json({
+        error: `Table ${table.table_number} has upcoming reservations. Move them before taking it out of service.`,
+        reservation_ids: upcoming.map((reservation) => reservation.id)
+      });
+    }
+
+    await dbRun(
+      'UPDATE tables SET table_number = ?, capacity = ?, is_vip = ?, is_active = ?, section_id = ? WHERE id = ?',
+      [
+        updated.table_number,
+        updated.capacity,
+        updated.is_vip ? 1 : 0,
+        updated.is_active ? 1 : 0,
+        updated.section_id,
+        table.id
+      ]
+    );
+    await publishTableState(table.restaurant_id, table.id);
+
+    res.json(await dbGet('SELECT * FROM tables WHERE id = ?', [table.id]));
   } catch (error) {
     if (error instanceof z.ZodError) {
       return res.status(400).json({ errors: error.flatten().fieldErrors });
@@ -147,14 +614,74 @@ const addTable = async (req, res) => {
   }
 };
 
-// Fetch all restaurants in the system
+const replaceTable = saveTable(replaceTableSchema);
+const updateTable = saveTable(patchTableSchema);
+
+// Remove a table for good
+// Its past reservations go with it, so deactivating is the better choice when history matters
+const deleteTable = async (req, res) => {
+  try {
+    const { restaurant_id, table_id } = req.params;
+    if (!ensureRestaurantAccess(req, res, restaurant_id, MANAGER_ROLES)) return;
+
+    const table = await dbGet(
+      'SELECT * FROM tables WHERE id = ? AND restaurant_id = ?',
+      [table_id, restaurant_id]
+    );
+
+    if (!table) {
+      return res.status(404).json({ error: 'Table not found in this restaurant' });
+    }
+
+    const upcoming = await findUpcomingReservations({ table_id: table.id });
+    if (upcoming.length > 0) {
+      return res.status(409).json({
+        error: `Table ${table.table_number} has upcoming reservations. Move them before deleting it.`,
+        reservation_ids: upcoming.map((reservation) => reservation.id)
+      });
+    }
+
+    // Combinations can't be pushed together without all their tables, so they go too
+    await dbTransaction(async () => {
+      await dbRun(
+        'DELETE FROM table_combinations WHERE id IN (SELECT combination_id FROM table_combination_tables WHERE table_id = ?)',
+        [table.id]
+      );
+      await dbRun('DELETE FROM tables WHERE id = ?', [table.id]);
+    });
+    await publishTableState(table.restaurant_id, table.id);
+
+    res.json({ message: 'Table deleted', id: table.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Fetch restaurants in the system, a page at a time
+// ?q= matches part of the name
 const getAllRestaurants = async (req, res) => {
   try {
+    const query = restaurantListSchema.parse(req.query);
+    const nameFilter = query.q ? `%${query.q}%` : null;
+
+    const { total } = await dbGet(
+      'SELECT COUNT(*) AS total FROM restaurants WHERE (? IS NULL OR name LIKE ?)',
+      [nameFilter, nameFilter]
+    );
+
     const restaurants = await dbAll(
-      'SELECT * FROM restaurants ORDER BY name'
+      `SELECT * FROM restaurants
+       WHERE (? IS NULL OR name LIKE ?)
+       ${orderBy(query.sort, RESTAURANT_SORTS)}
+       LIMIT ? OFFSET ?`,
+      [nameFilter, nameFilter, query.limit, query.offset]
     );
-    res.json(restaurants);
+
+    sendPage(req, res, restaurants, { total, limit: query.limit, offset: query.offset });
   } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
     res.status(500).json({ error: error.message });
   }
 };
@@ -162,6 +689,18 @@ const getAllRestaurants = async (req, res) => {
 module.exports = {
   createRestaurant,
   getRestaurant,
+  replaceRestaurant,
+  updateRestaurant,
+  deleteRestaurant,
   addTable,
-  getAllRestaurants
+  replaceTable,
+  updateTable,
+  deleteTable,
+  setTimeZone,
+  setAssignmentStrategy,
+  getSeatingTimes,
+  setSeatingTimes,
+  getAllRestaurants,
+  // Bulk imports check each row against the same rules
+  addTableSchema
 };
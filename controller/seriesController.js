@@ -0,0 +1,687 @@
+const { dbRun, dbGet, dbAll, dbTransaction } = require('../db/db');
+const { z } = require('zod');
+const { isWithinOperatingHours, describeOpeningHours } = require('../services/openingHours');
+const { claimTables, checkPickedTables } = require('../services/tableAssignment');
+const { queueReservationEventById } = require('../services/webhooks');
+const { queueNotificationById } = require('../services/notifications');
+const { settleRefund } = require('../services/deposits');
+const { findCustomer, findOrCreateCustomer, countNoShows } = require('../services/customers');
+const { defaultDurationFor } = require('../services/seatingTimes');
+const { changeReservation, cancelBooking } = require('../services/reservationChanges');
+const {
+  SERIES_FREQUENCIES,
+  SERIES_SCOPES,
+  MAX_OCCURRENCES,
+  occurrenceDates,
+  reservationsInScope
+} = require('../services/series');
+const { timeZoneOf, toZonedDate, toZonedTime, toZonedISOString, zonedTimeToUtc } = require('../services/timezone');
+const { MODIFIABLE_STATUSES, canTransition } = require('../services/reservationStatus');
+const { STAFF_ROLES, withoutSecrets, ensureRestaurantAccess } = require('../middleware/auth');
+
+// Recurring series and group bookings are made by the restaurant's staff for regulars and
+// event organisers, so they're confirmed straight away - no deposit is asked for.
+// Guests get one confirmation for the lot; reminders still go out before each visit.
+
+const MAX_GROUP_PARTIES = 20;
+
+// Who the bookings are for - the same for every booking in a series or group
+const guestShape = {
+  restaurant_id: z.number().int().positive('Need a valid restaurant ID'),
+  customer_name: z.string().min(1, 'Please provide the customer name'),
+  phone: z.string().regex(/^\d{10,}$/, 'Phone number needs to be at least 10 digits'),
+  email: z.string().email('Please provide a valid email address').optional()
+};
+
+const partySizeSchema = z.number().int().positive('Party size must be at least 1 person');
+const durationSchema = z.number().int().positive().min(15, 'Reservations need to be at least 15 minutes long').optional();
+const startTimeSchema = z.string().datetime('Please use ISO 8601 format for the time (e.g., 2026-01-10T19:00:00Z)');
+
+// Validation rules for a recurring series
+// start_time is the first booking; the rest are at the same local time on later dates
+const seriesSchema = z.object({
+  ...guestShape,
+  table_id: z.number().int().positive('Need a valid table ID').optional(),
+  combination_id: z.number().int().positive('Need a valid combination ID').optional(),
+  section_id: z.number().int().positive('Need a valid section ID').optional(),
+  party_size: partySizeSchema,
+  start_time: startTimeSchema,
+  duration_minutes: durationSchema,
+  repeat: z.object({
+    frequency: z.enum(SERIES_FREQUENCIES, `frequency must be one of: ${SERIES_FREQUENCIES.join(', ')}`),
+    // Every N weeks or months
+    interval: z.number().int().min(1, 'interval must be at least 1').max(12, 'interval can be at most 12').default(1),
+    // Stop after this date, or after this many bookings
+    until: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'until must be a date in YYYY-MM-DD format').optional(),
+    count: z.number().int()
+      .min(2, 'A series needs at least 2 bookings')
+      .max(MAX_OCCURRENCES, `A series can have at most ${MAX_OCCURRENCES} bookings`)
+      .optional()
+  }).refine((repeat) => (repeat.until === undefined) !== (repeat.count === undefined), {
+    message: 'Send either until or count to say when the series ends'
+  }),
+  // Book nothing unless every date can be booked
+  all_or_nothing: z.boolean().default(false)
+}).refine((series) => !(series.table_id && series.combination_id), {
+  message: 'Send a table_id or a combination_id, not both',
+  path: ['combination_id']
+});
+
+// Validation rules for a group - several parties at the same time, booked all-or-nothing
+const groupSchema = z.object({
+  ...guestShape,
+  start_time: startTimeSchema,
+  // Defaults to the restaurant's usual visit length for each party's size
+  duration_minutes: durationSchema,
+  // Tried first for parties without a table
+  section_id: z.number().int().positive('Need a valid section ID').optional(),
+  parties: z.array(z.object({
+    party_size: partySizeSchema,
+    table_id: z.number().int().positive('Need a valid table ID').optional(),
+    combination_id: z.number().int().positive('Need a valid combination ID').optional()
+  }).refine((party) => !(party.table_id && party.combination_id), {
+    message: 'Send a table_id or a combination_id, not both'
+  }))
+    .min(2, 'A group needs at least 2 parties - book a single party as a normal reservation')
+    .max(MAX_GROUP_PARTIES, `A group can have at most ${MAX_GROUP_PARTIES} parties`)
+    .refine((parties) => {
+      const tableIds = parties.filter((party) => party.table_id).map((party) => party.table_id);
+      return new Set(tableIds).size === tableIds.length;
+    }, 'Each table can only be given to one party')
+});
+
+// Which bookings to change or cancel, and (for changes) what to change
+// time is a new local HH:MM - each booking keeps its own date
+const seriesScopeShape = {
+  scope: z.enum(SERIES_SCOPES, `scope must be one of: ${SERIES_SCOPES.join(', ')}`),
+  // The booking the change is made from - needed unless the scope is 'all'
+  reservation_id: z.number().int().positive('Need a valid reservation ID').optional()
+};
+const needsReservation = [
+  (request) => request.scope === 'all' || request.reservation_id !== undefined,
+  { message: "Send the reservation_id the change starts from (or use scope 'all')", path: ['reservation_id'] }
+];
+
+const changeSeriesSchema = z.object({
+  ...seriesScopeShape,
+  time: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'time should be HH:MM (like 12:30)').optional(),
+  table_id: z.number().int().positive('Need a valid table ID').optional(),
+  party_size: partySizeSchema.optional(),
+  duration_minutes: durationSchema
+}).refine(...needsReservation);
+
+const cancelSeriesSchema = z.object({
+  ...seriesScopeShape,
+  // Staff can let the guest off any late-cancellation fee
+  waive_fee: z.boolean().default(false)
+}).refine(...needsReservation);
+
+// Thrown inside a transaction to undo everything when not every booking can be made or changed
+// Carries the per-booking report back out to the handler
+class NotAllBooked extends Error {
+  constructor(message, report) {
+    super(message);
+    this.report = report;
+  }
+}
+
+// Short summary of a waitlist promotion for API responses
+const describePromotion = (promotion) =>
+  ({ waitlist_id: promotion.waitlist_id, reservation_id: promotion.reservation.id });
+
+// A series as we hand it back
+const describeSeries = (series) => ({
+  id: series.id,
+  kind: series.kind,
+  restaurant_id: series.restaurant_id,
+  customer_name: series.customer_name,
+  phone: series.phone,
+  email: series.email,
+  customer_id: series.customer_id,
+  frequency: series.frequency,
+  interval: series.repeat_every,
+  until: series.until_date,
+  count: series.occurrence_count,
+  created_at: series.created_at
+});
+
+// A booking in a series, with its local time
+const describeReservation = (reservation, timeZone) => ({
+  ...withoutSecrets(reservation),
+  start_time_local: toZonedISOString(reservation.start_time, timeZone)
+});
+
+// A section the guest asked for has to be one of this restaurant's
+const sectionExists = async (restaurantId, sectionId) =>
+  !sectionId || Boolean(await dbGet(
+    'SELECT id FROM sections WHERE id = ? AND restaurant_id = ?',
+    [sectionId, restaurantId]
+  ));
+
+// Whether the guest has missed enough bookings to be flagged (staff bookings are never blocked)
+const isRepeatNoShow = async (restaurant, guest) => {
+  if (restaurant.no_show_policy === 'off') {
+    return false;
+  }
+  const knownCustomer = await findCustomer(guest);
+  const noShows = knownCustomer ? await countNoShows(knownCustomer.id, restaurant.id) : 0;
+  return noShows >= restaurant.no_show_threshold;
+};
+
+// Save the series row and the guest's profile - called inside the booking transaction
+const saveSeries = async (restaurant, kind, validated, repeat = {}) => {
+  const customer = await findOrCreateCustomer({
+    name: validated.customer_name,
+    phone: validated.phone,
+    email: validated.email
+  });
+
+  const result = await dbRun(
+    `INSERT INTO reservation_series
+     (restaurant_id, kind, frequency, repeat_every, until_date, occurrence_count,
+      customer_name, phone, email, customer_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      restaurant.id,
+      kind,
+      repeat.frequency || null,
+      repeat.interval || null,
+      repeat.until || null,
+      repeat.count || null,
+      validated.customer_name,
+      validated.phone,
+      validated.email || null,
+      customer.id
+    ]
+  );
+
+  return { id: result.id, customer_id: customer.id };
+};
+
+// Book one reservation of a series or group - called inside the series' transaction
+// picked is a table or combination the client asked for (both null to assign one)
+// Returns what was booked, or { error } saying why this one couldn't be
+const bookOne = async (restaurant, series, booking, picked) => {
+  const endTime = new Date(
+    new Date(booking.start_time).getTime() + booking.duration_minutes * 60000
+  ).toISOString();
+
+  if (!(await isWithinOperatingHours(restaurant, booking.start_time, endTime))) {
+    return { error: await describeOpeningHours(restaurant, booking.start_time, endTime) };
+  }
+
+  const seating = await claimTables(restaurant, booking, picked);
+  if (seating.conflict === 'pacing') {
+    return { error: seating.reason };
+  }
+  if (seating.conflict === 'table_taken') {
+    return {
+      error: picked.combination
+        ? `A table in ${picked.combination.name} is already booked for that time`
+        : `Table ${picked.table.table_number} is already booked for that time`
+    };
+  }
+  if (seating.conflict === 'fully_booked') {
+    return { error: `No table for ${booking.party_size} is free at that time` };
+  }
+
+  const { table, combination } = seating;
+  const result = await dbRun(
+    `INSERT INTO reservations
+     (restaurant_id, table_id, customer_name, phone, party_size, start_time, duration_minutes, status,
+      customer_id, email, repeat_no_show, combination_id, preferred_section_id, series_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, 'confirmed', ?, ?, ?, ?, ?, ?)`,
+    [
+      restaurant.id,
+      table.id,
+      series.customer_name,
+      series.phone,
+      booking.party_size,
+      booking.start_time,
+      booking.duration_minutes,
+      series.customer_id,
+      series.email || null,
+      series.repeat_no_show ? 1 : 0,
+      combination ? combination.id : null,
+      booking.section_id || null,
+      series.id
+    ]
+  );
+  await queueReservationEventById('reservation.created', result.id);
+
+  return {
+    reservation_id: result.id,
+    table_id: table.id,
+    table_number: table.table_number,
+    combination_id: combination ? combination.id : null,
+    table_ids: combination ? combination.tables.map((heldTable) => heldTable.id) : [table.id]
+  };
+};
+
+// How one booking went, for the report - rolled back bookings show where they would have gone
+const reportLine = (outcome, rolledBack) => {
+  if (outcome.error) {
+    return { status: 'conflict', error: outcome.error };
+  }
+  if (rolledBack) {
+    const { reservation_id, ...seating } = outcome;
+    return { status: 'available', ...seating };
+  }
+  return { status: 'booked', ...outcome };
+};
+
+// Book the same table (or party) every week or month
+// Each date gets its own booking; dates that can't be booked are reported and skipped,
+// unless all_or_nothing is set
+const createSeries = async (req, res) => {
+  try {
+    const validated = seriesSchema.parse(req.body);
+    if (!ensureRestaurantAccess(req, res, validated.restaurant_id, STAFF_ROLES)) return;
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [validated.restaurant_id]);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    validated.duration_minutes ??= await defaultDurationFor(restaurant, validated.party_size);
+
+    const picked = await checkPickedTables(restaurant.id, validated);
+    if (picked.error) {
+      return res.status(picked.status).json({ error: picked.error });
+    }
+
+    if (!(await sectionExists(restaurant.id, validated.section_id))) {
+      return res.status(404).json({ error: 'Section not found in this restaurant' });
+    }
+
+    // Every booking is at the first one's local time, so it doesn't drift when the clocks change
+    const timeZone = timeZoneOf(restaurant);
+    const firstDate = toZonedDate(validated.start_time, timeZone);
+    const time = toZonedTime(validated.start_time, timeZone);
+
+    if (validated.repeat.until && validated.repeat.until < firstDate) {
+      return res.status(400).json({ error: 'until must be on or after the date of the first booking' });
+    }
+
+    const dates = occurrenceDates(firstDate, validated.repeat);
+    if (!dates) {
+      return res.status(400).json({
+        error: `A series can have at most ${MAX_OCCURRENCES} bookings. Pick an earlier until date.`
+      });
+    }
+
+    const repeatNoShow = await isRepeatNoShow(restaurant, validated);
+
+    const outcome = await dbTransaction(async () => {
+      const series = {
+        ...validated,
+        ...(await saveSeries(restaurant, 'recurring', validated, validated.repeat)),
+        repeat_no_show: repeatNoShow
+      };
+
+      const booked = [];
+      for (const date of dates) {
+        const start_time = zonedTimeToUtc(date, time, timeZone).toISOString();
+        const result = await bookOne(restaurant, series, { ...validated, start_time }, picked);
+        booked.push({ date, start_time, result });
+      }
+
+      const conflicts = booked.filter(({ result }) => result.error).length;
+      const rolledBack = conflicts === booked.length || (conflicts > 0 && validated.all_or_nothing);
+      const occurrences = booked.map(({ date, start_time, result }) => ({
+        date,
+        start_time,
+        start_time_local: toZonedISOString(start_time, timeZone),
+        ...reportLine(result, rolledBack)
+      }));
+
+      if (rolledBack) {
+        throw new NotAllBooked(
+          conflicts === booked.length
+            ? 'None of the dates in the series could be booked'
+            : `${conflicts} of the ${booked.length} dates can't be booked, so none were`,
+          { occurrences }
+        );
+      }
+
+      // One confirmation for the whole series
+      const first = occurrences.find((occurrence) => occurrence.status === 'booked');
+      await queueNotificationById('confirmation', first.reservation_id);
+
+      return { series, occurrences, conflicts };
+    });
+
+    const saved = await dbGet('SELECT * FROM reservation_series WHERE id = ?', [outcome.series.id]);
+    res.status(201).json({
+      ...describeSeries(saved),
+      party_size: validated.party_size,
+      duration_minutes: validated.duration_minutes,
+      timezone: timeZone,
+      booked: outcome.occurrences.length - outcome.conflicts,
+      conflicts: outcome.conflicts,
+      occurrences: outcome.occurrences
+    });
+  } catch (error) {
+    if (error instanceof NotAllBooked) {
+      return res.status(409).json({ error: error.message, ...error.report });
+    }
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Book several parties at the same time - every one of them, or none
+const createGroup = async (req, res) => {
+  try {
+    const validated = groupSchema.parse(req.body);
+    if (!ensureRestaurantAccess(req, res, validated.restaurant_id, STAFF_ROLES)) return;
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [validated.restaurant_id]);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    if (!(await sectionExists(restaurant.id, validated.section_id))) {
+      return res.status(404).json({ error: 'Section not found in this restaurant' });
+    }
+
+    // Each party's table (if picked) and booking, checked before anything is saved
+    const parties = [];
+    for (const [index, party] of validated.parties.entries()) {
+      const picked = await checkPickedTables(restaurant.id, party);
+      if (picked.error) {
+        return res.status(picked.status).json({ error: `Party ${index + 1}: ${picked.error}` });
+      }
+      parties.push({
+        picked,
+        booking: {
+          party_size: party.party_size,
+          start_time: validated.start_time,
+          duration_minutes: validated.duration_minutes ?? await defaultDurationFor(restaurant, party.party_size),
+          section_id: validated.section_id
+        }
+      });
+    }
+
+    // Tables picked for one party can't be handed to another, even inside a combination
+    const pickedTableIds = parties.flatMap(({ picked }) =>
+      picked.combination ? picked.combination.tables.map((table) => table.id) : picked.table ? [picked.table.id] : []);
+    if (new Set(pickedTableIds).size !== pickedTableIds.length) {
+      return res.status(400).json({ error: 'Each table can only be given to one party' });
+    }
+
+    const repeatNoShow = await isRepeatNoShow(restaurant, validated);
+
+    // Parties with a picked table go first, so the ones we seat don't take their tables
+    const order = [...parties.keys()].sort((a, b) =>
+      Number(Boolean(parties[b].picked.table || parties[b].picked.combination)) -
+      Number(Boolean(parties[a].picked.table || parties[a].picked.combination)));
+
+    const outcome = await dbTransaction(async () => {
+      const series = {
+        ...validated,
+        ...(await saveSeries(restaurant, 'group', validated)),
+        repeat_no_show: repeatNoShow
+      };
+
+      const results = [];
+      for (const index of order) {
+        results[index] = await bookOne(restaurant, series, parties[index].booking, parties[index].picked);
+      }
+
+      const conflicts = results.filter((result) => result.error).length;
+      const report = results.map((result, index) => ({
+        party: index + 1,
+        party_size: parties[index].booking.party_size,
+        duration_minutes: parties[index].booking.duration_minutes,
+        ...reportLine(result, conflicts > 0)
+      }));
+
+      if (conflicts > 0) {
+        throw new NotAllBooked(
+          `${conflicts} of the ${results.length} parties can't be seated at that time, so none were booked`,
+          { parties: report }
+        );
+      }
+
+      await queueNotificationById('confirmation', results[0].reservation_id);
+      return { series, parties: report };
+    });
+
+    const saved = await dbGet('SELECT * FROM reservation_series WHERE id = ?', [outcome.series.id]);
+    res.status(201).json({
+      ...describeSeries(saved),
+      start_time: validated.start_time,
+      start_time_local: toZonedISOString(validated.start_time, timeZoneOf(restaurant)),
+      timezone: timeZoneOf(restaurant),
+      total_party_size: validated.parties.reduce((sum, party) => sum + party.party_size, 0),
+      parties: outcome.parties
+    });
+  } catch (error) {
+    if (error instanceof NotAllBooked) {
+      return res.status(409).json({ error: error.message, ...error.report });
+    }
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Look up a series (or group) and check the caller works at its restaurant
+// Sends the error response and returns null if not
+const findSeries = async (req, res) => {
+  const series = await dbGet('SELECT * FROM reservation_series WHERE id = ?', [req.params.id]);
+
+  if (!series) {
+    res.status(404).json({ error: 'Reservation series not found' });
+    return null;
+  }
+
+  if (!ensureRestaurantAccess(req, res, series.restaurant_id, STAFF_ROLES)) return null;
+  return series;
+};
+
+// The booking a change starts from - it has to be part of the series
+const findChosenReservation = async (series, reservationId) =>
+  reservationId
+    ? dbGet('SELECT * FROM reservations WHERE id = ? AND series_id = ?', [reservationId, series.id])
+    : null;
+
+// A series with every booking in it, earliest first
+const getSeries = async (req, res) => {
+  try {
+    const series = await findSeries(req, res);
+    if (!series) return;
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [series.restaurant_id]);
+    const reservations = await dbAll(
+      `SELECT r.*, t.table_number
+       FROM reservations r
+       JOIN tables t ON t.id = r.table_id
+       WHERE r.series_id = ?
+       ORDER BY datetime(r.start_time), r.id`,
+      [series.id]
+    );
+
+    res.json({
+      ...describeSeries(series),
+      timezone: timeZoneOf(restaurant),
+      reservations: reservations.map((reservation) => describeReservation(reservation, timeZoneOf(restaurant)))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Change one booking, it and every later one, or the whole series
+// Every booking the change applies to has to pass the usual checks, or none are changed
+const updateSeries = async (req, res) => {
+  try {
+    const validated = changeSeriesSchema.parse(req.body || {});
+    const { scope, reservation_id, time, ...changes } = validated;
+
+    if (time === undefined && Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to change. Send time, table_id, party_size or duration_minutes.'
+      });
+    }
+
+    const series = await findSeries(req, res);
+    if (!series) return;
+
+    const chosen = await findChosenReservation(series, reservation_id);
+    if (reservation_id && !chosen) {
+      return res.status(404).json({ error: 'Reservation not found in this series' });
+    }
+
+    if (scope === 'this' && !MODIFIABLE_STATUSES.includes(chosen.status)) {
+      return res.status(409).json({ error: `Can't change a reservation that is ${chosen.status}` });
+    }
+
+    const affected = (await reservationsInScope(series.id, scope, chosen))
+      .filter((reservation) => MODIFIABLE_STATUSES.includes(reservation.status));
+
+    if (affected.length === 0) {
+      return res.status(409).json({ error: 'There are no upcoming bookings in this series to change' });
+    }
+
+    // Every party in a group sits at its own table
+    if (series.kind === 'group' && changes.table_id && affected.length > 1) {
+      return res.status(400).json({
+        error: "Each party in a group has its own table - move them one at a time with scope 'this'"
+      });
+    }
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [series.restaurant_id]);
+    const timeZone = timeZoneOf(restaurant);
+
+    const outcome = await dbTransaction(async () => {
+      const results = [];
+      for (const reservation of affected) {
+        // A new time keeps each booking on its own date
+        const start_time = time
+          ? zonedTimeToUtc(toZonedDate(reservation.start_time, timeZone), time, timeZone).toISOString()
+          : undefined;
+        results.push({
+          reservation,
+          result: await changeReservation(restaurant, reservation, { ...changes, start_time })
+        });
+      }
+
+      const failed = results.filter(({ result }) => result.error);
+      if (failed.length > 0) {
+        throw new NotAllBooked(
+          `${failed.length} of the ${results.length} bookings can't be changed like that, so none were`,
+          {
+            conflicts: failed.map(({ reservation, result }) => ({
+              reservation_id: reservation.id,
+              start_time: reservation.start_time,
+              start_time_local: toZonedISOString(reservation.start_time, timeZone),
+              error: result.error
+            }))
+          }
+        );
+      }
+
+      return { promotions: results.map(({ result }) => result.promotion).filter(Boolean) };
+    });
+
+    const saved = await dbAll(
+      `SELECT r.*, t.table_number
+       FROM reservations r
+       JOIN tables t ON t.id = r.table_id
+       WHERE r.id IN (${affected.map(() => '?').join(', ')})
+       ORDER BY datetime(r.start_time), r.id`,
+      affected.map((reservation) => reservation.id)
+    );
+
+    res.json({
+      series_id: series.id,
+      scope,
+      changed: saved.length,
+      reservations: saved.map((reservation) => describeReservation(reservation, timeZone)),
+      waitlist_promotions: outcome.promotions.map(describePromotion)
+    });
+  } catch (error) {
+    if (error instanceof NotAllBooked) {
+      return res.status(409).json({ error: error.message, ...error.report });
+    }
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Cancel one booking, it and every later one, or the whole series
+// Bookings that are already over (or cancelled) are left as they are
+const cancelSeries = async (req, res) => {
+  try {
+    const validated = cancelSeriesSchema.parse(req.body || {});
+
+    const series = await findSeries(req, res);
+    if (!series) return;
+
+    const chosen = await findChosenReservation(series, validated.reservation_id);
+    if (validated.reservation_id && !chosen) {
+      return res.status(404).json({ error: 'Reservation not found in this series' });
+    }
+
+    if (validated.scope === 'this' && !canTransition(chosen.status, 'cancelled')) {
+      return res.status(409).json({ error: `Can't cancel a reservation that is ${chosen.status}` });
+    }
+
+    const affected = (await reservationsInScope(series.id, validated.scope, chosen))
+      .filter((reservation) => canTransition(reservation.status, 'cancelled'));
+
+    if (affected.length === 0) {
+      return res.status(409).json({ error: 'There are no upcoming bookings in this series to cancel' });
+    }
+
+    const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [series.restaurant_id]);
+
+    // The guest gets one cancellation notice, for the first booking cancelled
+    const cancelled = await dbTransaction(async () => {
+      const results = [];
+      for (const [index, reservation] of affected.entries()) {
+        results.push(await cancelBooking(restaurant, reservation, {
+          waiveFee: validated.waive_fee,
+          notify: index === 0
+        }));
+      }
+      return results;
+    });
+
+    // Money goes back only once the cancellations are saved
+    for (const { terms } of cancelled) {
+      await settleRefund(terms);
+    }
+
+    res.json({
+      message: affected.length === 1 ? 'Reservation cancelled' : `${affected.length} reservations cancelled`,
+      series_id: series.id,
+      scope: validated.scope,
+      cancelled: affected.map((reservation) => reservation.id),
+      waitlist_promotions: cancelled
+        .map(({ promotion }) => promotion)
+        .filter(Boolean)
+        .map(describePromotion)
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createSeries,
+  createGroup,
+  getSeries,
+  updateSeries,
+  cancelSeries
+};
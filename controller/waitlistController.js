@@ -0,0 +1,320 @@
+const { dbRun, dbGet, dbAll, dbTransaction } = require('../db/db');
+const { z } = require('zod');
+const { isWithinOperatingHours, describeOpeningHours } = require('../services/openingHours');
+const { checkPickedTables } = require('../services/tableAssignment');
+const { defaultDurationFor } = require('../services/seatingTimes');
+const { logWaitlistEvent, promoteEntry, whyNotPromoted } = require('../services/waitlist');
+const { STAFF_ROLES, withoutSecrets, ensureRestaurantAccess } = require('../middleware/auth');
+const { paginationShape, sortParam, orderBy, sendPage } = require('../services/pagination');
+
+// The waitlist is run by front-of-house staff, so every handler here needs a staff key
+
+// Validation rules for putting a party on the waitlist
+// Mirrors the reservation rules, minus the table (we pick one when promoting)
+const addToWaitlistSchema = z.object({
+  customer_name: z.string().min(1, 'Please provide the customer name'),
+  phone: z.string().regex(/^\d{10,}$/, 'Phone number needs to be at least 10 digits'),
+  party_size: z.number().int().positive('Party size must be at least 1 person'),
+  start_time: z.string().datetime('Please use ISO 8601 format for the time (e.g., 2026-01-10T19:00:00Z)'),
+  // Optional - defaults to the restaurant's usual visit length for the party size
+  duration_minutes: z.number().int().positive().min(15, 'Reservations need to be at least 15 minutes long').optional()
+});
+
+// Validation rules for promoting someone by hand - the host may choose the table
+const promoteSchema = z.object({
+  table_id: z.number().int().positive('Need a valid table ID').optional()
+});
+
+const WAITLIST_STATUSES = ['waiting', 'promoted', 'removed'];
+
+// Sorting and paging the waitlist
+const WAITLIST_SORTS = { created_at: 'created_at', start_time: 'start_time' };
+const waitlistListSchema = z.object({
+  sort: sortParam(WAITLIST_SORTS, 'created_at'),
+  ...paginationShape
+});
+
+// Look up a waitlist entry, making sure it belongs to the restaurant in the URL
+const findEntry = (restaurant_id, entry_id) =>
+  dbGet(
+    'SELECT * FROM waitlist WHERE id = ? AND restaurant_id = ?',
+    [entry_id, restaurant_id]
+  );
+
+// Add a party to the restaurant's waitlist
+const addToWaitlist = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, STAFF_ROLES)) return;
+
+    const validated = addToWaitlistSchema.parse(req.body);
+
+    const restaurant = await dbGet(
+      'SELECT * FROM restaurants WHERE id = ?',
+      [id]
+    );
+
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    validated.duration_minutes ??= await defaultDurationFor(restaurant, validated.party_size);
+
+    // No point waiting for a time the restaurant isn't even open
+    const endTime = new Date(
+      new Date(validated.start_time).getTime() + validated.duration_minutes * 60000
+    ).toISOString();
+
+    if (!(await isWithinOperatingHours(restaurant, validated.start_time, endTime))) {
+      return res.status(400).json({
+        error: await describeOpeningHours(restaurant, validated.start_time, endTime)
+      });
+    }
+
+    const result = await dbRun(
+      `INSERT INTO waitlist
+       (restaurant_id, customer_name, phone, party_size, start_time, duration_minutes)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        restaurant.id,
+        validated.customer_name,
+        validated.phone,
+        validated.party_size,
+        validated.start_time,
+        validated.duration_minutes
+      ]
+    );
+
+    const entry = await dbGet('SELECT * FROM waitlist WHERE id = ?', [result.id]);
+    await logWaitlistEvent(entry, 'added');
+
+    res.status(201).json(entry);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// List the waitlist in the order parties will be offered a table
+// Defaults to people still waiting; pass ?status=promoted or ?status=removed for the rest
+const getWaitlist = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, STAFF_ROLES)) return;
+
+    const status = req.query.status || 'waiting';
+
+    if (!WAITLIST_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Status must be one of: ${WAITLIST_STATUSES.join(', ')}`
+      });
+    }
+
+    const query = waitlistListSchema.parse(req.query);
+
+    const restaurant = await dbGet(
+      'SELECT * FROM restaurants WHERE id = ?',
+      [id]
+    );
+
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    const { total } = await dbGet(
+      'SELECT COUNT(*) AS total FROM waitlist WHERE restaurant_id = ? AND status = ?',
+      [id, status]
+    );
+
+    // First come first served unless asked otherwise
+    const entries = await dbAll(
+      `SELECT * FROM waitlist
+       WHERE restaurant_id = ? AND status = ?
+       ${orderBy(query.sort, WAITLIST_SORTS)}
+       LIMIT ? OFFSET ?`,
+      [id, status, query.limit, query.offset]
+    );
+
+    sendPage(req, res, entries, { total, limit: query.limit, offset: query.offset });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Take a party off the waitlist
+// Like cancelling a reservation, we keep the row and just mark it removed
+const removeFromWaitlist = async (req, res) => {
+  try {
+    const { id, entry_id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, STAFF_ROLES)) return;
+
+    const entry = await findEntry(id, entry_id);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+
+    if (entry.status !== 'waiting') {
+      return res.status(409).json({
+        error: `This party is no longer waiting (status: ${entry.status})`
+      });
+    }
+
+    await dbRun(
+      "UPDATE waitlist SET status = 'removed' WHERE id = ?",
+      [entry.id]
+    );
+    await logWaitlistEvent(entry, 'removed');
+
+    res.json({ message: 'Removed from waitlist', id: entry.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Promote a waiting party into a real reservation
+// The host can name a table, otherwise we pick one the usual way
+const promoteFromWaitlist = async (req, res) => {
+  try {
+    const { id, entry_id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, STAFF_ROLES)) return;
+
+    const validated = promoteSchema.parse(req.body || {});
+
+    const entry = await findEntry(id, entry_id);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+
+    if (entry.status !== 'waiting') {
+      return res.status(409).json({
+        error: `This party is no longer waiting (status: ${entry.status})`
+      });
+    }
+
+    const restaurant = await dbGet(
+      'SELECT * FROM restaurants WHERE id = ?',
+      [entry.restaurant_id]
+    );
+
+    // Host picked a table - it still has to be in service, big enough and free
+    const picked = await checkPickedTables(entry.restaurant_id, {
+      table_id: validated.table_id,
+      party_size: entry.party_size
+    });
+    if (picked.error) {
+      return res.status(picked.status).json({ error: picked.error });
+    }
+
+    // Checking pacing and the table and booking it happen in one transaction,
+    // same as a normal reservation
+    const outcome = await dbTransaction(async () => {
+      // Two hosts pressing "promote" at once shouldn't book the party twice
+      const current = await dbGet('SELECT status FROM waitlist WHERE id = ?', [entry.id]);
+      if (current.status !== 'waiting') {
+        return { conflict: 'not_waiting', status: current.status };
+      }
+
+      const promoted = await promoteEntry(restaurant, entry, 'Promoted by staff', picked);
+      if (['deposit', 'pacing', 'fully_booked'].includes(promoted.conflict)) {
+        await logWaitlistEvent(entry, 'skipped', {
+          details: `Manual promotion failed - ${whyNotPromoted(promoted, entry)}`
+        });
+      }
+      return promoted;
+    });
+
+    if (outcome.conflict === 'not_waiting') {
+      return res.status(409).json({
+        error: `This party is no longer waiting (status: ${outcome.status})`
+      });
+    }
+
+    if (outcome.conflict === 'deposit') {
+      return res.status(409).json({
+        error: `This party needs a deposit of ${(outcome.deposit_cents / 100).toFixed(2)} ${outcome.currency} - ` +
+          'book them as a normal reservation so they get a payment link',
+        deposit_cents: outcome.deposit_cents
+      });
+    }
+
+    if (outcome.conflict === 'pacing') {
+      return res.status(409).json({ error: outcome.reason });
+    }
+
+    if (outcome.conflict === 'table_taken') {
+      return res.status(409).json({
+        error: 'This table is already booked for that time. Try another time or table.'
+      });
+    }
+
+    if (outcome.conflict === 'fully_booked') {
+      return res.status(409).json({
+        error: `No table for ${entry.party_size} is free at that time.`
+      });
+    }
+
+    const { reservation, guestToken } = outcome;
+
+    // The token is in the confirmation too - it's here for guests staff pass it on to themselves
+    res.status(201).json({ waitlist_id: entry.id, reservation: withoutSecrets(reservation), guest_token: guestToken });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Show the audit trail of every waitlist change at a restaurant, newest first
+const getWaitlistEvents = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, STAFF_ROLES)) return;
+
+    const restaurant = await dbGet(
+      'SELECT * FROM restaurants WHERE id = ?',
+      [id]
+    );
+
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    const query = z.object(paginationShape).parse(req.query);
+
+    const { total } = await dbGet(
+      'SELECT COUNT(*) AS total FROM waitlist_events WHERE restaurant_id = ?',
+      [id]
+    );
+
+    const events = await dbAll(
+      `SELECT * FROM waitlist_events
+       WHERE restaurant_id = ?
+       ORDER BY id DESC
+       LIMIT ? OFFSET ?`,
+      [id, query.limit, query.offset]
+    );
+
+    sendPage(req, res, events, { total, limit: query.limit, offset: query.offset });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  addToWaitlist,
+  getWaitlist,
+  removeFromWaitlist,
+  promoteFromWaitlist,
+  getWaitlistEvents
+};
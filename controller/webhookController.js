@@ -0,0 +1,225 @@
+const { dbRun, dbGet, dbAll } = require('../db/db');
+const { z } = require('zod');
+const { WEBHOOK_EVENTS, attemptDelivery } = require('../services/webhooks');
+const { paginationShape, listOf, sendPage } = require('../services/pagination');
+const { MANAGER_ROLES, generateSecret, ensureRestaurantAccess } = require('../middleware/auth');
+
+// Webhooks are part of a restaurant's setup, so every handler here needs a manager key
+
+// Validation rules for a new subscription
+// Leave out events to get all of them; leave out secret and we make one up
+const createWebhookSchema = z.object({
+  url: z.url({ protocol: /^https?$/, message: 'Please give an http(s) URL to send events to' }),
+  events: z.array(z.enum(WEBHOOK_EVENTS, `Events must be one of: ${WEBHOOK_EVENTS.join(', ')}`))
+    .min(1, 'Subscribe to at least one event')
+    .default(WEBHOOK_EVENTS),
+  secret: z.string().min(16, 'The secret should be at least 16 characters').optional()
+});
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+// Filtering and paging the delivery log
+const deliveryListSchema = z.object({
+  status: listOf(DELIVERY_STATUSES, 'status').optional(),
+  webhook_id: z.coerce.number().int().positive('Need a valid webhook ID').optional(),
+  ...paginationShape
+});
+
+const findRestaurant = (id) =>
+  dbGet('SELECT * FROM restaurants WHERE id = ?', [id]);
+
+// The secret is only shown when the subscription is created
+const toWebhookResponse = ({ secret, events, ...webhook }) => ({
+  ...webhook,
+  events: events.split(',')
+});
+
+// Subscribe a URL to reservation events
+const createWebhook = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const validated = createWebhookSchema.parse(req.body);
+
+    if (!(await findRestaurant(id))) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    const secret = validated.secret || generateSecret('whsec');
+    const events = [...new Set(validated.events)];
+
+    const result = await dbRun(
+      'INSERT INTO webhooks (restaurant_id, url, secret, events) VALUES (?, ?, ?, ?)',
+      [id, validated.url, secret, events.join(',')]
+    );
+
+    const webhook = await dbGet('SELECT * FROM webhooks WHERE id = ?', [result.id]);
+    res.status(201).json({ ...toWebhookResponse(webhook), secret });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// List a restaurant's subscriptions (without their secrets)
+const getWebhooks = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const query = z.object(paginationShape).parse(req.query);
+
+    const { total } = await dbGet(
+      'SELECT COUNT(*) AS total FROM webhooks WHERE restaurant_id = ?',
+      [id]
+    );
+    const webhooks = await dbAll(
+      'SELECT * FROM webhooks WHERE restaurant_id = ? ORDER BY id LIMIT ? OFFSET ?',
+      [id, query.limit, query.offset]
+    );
+
+    sendPage(req, res, webhooks.map(toWebhookResponse), { total, limit: query.limit, offset: query.offset });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Unsubscribe - anything still waiting in the outbox for it is dropped too
+const deleteWebhook = async (req, res) => {
+  try {
+    const { id, webhook_id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const result = await dbRun(
+      'DELETE FROM webhooks WHERE id = ? AND restaurant_id = ?',
+      [webhook_id, id]
+    );
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({ message: 'Webhook deleted', id: Number(webhook_id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// The delivery log, newest first - ?status=failed shows what needs replaying
+const getDeliveries = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const query = deliveryListSchema.parse(req.query);
+
+    const where = ['restaurant_id = ?'];
+    const params = [id];
+    if (query.status) {
+      where.push(`status IN (${query.status.map(() => '?').join(', ')})`);
+      params.push(...query.status);
+    }
+    if (query.webhook_id) {
+      where.push('webhook_id = ?');
+      params.push(query.webhook_id);
+    }
+
+    const { total } = await dbGet(
+      `SELECT COUNT(*) AS total FROM webhook_deliveries WHERE ${where.join(' AND ')}`,
+      params
+    );
+    const deliveries = await dbAll(
+      `SELECT * FROM webhook_deliveries
+       WHERE ${where.join(' AND ')}
+       ORDER BY id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, query.limit, query.offset]
+    );
+
+    sendPage(
+      req,
+      res,
+      deliveries.map((delivery) => ({ ...delivery, payload: JSON.parse(delivery.payload) })),
+      { total, limit: query.limit, offset: query.offset }
+    );
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Send one delivery again straight away, with a fresh set of retries if it fails
+// Works for failed deliveries and for delivered ones the receiver has lost
+const replayDelivery = async (req, res) => {
+  try {
+    const { id, delivery_id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const delivery = await dbGet(
+      'SELECT * FROM webhook_deliveries WHERE id = ? AND restaurant_id = ?',
+      [delivery_id, id]
+    );
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    if (delivery.status === 'pending') {
+      return res.status(409).json({ error: 'This delivery is still queued and will be retried automatically' });
+    }
+
+    await dbRun(
+      "UPDATE webhook_deliveries SET status = 'pending', attempts = 0, delivered_at = NULL WHERE id = ?",
+      [delivery.id]
+    );
+
+    const attempted = await attemptDelivery({ ...delivery, status: 'pending', attempts: 0 });
+    res.json({ ...attempted, payload: JSON.parse(attempted.payload) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Put every failed delivery back in the outbox (optionally for one webhook)
+// The background dispatcher sends them on its next run
+const replayFailedDeliveries = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ensureRestaurantAccess(req, res, id, MANAGER_ROLES)) return;
+
+    const { webhook_id } = z.object({
+      webhook_id: z.number().int().positive('Need a valid webhook ID').optional()
+    }).parse(req.body || {});
+
+    const result = await dbRun(
+      `UPDATE webhook_deliveries
+       SET status = 'pending', attempts = 0, next_attempt_at = ?
+       WHERE restaurant_id = ? AND status = 'failed' AND (? IS NULL OR webhook_id = ?)`,
+      [new Date().toISOString(), id, webhook_id ?? null, webhook_id ?? null]
+    );
+
+    res.json({ message: 'Failed deliveries queued again', queued: result.changes });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ errors: error.flatten().fieldErrors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createWebhook,
+  getWebhooks,
+  deleteWebhook,
+  getDeliveries,
+  replayDelivery,
+  replayFailedDeliveries
+};
@@ -1,31 +1,52 @@
+const { AsyncLocalStorage } = require("async_hooks");
 const sqlite3 = require("sqlite3").verbose();
-const schema = require("../model/schema");
 
 // Create or connect to SQLite database
 // Uses in-memory DB for testing, file-based for production
+const isInMemory = !process.env.DB_PATH;
 const db = new sqlite3.Database(process.env.DB_PATH || ":memory:");
 
-db.serialize(() => {
-  db.exec(schema);
-});
+// Foreign keys are off by default in SQLite, and the setting can't change inside a
+// transaction - so it's switched on once for the connection, before anything else runs
+db.run("PRAGMA foreign_keys = ON");
 
-// Re-initialize database (mainly used in tests to clear old data)
+// Bring the schema up to date (used by tests, and by the server on an in-memory database)
+// The tables come from the numbered migrations in db/migrations - see db/migrator.js
 const initializeDatabase = () => {
-  return new Promise((resolve, reject) => {
-    db.exec(schema, (err) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve();
-      }
-    });
-  });
+  // Required here because the migrator itself uses the helpers below
+  const { migrate } = require("./migrator");
+  return migrate();
 };
 
+// Everything shares one connection, so while a transaction is open any other statement would run
+// inside it - and be lost without an error if it rolls back. Statements from outside the open
+// transaction therefore wait their turn in one queue with the transactions themselves, while the
+// transaction's own statements (recognised through async context) go straight through.
+const insideTransaction = new AsyncLocalStorage();
+let queue = Promise.resolve();
+
+// The open transaction, matched against the async context - work a transaction started but didn't
+// wait for can outlive it, and must queue like everything else once it's over
+let openTransaction = null;
+const inOpenTransaction = () => openTransaction !== null && insideTransaction.getStore() === openTransaction;
+
+function enqueue(task) {
+  const result = queue.then(task);
+  // Keep the queue moving even if this one failed
+  queue = result.catch(() => {});
+  return result;
+}
+
+// Send a statement to SQLite now if it belongs to the open transaction, otherwise queue it
+function statement(send) {
+  const promise = () => new Promise(send);
+  return inOpenTransaction() ? promise() : enqueue(promise);
+}
+
 // Convert SQLite callbacks to Promises - much easier to work with async/await
 // INSERT, UPDATE, DELETE operations
 function run(sql, params = []) {
-  return new Promise((resolve, reject) => {
+  return statement((resolve, reject) => {
     db.run(sql, params, function (err) {
       if (err) return reject(err);
       // Return both the new row ID and number of affected rows
@@ -36,7 +57,7 @@ function run(sql, params = []) {
 
 // SELECT single row (returns undefined if no match)
 function get(sql, params = []) {
-  return new Promise((resolve, reject) => {
+  return statement((resolve, reject) => {
     db.get(sql, params, (err, row) => {
       if (err) return reject(err);
       resolve(row);
@@ -44,9 +65,19 @@ function get(sql, params = []) {
   });
 }
 
+// Several statements at once, with no results (migrations)
+function exec(sql) {
+  return statement((resolve, reject) => {
+    db.exec(sql, (err) => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+}
+
 // SELECT multiple rows (returns empty array if no matches)
 function all(sql, params = []) {
-  return new Promise((resolve, reject) => {
+  return statement((resolve, reject) => {
     db.all(sql, params, (err, rows) => {
       if (err) return reject(err);
       resolve(rows);
@@ -54,6 +85,52 @@ function all(sql, params = []) {
   });
 }
 
+// Run a group of statements as one all-or-nothing unit
+// work() is an async function using run/get/all as normal. If it throws, everything it did is rolled back.
+// Transactions take their turn in the queue above, so nothing else runs on the connection until this
+// one commits or rolls back. Don't nest them - the inner one would wait for the outer forever.
+
+// Callbacks waiting for the open transaction to commit (null when there isn't one)
+let commitCallbacks = null;
+
+function transaction(work) {
+  const current = {};
+  return enqueue(() => insideTransaction.run(current, async () => {
+    openTransaction = current;
+    // IMMEDIATE takes the write lock up front, so other processes on the same file wait too
+    await run("BEGIN IMMEDIATE");
+    commitCallbacks = [];
+    let value;
+    try {
+      value = await work();
+      await run("COMMIT");
+    } catch (err) {
+      commitCallbacks = null;
+      await run("ROLLBACK");
+      openTransaction = null;
+      throw err;
+    }
+
+    const callbacks = commitCallbacks;
+    commitCallbacks = null;
+    openTransaction = null;
+    // Outside the transaction's context, so anything they query waits for the queue as usual
+    insideTransaction.exit(() => callbacks.forEach((callback) => callback()));
+    return value;
+  }));
+}
+
+// Run callback once the open transaction commits, or straight away if there isn't one
+// For side effects outside the database (like waking up live streams) that must not
+// happen for changes that end up rolled back
+function afterCommit(callback) {
+  if (commitCallbacks && inOpenTransaction()) {
+    commitCallbacks.push(callback);
+  } else {
+    callback();
+  }
+}
+
 // Export functions with aliases for consistency across the codebase
 // Controllers use the dbRun/dbGet/dbAll names, so we support both conventions
 module.exports = { 
@@ -61,8 +138,14 @@ module.exports = {
   run, 
   get, 
   all,
+  exec,
+  transaction,
+  afterCommit,
   dbRun: run,
   dbGet: get,
   dbAll: all,
+  dbTransaction: transaction,
+  dbAfterCommit: afterCommit,
+  isInMemory,
   initializeDatabase
 };
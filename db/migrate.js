@@ -0,0 +1,63 @@
+const { isInMemory } = require("./db");
+const { label, getStatus, migrate, rollback } = require("./migrator");
+
+// Migrations from the command line, against the database file in DB_PATH
+//   node db/migrate.js migrate            apply every pending migration
+//   node db/migrate.js rollback [steps]   undo the last migration (or the last few)
+//   node db/migrate.js status             list applied, pending and unknown migrations
+// The npm scripts migrate, migrate:rollback and migrate:status run these.
+
+const USAGE = "Usage: node db/migrate.js migrate | rollback [steps] | status";
+
+const commands = {
+  migrate: async () => {
+    const applied = await migrate();
+    if (applied.length === 0) {
+      console.log("Already up to date");
+    }
+    applied.forEach((migration) => console.log(`Applied ${label(migration)}`));
+  },
+
+  rollback: async (steps = "1") => {
+    if (!/^[1-9]\d*$/.test(steps)) {
+      throw new Error(`steps must be a whole number of at least 1\n${USAGE}`);
+    }
+
+    const undone = await rollback(undefined, Number(steps));
+    if (undone.length === 0) {
+      console.log("Nothing to roll back");
+    }
+    undone.forEach((migration) => console.log(`Rolled back ${label(migration)}`));
+  },
+
+  status: async () => {
+    const { applied, pending, unknown } = await getStatus();
+    applied.forEach((row) => console.log(`applied  ${label(row)}  (${row.applied_at})`));
+    pending.forEach((migration) => console.log(`pending  ${label(migration)}`));
+    unknown.forEach((row) => console.log(`unknown  ${label(row)}  (applied ${row.applied_at}, but there's no file for it)`));
+
+    // Non-zero when the server would refuse to start, so scripts can check it
+    if (pending.length > 0 || unknown.length > 0) {
+      process.exitCode = 1;
+    }
+  }
+};
+
+const main = async () => {
+  const [command, ...args] = process.argv.slice(2);
+  if (!commands[command]) {
+    throw new Error(USAGE);
+  }
+
+  // An in-memory database would be thrown away as soon as this exits
+  if (isInMemory) {
+    throw new Error("Set DB_PATH to the database file to migrate");
+  }
+
+  await commands[command](...args);
+};
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,52 @@
+// The schema the old start-up script (model/schema.js) created, before migrations existed
+// Everything uses IF NOT EXISTS, so a database that script made is adopted as it is and
+// brought up to date by the migrations after this one
+
+const up = `
+  CREATE TABLE IF NOT EXISTS restaurants (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    opening_time TEXT NOT NULL,  -- "10:00"
+    closing_time TEXT NOT NULL,  -- "22:00"
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
+  CREATE TABLE IF NOT EXISTS tables (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    restaurant_id INTEGER NOT NULL,
+    table_number INTEGER NOT NULL,
+    capacity INTEGER NOT NULL,
+    UNIQUE (restaurant_id, table_number),
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS reservations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    restaurant_id INTEGER NOT NULL,
+    table_id INTEGER NOT NULL,
+    customer_name TEXT NOT NULL,
+    phone TEXT NOT NULL,
+    party_size INTEGER NOT NULL,
+    start_time TEXT NOT NULL,       -- ISO string
+    duration_minutes INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'confirmed', -- pending/confirmed/completed/cancelled
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE,
+    FOREIGN KEY (table_id) REFERENCES tables(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_reservations_restaurant_start
+    ON reservations(restaurant_id, start_time);
+
+  CREATE INDEX IF NOT EXISTS idx_reservations_table_start
+    ON reservations(table_id, start_time);
+`;
+
+// Children before parents, so no foreign key is left pointing at a dropped table
+const down = `
+  DROP TABLE IF EXISTS reservations;
+  DROP TABLE IF EXISTS tables;
+  DROP TABLE IF EXISTS restaurants;
+`;
+
+module.exports = { up, down };
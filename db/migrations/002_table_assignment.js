@@ -0,0 +1,13 @@
+// How free tables are handed out, and which tables are held back for VIPs
+
+const up = `
+  ALTER TABLE restaurants ADD COLUMN assignment_strategy TEXT NOT NULL DEFAULT 'best_fit'; -- best_fit/spread/reserve_vip
+  ALTER TABLE tables ADD COLUMN is_vip INTEGER NOT NULL DEFAULT 0; -- held back for VIPs under 'reserve_vip'
+`;
+
+const down = `
+  ALTER TABLE tables DROP COLUMN is_vip;
+  ALTER TABLE restaurants DROP COLUMN assignment_strategy;
+`;
+
+module.exports = { up, down };
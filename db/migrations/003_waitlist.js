@@ -0,0 +1,40 @@
+const up = `
+  -- Parties waiting for a table to free up, served first come first served
+  CREATE TABLE waitlist (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    restaurant_id INTEGER NOT NULL,
+    customer_name TEXT NOT NULL,
+    phone TEXT NOT NULL,
+    party_size INTEGER NOT NULL,
+    start_time TEXT NOT NULL,       -- ISO string, when the party would like to sit
+    duration_minutes INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'waiting', -- waiting/promoted/removed
+    reservation_id INTEGER,         -- set once the party is promoted
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE,
+    FOREIGN KEY (reservation_id) REFERENCES reservations(id) ON DELETE SET NULL
+  );
+
+  -- Audit trail of everything that happened to a waitlist entry
+  CREATE TABLE waitlist_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    waitlist_id INTEGER NOT NULL,
+    restaurant_id INTEGER NOT NULL,
+    event TEXT NOT NULL,            -- added/removed/promoted/skipped
+    reservation_id INTEGER,
+    details TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (waitlist_id) REFERENCES waitlist(id) ON DELETE CASCADE,
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX idx_waitlist_restaurant_status
+    ON waitlist(restaurant_id, status, start_time);
+`;
+
+const down = `
+  DROP TABLE waitlist_events;
+  DROP TABLE waitlist;
+`;
+
+module.exports = { up, down };
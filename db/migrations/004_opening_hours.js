@@ -0,0 +1,38 @@
+const up = `
+  -- Weekly opening hours, one row per service (so lunch and dinner are two rows)
+  -- A close_time at or before open_time means the service runs past midnight
+  -- Restaurants with no rows here just use opening_time/closing_time every day
+  CREATE TABLE opening_hours (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    restaurant_id INTEGER NOT NULL,
+    weekday INTEGER NOT NULL,     -- 0 = Sunday ... 6 = Saturday
+    open_time TEXT NOT NULL,      -- "12:00"
+    close_time TEXT NOT NULL,     -- "15:00"
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+  );
+
+  -- Date-specific overrides (holidays, special events) that replace the weekly rules
+  CREATE TABLE opening_hour_exceptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    restaurant_id INTEGER NOT NULL,
+    date TEXT NOT NULL,           -- "2026-12-25"
+    closed INTEGER NOT NULL DEFAULT 0,
+    open_time TEXT,               -- null when closed
+    close_time TEXT,
+    reason TEXT,
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX idx_opening_hours_restaurant
+    ON opening_hours(restaurant_id, weekday);
+
+  CREATE INDEX idx_opening_hour_exceptions_restaurant_date
+    ON opening_hour_exceptions(restaurant_id, date);
+`;
+
+const down = `
+  DROP TABLE opening_hour_exceptions;
+  DROP TABLE opening_hours;
+`;
+
+module.exports = { up, down };
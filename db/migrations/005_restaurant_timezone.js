@@ -0,0 +1,11 @@
+// Existing restaurants keep working in UTC, as they always have
+
+const up = `
+  ALTER TABLE restaurants ADD COLUMN timezone TEXT NOT NULL DEFAULT 'UTC'; -- IANA zone the hours are in, e.g. "Europe/London"
+`;
+
+const down = `
+  ALTER TABLE restaurants DROP COLUMN timezone;
+`;
+
+module.exports = { up, down };
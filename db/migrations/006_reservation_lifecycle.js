@@ -0,0 +1,16 @@
+// Reservations can now be seated and marked as no-shows too:
+// status is pending/confirmed/seated/completed/cancelled/no_show
+
+const up = `
+  ALTER TABLE reservations ADD COLUMN seated_at TEXT;    -- when the party actually sat down
+  ALTER TABLE reservations ADD COLUMN completed_at TEXT; -- when they left
+  ALTER TABLE reservations ADD COLUMN updated_at TEXT;
+`;
+
+const down = `
+  ALTER TABLE reservations DROP COLUMN updated_at;
+  ALTER TABLE reservations DROP COLUMN completed_at;
+  ALTER TABLE reservations DROP COLUMN seated_at;
+`;
+
+module.exports = { up, down };
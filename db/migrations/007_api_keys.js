@@ -0,0 +1,31 @@
+const up = `
+  -- SHA-256 of the secret the guest uses to manage their booking
+  ALTER TABLE reservations ADD COLUMN guest_token_hash TEXT;
+
+  -- Staff API keys. Only a hash of the key is stored - the key itself is shown once
+  CREATE TABLE api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    role TEXT NOT NULL,             -- admin/manager/host
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    revoked_at TEXT
+  );
+
+  -- Which restaurants a manager or host key is allowed to work on
+  CREATE TABLE api_key_restaurants (
+    api_key_id INTEGER NOT NULL,
+    restaurant_id INTEGER NOT NULL,
+    PRIMARY KEY (api_key_id, restaurant_id),
+    FOREIGN KEY (api_key_id) REFERENCES api_keys(id) ON DELETE CASCADE,
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+  );
+`;
+
+const down = `
+  DROP TABLE api_key_restaurants;
+  DROP TABLE api_keys;
+  ALTER TABLE reservations DROP COLUMN guest_token_hash;
+`;
+
+module.exports = { up, down };
@@ -0,0 +1,18 @@
+const up = `
+  -- Saved responses for POSTs sent with an Idempotency-Key header, so retries aren't repeated
+  CREATE TABLE idempotency_keys (
+    scope TEXT NOT NULL,            -- who sent it: guest, admin or key:<api key id>
+    idempotency_key TEXT NOT NULL,
+    request_hash TEXT NOT NULL,     -- method + path + body, so a key can't be reused for something else
+    status_code INTEGER,            -- NULL while the first request is still running
+    response_body TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    PRIMARY KEY (scope, idempotency_key)
+  );
+`;
+
+const down = `
+  DROP TABLE idempotency_keys;
+`;
+
+module.exports = { up, down };
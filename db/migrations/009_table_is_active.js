@@ -0,0 +1,10 @@
+const up = `
+  -- 0 while out of service (e.g. refurbishment); bookings history is kept
+  ALTER TABLE tables ADD COLUMN is_active INTEGER NOT NULL DEFAULT 1;
+`;
+
+const down = `
+  ALTER TABLE tables DROP COLUMN is_active;
+`;
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+const up = `
+  ALTER TABLE restaurants ADD COLUMN no_show_policy TEXT NOT NULL DEFAULT 'flag'; -- off/flag/block for guests with repeated no-shows
+  ALTER TABLE restaurants ADD COLUMN no_show_threshold INTEGER NOT NULL DEFAULT 2; -- how many no-shows count as "repeated"
+
+  -- Guest profiles, so regulars (and repeat no-shows) can be recognised
+  -- Reservations are matched to a profile by normalised phone, then email
+  CREATE TABLE customers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    phone TEXT UNIQUE,              -- digits only
+    email TEXT UNIQUE,              -- lower-case
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT
+  );
+
+  ALTER TABLE reservations ADD COLUMN customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL;
+  ALTER TABLE reservations ADD COLUMN email TEXT;
+  ALTER TABLE reservations ADD COLUMN repeat_no_show INTEGER NOT NULL DEFAULT 0; -- guest had repeated no-shows when they booked
+
+  CREATE INDEX idx_reservations_customer
+    ON reservations(customer_id, start_time);
+`;
+
+const down = `
+  DROP INDEX idx_reservations_customer;
+  ALTER TABLE reservations DROP COLUMN repeat_no_show;
+  ALTER TABLE reservations DROP COLUMN email;
+  ALTER TABLE reservations DROP COLUMN customer_id;
+  DROP TABLE customers;
+  ALTER TABLE restaurants DROP COLUMN no_show_threshold;
+  ALTER TABLE restaurants DROP COLUMN no_show_policy;
+`;
+
+module.exports = { up, down };
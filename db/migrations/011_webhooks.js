@@ -0,0 +1,43 @@
+const up = `
+  -- Where a restaurant wants to hear about reservation events (POS, SMS tools...)
+  -- The secret signs every payload, so it has to be kept as-is rather than hashed
+  CREATE TABLE webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    restaurant_id INTEGER NOT NULL,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    events TEXT NOT NULL,           -- comma-separated, e.g. "reservation.created,reservation.cancelled"
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+  );
+
+  -- Outbox of webhook calls - written in the same transaction as the change they describe,
+  -- then sent (and retried) in the background
+  CREATE TABLE webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id INTEGER NOT NULL,
+    restaurant_id INTEGER NOT NULL,
+    event_id TEXT NOT NULL,         -- same for every subscriber to one event
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,          -- the exact JSON body that gets signed and sent
+    status TEXT NOT NULL DEFAULT 'pending', -- pending/delivered/failed
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT NOT NULL,  -- ISO string
+    last_status_code INTEGER,
+    last_error TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    delivered_at TEXT,
+    FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE,
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX idx_webhook_deliveries_due
+    ON webhook_deliveries(status, next_attempt_at);
+`;
+
+const down = `
+  DROP TABLE webhook_deliveries;
+  DROP TABLE webhooks;
+`;
+
+module.exports = { up, down };
@@ -0,0 +1,48 @@
+const up = `
+  ALTER TABLE restaurants ADD COLUMN reminder_hours_before INTEGER NOT NULL DEFAULT 24; -- when guests get a reminder; 0 = no reminders
+
+  -- A restaurant's own wording for guest messages (the built-in text is used otherwise)
+  CREATE TABLE notification_templates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    restaurant_id INTEGER NOT NULL,
+    kind TEXT NOT NULL,             -- confirmation/cancellation/reminder
+    channel TEXT NOT NULL,          -- email/sms
+    subject TEXT,                   -- email only
+    body TEXT NOT NULL,             -- with {{placeholders}}
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    UNIQUE (restaurant_id, kind, channel),
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+  );
+
+  -- Every message a guest is due, and whether it went out
+  -- One row per reservation, kind and channel, so nothing is sent twice - even across restarts
+  CREATE TABLE notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    reservation_id INTEGER NOT NULL,
+    restaurant_id INTEGER NOT NULL,
+    kind TEXT NOT NULL,             -- confirmation/cancellation/reminder
+    channel TEXT NOT NULL,          -- email/sms
+    recipient TEXT NOT NULL,        -- email address or phone number
+    status TEXT NOT NULL DEFAULT 'pending', -- pending/sent/failed/skipped
+    provider TEXT,                  -- which provider sent it
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    send_after TEXT NOT NULL,       -- ISO string
+    sent_at TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    UNIQUE (reservation_id, kind, channel),
+    FOREIGN KEY (reservation_id) REFERENCES reservations(id) ON DELETE CASCADE,
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX idx_notifications_due
+    ON notifications(status, send_after);
+`;
+
+const down = `
+  DROP TABLE notifications;
+  DROP TABLE notification_templates;
+  ALTER TABLE restaurants DROP COLUMN reminder_hours_before;
+`;
+
+module.exports = { up, down };
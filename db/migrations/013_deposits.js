@@ -0,0 +1,60 @@
+const up = `
+  ALTER TABLE restaurants ADD COLUMN currency TEXT NOT NULL DEFAULT 'USD'; -- for deposits and fees
+  ALTER TABLE restaurants ADD COLUMN free_cancellation_hours INTEGER; -- cancelling later than this before the booking is "late"; NULL = never late
+  ALTER TABLE restaurants ADD COLUMN late_cancellation_fee_cents INTEGER NOT NULL DEFAULT 0; -- per cover, owed for a late cancellation
+
+  ALTER TABLE reservations ADD COLUMN deposit_cents INTEGER NOT NULL DEFAULT 0; -- deposit asked for at booking time
+  ALTER TABLE reservations ADD COLUMN cancelled_at TEXT;
+  ALTER TABLE reservations ADD COLUMN late_cancellation INTEGER NOT NULL DEFAULT 0; -- cancelled inside the restaurant's cancellation window
+  ALTER TABLE reservations ADD COLUMN cancellation_fee_cents INTEGER NOT NULL DEFAULT 0; -- what the guest owes for cancelling late
+
+  -- When a booking needs a deposit: every condition that is set has to match
+  -- (e.g. parties of 7+, or Friday and Saturday from 19:00). The biggest matching deposit applies.
+  CREATE TABLE deposit_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    restaurant_id INTEGER NOT NULL,
+    min_party_size INTEGER,         -- NULL = any size
+    weekdays TEXT,                  -- comma-separated, 0 = Sunday ... 6 = Saturday; NULL = every day
+    from_time TEXT,                 -- local "19:00" - bookings starting at or after it; NULL = all day
+    amount_per_cover_cents INTEGER NOT NULL,
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+  );
+
+  -- Deposits taken through the payment provider
+  CREATE TABLE payments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    reservation_id INTEGER NOT NULL,
+    restaurant_id INTEGER NOT NULL,
+    amount_cents INTEGER NOT NULL,
+    currency TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending', -- pending/paid/failed/expired/cancelled/refunded/partially_refunded/retained/refund_failed
+    provider TEXT NOT NULL,
+    provider_reference TEXT UNIQUE, -- the provider's checkout id, matched up when its callback arrives
+    provider_payment_id TEXT,       -- what the provider needs for refunds
+    checkout_url TEXT,              -- where the guest pays
+    refunded_cents INTEGER NOT NULL DEFAULT 0,
+    expires_at TEXT NOT NULL,       -- unpaid after this, the booking is released
+    paid_at TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT,
+    FOREIGN KEY (reservation_id) REFERENCES reservations(id) ON DELETE CASCADE,
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX idx_payments_reservation
+    ON payments(reservation_id);
+`;
+
+const down = `
+  DROP TABLE payments;
+  DROP TABLE deposit_rules;
+  ALTER TABLE reservations DROP COLUMN cancellation_fee_cents;
+  ALTER TABLE reservations DROP COLUMN late_cancellation;
+  ALTER TABLE reservations DROP COLUMN cancelled_at;
+  ALTER TABLE reservations DROP COLUMN deposit_cents;
+  ALTER TABLE restaurants DROP COLUMN late_cancellation_fee_cents;
+  ALTER TABLE restaurants DROP COLUMN free_cancellation_hours;
+  ALTER TABLE restaurants DROP COLUMN currency;
+`;
+
+module.exports = { up, down };
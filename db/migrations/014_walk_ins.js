@@ -0,0 +1,10 @@
+const up = `
+  -- Seated at the door without a booking (phone may be '')
+  ALTER TABLE reservations ADD COLUMN is_walk_in INTEGER NOT NULL DEFAULT 0;
+`;
+
+const down = `
+  ALTER TABLE reservations DROP COLUMN is_walk_in;
+`;
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+const up = `
+  -- What each restaurant's live stream has carried, kept for a while so dropped streams can catch up
+  -- The id doubles as the stream's event id (Last-Event-ID)
+  CREATE TABLE live_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    restaurant_id INTEGER NOT NULL,
+    event TEXT NOT NULL,            -- e.g. reservation.created, table.updated
+    data TEXT NOT NULL,             -- JSON
+    created_at TEXT NOT NULL,       -- ISO string
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX idx_live_events_restaurant
+    ON live_events(restaurant_id, id);
+`;
+
+const down = `
+  DROP TABLE live_events;
+`;
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+const up = `
+  ALTER TABLE restaurants ADD COLUMN turnover_minutes INTEGER NOT NULL DEFAULT 0; -- time to clear and reset a table after each booking
+
+  -- Turnover buffers by table size - tables of at least min_capacity seats get turnover_minutes
+  -- after each booking; the largest matching size wins, and restaurants.turnover_minutes covers the rest
+  CREATE TABLE turnover_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    restaurant_id INTEGER NOT NULL,
+    min_capacity INTEGER NOT NULL,
+    turnover_minutes INTEGER NOT NULL,
+    UNIQUE (restaurant_id, min_capacity),
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+  );
+
+  -- How long a party is booked for when the client doesn't say, by party size
+  -- The largest matching min_party_size wins; with no match the built-in 90 minutes applies
+  CREATE TABLE duration_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    restaurant_id INTEGER NOT NULL,
+    min_party_size INTEGER NOT NULL,
+    duration_minutes INTEGER NOT NULL,
+    UNIQUE (restaurant_id, min_party_size),
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+  );
+`;
+
+const down = `
+  DROP TABLE duration_rules;
+  DROP TABLE turnover_rules;
+  ALTER TABLE restaurants DROP COLUMN turnover_minutes;
+`;
+
+module.exports = { up, down };
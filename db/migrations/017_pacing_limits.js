@@ -0,0 +1,22 @@
+const up = `
+  -- Pacing: how many bookings and guests can arrive per window, and guests per service
+  -- The row with date NULL applies every day; a row for a date (YYYY-MM-DD) replaces it on that date
+  -- A NULL limit means no limit
+  CREATE TABLE pacing_limits (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    restaurant_id INTEGER NOT NULL,
+    date TEXT,
+    window_minutes INTEGER NOT NULL DEFAULT 15,
+    max_reservations_per_window INTEGER,
+    max_covers_per_window INTEGER,
+    max_covers_per_service INTEGER,
+    UNIQUE (restaurant_id, date),
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+  );
+`;
+
+const down = `
+  DROP TABLE pacing_limits;
+`;
+
+module.exports = { up, down };
@@ -0,0 +1,58 @@
+const up = `
+  -- Areas of the dining room (patio, bar, private room) - guests can ask for one when booking
+  CREATE TABLE sections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    restaurant_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    is_outdoor INTEGER NOT NULL DEFAULT 0,
+    is_private INTEGER NOT NULL DEFAULT 0,    -- a room that can be closed off
+    is_accessible INTEGER NOT NULL DEFAULT 1, -- step-free access
+    UNIQUE (restaurant_id, name),
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+  );
+
+  -- NULL = not in a section
+  ALTER TABLE tables ADD COLUMN section_id INTEGER REFERENCES sections(id) ON DELETE SET NULL;
+
+  -- Tables that can be pushed together and booked as one, seating capacity people between them
+  CREATE TABLE table_combinations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    restaurant_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    capacity INTEGER NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE table_combination_tables (
+    combination_id INTEGER NOT NULL,
+    table_id INTEGER NOT NULL,
+    PRIMARY KEY (combination_id, table_id),
+    FOREIGN KEY (combination_id) REFERENCES table_combinations(id) ON DELETE CASCADE,
+    FOREIGN KEY (table_id) REFERENCES tables(id) ON DELETE CASCADE
+  );
+
+  -- Booked as a table combination; table_id is then its first table
+  ALTER TABLE reservations ADD COLUMN combination_id INTEGER REFERENCES table_combinations(id) ON DELETE SET NULL;
+  -- The section the guest asked for, if any
+  ALTER TABLE reservations ADD COLUMN preferred_section_id INTEGER REFERENCES sections(id) ON DELETE SET NULL;
+
+  CREATE INDEX idx_reservations_combination_start
+    ON reservations(combination_id, start_time);
+
+  CREATE INDEX idx_table_combination_tables_table
+    ON table_combination_tables(table_id);
+`;
+
+const down = `
+  DROP INDEX idx_reservations_combination_start;
+  ALTER TABLE reservations DROP COLUMN preferred_section_id;
+  ALTER TABLE reservations DROP COLUMN combination_id;
+  DROP TABLE table_combination_tables;
+  DROP TABLE table_combinations;
+  ALTER TABLE tables DROP COLUMN section_id;
+  DROP TABLE sections;
+`;
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+const up = `
+  -- Bookings made together: a recurring series (every Tuesday at 12:30) or a group
+  -- holding several tables at once. Each booking is a normal reservation with series_id set.
+  CREATE TABLE reservation_series (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    restaurant_id INTEGER NOT NULL,
+    kind TEXT NOT NULL,             -- recurring/group
+    frequency TEXT,                 -- weekly/monthly (recurring only)
+    repeat_every INTEGER,           -- every N weeks or months
+    until_date TEXT,                -- last date it may repeat on (YYYY-MM-DD), or
+    occurrence_count INTEGER,       -- how many times it repeats
+    customer_name TEXT NOT NULL,
+    phone TEXT NOT NULL,
+    email TEXT,
+    customer_id INTEGER,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE,
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL
+  );
+
+  -- Part of a recurring series or group booking
+  ALTER TABLE reservations ADD COLUMN series_id INTEGER REFERENCES reservation_series(id) ON DELETE SET NULL;
+
+  CREATE INDEX idx_reservations_series_start
+    ON reservations(series_id, start_time);
+`;
+
+const down = `
+  DROP INDEX idx_reservations_series_start;
+  ALTER TABLE reservations DROP COLUMN series_id;
+  DROP TABLE reservation_series;
+`;
+
+module.exports = { up, down };
@@ -0,0 +1,37 @@
+const up = `
+  -- Times tables can't be booked: private events, maintenance, staff meetings
+  -- scope is restaurant (every table), section (every table in section_id) or tables (listed in block_tables)
+  CREATE TABLE blocks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    restaurant_id INTEGER NOT NULL,
+    scope TEXT NOT NULL DEFAULT 'restaurant',
+    section_id INTEGER,
+    starts_at TEXT NOT NULL,        -- ISO string
+    ends_at TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE,
+    FOREIGN KEY (section_id) REFERENCES sections(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE block_tables (
+    block_id INTEGER NOT NULL,
+    table_id INTEGER NOT NULL,
+    PRIMARY KEY (block_id, table_id),
+    FOREIGN KEY (block_id) REFERENCES blocks(id) ON DELETE CASCADE,
+    FOREIGN KEY (table_id) REFERENCES tables(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX idx_blocks_restaurant_start
+    ON blocks(restaurant_id, starts_at);
+
+  CREATE INDEX idx_block_tables_table
+    ON block_tables(table_id);
+`;
+
+const down = `
+  DROP TABLE block_tables;
+  DROP TABLE blocks;
+`;
+
+module.exports = { up, down };
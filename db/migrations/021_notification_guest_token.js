@@ -0,0 +1,13 @@
+// Guests booked by someone else (promoted from the waitlist) get their reservation token in the
+// confirmation. Only its hash is kept on the reservation, so the queued message carries the token
+// itself until it has gone out.
+
+const up = `
+  ALTER TABLE notifications ADD COLUMN guest_token TEXT;
+`;
+
+const down = `
+  ALTER TABLE notifications DROP COLUMN guest_token;
+`;
+
+module.exports = { up, down };
@@ -0,0 +1,137 @@
+const fs = require("fs");
+const path = require("path");
+const { run, get, all, exec, transaction } = require("./db");
+
+// Versioned schema changes
+// Each file in db/migrations is named NNN_what_it_does.js and exports { up, down } - the SQL that makes
+// the change and the SQL that undoes it. schema_migrations records which versions a database has had,
+// so every database gets each migration once, in order.
+// Never edit a migration that has been applied somewhere - add a new one instead.
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE = /^(\d+)_(\w+)\.js$/;
+
+// Thrown when the database and the migrations don't match, or a migration fails
+class MigrationError extends Error {}
+
+// 001_initial_schema
+const label = ({ version, name }) => `${String(version).padStart(3, "0")}_${name}`;
+
+// Every migration in the folder, lowest version first
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const migrations = fs.readdirSync(dir)
+    .map((file) => ({ file, match: MIGRATION_FILE.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const { up, down } = require(path.join(dir, file));
+      if (typeof up !== "string" || typeof down !== "string") {
+        throw new MigrationError(`${file} has to export up and down SQL`);
+      }
+      return { version: Number(match[1]), name: match[2], up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  const clash = migrations.find((migration, index) => index > 0 && migrations[index - 1].version === migration.version);
+  if (clash) {
+    throw new MigrationError(`There are two migrations numbered ${clash.version}`);
+  }
+  return migrations;
+};
+
+// What the database has had, oldest first (nothing if it has never been migrated)
+const appliedMigrations = async () => {
+  const tracked = await get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'");
+  return tracked ? all("SELECT * FROM schema_migrations ORDER BY version") : [];
+};
+
+// Compare the database with the migrations:
+//   applied - run on this database
+//   pending - not run yet
+//   unknown - recorded in the database but with no file here (the code is older than the database)
+const getStatus = async (migrations = loadMigrations()) => {
+  const applied = await appliedMigrations();
+  const appliedVersions = new Set(applied.map((row) => row.version));
+  const knownVersions = new Set(migrations.map((migration) => migration.version));
+
+  return {
+    applied: applied.filter((row) => knownVersions.has(row.version)),
+    pending: migrations.filter((migration) => !appliedVersions.has(migration.version)),
+    unknown: applied.filter((row) => !knownVersions.has(row.version))
+  };
+};
+
+const refuseUnknown = (unknown) => {
+  if (unknown.length > 0) {
+    throw new MigrationError(
+      `The database has migrations this code doesn't know about (${unknown.map(label).join(", ")}). ` +
+      "Is this an older version of the code?"
+    );
+  }
+};
+
+// Run one step of a migration and record it, all in one transaction
+const runStep = async (migration, direction, sql, record) => {
+  try {
+    await transaction(async () => {
+      await exec(sql);
+      await record();
+    });
+  } catch (error) {
+    throw new MigrationError(`Migration ${label(migration)} failed going ${direction}: ${error.message}`);
+  }
+};
+
+// Apply every pending migration in order; returns the ones applied
+const migrate = async (migrations = loadMigrations()) => {
+  const { pending, unknown } = await getStatus(migrations);
+  refuseUnknown(unknown);
+
+  await exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+  )`);
+
+  for (const migration of pending) {
+    await runStep(migration, "up", migration.up, () =>
+      run("INSERT INTO schema_migrations (version, name) VALUES (?, ?)", [migration.version, migration.name]));
+  }
+  return pending;
+};
+
+// Undo the last few migrations, newest first; returns the ones undone
+const rollback = async (migrations = loadMigrations(), steps = 1) => {
+  const { applied, unknown } = await getStatus(migrations);
+  refuseUnknown(unknown);
+
+  const undone = applied.slice(-steps).reverse()
+    .map((row) => migrations.find((migration) => migration.version === row.version));
+
+  for (const migration of undone) {
+    await runStep(migration, "down", migration.down, () =>
+      run("DELETE FROM schema_migrations WHERE version = ?", [migration.version]));
+  }
+  return undone;
+};
+
+// Throws unless the database has had exactly the migrations in the code - checked before the server starts
+const ensureSchemaIsCurrent = async (migrations = loadMigrations()) => {
+  const { pending, unknown } = await getStatus(migrations);
+  refuseUnknown(unknown);
+
+  if (pending.length > 0) {
+    throw new MigrationError(
+      `The database is missing migrations (${pending.map(label).join(", ")}). Run npm run migrate first.`
+    );
+  }
+};
+
+module.exports = {
+  MigrationError,
+  label,
+  loadMigrations,
+  getStatus,
+  migrate,
+  rollback,
+  ensureSchemaIsCurrent
+};
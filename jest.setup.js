@@ -0,0 +1,2 @@
+// Test-only bootstrap admin key, so suites can act as platform staff
+process.env.ADMIN_API_KEY = process.env.ADMIN_API_KEY || 'test-admin-key';
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { dbGet, dbAll } = require('../db/db');
+
+// Who can do what
+//   admin   - platform staff, everything everywhere
+//   manager - runs their own restaurants: tables, hours, settings, bookings
+//   host    - front-of-house at their own restaurants: bookings and the waitlist
+//   guest   - no API key; can book, and manage a booking with its reservation token
+const ROLES = ['admin', 'manager', 'host'];
+const MANAGER_ROLES = ['admin', 'manager'];
+const STAFF_ROLES = ['admin', 'manager', 'host'];
+
+// Keys and guest tokens are only ever stored as SHA-256 hashes
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Long random secret for API keys and guest tokens
+const generateSecret = (prefix) => `${prefix}_${crypto.randomBytes(24).toString('hex')}`;
+
+// Drop the guest token hash before a reservation row leaves the API
+const withoutSecrets = ({ guest_token_hash, ...reservation }) => reservation;
+
+// Pull the API key out of "Authorization: Bearer <key>" or "X-API-Key: <key>"
+const readApiKey = (req) => {
+  const header = req.get('authorization');
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  return req.get('x-api-key') || null;
+};
+
+// Work out who is calling and attach it as req.auth
+// No key means a guest; a bad or revoked key is rejected outright
+const authenticate = async (req, res, next) => {
+  try {
+    const apiKey = readApiKey(req);
+
+    if (!apiKey) {
+      req.auth = { role: 'guest', restaurantIds: [] };
+      return next();
+    }
+
+    // The bootstrap admin key comes from the environment, so a fresh install can create other keys
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (adminKey && hashSecret(apiKey) === hashSecret(adminKey)) {
+      req.auth = { role: 'admin', restaurantIds: [], apiKeyId: null };
+      return next();
+    }
+
+    const key = await dbGet(
+      'SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL',
+      [hashSecret(apiKey)]
+    );
+
+    if (!key) {
+      return res.status(401).json({ error: 'That API key is not valid' });
+    }
+
+    const scopes = await dbAll(
+      'SELECT restaurant_id FROM api_key_restaurants WHERE api_key_id = ?',
+      [key.id]
+    );
+
+    req.auth = {
+      role: key.role,
+      restaurantIds: scopes.map((scope) => scope.restaurant_id),
+      apiKeyId: key.id
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Send 401 to anonymous callers and 403 to staff without the right access
+const deny = (req, res) => {
+  if (req.auth.role === 'guest') {
+    return res.status(401).json({ error: 'Please provide a staff API key' });
+  }
+  return res.status(403).json({ error: "You don't have access to do that" });
+};
+
+// True if the caller has one of the roles, and (unless admin) works at the restaurant
+const hasRestaurantAccess = (auth, restaurantId, roles) => {
+  if (!roles.includes(auth.role)) return false;
+  if (auth.role === 'admin') return true;
+  return auth.restaurantIds.includes(Number(restaurantId));
+};
+
+// Handler-level check for work that isn't about one restaurant (e.g. creating restaurants)
+// Returns true if allowed; otherwise sends the 401/403 and returns false
+const ensureRole = (req, res, roles) => {
+  if (roles.includes(req.auth.role)) {
+    return true;
+  }
+  deny(req, res);
+  return false;
+};
+
+// Handler-level check for restaurant-scoped work
+// Returns true if allowed; otherwise sends the 401/403 and returns false
+const ensureRestaurantAccess = (req, res, restaurantId, roles) => {
+  if (hasRestaurantAccess(req.auth, restaurantId, roles)) {
+    return true;
+  }
+  deny(req, res);
+  return false;
+};
+
+// Handler-level check for one reservation: staff at its restaurant, or the guest holding its token
+const ensureReservationAccess = (req, res, reservation) => {
+  if (hasRestaurantAccess(req.auth, reservation.restaurant_id, STAFF_ROLES)) {
+    return true;
+  }
+
+  const token = req.get('x-reservation-token');
+  if (req.auth.role === 'guest' && token && reservation.guest_token_hash === hashSecret(token)) {
+    return true;
+  }
+
+  if (req.auth.role === 'guest' && !token) {
+    res.status(401).json({ error: 'Please provide your reservation token or a staff API key' });
+  } else {
+    res.status(403).json({ error: "You don't have access to this reservation" });
+  }
+  return false;
+};
+
+module.exports = {
+  ROLES,
+  MANAGER_ROLES,
+  STAFF_ROLES,
+  hashSecret,
+  generateSecret,
+  withoutSecrets,
+  authenticate,
+  ensureRole,
+  hasRestaurantAccess,
+  ensureRestaurantAccess,
+  ensureReservationAccess
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const { dbRun, dbGet } = require('../db/db');
+
+// How long a key is remembered - long enough to cover any sensible retry
+const KEY_TTL_HOURS = 24;
+
+// Same method, path and body means "the same request"
+const fingerprint = (req) =>
+  crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body ?? null)}`)
+    .digest('hex');
+
+// Keys belong to whoever sent them, so two callers can't collide (or read each other's responses)
+// Guests have no key of their own, so theirs are kept apart by where they connect from
+const scopeOf = (req) => {
+  if (req.auth.role === 'guest') return `guest:${req.ip}`;
+  return req.auth.apiKeyId ? `key:${req.auth.apiKeyId}` : 'admin';
+};
+
+// Make POSTs safe to retry: send "Idempotency-Key: <unique value>" and a repeat of the
+// same request gets the original response back instead of doing the work twice
+// Only successful JSON responses are remembered - after an error the client can fix it and retry with the same key
+const idempotency = async (req, res, next) => {
+  const key = req.get('idempotency-key');
+  if (req.method !== 'POST' || !key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({ error: 'Idempotency-Key must be 255 characters or fewer' });
+  }
+
+  try {
+    const scope = scopeOf(req);
+    const requestHash = fingerprint(req);
+
+    await dbRun(
+      "DELETE FROM idempotency_keys WHERE created_at < datetime('now', ?)",
+      [`-${KEY_TTL_HOURS} hours`]
+    );
+
+    // Claiming the key is a single insert, so two copies of the request arriving together can't both win
+    const claim = await dbRun(
+      'INSERT OR IGNORE INTO idempotency_keys (scope, idempotency_key, request_hash) VALUES (?, ?, ?)',
+      [scope, key, requestHash]
+    );
+
+    if (claim.changes === 0) {
+      const previous = await dbGet(
+        'SELECT * FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?',
+        [scope, key]
+      );
+
+      if (previous.request_hash !== requestHash) {
+        return res.status(422).json({
+          error: 'This Idempotency-Key was already used for a different request'
+        });
+      }
+
+      if (previous.status_code === null) {
+        return res.status(409).json({
+          error: 'A request with this Idempotency-Key is still in progress. Try again shortly.'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(previous.status_code).json(JSON.parse(previous.response_body));
+    }
+
+    // Save the response before it goes out, so a retry straight after always finds it
+    let settled = false;
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      settled = true;
+      const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+      const remember = succeeded
+        ? dbRun(
+          'UPDATE idempotency_keys SET status_code = ?, response_body = ? WHERE scope = ? AND idempotency_key = ?',
+          [res.statusCode, JSON.stringify(body), scope, key]
+        )
+        : dbRun(
+          'DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?',
+          [scope, key]
+        );
+
+      remember
+        .catch((error) => console.error('Could not save idempotent response:', error.message))
+        .then(() => sendJson(body));
+      return res;
+    };
+
+    // Any other ending (an empty response, a 404 for an unknown route...) isn't remembered - let the
+    // key go, so a retry isn't told the request is still in progress
+    const end = res.end.bind(res);
+    res.end = (...args) => {
+      if (!settled) {
+        settled = true;
+        dbRun(
+          'DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ? AND status_code IS NULL',
+          [scope, key]
+        ).catch((error) => console.error('Could not release idempotency key:', error.message));
+      }
+      return end(...args);
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  KEY_TTL_HOURS,
+  scopeOf,
+  idempotency
+};
@@ -1,6 +1,22 @@
 const express = require('express');
 const restaurantController = require('../controller/restaurantController');
 const reservationController = require('../controller/reservationController');
+const waitlistController = require('../controller/waitlistController');
+const openingHoursController = require('../controller/openingHoursController');
+const apiKeyController = require('../controller/apiKeyController');
+const customerController = require('../controller/customerController');
+const webhookController = require('../controller/webhookController');
+const notificationController = require('../controller/notificationController');
+const paymentController = require('../controller/paymentController');
+const floorController = require('../controller/floorController');
+const liveEventController = require('../controller/liveEventController');
+const pacingController = require('../controller/pacingController');
+const layoutController = require('../controller/layoutController');
+const seriesController = require('../controller/seriesController');
+const blockController = require('../controller/blockController');
+const reportController = require('../controller/reportController');
+const importController = require('../controller/importController');
+const calendarController = require('../controller/calendarController');
 
 const router = express.Router();
 
@@ -17,9 +33,52 @@ router.get('/restaurants', restaurantController.getAllRestaurants);
 // Get a specific restaurant with all its tables
 router.get('/restaurants/:id', restaurantController.getRestaurant);
 
+// Replace or partly update a restaurant's details
+router.put('/restaurants/:id', restaurantController.replaceRestaurant);
+router.patch('/restaurants/:id', restaurantController.updateRestaurant);
+
+// Delete a restaurant (only once it has no upcoming bookings)
+router.delete('/restaurants/:id', restaurantController.deleteRestaurant);
+
 // Add a new table to a restaurant
 router.post('/restaurants/:restaurant_id/tables', restaurantController.addTable);
 
+// Resize, renumber or take a table out of service
+router.put('/restaurants/:restaurant_id/tables/:table_id', restaurantController.replaceTable);
+router.patch('/restaurants/:restaurant_id/tables/:table_id', restaurantController.updateTable);
+
+// Delete a table (only once it has no upcoming bookings)
+router.delete('/restaurants/:restaurant_id/tables/:table_id', restaurantController.deleteTable);
+
+// Move a restaurant to another IANA timezone
+router.put('/restaurants/:id/timezone', restaurantController.setTimeZone);
+
+// Choose how tables are auto-assigned (best_fit, spread, reserve_vip)
+router.put('/restaurants/:id/assignment-strategy', restaurantController.setAssignmentStrategy);
+
+// Turnover buffers between bookings and default visit lengths by party size
+router.get('/restaurants/:id/seating-times', restaurantController.getSeatingTimes);
+router.put('/restaurants/:id/seating-times', restaurantController.setSeatingTimes);
+
+// ============================================
+// OPENING HOURS ENDPOINTS
+// ============================================
+
+// Get the weekly calendar and date exceptions
+router.get('/restaurants/:id/hours', openingHoursController.getOpeningHours);
+
+// Replace the weekly calendar (split shifts and late nights allowed)
+router.put('/restaurants/:id/hours/weekly', openingHoursController.setWeeklyHours);
+
+// Add a holiday closure or special hours for one date
+router.post('/restaurants/:id/hours/exceptions', openingHoursController.addException);
+
+// Remove a date exception
+router.delete('/restaurants/:id/hours/exceptions/:exception_id', openingHoursController.removeException);
+
+// See which services actually apply on a date
+router.get('/restaurants/:id/hours/:date', openingHoursController.getHoursForDate);
+
 // ============================================
 // RESERVATION ENDPOINTS
 // ============================================
@@ -27,13 +86,212 @@ router.post('/restaurants/:restaurant_id/tables', restaurantController.addTable)
 // Create a new reservation
 router.post('/reservations', reservationController.createReservation);
 
+// List reservations with filters, sorting and paging (e.g. ?from=&to=&status=confirmed)
+router.get('/restaurants/:id/reservations', reservationController.listReservations);
+
 // Get all reservations for a specific date
 router.get('/restaurants/:restaurant_id/reservations/:date', reservationController.getReservationsByDate);
 
 // Find available time slots for booking
 router.get('/availability', reservationController.getAvailableSlots);
 
+// Day-by-day availability summary for a date range (month view)
+router.get('/restaurants/:id/availability/calendar', reservationController.getAvailabilityCalendar);
+
+// Change the time, party size or table of a reservation
+router.patch('/reservations/:id', reservationController.updateReservation);
+
+// Lifecycle transitions: pending -> confirmed -> seated -> completed (or no-show / cancelled)
+router.patch('/reservations/:id/confirm', reservationController.confirmReservation);
+router.patch('/reservations/:id/seat', reservationController.seatReservation);
+router.patch('/reservations/:id/complete', reservationController.completeReservation);
+router.patch('/reservations/:id/no-show', reservationController.markNoShow);
+
 // Cancel an existing reservation
 router.patch('/reservations/:id/cancel', reservationController.cancelReservation);
 
+// ============================================
+// SERIES AND GROUP BOOKING ENDPOINTS
+// ============================================
+
+// Book the same table every week or month, with a report for each date
+router.post('/reservation-series', seriesController.createSeries);
+
+// Book several parties at the same time - all of them or none
+router.post('/reservation-groups', seriesController.createGroup);
+
+// A series (or group) with all its bookings
+router.get('/reservation-series/:id', seriesController.getSeries);
+
+// Change or cancel one booking, it and every later one, or the whole series
+router.patch('/reservation-series/:id', seriesController.updateSeries);
+router.patch('/reservation-series/:id/cancel', seriesController.cancelSeries);
+
+// ============================================
+// WAITLIST ENDPOINTS
+// ============================================
+
+// Put a party on the waitlist for a fully booked time
+router.post('/restaurants/:id/waitlist', waitlistController.addToWaitlist);
+
+// List the waitlist in the order parties will be offered a table
+router.get('/restaurants/:id/waitlist', waitlistController.getWaitlist);
+
+// Audit trail of everything that happened on the waitlist
+router.get('/restaurants/:id/waitlist/events', waitlistController.getWaitlistEvents);
+
+// Take a party off the waitlist
+router.delete('/restaurants/:id/waitlist/:entry_id', waitlistController.removeFromWaitlist);
+
+// Turn a waiting party into a reservation
+router.post('/restaurants/:id/waitlist/:entry_id/promote', waitlistController.promoteFromWaitlist);
+
+// ============================================
+// FLOOR ENDPOINTS
+// ============================================
+
+// Seat a party that walked in without a booking (staff only)
+router.post('/restaurants/:id/walk-ins', floorController.seatWalkIn);
+
+// Live floor plan: what every table is doing right now (staff only)
+router.get('/restaurants/:id/floor', floorController.getFloor);
+
+// ============================================
+// LIVE EVENT ENDPOINTS
+// ============================================
+
+// Server-Sent Events stream of reservation and table changes (staff only)
+// Reconnect with Last-Event-ID to catch up on anything missed
+router.get('/restaurants/:id/events', liveEventController.streamRestaurantEvents);
+
+// ============================================
+// CUSTOMER ENDPOINTS
+// ============================================
+
+// Search guest profiles by name, phone or email
+router.get('/customers', customerController.searchCustomers);
+
+// One guest profile with visit and no-show stats
+router.get('/customers/:id', customerController.getCustomer);
+
+// A guest's reservation history, newest first
+router.get('/customers/:id/reservations', customerController.getCustomerReservations);
+
+// ============================================
+// WEBHOOK ENDPOINTS
+// ============================================
+
+// Subscribe a URL to reservation events, and list the subscriptions
+router.post('/restaurants/:id/webhooks', webhookController.createWebhook);
+router.get('/restaurants/:id/webhooks', webhookController.getWebhooks);
+
+// Delivery log (e.g. ?status=failed)
+router.get('/restaurants/:id/webhooks/deliveries', webhookController.getDeliveries);
+
+// Queue every failed delivery again
+router.post('/restaurants/:id/webhooks/deliveries/replay', webhookController.replayFailedDeliveries);
+
+// Send one delivery again right now
+router.post('/restaurants/:id/webhooks/deliveries/:delivery_id/replay', webhookController.replayDelivery);
+
+// Unsubscribe
+router.delete('/restaurants/:id/webhooks/:webhook_id', webhookController.deleteWebhook);
+
+// ============================================
+// NOTIFICATION ENDPOINTS
+// ============================================
+
+// The confirmation, cancellation and reminder wording a restaurant sends
+router.get('/restaurants/:id/notification-templates', notificationController.getTemplates);
+
+// Set custom wording for one message, or go back to the built-in text
+router.put('/restaurants/:id/notification-templates/:kind/:channel', notificationController.setTemplate);
+router.delete('/restaurants/:id/notification-templates/:kind/:channel', notificationController.resetTemplate);
+
+// What the guest has been sent about a reservation
+router.get('/reservations/:id/notifications', notificationController.getReservationNotifications);
+
+// ============================================
+// PAYMENT ENDPOINTS
+// ============================================
+
+// When a deposit is needed, and what cancelling late costs
+router.get('/restaurants/:id/deposit-policy', paymentController.getDepositPolicy);
+router.put('/restaurants/:id/deposit-policy', paymentController.setDepositPolicy);
+
+// The payment provider reports a deposit paid or failed (signed by the provider, no API key)
+router.post('/payments/callback', paymentController.paymentCallback);
+
+// Deposits and refunds on a reservation
+router.get('/reservations/:id/payments', paymentController.getReservationPayments);
+
+// ============================================
+// PACING ENDPOINTS
+// ============================================
+
+// How many bookings and guests can arrive per window, and guests per service
+router.get('/restaurants/:id/pacing', pacingController.getPacing);
+router.put('/restaurants/:id/pacing', pacingController.setPacing);
+
+// Different limits for one date
+router.put('/restaurants/:id/pacing/overrides/:date', pacingController.setPacingOverride);
+router.delete('/restaurants/:id/pacing/overrides/:date', pacingController.removePacingOverride);
+
+// ============================================
+// LAYOUT ENDPOINTS
+// ============================================
+
+// Sections of the dining room (patio, bar, private room); tables join one with section_id
+router.get('/restaurants/:id/sections', layoutController.getSections);
+router.post('/restaurants/:id/sections', layoutController.createSection);
+router.patch('/restaurants/:id/sections/:section_id', layoutController.updateSection);
+router.delete('/restaurants/:id/sections/:section_id', layoutController.deleteSection);
+
+// Tables that can be pushed together for a bigger party
+router.get('/restaurants/:id/table-combinations', layoutController.getCombinations);
+router.post('/restaurants/:id/table-combinations', layoutController.createCombination);
+router.delete('/restaurants/:id/table-combinations/:combination_id', layoutController.deleteCombination);
+
+// ============================================
+// BLOCK ENDPOINTS
+// ============================================
+
+// Take the restaurant, a section or some tables out of booking for a while (managers)
+router.get('/restaurants/:id/blocks', blockController.getBlocks);
+router.post('/restaurants/:id/blocks', blockController.createBlock);
+router.delete('/restaurants/:id/blocks/:block_id', blockController.deleteBlock);
+
+// ============================================
+// REPORT ENDPOINTS
+// ============================================
+
+// Covers, utilisation, outcomes or lead-time over a date range, by day, week or hour (managers)
+// Add ?format=csv for a spreadsheet download
+router.get('/restaurants/:id/reports/:report', reportController.getReport);
+
+// ============================================
+// IMPORT AND CALENDAR ENDPOINTS
+// ============================================
+
+// Bulk import from CSV or JSON, with a report for every row (?dry_run=true saves nothing)
+router.post('/restaurants/:id/tables/import', importController.importTables);
+router.post('/restaurants/:id/reservations/import', importController.importReservations);
+
+// iCalendar feeds - every booking at the restaurant (staff), or one booking for the guest
+router.get('/restaurants/:id/calendar.ics', calendarController.getRestaurantCalendar);
+router.get('/reservations/:id/calendar.ics', calendarController.getReservationCalendar);
+
+// ============================================
+// API KEY ENDPOINTS
+// ============================================
+
+// Issue a staff API key (admins, or managers issuing host keys)
+router.post('/api-keys', apiKeyController.createApiKey);
+
+// List all API keys (admins only)
+router.get('/api-keys', apiKeyController.getApiKeys);
+
+// Revoke an API key (admins only)
+router.delete('/api-keys/:id', apiKeyController.revokeApiKey);
+
 module.exports = router;
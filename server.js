@@ -1,15 +1,41 @@
 const express = require('express');
-const { initializeDatabase } = require('./db/db');
+const { initializeDatabase, isInMemory } = require('./db/db');
+const { ensureSchemaIsCurrent } = require('./db/migrator');
 const routes = require('./routes');
+const { authenticate } = require('./middleware/auth');
+const { idempotency } = require('./middleware/idempotency');
+const { startWebhookDispatcher } = require('./services/webhooks');
+const { startNotificationScheduler } = require('./services/notifications');
+const { startDepositExpiry } = require('./services/deposits');
+const { startLiveEventPruning } = require('./services/liveEvents');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// How often the webhook outbox is checked for deliveries that are due
+const WEBHOOK_POLL_MS = Number(process.env.WEBHOOK_POLL_MS) || 5000;
+
+// How often guest notifications (and due reminders) are sent
+const NOTIFICATION_POLL_MS = Number(process.env.NOTIFICATION_POLL_MS) || 15000;
+
+// How often bookings with an unpaid deposit are checked for expiry
+const DEPOSIT_EXPIRY_POLL_MS = Number(process.env.DEPOSIT_EXPIRY_POLL_MS) || 60000;
+
 // Parse incoming JSON requests
-app.use(express.json());
+// The raw bytes are kept too - payment callbacks are signed over the exact body
+app.use(express.json({
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer;
+  }
+}));
+
+// CSV uploads (bulk imports) arrive as plain text
+app.use(express.text({ type: 'text/csv', limit: '1mb' }));
 
 // Mount all API routes under /api prefix
-app.use('/api', routes);
+// Every request is tagged with who is calling (staff API key or guest) first,
+// then retried POSTs with an Idempotency-Key are answered from the saved response
+app.use('/api', authenticate, idempotency, routes);
 
 // Simple health check - useful for monitoring and load balancers
 app.get('/health', (req, res) => {
@@ -23,10 +49,20 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Something went wrong on our end' });
 });
 
-// Initialize the database and fire up the server
+// Check the database and fire up the server
+// An in-memory database starts empty, so it's migrated here. A database file has to be migrated first
+// (npm run migrate) - the server won't run against one with missing or unknown migrations.
 const startServer = async () => {
   try {
-    await initializeDatabase();
+    if (isInMemory) {
+      await initializeDatabase();
+    } else {
+      await ensureSchemaIsCurrent();
+    }
+    startWebhookDispatcher({ intervalMs: WEBHOOK_POLL_MS });
+    startNotificationScheduler({ intervalMs: NOTIFICATION_POLL_MS });
+    startDepositExpiry({ intervalMs: DEPOSIT_EXPIRY_POLL_MS });
+    startLiveEventPruning();
     app.listen(PORT, () => {
       console.log(`🚀 Restaurant API running on http://localhost:${PORT}`);
       console.log(`Try GET http://localhost:${PORT}/api/restaurants`);
@@ -0,0 +1,289 @@
+const { dbAll } = require('../db/db');
+const { getShiftsForDate } = require('./openingHours');
+const { timeZoneOf, toZonedDate, toZonedISOString } = require('./timezone');
+const { ACTIVE_STATUSES, activeStatusPlaceholders } = require('./reservationStatus');
+const { DEFAULT_DURATION_MINUTES, withTurnover, loadTurnoverRules, turnoverFor } = require('./seatingTimes');
+const { pacingChecker } = require('./pacing');
+const {
+  loadCombinations,
+  loadCombinationTableIds,
+  isBookable,
+  isInSection,
+  isHeldBackFrom
+} = require('./combinations');
+const { loadBlocks } = require('./blocks');
+
+const MINUTE = 60000;
+
+// Default when the caller doesn't say how often (how long comes from seatingTimes)
+const DEFAULT_SLOT_INTERVAL = 15;
+
+// Every active booking at the restaurant that touches the window, grouped by table
+// A combination booking is listed under every table it holds, and a block under every table it covers
+// One query for the whole day - everything after this happens in memory
+const loadBookingsByTable = async (restaurantId, windowStart, windowEnd) => {
+  const combinationTableIds = await loadCombinationTableIds(restaurantId);
+  const rows = await dbAll(
+    `SELECT table_id, combination_id, start_time, duration_minutes
+     FROM reservations
+     WHERE restaurant_id = ?
+     AND status IN (${activeStatusPlaceholders})
+     AND datetime(start_time) < datetime(?)
+     AND datetime(datetime(start_time), '+' || duration_minutes || ' minutes') > datetime(?)`,
+    [restaurantId, ...ACTIVE_STATUSES, windowEnd.toISOString(), windowStart.toISOString()]
+  );
+
+  const bookingsByTable = new Map();
+  for (const row of rows) {
+    const start = new Date(row.start_time).getTime();
+    const tableIds = combinationTableIds.get(row.combination_id) || [row.table_id];
+    for (const tableId of tableIds) {
+      if (!bookingsByTable.has(tableId)) {
+        bookingsByTable.set(tableId, []);
+      }
+      bookingsByTable.get(tableId).push({ start, end: start + row.duration_minutes * MINUTE });
+    }
+  }
+
+  for (const block of await loadBlocks(restaurantId, windowStart, windowEnd)) {
+    const start = new Date(block.starts_at).getTime();
+    for (const tableId of block.table_ids) {
+      if (!bookingsByTable.has(tableId)) {
+        bookingsByTable.set(tableId, []);
+      }
+      bookingsByTable.get(tableId).push({ start, end: new Date(block.ends_at).getTime() });
+    }
+  }
+  return bookingsByTable;
+};
+
+// The in-memory twin of checkForOverlaps - same rule, no query
+// turnoverMinutes is the table's buffer after every booking
+const isTableFree = (bookings = [], start, end, turnoverMinutes = 0) => {
+  const turnover = turnoverMinutes * MINUTE;
+  return !bookings.some((booking) =>
+    (booking.start < end + turnover && booking.end + turnover > start) || booking.start === start
+  );
+};
+
+// In-service tables that could seat the party, smallest first, each with its turnover_minutes
+// A section_id only keeps tables in that section. Under the reserve_vip strategy VIP tables
+// are left out unless the booking is for a VIP, same as when the table is assigned.
+const loadCandidateTables = async (restaurant, partySize, sectionId = null, vip = false) => {
+  const tables = await dbAll(
+    `SELECT * FROM tables
+     WHERE restaurant_id = ? AND capacity >= ? AND is_active = 1
+     AND (? IS NULL OR section_id = ?)
+     ORDER BY capacity, table_number`,
+    [restaurant.id, partySize, sectionId, sectionId]
+  );
+  const heldBack = restaurant.assignment_strategy === 'reserve_vip' && !vip;
+  return withTurnover(restaurant, heldBack ? tables.filter((table) => !table.is_vip) : tables);
+};
+
+// Bookable combinations that could seat the party, smallest first, their tables with turnover_minutes
+// A section_id only keeps combinations that are wholly in that section; combinations with a VIP
+// table are left out the same way as VIP tables
+const loadCandidateCombinations = async (restaurant, partySize, sectionId = null, vip = false) => {
+  const rules = await loadTurnoverRules(restaurant.id);
+  return (await loadCombinations(restaurant.id))
+    .filter((combination) =>
+      combination.capacity >= partySize &&
+      isBookable(combination) &&
+      !isHeldBackFrom(restaurant, combination, vip) &&
+      (sectionId === null || isInSection(combination, sectionId)))
+    .map((combination) => ({
+      ...combination,
+      tables: combination.tables.map((table) => ({ ...table, turnover_minutes: turnoverFor(restaurant, rules, table) }))
+    }));
+};
+
+// The longest turnover among the tables (and the combinations' tables) - how far back
+// a booking can still get in the way
+const longestTurnover = (tables, combinations) =>
+  Math.max(0, ...[...tables, ...combinations.flatMap((combination) => combination.tables)]
+    .map((table) => table.turnover_minutes));
+
+// Step through each shift and keep the start times where at least one table (or combination)
+// is free for the whole booking, which has to finish before closing. from/to (UTC instants)
+// narrow the start times. Each slot lists every free table, smallest first, and every free
+// combination; table_id/table_number is the first table (null if only combinations are free).
+// isPaced(shift, slotTime) leaves out start times that would break the restaurant's pacing.
+const slotsInShifts = (shifts, tables, combinations, bookingsByTable, {
+  duration_minutes,
+  slot_interval,
+  from = null,
+  to = null,
+  timeZone,
+  isPaced = () => true
+}) => {
+  const duration = duration_minutes * MINUTE;
+  const slots = [];
+
+  for (const shift of shifts) {
+    for (
+      let slotTime = shift.opens_at.getTime();
+      slotTime + duration <= shift.closes_at.getTime();
+      slotTime += slot_interval * MINUTE
+    ) {
+      if (from && slotTime < from.getTime()) continue;
+      if (to && slotTime > to.getTime()) break;
+
+      const isFree = (table) =>
+        isTableFree(bookingsByTable.get(table.id), slotTime, slotTime + duration, table.turnover_minutes);
+      const freeTables = tables.filter(isFree);
+      const freeCombinations = combinations.filter((combination) => combination.tables.every(isFree));
+
+      if ((freeTables.length > 0 || freeCombinations.length > 0) && isPaced(shift, slotTime)) {
+        const slotDate = new Date(slotTime);
+        slots.push({
+          time: slotDate.toISOString(),
+          local_time: toZonedISOString(slotDate, timeZone),
+          table_id: freeTables.length > 0 ? freeTables[0].id : null,
+          table_number: freeTables.length > 0 ? freeTables[0].table_number : null,
+          tables: freeTables.map((table) => ({
+            table_id: table.id,
+            table_number: table.table_number,
+            capacity: table.capacity
+          })),
+          combinations: freeCombinations.map((combination) => ({
+            combination_id: combination.id,
+            name: combination.name,
+            capacity: combination.capacity,
+            table_ids: combination.tables.map((table) => table.id)
+          }))
+        });
+      }
+    }
+  }
+
+  return slots;
+};
+
+// The earliest opening and latest closing across a set of shifts
+const spanOf = (shifts) => ({
+  start: new Date(Math.min(...shifts.map((shift) => shift.opens_at.getTime()))),
+  end: new Date(Math.max(...shifts.map((shift) => shift.closes_at.getTime())))
+});
+
+// Every start time on the date where at least one table or combination fits the party
+// (in the section, if one is given) and the kitchen's pacing has room for it
+const findOpenSlots = async (restaurant, {
+  date,
+  party_size,
+  duration_minutes = DEFAULT_DURATION_MINUTES,
+  slot_interval = DEFAULT_SLOT_INTERVAL,
+  from = null,
+  to = null,
+  section_id = null,
+  vip = false
+}) => {
+  const shifts = await getShiftsForDate(restaurant, date);
+  if (shifts.length === 0) {
+    return [];
+  }
+
+  const tables = await loadCandidateTables(restaurant, party_size, section_id, vip);
+  const combinations = await loadCandidateCombinations(restaurant, party_size, section_id, vip);
+  if (tables.length === 0 && combinations.length === 0) {
+    return [];
+  }
+
+  const span = spanOf(shifts);
+  const buffer = longestTurnover(tables, combinations) * MINUTE;
+  const bookingsByTable = await loadBookingsByTable(
+    restaurant.id,
+    new Date(span.start.getTime() - buffer),
+    new Date(span.end.getTime() + buffer)
+  );
+
+  const pacing = await pacingChecker(restaurant, new Map([[date, shifts]]));
+
+  return slotsInShifts(shifts, tables, combinations, bookingsByTable, {
+    duration_minutes,
+    slot_interval,
+    from,
+    to,
+    timeZone: timeZoneOf(restaurant),
+    isPaced: (shift, slotTime) => !pacing(date, shift, slotTime, party_size)
+  });
+};
+
+// One summary per date for a month-view widget: open or not, how many slots are
+// still bookable, and the first and last of them
+// Tables, bookings and pacing are read once for the whole range; only the hours are looked up per day.
+// Slots that have already started don't count.
+const summarizeDays = async (restaurant, {
+  dates,
+  party_size,
+  duration_minutes = DEFAULT_DURATION_MINUTES,
+  slot_interval = DEFAULT_SLOT_INTERVAL,
+  section_id = null,
+  vip = false,
+  now = new Date()
+}) => {
+  const timeZone = timeZoneOf(restaurant);
+  const today = toZonedDate(now, timeZone);
+
+  const shiftsByDate = new Map();
+  for (const date of dates) {
+    shiftsByDate.set(date, await getShiftsForDate(restaurant, date));
+  }
+
+  const allShifts = [...shiftsByDate.values()].flat();
+  const tables = await loadCandidateTables(restaurant, party_size, section_id, vip);
+  const combinations = await loadCandidateCombinations(restaurant, party_size, section_id, vip);
+  let bookingsByTable = new Map();
+  if (allShifts.length > 0 && (tables.length > 0 || combinations.length > 0)) {
+    const span = spanOf(allShifts);
+    const buffer = longestTurnover(tables, combinations) * MINUTE;
+    bookingsByTable = await loadBookingsByTable(
+      restaurant.id,
+      new Date(span.start.getTime() - buffer),
+      new Date(span.end.getTime() + buffer)
+    );
+  }
+
+  const pacing = await pacingChecker(restaurant, shiftsByDate);
+
+  return dates.map((date) => {
+    const shifts = shiftsByDate.get(date);
+    const slots = date < today
+      ? []
+      : slotsInShifts(shifts, tables, combinations, bookingsByTable, {
+        duration_minutes,
+        slot_interval,
+        from: now,
+        timeZone,
+        isPaced: (shift, slotTime) => !pacing(date, shift, slotTime, party_size)
+      });
+
+    let status = 'available';
+    if (date < today) status = 'past';
+    else if (shifts.length === 0) status = 'closed';
+    else if (slots.length === 0) status = 'fully_booked';
+
+    const earliest = slots[0];
+    const latest = slots[slots.length - 1];
+
+    return {
+      date,
+      status,
+      open: shifts.length > 0,
+      bookable_slots: slots.length,
+      earliest_time: earliest ? earliest.time : null,
+      earliest_local_time: earliest ? earliest.local_time : null,
+      latest_time: latest ? latest.time : null,
+      latest_local_time: latest ? latest.local_time : null
+    };
+  });
+};
+
+module.exports = {
+  DEFAULT_DURATION_MINUTES,
+  DEFAULT_SLOT_INTERVAL,
+  loadBookingsByTable,
+  isTableFree,
+  findOpenSlots,
+  summarizeDays
+};
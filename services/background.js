@@ -0,0 +1,26 @@
+// Run a task every intervalMs in the background (the webhook, notification and payment jobs use this)
+// A run that is still going when the next tick comes round is left to finish,
+// and errors are logged rather than taking the server down
+// Returns a function that stops it
+const startBackgroundJob = (name, task, { intervalMs }) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`${name} error:`, error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  startBackgroundJob
+};
@@ -0,0 +1,90 @@
+const { dbAll, dbGet } = require('../db/db');
+
+// Blocks take tables out of booking for a while - a private event, maintenance, a staff meeting.
+// A block covers one of:
+//   restaurant - every table (the restaurant takes no bookings at all)
+//   section    - every table in a section, including tables added to it later
+//   tables     - the tables listed in block_tables
+const BLOCK_SCOPES = ['restaurant', 'section', 'tables'];
+
+// A block covers the table (SQL condition for the blocks table with three placeholders,
+// all the table's id)
+const COVERS_TABLE = `restaurant_id = (SELECT restaurant_id FROM tables WHERE id = ?)
+  AND (
+    scope = 'restaurant'
+    OR (scope = 'section' AND section_id = (SELECT section_id FROM tables WHERE id = ?))
+    OR (scope = 'tables' AND id IN (SELECT block_id FROM block_tables WHERE table_id = ?))
+  )`;
+
+// The block overlaps [start, end) (two placeholders: end, then start)
+const OVERLAPS = 'datetime(starts_at) < datetime(?) AND datetime(ends_at) > datetime(?)';
+
+// Whether a block stops the table being used at any point between start and end
+const isTableBlocked = async (tableId, start, end) =>
+  Boolean(await dbGet(
+    `SELECT id FROM blocks WHERE ${COVERS_TABLE} AND ${OVERLAPS}`,
+    [tableId, tableId, tableId, new Date(end).toISOString(), new Date(start).toISOString()]
+  ));
+
+// The first block closing the whole restaurant between start and end, or null
+const findRestaurantBlock = async (restaurantId, start, end) =>
+  (await dbGet(
+    `SELECT * FROM blocks
+     WHERE restaurant_id = ? AND scope = 'restaurant' AND ${OVERLAPS}
+     ORDER BY datetime(starts_at)
+     LIMIT 1`,
+    [restaurantId, new Date(end).toISOString(), new Date(start).toISOString()]
+  )) || null;
+
+// Which of the restaurant's tables a block covers (tables is every table at the restaurant)
+const tableIdsCoveredBy = (block, tables, listedTableIds = []) => {
+  if (block.scope === 'restaurant') {
+    return tables.map((table) => table.id);
+  }
+  if (block.scope === 'section') {
+    return tables.filter((table) => table.section_id === block.section_id).map((table) => table.id);
+  }
+  return listedTableIds;
+};
+
+// Every block touching the window, each with the table_ids it covers, earliest first
+// Leave windowEnd out for every block that hasn't ended by windowStart
+const loadBlocks = async (restaurantId, windowStart, windowEnd = null) => {
+  const end = windowEnd ? new Date(windowEnd).toISOString() : null;
+  const blocks = await dbAll(
+    `SELECT * FROM blocks
+     WHERE restaurant_id = ?
+     AND (? IS NULL OR datetime(starts_at) < datetime(?))
+     AND datetime(ends_at) > datetime(?)
+     ORDER BY datetime(starts_at), id`,
+    [restaurantId, end, end, new Date(windowStart).toISOString()]
+  );
+  if (blocks.length === 0) {
+    return [];
+  }
+
+  const tables = await dbAll('SELECT id, section_id FROM tables WHERE restaurant_id = ?', [restaurantId]);
+  const listed = await dbAll(
+    `SELECT bt.block_id, bt.table_id
+     FROM block_tables bt
+     JOIN blocks b ON b.id = bt.block_id
+     WHERE b.restaurant_id = ?`,
+    [restaurantId]
+  );
+
+  return blocks.map((block) => ({
+    ...block,
+    table_ids: tableIdsCoveredBy(
+      block,
+      tables,
+      listed.filter((row) => row.block_id === block.id).map((row) => row.table_id)
+    )
+  }));
+};
+
+module.exports = {
+  BLOCK_SCOPES,
+  isTableBlocked,
+  findRestaurantBlock,
+  loadBlocks
+};
@@ -0,0 +1,77 @@
+const { dbAll } = require('../db/db');
+const { ACTIVE_STATUSES, activeStatusPlaceholders } = require('./reservationStatus');
+const { turnoverForTable } = require('./seatingTimes');
+const { isTableBlocked } = require('./blocks');
+
+// A table is held by bookings made for it, and by bookings for any combination it's part of
+// (SQL condition with two placeholders, both the table's id)
+const HOLDS_TABLE = `(table_id = ? OR combination_id IN (
+  SELECT combination_id FROM table_combination_tables WHERE table_id = ?
+))`;
+
+// Check if a table is already booked for the requested time slot
+// Prevents double-booking by finding any overlapping active reservations
+// Every booking keeps the table for its turnover buffer afterwards, while staff reset it
+// A block on the table (or the whole restaurant) counts as a clash too
+// Pass exclude_reservation_id when moving a booking so it doesn't clash with itself
+const checkForOverlaps = async (table_id, start_time, duration_minutes, exclude_reservation_id = null) => {
+  const turnover = await turnoverForTable(table_id);
+  const startDate = new Date(start_time);
+  const endWithTurnover = new Date(startDate.getTime() + (duration_minutes + turnover) * 60000);
+
+  // Look for any active reservations that overlap with our requested time (buffers included)
+  // Pending, confirmed and seated bookings all hold the table
+  const overlapping = await dbAll(
+    `SELECT * FROM reservations
+     WHERE ${HOLDS_TABLE}
+     AND status IN (${activeStatusPlaceholders})
+     AND (? IS NULL OR id != ?)
+     AND (
+       (datetime(start_time) < datetime(?) AND datetime(datetime(start_time), '+' || (duration_minutes + ?) || ' minutes') > datetime(?))
+       OR (datetime(start_time) = datetime(?))
+     )`,
+    [
+      table_id,
+      table_id,
+      ...ACTIVE_STATUSES,
+      exclude_reservation_id,
+      exclude_reservation_id,
+      endWithTurnover.toISOString(),
+      turnover,
+      startDate.toISOString(),
+      startDate.toISOString()
+    ]
+  );
+
+  // Returns true if any overlapping reservations (or blocks) exist
+  return overlapping.length > 0 || (await isTableBlocked(table_id, startDate, endWithTurnover));
+};
+
+// Active bookings that haven't finished yet - at a whole restaurant, on one table
+// (combinations it's part of included), or for one combination
+// Used to stop changes (shrinking or removing tables, new hours) that would strand them
+const findUpcomingReservations = ({ restaurant_id = null, table_id = null, combination_id = null }) =>
+  dbAll(
+    `SELECT * FROM reservations
+     WHERE (? IS NULL OR restaurant_id = ?)
+     AND (? IS NULL OR ${HOLDS_TABLE})
+     AND (? IS NULL OR combination_id = ?)
+     AND status IN (${activeStatusPlaceholders})
+     AND datetime(datetime(start_time), '+' || duration_minutes || ' minutes') > datetime('now')
+     ORDER BY start_time`,
+    [
+      restaurant_id,
+      restaurant_id,
+      table_id,
+      table_id,
+      table_id,
+      combination_id,
+      combination_id,
+      ...ACTIVE_STATUSES
+    ]
+  );
+
+module.exports = {
+  checkForOverlaps,
+  findUpcomingReservations
+};
@@ -0,0 +1,129 @@
+const { dbAll } = require('../db/db');
+const { checkForOverlaps } = require('./bookingRules');
+
+// Tables that can be pushed together are booked as one unit - a combination
+// A combination booking is saved against its first table (lowest table number) with
+// combination_id set, and holds every table in the combination for its whole time.
+
+// A restaurant's combinations, smallest first, each with its tables (lowest table number first)
+const loadCombinations = async (restaurantId) => {
+  const combinations = await dbAll(
+    'SELECT * FROM table_combinations WHERE restaurant_id = ? ORDER BY capacity, id',
+    [restaurantId]
+  );
+  const members = await dbAll(
+    `SELECT m.combination_id, t.*
+     FROM table_combination_tables m
+     JOIN tables t ON t.id = m.table_id
+     WHERE t.restaurant_id = ?
+     ORDER BY t.table_number`,
+    [restaurantId]
+  );
+
+  return combinations.map((combination) => ({
+    ...combination,
+    tables: members
+      .filter((member) => member.combination_id === combination.id)
+      .map(({ combination_id, ...table }) => table)
+  }));
+};
+
+// One combination at the restaurant, or null
+const loadCombination = async (restaurantId, combinationId) =>
+  (await loadCombinations(restaurantId)).find((combination) => combination.id === Number(combinationId)) || null;
+
+// Which tables each of the restaurant's combinations holds (combination id -> table ids)
+const loadCombinationTableIds = async (restaurantId) => {
+  const rows = await dbAll(
+    `SELECT m.combination_id, m.table_id
+     FROM table_combination_tables m
+     JOIN table_combinations c ON c.id = m.combination_id
+     WHERE c.restaurant_id = ?`,
+    [restaurantId]
+  );
+
+  const tableIds = new Map();
+  for (const row of rows) {
+    if (!tableIds.has(row.combination_id)) {
+      tableIds.set(row.combination_id, []);
+    }
+    tableIds.get(row.combination_id).push(row.table_id);
+  }
+  return tableIds;
+};
+
+// A combination can only be booked while every table in it is in service
+const isBookable = (combination) => combination.tables.every((table) => table.is_active);
+
+// Whether every table in the combination is in the section
+const isInSection = (combination, sectionId) =>
+  combination.tables.every((table) => table.section_id === sectionId);
+
+// Under reserve_vip a combination with a VIP table in it is held back for VIP bookings, like the table itself
+const isHeldBackFrom = (restaurant, combination, vip) =>
+  restaurant.assignment_strategy === 'reserve_vip' && !vip && combination.tables.some((table) => table.is_vip);
+
+// The tables a booking holds - its combination's tables, or just its own
+const tableIdsHeldBy = async (reservation) => {
+  if (!reservation.combination_id) {
+    return [reservation.table_id];
+  }
+  const rows = await dbAll(
+    'SELECT table_id FROM table_combination_tables WHERE combination_id = ?',
+    [reservation.combination_id]
+  );
+  return rows.length > 0 ? rows.map((row) => row.table_id) : [reservation.table_id];
+};
+
+// Check if any table in the combination is booked (alone or in another combination) at that time
+const checkCombinationOverlaps = async (combination, start_time, duration_minutes, exclude_reservation_id = null) => {
+  for (const table of combination.tables) {
+    if (await checkForOverlaps(table.id, start_time, duration_minutes, exclude_reservation_id)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Find the smallest free combination that seats the party, in the preferred section if possible
+// Returns the combination (with its tables), or null if none is free
+const findAvailableCombination = async (restaurant, {
+  party_size,
+  start_time,
+  duration_minutes,
+  section_id = null,
+  vip = false
+}) => {
+  const candidates = (await loadCombinations(restaurant.id))
+    .filter((combination) =>
+      combination.capacity >= party_size &&
+      isBookable(combination) &&
+      !isHeldBackFrom(restaurant, combination, vip));
+
+  const ordered = section_id
+    ? [
+      ...candidates.filter((combination) => isInSection(combination, section_id)),
+      ...candidates.filter((combination) => !isInSection(combination, section_id))
+    ]
+    : candidates;
+
+  for (const combination of ordered) {
+    if (!(await checkCombinationOverlaps(combination, start_time, duration_minutes))) {
+      return combination;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  loadCombinations,
+  loadCombination,
+  loadCombinationTableIds,
+  isBookable,
+  isInSection,
+  isHeldBackFrom,
+  tableIdsHeldBy,
+  checkCombinationOverlaps,
+  findAvailableCombination
+};
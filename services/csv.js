@@ -0,0 +1,82 @@
+// Plain CSV (RFC 4180) for spreadsheets - a header row, then one line per row
+
+// A value as a CSV field, quoted when it holds a comma, quote or line break
+const csvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows (objects) as CSV text, with the columns in the order given
+const toCsv = (columns, rows) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((fields) => fields.map(csvField).join(','))
+    .join('\r\n') + '\r\n';
+
+// Thrown when uploaded CSV can't be read
+class CsvError extends Error {}
+
+// Read CSV text into one object per line, keyed by the names in the header row
+// Quoted fields may hold commas, doubled quotes and line breaks; blank lines and a leading BOM are skipped
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      records.push([...record, field]);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new CsvError('A quoted field is never closed');
+  }
+  if (field !== '' || record.length > 0) {
+    records.push([...record, field]);
+  }
+
+  const [header, ...lines] = records.filter((fields) => fields.some((value) => value.trim() !== ''));
+  if (!header) {
+    return [];
+  }
+  const columns = header.map((column) => column.trim());
+  return lines.map((fields) => Object.fromEntries(columns.map((column, index) => [column, fields[index] ?? ''])));
+};
+
+// Send rows as a CSV download
+const sendCsv = (res, filename, columns, rows) => {
+  res.type('text/csv');
+  res.attachment(filename);
+  res.send(toCsv(columns, rows));
+};
+
+module.exports = {
+  CsvError,
+  parseCsv,
+  toCsv,
+  sendCsv
+};
@@ -0,0 +1,123 @@
+const { dbRun, dbGet, dbAll } = require('../db/db');
+
+// What a restaurant does when someone with repeated no-shows books
+//   off   - nothing
+//   flag  - take the booking but mark it so the host knows (default)
+//   block - refuse online bookings; staff can still book them, flagged
+const NO_SHOW_POLICIES = ['off', 'flag', 'block'];
+
+// Statuses that count as the guest actually turning up
+const VISIT_STATUSES = ['seated', 'completed'];
+
+// "+1 (555) 123-4567" and "15551234567" are the same guest
+const normalizePhone = (phone) => (phone ? String(phone).replace(/\D/g, '') : null);
+
+// Emails are matched case-insensitively
+const normalizeEmail = (email) => (email ? String(email).trim().toLowerCase() : null);
+
+// Look up an existing profile by phone, then email (undefined if there isn't one)
+const findCustomer = async ({ phone, email = null }) => {
+  const normalizedPhone = normalizePhone(phone);
+  const normalizedEmail = normalizeEmail(email);
+
+  const byPhone = normalizedPhone
+    ? await dbGet('SELECT * FROM customers WHERE phone = ?', [normalizedPhone])
+    : undefined;
+  if (byPhone || !normalizedEmail) {
+    return byPhone;
+  }
+  return dbGet('SELECT * FROM customers WHERE email = ?', [normalizedEmail]);
+};
+
+// Find the guest by phone (then email), or create a profile for them
+// Fills in a missing phone or email on an existing profile, but never overwrites one
+// Returns the customer row
+const findOrCreateCustomer = async ({ name, phone, email = null }) => {
+  const normalizedPhone = normalizePhone(phone);
+  const normalizedEmail = normalizeEmail(email);
+
+  let customer = await findCustomer({ phone, email });
+
+  if (!customer) {
+    const result = await dbRun(
+      'INSERT INTO customers (name, phone, email) VALUES (?, ?, ?)',
+      [name, normalizedPhone, normalizedEmail]
+    );
+    return dbGet('SELECT * FROM customers WHERE id = ?', [result.id]);
+  }
+
+  const missingPhone = !customer.phone && normalizedPhone;
+  const missingEmail = !customer.email && normalizedEmail &&
+    !(await dbGet('SELECT id FROM customers WHERE email = ?', [normalizedEmail]));
+
+  if (missingPhone || missingEmail) {
+    await dbRun(
+      "UPDATE customers SET phone = ?, email = ?, updated_at = datetime('now') WHERE id = ?",
+      [customer.phone || normalizedPhone, missingEmail ? normalizedEmail : customer.email, customer.id]
+    );
+    customer = await dbGet('SELECT * FROM customers WHERE id = ?', [customer.id]);
+  }
+
+  return customer;
+};
+
+// Visit, no-show and cancellation counts plus last visit for each customer
+// restaurantIds limits the counts to those restaurants (null means everywhere)
+// Returns a Map of customer id -> stats
+const getCustomerStats = async (customerIds, restaurantIds = null) => {
+  const stats = new Map(customerIds.map((id) => [id, {
+    total_reservations: 0,
+    visit_count: 0,
+    no_show_count: 0,
+    cancellation_count: 0,
+    last_visit: null
+  }]));
+
+  if (customerIds.length === 0 || (restaurantIds && restaurantIds.length === 0)) {
+    return stats;
+  }
+
+  const customerPlaceholders = customerIds.map(() => '?').join(', ');
+  const visitPlaceholders = VISIT_STATUSES.map(() => '?').join(', ');
+  const restaurantFilter = restaurantIds
+    ? `AND restaurant_id IN (${restaurantIds.map(() => '?').join(', ')})`
+    : '';
+
+  const rows = await dbAll(
+    `SELECT customer_id,
+       COUNT(*) AS total_reservations,
+       SUM(CASE WHEN status IN (${visitPlaceholders}) THEN 1 ELSE 0 END) AS visit_count,
+       SUM(CASE WHEN status = 'no_show' THEN 1 ELSE 0 END) AS no_show_count,
+       SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) AS cancellation_count,
+       MAX(CASE WHEN status IN (${visitPlaceholders}) THEN start_time END) AS last_visit
+     FROM reservations
+     WHERE customer_id IN (${customerPlaceholders}) ${restaurantFilter}
+     GROUP BY customer_id`,
+    [...VISIT_STATUSES, ...VISIT_STATUSES, ...customerIds, ...(restaurantIds || [])]
+  );
+
+  for (const row of rows) {
+    const { customer_id, ...counts } = row;
+    stats.set(customer_id, counts);
+  }
+  return stats;
+};
+
+// How many times the guest has failed to show up at this restaurant
+const countNoShows = async (customerId, restaurantId) => {
+  const row = await dbGet(
+    "SELECT COUNT(*) AS count FROM reservations WHERE customer_id = ? AND restaurant_id = ? AND status = 'no_show'",
+    [customerId, restaurantId]
+  );
+  return row.count;
+};
+
+module.exports = {
+  NO_SHOW_POLICIES,
+  normalizePhone,
+  normalizeEmail,
+  findCustomer,
+  findOrCreateCustomer,
+  getCustomerStats,
+  countNoShows
+};
@@ -0,0 +1,309 @@
+const { dbRun, dbGet, dbAll, dbTransaction } = require('../db/db');
+const { paymentProviderFromEnv } = require('./paymentProviders');
+const { timeZoneOf, toZonedDate, toZonedISOString, weekdayOf } = require('./timezone');
+const { fillFreedSlot } = require('./waitlist');
+const { queueReservationEventById } = require('./webhooks');
+const { queueNotificationById } = require('./notifications');
+const { startBackgroundJob } = require('./background');
+
+// How long a booking waiting for its deposit holds the table before it's released
+// This is also the checkout's expiry, and Stripe refuses one less than 30 minutes after the session
+// is created - so it stays a few minutes over that to allow for the time the request takes
+const DEPOSIT_HOLD_MINUTES = 35;
+
+// The payment provider in use - read from the environment the first time it's needed
+let provider = null;
+
+const getPaymentProvider = () => {
+  if (!provider) {
+    provider = paymentProviderFromEnv();
+  }
+  return provider;
+};
+
+// Why deposits can't be taken right now (no provider set up), or null if they can
+const paymentProviderProblem = () => {
+  try {
+    getPaymentProvider();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// Swap the payment provider (e.g. the fake one in tests)
+const usePaymentProvider = (replacement) => {
+  provider = replacement;
+};
+
+// The deposit rules for a restaurant, with weekdays as numbers
+const loadDepositRules = async (restaurantId) => {
+  const rules = await dbAll(
+    'SELECT * FROM deposit_rules WHERE restaurant_id = ? ORDER BY id',
+    [restaurantId]
+  );
+  return rules.map((rule) => ({
+    ...rule,
+    weekdays: rule.weekdays === null ? null : rule.weekdays.split(',').map(Number)
+  }));
+};
+
+// The deposit a booking needs, in cents (0 for none)
+// Rules are checked against the local day and time; the biggest matching one wins
+const depositFor = async (restaurant, { party_size, start_time }) => {
+  const timeZone = timeZoneOf(restaurant);
+  const weekday = weekdayOf(toZonedDate(start_time, timeZone));
+  const localTime = toZonedISOString(start_time, timeZone).slice(11, 16);
+
+  let deposit = 0;
+  for (const rule of await loadDepositRules(restaurant.id)) {
+    const matches = (rule.min_party_size === null || party_size >= rule.min_party_size) &&
+      (rule.weekdays === null || rule.weekdays.includes(weekday)) &&
+      (rule.from_time === null || localTime >= rule.from_time);
+
+    if (matches) {
+      deposit = Math.max(deposit, rule.amount_per_cover_cents * party_size);
+    }
+  }
+  return deposit;
+};
+
+// Record the deposit a new booking owes - call it in the transaction that creates the booking
+// Returns the payment id
+const openDeposit = async (reservationId, restaurant, amountCents, now = new Date()) => {
+  const expiresAt = new Date(now.getTime() + DEPOSIT_HOLD_MINUTES * 60000);
+  const result = await dbRun(
+    `INSERT INTO payments (reservation_id, restaurant_id, amount_cents, currency, provider, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [reservationId, restaurant.id, amountCents, restaurant.currency, getPaymentProvider().name, expiresAt.toISOString()]
+  );
+  return result.id;
+};
+
+// Give up on an unpaid booking: the payment is closed with `paymentStatus`, and the booking
+// (if it's still waiting) is cancelled and its table offered to the waitlist
+// Call it inside a transaction
+const releaseUnpaidBooking = async (payment, paymentStatus, reason) => {
+  await dbRun(
+    "UPDATE payments SET status = ?, updated_at = datetime('now') WHERE id = ?",
+    [paymentStatus, payment.id]
+  );
+
+  const reservation = await dbGet('SELECT * FROM reservations WHERE id = ?', [payment.reservation_id]);
+  if (reservation.status !== 'pending') {
+    return;
+  }
+
+  await dbRun(
+    "UPDATE reservations SET status = 'cancelled', cancelled_at = ?, updated_at = datetime('now') WHERE id = ?",
+    [new Date().toISOString(), reservation.id]
+  );
+  await queueReservationEventById('reservation.cancelled', reservation.id);
+  await fillFreedSlot(reservation, reason);
+};
+
+// Ask the provider for a checkout page for a deposit that was just opened
+// If the provider can't be reached the booking is released, so it doesn't hold the table
+// Returns the updated payment row, or null if the checkout couldn't be started
+const requestCheckout = async (paymentId) => {
+  const payment = await dbGet('SELECT * FROM payments WHERE id = ?', [paymentId]);
+  const reservation = await dbGet('SELECT * FROM reservations WHERE id = ?', [payment.reservation_id]);
+  const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [payment.restaurant_id]);
+
+  try {
+    const checkout = await getPaymentProvider().createCheckout({ payment, reservation, restaurant });
+    await dbRun(
+      "UPDATE payments SET provider_reference = ?, checkout_url = ?, updated_at = datetime('now') WHERE id = ?",
+      [checkout.reference, checkout.checkout_url, payment.id]
+    );
+  } catch (error) {
+    console.error('Payment provider error:', error.message);
+    await dbTransaction(() =>
+      releaseUnpaidBooking(payment, 'failed', `the deposit for reservation #${reservation.id} couldn't be taken`)
+    );
+    return null;
+  }
+
+  return dbGet('SELECT * FROM payments WHERE id = ?', [payment.id]);
+};
+
+// Hand money back through the provider, recording a refund that didn't go through
+const refund = async (payment, amountCents) => {
+  try {
+    await getPaymentProvider().refund({ payment, amount_cents: amountCents });
+  } catch (error) {
+    console.error('Refund failed:', error.message);
+    await dbRun(
+      "UPDATE payments SET status = 'refund_failed', updated_at = datetime('now') WHERE id = ?",
+      [payment.id]
+    );
+  }
+};
+
+// Apply what the provider told us about a payment: { reference, status, provider_payment_id }
+// A paid deposit confirms the booking; a failed one releases it.
+// Callbacks that arrive twice are ignored. Returns the payment row, or null if the reference is unknown.
+const applyPaymentResult = async ({ reference, status, provider_payment_id }) => {
+  const outcome = await dbTransaction(async () => {
+    const payment = await dbGet('SELECT * FROM payments WHERE provider_reference = ?', [reference]);
+    if (!payment) {
+      return null;
+    }
+
+    // Already settled one way or another - nothing more to do
+    if (!['pending', 'expired'].includes(payment.status)) {
+      return { payment, refundLatePayment: false };
+    }
+
+    if (status !== 'paid') {
+      await releaseUnpaidBooking(payment, 'failed', `the deposit for reservation #${payment.reservation_id} failed`);
+      return { payment, refundLatePayment: false };
+    }
+
+    await dbRun(
+      `UPDATE payments
+       SET status = 'paid', provider_payment_id = ?, paid_at = ?, updated_at = datetime('now')
+       WHERE id = ?`,
+      [provider_payment_id, new Date().toISOString(), payment.id]
+    );
+
+    const reservation = await dbGet('SELECT * FROM reservations WHERE id = ?', [payment.reservation_id]);
+    if (reservation.status === 'pending') {
+      await dbRun(
+        "UPDATE reservations SET status = 'confirmed', updated_at = datetime('now') WHERE id = ?",
+        [reservation.id]
+      );
+      await queueReservationEventById('reservation.updated', reservation.id);
+      await queueNotificationById('confirmation', reservation.id);
+    }
+
+    // Paid after the hold ran out and the table was released - give the money back
+    return { payment, refundLatePayment: reservation.status === 'cancelled' };
+  });
+
+  if (!outcome) {
+    return null;
+  }
+
+  if (outcome.refundLatePayment) {
+    await dbRun(
+      "UPDATE payments SET status = 'refunded', refunded_cents = amount_cents, updated_at = datetime('now') WHERE id = ?",
+      [outcome.payment.id]
+    );
+    const paid = await dbGet('SELECT * FROM payments WHERE id = ?', [outcome.payment.id]);
+    await refund(paid, paid.amount_cents);
+  }
+
+  return dbGet('SELECT * FROM payments WHERE id = ?', [outcome.payment.id]);
+};
+
+// Release bookings whose deposit wasn't paid in time
+// Returns how many were released
+const expireUnpaidDeposits = async (now = new Date()) => {
+  const expired = await dbAll(
+    "SELECT * FROM payments WHERE status = 'pending' AND expires_at <= ?",
+    [now.toISOString()]
+  );
+
+  for (const payment of expired) {
+    await dbTransaction(async () => {
+      // The callback may have landed in the meantime
+      const current = await dbGet('SELECT * FROM payments WHERE id = ?', [payment.id]);
+      if (current.status === 'pending') {
+        await releaseUnpaidBooking(
+          current,
+          'expired',
+          `the deposit for reservation #${payment.reservation_id} wasn't paid in time`
+        );
+      }
+    });
+  }
+  return expired.length;
+};
+
+// Work out what cancelling a booking costs under the restaurant's policy
+// Late means inside free_cancellation_hours of the start. Bookings still waiting for their deposit are never late.
+// A paid deposit goes towards the fee and the rest of it is refunded.
+const cancellationTerms = async (reservation, restaurant, { now = new Date(), waiveFee = false } = {}) => {
+  const hoursToGo = (new Date(reservation.start_time).getTime() - now.getTime()) / 3600000;
+  const late = reservation.status !== 'pending' &&
+    restaurant.free_cancellation_hours !== null &&
+    hoursToGo < restaurant.free_cancellation_hours;
+
+  const fee = late && !waiveFee ? restaurant.late_cancellation_fee_cents * reservation.party_size : 0;
+
+  const deposit = await dbGet(
+    "SELECT * FROM payments WHERE reservation_id = ? AND status IN ('pending', 'paid') ORDER BY id DESC",
+    [reservation.id]
+  );
+  const paid = deposit && deposit.status === 'paid' ? deposit.amount_cents : 0;
+  const retained = Math.min(paid, fee);
+
+  return {
+    deposit,
+    late,
+    fee_waived: late && waiveFee,
+    fee_cents: fee,
+    deposit_paid_cents: paid,
+    retained_cents: retained,
+    refund_cents: paid - retained,
+    outstanding_cents: fee - retained,
+    currency: restaurant.currency
+  };
+};
+
+// Record a cancellation's terms - call it in the transaction that cancels the booking
+// The refund itself is sent afterwards with settleRefund, once the cancellation is saved
+const recordCancellation = async (reservation, terms, now = new Date()) => {
+  await dbRun(
+    `UPDATE reservations
+     SET cancelled_at = ?, late_cancellation = ?, cancellation_fee_cents = ?
+     WHERE id = ?`,
+    [now.toISOString(), terms.late ? 1 : 0, terms.fee_cents, reservation.id]
+  );
+
+  if (!terms.deposit) {
+    return;
+  }
+
+  let status = 'cancelled';
+  if (terms.deposit.status === 'paid') {
+    if (terms.refund_cents === 0) status = 'retained';
+    else if (terms.retained_cents === 0) status = 'refunded';
+    else status = 'partially_refunded';
+  }
+
+  await dbRun(
+    "UPDATE payments SET status = ?, refunded_cents = ?, updated_at = datetime('now') WHERE id = ?",
+    [status, terms.refund_cents, terms.deposit.id]
+  );
+};
+
+// Send the refund a cancellation is owed (if any)
+const settleRefund = async (terms) => {
+  if (terms.refund_cents > 0) {
+    await refund(terms.deposit, terms.refund_cents);
+  }
+};
+
+// Release unpaid bookings in the background (started by server.js)
+// Returns a function that stops it
+const startDepositExpiry = ({ intervalMs = 60000 } = {}) =>
+  startBackgroundJob('Deposit expiry', () => expireUnpaidDeposits(), { intervalMs });
+
+module.exports = {
+  DEPOSIT_HOLD_MINUTES,
+  getPaymentProvider,
+  paymentProviderProblem,
+  usePaymentProvider,
+  loadDepositRules,
+  depositFor,
+  openDeposit,
+  requestCheckout,
+  applyPaymentResult,
+  expireUnpaidDeposits,
+  cancellationTerms,
+  recordCancellation,
+  settleRefund,
+  startDepositExpiry
+};
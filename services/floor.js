@@ -0,0 +1,124 @@
+const { dbAll } = require('../db/db');
+const { timeZoneOf, toZonedISOString } = require('./timezone');
+const { ACTIVE_STATUSES, activeStatusPlaceholders } = require('./reservationStatus');
+const { loadCombinationTableIds } = require('./combinations');
+
+// A table whose next booking starts within this many minutes shows as reserved soon
+const DEFAULT_SOON_MINUTES = 30;
+
+// What a table can be doing right now, as drawn on the floor plan
+//   free          - nobody there and nothing booked soon
+//   reserved_soon - nobody there, but a booking starts shortly (or has started and the party isn't in yet)
+//   seated        - a party is at the table
+//   overdue       - the party is still there after their time was up
+const FLOOR_STATES = ['free', 'reserved_soon', 'seated', 'overdue'];
+
+const minutesBetween = (from, to) => Math.round((to.getTime() - from.getTime()) / 60000);
+
+const endOf = (reservation) =>
+  new Date(new Date(reservation.start_time).getTime() + reservation.duration_minutes * 60000);
+
+// Work out every active table's state at `now`, from one read of the bookings that matter:
+// seated parties, plus bookings that haven't finished yet
+const floorStatus = async (restaurant, { now = new Date(), soonMinutes = DEFAULT_SOON_MINUTES } = {}) => {
+  const timeZone = timeZoneOf(restaurant);
+  const local = (time) => toZonedISOString(time, timeZone);
+
+  const tables = await dbAll(
+    'SELECT * FROM tables WHERE restaurant_id = ? AND is_active = 1 ORDER BY table_number',
+    [restaurant.id]
+  );
+
+  const reservations = await dbAll(
+    `SELECT * FROM reservations
+     WHERE restaurant_id = ?
+     AND status IN (${activeStatusPlaceholders})
+     AND (status = 'seated' OR datetime(datetime(start_time), '+' || duration_minutes || ' minutes') > datetime(?))
+     ORDER BY datetime(start_time)`,
+    [restaurant.id, ...ACTIVE_STATUSES, now.toISOString()]
+  );
+
+  // A party on pushed-together tables shows on every one of them
+  const combinationTableIds = await loadCombinationTableIds(restaurant.id);
+  const byTable = new Map(tables.map((table) => [table.id, []]));
+  for (const reservation of reservations) {
+    const tableIds = combinationTableIds.get(reservation.combination_id) || [reservation.table_id];
+    for (const tableId of tableIds) {
+      if (byTable.has(tableId)) {
+        byTable.get(tableId).push(reservation);
+      }
+    }
+  }
+
+  const floor = tables.map((table) => {
+    const bookings = byTable.get(table.id);
+    const seated = bookings.find((reservation) => reservation.status === 'seated');
+    const upcoming = bookings.filter((reservation) => reservation.status !== 'seated');
+    const next = upcoming[0] || null;
+
+    let state = 'free';
+    let party = null;
+
+    if (seated) {
+      const expectedEnd = endOf(seated);
+      state = expectedEnd <= now ? 'overdue' : 'seated';
+      party = {
+        reservation_id: seated.id,
+        customer_name: seated.customer_name,
+        party_size: seated.party_size,
+        is_walk_in: Boolean(seated.is_walk_in),
+        combination_id: seated.combination_id,
+        seated_at: seated.seated_at,
+        expected_end: expectedEnd.toISOString(),
+        expected_end_local: local(expectedEnd),
+        minutes_overdue: state === 'overdue' ? minutesBetween(expectedEnd, now) : 0
+      };
+    } else if (next && minutesBetween(now, new Date(next.start_time)) <= soonMinutes) {
+      state = 'reserved_soon';
+    }
+
+    return {
+      table_id: table.id,
+      table_number: table.table_number,
+      capacity: table.capacity,
+      is_vip: Boolean(table.is_vip),
+      section_id: table.section_id,
+      state,
+      party,
+      next_reservation: next && {
+        reservation_id: next.id,
+        customer_name: next.customer_name,
+        party_size: next.party_size,
+        status: next.status,
+        combination_id: next.combination_id,
+        start_time: next.start_time,
+        start_time_local: local(next.start_time),
+        // Negative once the booking has started and the party still isn't in
+        minutes_until: minutesBetween(now, new Date(next.start_time))
+      },
+      // When the table is next wanted by a booking (null if nothing is booked)
+      next_needed_at: next ? next.start_time : null
+    };
+  });
+
+  const summary = Object.fromEntries(FLOOR_STATES.map((name) => [name, 0]));
+  for (const table of floor) {
+    summary[table.state] += 1;
+  }
+
+  return {
+    restaurant_id: restaurant.id,
+    timezone: timeZone,
+    as_of: now.toISOString(),
+    as_of_local: local(now),
+    soon_minutes: soonMinutes,
+    summary,
+    tables: floor
+  };
+};
+
+module.exports = {
+  DEFAULT_SOON_MINUTES,
+  FLOOR_STATES,
+  floorStatus
+};
@@ -0,0 +1,80 @@
+// iCalendar (RFC 5545) files, so bookings show up in Google Calendar, Outlook and Apple Calendar
+// Times are written in UTC, which every calendar app converts to the viewer's own zone
+
+const PRODUCT_ID = '-//Restaurant Reservations//Bookings//EN';
+
+// How a booking's status reads to a calendar app - cancelled events are removed from subscribed calendars
+const EVENT_STATUSES = {
+  pending: 'TENTATIVE',
+  cancelled: 'CANCELLED'
+};
+
+// Commas, semicolons, backslashes and line breaks have to be escaped in text values
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// 2026-01-10T19:00:00.000Z -> 20260110T190000Z
+const formatInstant = (instant) => new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines are at most 75 bytes; longer ones carry on over lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// One booking as an event
+// summary and description are plain text; the guest's view and the staff feed word them differently
+const reservationEvent = (reservation, { summary, description }) => {
+  const start = new Date(reservation.start_time);
+  const end = new Date(start.getTime() + reservation.duration_minutes * 60000);
+  return [
+    'BEGIN:VEVENT',
+    `UID:reservation-${reservation.id}@restaurant-reservations`,
+    `DTSTAMP:${formatInstant(new Date())}`,
+    `DTSTART:${formatInstant(start)}`,
+    `DTEND:${formatInstant(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${EVENT_STATUSES[reservation.status] || 'CONFIRMED'}`,
+    'END:VEVENT'
+  ];
+};
+
+// A whole calendar file from events made with reservationEvent
+const toIcs = (name, events) =>
+  [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flat(),
+    'END:VCALENDAR'
+  ].map(foldLine).join('\r\n') + '\r\n';
+
+// Send a calendar file
+const sendIcs = (res, filename, calendar) => {
+  res.type('text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.send(calendar);
+};
+
+module.exports = {
+  reservationEvent,
+  toIcs,
+  sendIcs
+};
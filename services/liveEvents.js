@@ -0,0 +1,108 @@
+const { EventEmitter } = require('events');
+const { dbRun, dbGet, dbAll, dbAfterCommit } = require('../db/db');
+const { floorStatus } = require('./floor');
+const { startBackgroundJob } = require('./background');
+
+// What a restaurant's live stream carries
+//   reservation.*  - the same events webhooks get, with the reservation
+//   table.updated  - a table's floor state changed (its entry from GET /floor)
+//   table.removed  - a table was deleted or taken out of service
+const LIVE_EVENTS = [
+  'reservation.created',
+  'reservation.updated',
+  'reservation.cancelled',
+  'reservation.no_show',
+  'table.updated',
+  'table.removed'
+];
+
+// Events are kept this long, so a tablet that drops off can catch up when it reconnects
+const RETENTION_HOURS = 24;
+
+// Open streams listen here to hear that a restaurant has something new
+const published = new EventEmitter();
+published.setMaxListeners(0);
+
+// Save an event for a restaurant's live streams
+// Call it inside the transaction that makes the change - streams only hear about it once it commits
+const publishLiveEvent = async (restaurantId, event, data) => {
+  await dbRun(
+    'INSERT INTO live_events (restaurant_id, event, data, created_at) VALUES (?, ?, ?, ?)',
+    [restaurantId, event, JSON.stringify(data), new Date().toISOString()]
+  );
+  dbAfterCommit(() => published.emit('event', Number(restaurantId)));
+};
+
+// Tell live streams what a table looks like on the floor now
+const publishTableState = async (restaurantId, tableId) => {
+  const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [restaurantId]);
+  if (!restaurant) {
+    return;
+  }
+
+  const { tables } = await floorStatus(restaurant);
+  const table = tables.find((entry) => entry.table_id === Number(tableId));
+
+  if (table) {
+    await publishLiveEvent(restaurant.id, 'table.updated', { table });
+  } else {
+    await publishLiveEvent(restaurant.id, 'table.removed', { table_id: Number(tableId) });
+  }
+};
+
+// Call listener(restaurantId) whenever a restaurant has new events
+// Returns a function that stops listening
+const onLiveEvent = (listener) => {
+  published.on('event', listener);
+  return () => published.off('event', listener);
+};
+
+// A restaurant's events after the given id, oldest first
+const liveEventsSince = (restaurantId, lastId, limit = 500) =>
+  dbAll(
+    'SELECT * FROM live_events WHERE restaurant_id = ? AND id > ? ORDER BY id LIMIT ?',
+    [restaurantId, lastId, limit]
+  );
+
+// The id of the newest event anywhere (0 if there are none) - where a fresh stream starts
+const latestLiveEventId = async () => {
+  const row = await dbGet('SELECT MAX(id) AS id FROM live_events');
+  return row.id || 0;
+};
+
+// Whether events after lastId may already have been pruned, so replaying can't fill the gap
+// Ids only go up and pruning takes the oldest, so anything missing sits just below the oldest kept
+const missedPrunedEvents = async (lastId) => {
+  const row = await dbGet(
+    `SELECT (SELECT MIN(id) FROM live_events) AS oldest,
+            (SELECT seq FROM sqlite_sequence WHERE name = 'live_events') AS latest`
+  );
+  const firstKept = row.oldest ?? (row.latest || 0) + 1;
+  return lastId + 1 < firstKept;
+};
+
+// Drop events older than the retention window
+// Returns how many were removed
+const pruneLiveEvents = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - RETENTION_HOURS * 3600000);
+  const result = await dbRun('DELETE FROM live_events WHERE created_at < ?', [cutoff.toISOString()]);
+  return result.changes;
+};
+
+// Prune old events in the background (started by server.js)
+// Returns a function that stops it
+const startLiveEventPruning = ({ intervalMs = 3600000 } = {}) =>
+  startBackgroundJob('Live event pruning', () => pruneLiveEvents(), { intervalMs });
+
+module.exports = {
+  LIVE_EVENTS,
+  RETENTION_HOURS,
+  publishLiveEvent,
+  publishTableState,
+  onLiveEvent,
+  liveEventsSince,
+  latestLiveEventId,
+  missedPrunedEvents,
+  pruneLiveEvents,
+  startLiveEventPruning
+};
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+
+// Every provider looks the same to the rest of the app:
+//   name - recorded against each message it sends
+//   send({ channel, to, subject, body }) - resolves once the message is handed over, throws if it wasn't
+// Swap one in with useProviders() in services/notifications.js
+
+// Prints messages to the terminal - the default, handy while developing
+const consoleProvider = () => ({
+  name: 'console',
+  send: async ({ channel, to, subject, body }) => {
+    console.log(`📨 [${channel}] to ${to}${subject ? ` - ${subject}` : ''}\n${body}`);
+  }
+});
+
+// Appends each message to a file as one JSON line, so tests and local setups can read them back
+const fileProvider = (filePath) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(
+      filePath,
+      `${JSON.stringify({ ...message, sent_at: new Date().toISOString() })}\n`
+    );
+  }
+});
+
+// Email through an HTTP relay: POSTs { from, to, subject, text } as JSON with a bearer token
+const httpEmailProvider = ({ url, apiKey, from }) => ({
+  name: 'http-email',
+  send: async ({ to, subject, body }) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify({ from, to, subject, text: body }),
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!response.ok) {
+      throw new Error(`Email relay answered ${response.status}`);
+    }
+  }
+});
+
+// SMS through Twilio's Messages API
+const twilioSmsProvider = ({ accountSid, authToken, from }) => ({
+  name: 'twilio',
+  send: async ({ to, body }) => {
+    const response = await fetch(
+      `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`
+        },
+        body: new URLSearchParams({ To: to, From: from, Body: body }),
+        signal: AbortSignal.timeout(10000)
+      }
+    );
+    if (!response.ok) {
+      throw new Error(`Twilio answered ${response.status}`);
+    }
+  }
+});
+
+// Pick each channel's provider from the environment
+//   EMAIL_PROVIDER - console (default), file, http or none
+//   SMS_PROVIDER   - console (default), file, twilio or none
+// "none" switches the channel off. Returns { email, sms } with null for channels that are off.
+const providersFromEnv = (env = process.env) => {
+  const file = () => fileProvider(env.NOTIFICATIONS_FILE || path.join('logs', 'notifications.jsonl'));
+
+  const email = {
+    console: consoleProvider,
+    file,
+    http: () => httpEmailProvider({
+      url: env.EMAIL_API_URL,
+      apiKey: env.EMAIL_API_KEY,
+      from: env.EMAIL_FROM
+    }),
+    none: () => null
+  };
+  const sms = {
+    console: consoleProvider,
+    file,
+    twilio: () => twilioSmsProvider({
+      accountSid: env.TWILIO_ACCOUNT_SID,
+      authToken: env.TWILIO_AUTH_TOKEN,
+      from: env.TWILIO_FROM
+    }),
+    none: () => null
+  };
+
+  const pick = (options, choice, variable) => {
+    if (!options[choice]) {
+      throw new Error(`${variable} must be one of: ${Object.keys(options).join(', ')}`);
+    }
+    return options[choice]();
+  };
+
+  return {
+    email: pick(email, env.EMAIL_PROVIDER || 'console', 'EMAIL_PROVIDER'),
+    sms: pick(sms, env.SMS_PROVIDER || 'console', 'SMS_PROVIDER')
+  };
+};
+
+module.exports = {
+  consoleProvider,
+  fileProvider,
+  httpEmailProvider,
+  twilioSmsProvider,
+  providersFromEnv
+};
@@ -0,0 +1,292 @@
+const { dbRun, dbGet, dbAll } = require('../db/db');
+const { providersFromEnv } = require('./notificationProviders');
+const { timeZoneOf, toZonedISOString } = require('./timezone');
+const { ACTIVE_STATUSES, activeStatusPlaceholders } = require('./reservationStatus');
+const { startBackgroundJob } = require('./background');
+
+// What guests get told about, and how
+const NOTIFICATION_KINDS = ['confirmation', 'cancellation', 'reminder'];
+const NOTIFICATION_CHANNELS = ['email', 'sms'];
+
+// A message that couldn't be handed over is tried again this much later, up to MAX_ATTEMPTS times
+const RETRY_MINUTES = 5;
+const MAX_ATTEMPTS = 3;
+
+// Values templates can use, e.g. "See you at {{time}}, {{customer_name}}!"
+// date and time are local to the restaurant
+const TEMPLATE_PLACEHOLDERS = [
+  'customer_name',
+  'restaurant_name',
+  'party_size',
+  'date',
+  'time',
+  'table_number',
+  'reservation_id',
+  'guest_token'
+];
+
+// Added to a message carrying a guest token when the template doesn't place {{guest_token}} itself
+const GUEST_TOKEN_LINE = {
+  email: '\n\nTo change or cancel online, use your booking token: {{guest_token}}',
+  sms: ' Booking token: {{guest_token}}'
+};
+
+// The built-in wording, used until a restaurant sets its own
+const DEFAULT_TEMPLATES = {
+  confirmation: {
+    email: {
+      subject: 'Your table at {{restaurant_name}} is booked',
+      body: 'Hi {{customer_name}},\n\nYou\'re booked for {{party_size}} at {{restaurant_name}} on {{date}} at {{time}}.\n\nReservation #{{reservation_id}}'
+    },
+    sms: {
+      subject: null,
+      body: '{{restaurant_name}}: you\'re booked for {{party_size}} on {{date}} at {{time}}. Ref #{{reservation_id}}'
+    }
+  },
+  cancellation: {
+    email: {
+      subject: 'Your booking at {{restaurant_name}} is cancelled',
+      body: 'Hi {{customer_name}},\n\nYour booking for {{party_size}} on {{date}} at {{time}} has been cancelled.\n\nReservation #{{reservation_id}}'
+    },
+    sms: {
+      subject: null,
+      body: '{{restaurant_name}}: your booking on {{date}} at {{time}} is cancelled. Ref #{{reservation_id}}'
+    }
+  },
+  reminder: {
+    email: {
+      subject: 'See you soon at {{restaurant_name}}',
+      body: 'Hi {{customer_name}},\n\nJust a reminder: your table for {{party_size}} at {{restaurant_name}} is booked for {{date}} at {{time}}.\n\nReservation #{{reservation_id}}'
+    },
+    sms: {
+      subject: null,
+      body: 'Reminder from {{restaurant_name}}: table for {{party_size}} on {{date}} at {{time}}. Ref #{{reservation_id}}'
+    }
+  }
+};
+
+// The providers in use - read from the environment the first time they're needed
+let providers = null;
+
+const getProviders = () => {
+  if (!providers) {
+    providers = providersFromEnv();
+  }
+  return providers;
+};
+
+// Swap providers for one or both channels (e.g. a fake one in tests); null switches a channel off
+const useProviders = (overrides) => {
+  providers = { ...getProviders(), ...overrides };
+};
+
+// Fill in {{placeholders}} - unknown ones come out empty
+const renderTemplate = (text, values) =>
+  text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (values[name] ?? '').toString());
+
+// Placeholders used in a template that we don't know how to fill
+const unknownPlaceholders = (text) =>
+  [...text.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+    .map((match) => match[1])
+    .filter((name) => !TEMPLATE_PLACEHOLDERS.includes(name));
+
+// The restaurant's own template for a message, or the built-in one
+const findTemplate = async (restaurantId, kind, channel) => {
+  const custom = await dbGet(
+    'SELECT * FROM notification_templates WHERE restaurant_id = ? AND kind = ? AND channel = ?',
+    [restaurantId, kind, channel]
+  );
+  if (custom) {
+    return { subject: custom.subject, body: custom.body, is_default: false };
+  }
+  return { ...DEFAULT_TEMPLATES[kind][channel], is_default: true };
+};
+
+// Where a guest can be reached on each channel that has a provider
+const recipientsFor = (reservation) => {
+  const { email, sms } = getProviders();
+  const recipients = [];
+  if (email && reservation.email) recipients.push({ channel: 'email', to: reservation.email });
+  if (sms && reservation.phone) recipients.push({ channel: 'sms', to: reservation.phone });
+  return recipients;
+};
+
+// Queue a message about a reservation on every channel the guest can be reached on
+// Safe to call again - each reservation gets at most one of each kind per channel.
+// Call it inside the transaction that makes the change, like webhook events.
+// guestToken goes in the message for guests who didn't make the booking themselves (and so never saw it);
+// it's kept only until the message has been sent.
+const queueNotification = async (kind, reservation, now = new Date(), { guestToken = null } = {}) => {
+  for (const { channel, to } of recipientsFor(reservation)) {
+    await dbRun(
+      `INSERT OR IGNORE INTO notifications
+       (reservation_id, restaurant_id, kind, channel, recipient, send_after, guest_token)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [reservation.id, reservation.restaurant_id, kind, channel, to, now.toISOString(), guestToken]
+    );
+  }
+};
+
+// Same as queueNotification, starting from the reservation's id
+const queueNotificationById = async (kind, reservationId, options = {}) => {
+  const reservation = await dbGet('SELECT * FROM reservations WHERE id = ?', [reservationId]);
+  if (reservation) {
+    await queueNotification(kind, reservation, new Date(), options);
+  }
+};
+
+// Queue reminders for upcoming bookings that are now inside their restaurant's reminder window
+// Bookings made inside the window are left alone - the guest has only just had the confirmation
+const queueDueReminders = async (now = new Date()) => {
+  const due = await dbAll(
+    `SELECT r.* FROM reservations r
+     JOIN restaurants rest ON r.restaurant_id = rest.id
+     WHERE rest.reminder_hours_before > 0
+     AND r.status IN (${activeStatusPlaceholders})
+     AND datetime(r.start_time) > datetime(?)
+     AND datetime(r.start_time, '-' || rest.reminder_hours_before || ' hours') <= datetime(?)
+     AND datetime(r.created_at) <= datetime(r.start_time, '-' || rest.reminder_hours_before || ' hours')
+     AND NOT EXISTS (SELECT 1 FROM notifications n WHERE n.reservation_id = r.id AND n.kind = 'reminder')`,
+    [...ACTIVE_STATUSES, now.toISOString(), now.toISOString()]
+  );
+
+  for (const reservation of due) {
+    await queueNotification('reminder', reservation, now);
+  }
+  return due.length;
+};
+
+// Why a queued message shouldn't go out any more (null if it still should)
+const reasonToSkip = (notification, reservation, now) => {
+  if (notification.kind === 'confirmation' && reservation.status === 'cancelled') {
+    return 'The reservation was cancelled before the confirmation went out';
+  }
+  if (notification.kind === 'reminder' &&
+      (!ACTIVE_STATUSES.includes(reservation.status) || new Date(reservation.start_time) <= now)) {
+    return `The reservation is ${reservation.status} or has already started`;
+  }
+  return null;
+};
+
+// Render and send one queued message, and record how it went
+// Returns the updated notification row
+const sendNotification = async (notification, now = new Date()) => {
+  const reservation = await dbGet(
+    `SELECT r.*, t.table_number FROM reservations r
+     JOIN tables t ON r.table_id = t.id
+     WHERE r.id = ?`,
+    [notification.reservation_id]
+  );
+  const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [notification.restaurant_id]);
+  const provider = getProviders()[notification.channel];
+
+  const skipReason = provider
+    ? reasonToSkip(notification, reservation, now)
+    : `No ${notification.channel} provider is set up`;
+
+  if (skipReason) {
+    await dbRun(
+      "UPDATE notifications SET status = 'skipped', last_error = ?, guest_token = NULL WHERE id = ?",
+      [skipReason, notification.id]
+    );
+    return dbGet('SELECT * FROM notifications WHERE id = ?', [notification.id]);
+  }
+
+  const localStart = toZonedISOString(reservation.start_time, timeZoneOf(restaurant));
+  const values = {
+    customer_name: reservation.customer_name,
+    restaurant_name: restaurant.name,
+    party_size: reservation.party_size,
+    date: localStart.slice(0, 10),
+    time: localStart.slice(11, 16),
+    table_number: reservation.table_number,
+    reservation_id: reservation.id,
+    guest_token: notification.guest_token
+  };
+  const template = await findTemplate(restaurant.id, notification.kind, notification.channel);
+  const attempts = notification.attempts + 1;
+
+  let body = template.body;
+  if (notification.guest_token && !/\{\{\s*guest_token\s*\}\}/.test(body)) {
+    body += GUEST_TOKEN_LINE[notification.channel];
+  }
+
+  try {
+    await provider.send({
+      channel: notification.channel,
+      to: notification.recipient,
+      subject: template.subject ? renderTemplate(template.subject, values) : null,
+      body: renderTemplate(body, values)
+    });
+
+    await dbRun(
+      `UPDATE notifications
+       SET status = 'sent', provider = ?, attempts = ?, last_error = NULL, sent_at = ?, guest_token = NULL
+       WHERE id = ?`,
+      [provider.name, attempts, now.toISOString(), notification.id]
+    );
+  } catch (error) {
+    const retryAt = new Date(now.getTime() + RETRY_MINUTES * 60000);
+    const status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+    await dbRun(
+      `UPDATE notifications
+       SET status = ?, provider = ?, attempts = ?, last_error = ?, send_after = ?,
+           guest_token = CASE WHEN ? = 'failed' THEN NULL ELSE guest_token END
+       WHERE id = ?`,
+      [
+        status,
+        provider.name,
+        attempts,
+        error.message,
+        retryAt.toISOString(),
+        status,
+        notification.id
+      ]
+    );
+  }
+
+  return dbGet('SELECT * FROM notifications WHERE id = ?', [notification.id]);
+};
+
+// One scheduler run: queue any reminders that are due, then send everything waiting
+// Returns how many messages were attempted
+const processNotifications = async ({ now = new Date(), limit = 100 } = {}) => {
+  await queueDueReminders(now);
+
+  const due = await dbAll(
+    `SELECT * FROM notifications
+     WHERE status = 'pending' AND send_after <= ?
+     ORDER BY send_after, id
+     LIMIT ?`,
+    [now.toISOString(), limit]
+  );
+
+  for (const notification of due) {
+    await sendNotification(notification, now);
+  }
+  return due.length;
+};
+
+// Run the scheduler in the background (started by server.js)
+// What's been sent is in the database, so a restart picks up where it left off
+// Returns a function that stops it
+const startNotificationScheduler = ({ intervalMs = 15000 } = {}) =>
+  startBackgroundJob('Notification scheduler', () => processNotifications(), { intervalMs });
+
+module.exports = {
+  NOTIFICATION_KINDS,
+  NOTIFICATION_CHANNELS,
+  TEMPLATE_PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  getProviders,
+  useProviders,
+  renderTemplate,
+  unknownPlaceholders,
+  findTemplate,
+  queueNotification,
+  queueNotificationById,
+  queueDueReminders,
+  sendNotification,
+  processNotifications,
+  startNotificationScheduler
+};
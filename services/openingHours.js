@@ -0,0 +1,101 @@
+const { dbAll } = require('../db/db');
+const { timeZoneOf, toZonedDate, toZonedTime, zonedTimeToUtc, addDays, weekdayOf } = require('./timezone');
+const { findRestaurantBlock } = require('./blocks');
+
+// Turn an open/close pair into real instants for a given day in the restaurant's zone
+// Services that close at or before they open run past midnight into the next day
+const toShift = (date, open_time, close_time, timeZone) => {
+  const closeDate = close_time <= open_time ? addDays(date, 1) : date;
+  return {
+    open_time,
+    close_time,
+    opens_at: zonedTimeToUtc(date, open_time, timeZone),
+    closes_at: zonedTimeToUtc(closeDate, close_time, timeZone)
+  };
+};
+
+// Work out every service that starts on the given day
+// Date exceptions win over the weekly rules, and weekly rules win over the
+// restaurant's plain opening_time/closing_time. Returns [] when closed.
+const getShiftsForDate = async (restaurant, date) => {
+  const exceptions = await dbAll(
+    `SELECT * FROM opening_hour_exceptions
+     WHERE restaurant_id = ? AND date = ?
+     ORDER BY open_time`,
+    [restaurant.id, date]
+  );
+
+  let periods;
+  if (exceptions.length > 0) {
+    // A single "closed" row closes the whole day
+    if (exceptions.some((exception) => exception.closed)) {
+      return [];
+    }
+    periods = exceptions;
+  } else {
+    const weekly = await dbAll(
+      'SELECT * FROM opening_hours WHERE restaurant_id = ? ORDER BY weekday, open_time',
+      [restaurant.id]
+    );
+
+    periods = weekly.length > 0
+      ? weekly.filter((rule) => rule.weekday === weekdayOf(date))
+      : [{ open_time: restaurant.opening_time, close_time: restaurant.closing_time }];
+  }
+
+  return periods.map((period) =>
+    toShift(date, period.open_time, period.close_time, timeZoneOf(restaurant))
+  );
+};
+
+// Check if a reservation fits entirely inside one of the restaurant's services
+// Yesterday's services are included so bookings after midnight in a late shift count
+// A block closing the whole restaurant counts as closed, unless includeBlocks is false
+const isWithinOperatingHours = async (restaurant, startTime, endTime, { includeBlocks = true } = {}) => {
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  const day = toZonedDate(start, timeZoneOf(restaurant));
+
+  if (includeBlocks && await findRestaurantBlock(restaurant.id, start, end)) {
+    return false;
+  }
+
+  const shifts = [
+    ...await getShiftsForDate(restaurant, addDays(day, -1)),
+    ...await getShiftsForDate(restaurant, day)
+  ];
+
+  return shifts.some((shift) => start >= shift.opens_at && end <= shift.closes_at);
+};
+
+// Friendly explanation of the hours on the day a booking was attempted
+// Pass the booking's endTime too, so a block closing the restaurant then is explained instead
+const describeOpeningHours = async (restaurant, startTime, endTime = null) => {
+  const timeZone = timeZoneOf(restaurant);
+  const day = toZonedDate(startTime, timeZone);
+
+  const block = endTime ? await findRestaurantBlock(restaurant.id, startTime, endTime) : null;
+  if (block) {
+    const blockDay = toZonedDate(block.starts_at, timeZone);
+    const untilDay = toZonedDate(block.ends_at, timeZone);
+    return `We're closed from ${toZonedTime(block.starts_at, timeZone)} on ${blockDay} ` +
+      `to ${toZonedTime(block.ends_at, timeZone)}${untilDay !== blockDay ? ` on ${untilDay}` : ''} (${block.reason})`;
+  }
+
+  const shifts = await getShiftsForDate(restaurant, day);
+
+  if (shifts.length === 0) {
+    return `We're closed on ${day}`;
+  }
+
+  const services = shifts
+    .map((shift) => `${shift.open_time} to ${shift.close_time}`)
+    .join(' and ');
+  return `We're only open ${services} on ${day}`;
+};
+
+module.exports = {
+  getShiftsForDate,
+  isWithinOperatingHours,
+  describeOpeningHours
+};
@@ -0,0 +1,161 @@
+const { dbAll } = require('../db/db');
+const { getShiftsForDate } = require('./openingHours');
+const { timeZoneOf, toZonedDate, toZonedTime, addDays } = require('./timezone');
+
+const MINUTE = 60000;
+
+// Pacing windows line up with the restaurant's clock: 19:00-19:15, 19:15-19:30, ...
+const PACING_WINDOWS = [15, 30, 60];
+
+// Every booking the kitchen cooks for counts, including parties that have already left
+// Only cancelled bookings and no-shows free up room
+const PACED_STATUSES = ['pending', 'confirmed', 'seated', 'completed'];
+
+// The limits that apply on each date - a date's override replaces the everyday limits completely
+// Returns a function date => limits (or null when nothing is limited that day)
+const loadPacingLimits = async (restaurantId) => {
+  const rows = await dbAll('SELECT * FROM pacing_limits WHERE restaurant_id = ?', [restaurantId]);
+  const everyday = rows.find((row) => row.date === null) || null;
+  const overrides = new Map(rows.filter((row) => row.date !== null).map((row) => [row.date, row]));
+
+  return (date) => {
+    const limits = overrides.has(date) ? overrides.get(date) : everyday;
+    const limited = limits && (
+      limits.max_reservations_per_window !== null ||
+      limits.max_covers_per_window !== null ||
+      limits.max_covers_per_service !== null
+    );
+    return limited ? limits : null;
+  };
+};
+
+// When the pacing window holding this instant starts, on the restaurant's clock
+const windowStartFor = (instant, windowMinutes, timeZone) => {
+  const wholeMinute = instant - (instant % MINUTE);
+  const [hour, minute] = toZonedTime(new Date(wholeMinute), timeZone).split(':').map(Number);
+  return wholeMinute - ((hour * 60 + minute) % windowMinutes) * MINUTE;
+};
+
+// Everything needed to pace bookings in the given services, read up front
+// shiftsByDate maps each date to the services that start on it (from getShiftsForDate).
+// Returns check(date, shift, startTime, partySize) - a reason the booking would break
+// the pacing, or null if it's fine. Pass excludeReservationId when moving a booking.
+const pacingChecker = async (restaurant, shiftsByDate, { excludeReservationId = null } = {}) => {
+  const timeZone = timeZoneOf(restaurant);
+  const limitsOn = await loadPacingLimits(restaurant.id);
+
+  const pacedShifts = [...shiftsByDate]
+    .filter(([date]) => limitsOn(date))
+    .flatMap(([, shifts]) => shifts);
+  if (pacedShifts.length === 0) {
+    return () => null;
+  }
+
+  // An hour either side, so windows that straddle opening or closing are counted whole
+  const from = Math.min(...pacedShifts.map((shift) => shift.opens_at.getTime())) - 60 * MINUTE;
+  const to = Math.max(...pacedShifts.map((shift) => shift.closes_at.getTime())) + 60 * MINUTE;
+  const rows = await dbAll(
+    `SELECT id, start_time, party_size FROM reservations
+     WHERE restaurant_id = ?
+     AND status IN (${PACED_STATUSES.map(() => '?').join(', ')})
+     AND (? IS NULL OR id != ?)
+     AND datetime(start_time) >= datetime(?)
+     AND datetime(start_time) < datetime(?)`,
+    [
+      restaurant.id,
+      ...PACED_STATUSES,
+      excludeReservationId,
+      excludeReservationId,
+      new Date(from).toISOString(),
+      new Date(to).toISOString()
+    ]
+  );
+  const bookings = rows.map((row) => ({ start: new Date(row.start_time).getTime(), covers: row.party_size }));
+
+  // Bookings and covers per window, worked out once for each window size in use
+  const windowTotals = new Map();
+  const totalsForWindow = (windowMinutes, windowStart) => {
+    if (!windowTotals.has(windowMinutes)) {
+      const totals = new Map();
+      for (const booking of bookings) {
+        const key = windowStartFor(booking.start, windowMinutes, timeZone);
+        const total = totals.get(key) || { bookings: 0, covers: 0 };
+        total.bookings += 1;
+        total.covers += booking.covers;
+        totals.set(key, total);
+      }
+      windowTotals.set(windowMinutes, totals);
+    }
+    return windowTotals.get(windowMinutes).get(windowStart) || { bookings: 0, covers: 0 };
+  };
+
+  // Covers per service, worked out the first time each service is asked about
+  const serviceCovers = new Map();
+  const coversInService = (shift) => {
+    const key = shift.opens_at.getTime();
+    if (!serviceCovers.has(key)) {
+      serviceCovers.set(key, bookings
+        .filter((booking) => booking.start >= shift.opens_at.getTime() && booking.start < shift.closes_at.getTime())
+        .reduce((sum, booking) => sum + booking.covers, 0));
+    }
+    return serviceCovers.get(key);
+  };
+
+  return (date, shift, startTime, partySize) => {
+    const limits = limitsOn(date);
+    if (!limits) {
+      return null;
+    }
+
+    const start = new Date(startTime).getTime();
+    const windowStart = windowStartFor(start, limits.window_minutes, timeZone);
+    const window = `${toZonedTime(new Date(windowStart), timeZone)} and ` +
+      toZonedTime(new Date(windowStart + limits.window_minutes * MINUTE), timeZone);
+    const inWindow = totalsForWindow(limits.window_minutes, windowStart);
+
+    if (limits.max_reservations_per_window !== null && inWindow.bookings + 1 > limits.max_reservations_per_window) {
+      return `We can only take ${limits.max_reservations_per_window} bookings arriving between ${window}, and that time is full`;
+    }
+
+    if (limits.max_covers_per_window !== null && inWindow.covers + partySize > limits.max_covers_per_window) {
+      return `We can only take ${limits.max_covers_per_window} guests arriving between ${window}, ` +
+        `and ${inWindow.covers} are already booked`;
+    }
+
+    const booked = coversInService(shift);
+    if (limits.max_covers_per_service !== null && booked + partySize > limits.max_covers_per_service) {
+      return `The ${shift.open_time} to ${shift.close_time} service on ${date} is limited to ` +
+        `${limits.max_covers_per_service} guests, and ${booked} are already booked`;
+    }
+
+    return null;
+  };
+};
+
+// Why a booking would break the restaurant's pacing, or null if it wouldn't
+// (or if it falls outside opening hours - that's checked separately)
+// Services are found the same way as isWithinOperatingHours, so a booking after midnight
+// in a late service counts towards that service and its date
+const checkPacing = async (restaurant, { start_time, party_size }, excludeReservationId = null) => {
+  const start = new Date(start_time);
+  const day = toZonedDate(start, timeZoneOf(restaurant));
+
+  for (const date of [addDays(day, -1), day]) {
+    const shifts = await getShiftsForDate(restaurant, date);
+    const shift = shifts.find((candidate) => start >= candidate.opens_at && start < candidate.closes_at);
+    if (shift) {
+      const check = await pacingChecker(restaurant, new Map([[date, [shift]]]), { excludeReservationId });
+      return check(date, shift, start_time, party_size);
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  PACING_WINDOWS,
+  PACED_STATUSES,
+  loadPacingLimits,
+  pacingChecker,
+  checkPacing
+};
@@ -0,0 +1,63 @@
+const { z } = require('zod');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// ?limit= and ?offset= - shared by every list endpoint
+const paginationShape = {
+  limit: z.coerce.number().int()
+    .min(1, 'limit must be at least 1')
+    .max(MAX_LIMIT, `limit can be at most ${MAX_LIMIT}`)
+    .default(DEFAULT_LIMIT),
+  offset: z.coerce.number().int().min(0, 'offset cannot be negative').default(0)
+};
+
+// ?sort=field, or ?sort=-field for descending
+// `columns` maps the field names callers may use to the SQL behind them
+const sortParam = (columns, defaultSort) =>
+  z.string().default(defaultSort).refine(
+    (sort) => Object.hasOwn(columns, sort.replace(/^-/, '')),
+    { message: `sort must be one of: ${Object.keys(columns).join(', ')} (prefix with - for descending)` }
+  );
+
+// ORDER BY for a validated sort, with the id as a tie-breaker so pages never shuffle
+const orderBy = (sort, columns, idColumn = 'id') => {
+  const direction = sort.startsWith('-') ? 'DESC' : 'ASC';
+  return `ORDER BY ${columns[sort.replace(/^-/, '')]} ${direction}, ${idColumn} ${direction}`;
+};
+
+// Comma-separated list where every value has to be one of `allowed` (e.g. ?status=confirmed,seated)
+const listOf = (allowed, label) =>
+  z.string()
+    .transform((value) => value.split(',').map((item) => item.trim()).filter(Boolean))
+    .refine((values) => values.length > 0 && values.every((value) => allowed.includes(value)), {
+      message: `${label} must be one or more of: ${allowed.join(', ')}`
+    });
+
+// Send one page of a list
+// The body stays a plain array (so older clients keep working); the totals travel in headers:
+//   X-Total-Count - rows matching the filters, across all pages
+//   X-Limit / X-Offset - the page that was returned
+//   Link - rel="next" URL when there are more rows
+const sendPage = (req, res, rows, { total, limit, offset }) => {
+  res.set('X-Total-Count', String(total));
+  res.set('X-Limit', String(limit));
+  res.set('X-Offset', String(offset));
+
+  if (offset + rows.length < total) {
+    const params = new URLSearchParams({ ...req.query, limit: String(limit), offset: String(offset + limit) });
+    res.set('Link', `<${req.baseUrl}${req.path}?${params}>; rel="next"`);
+  }
+
+  res.json(rows);
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  paginationShape,
+  sortParam,
+  orderBy,
+  listOf,
+  sendPage
+};
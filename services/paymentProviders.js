@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+
+// Every payment provider looks the same to the rest of the app:
+//   name
+//   createCheckout({ payment, reservation, restaurant }) - starts taking the deposit;
+//     resolves to { reference, checkout_url } where the guest goes to pay
+//   refund({ payment, amount_cents }) - gives money back on a paid deposit
+//   parseCallback(req) - checks the provider's callback is genuine (throws if not) and
+//     resolves to { reference, status: 'paid' | 'failed', provider_payment_id }, or null for events we don't need
+// Swap one in with usePaymentProvider() in services/deposits.js
+
+// Stands in for a real provider on a laptop or in tests - nothing leaves the machine
+// Its "callback" is a POST of { reference, status } signed with the shared secret:
+//   X-Fake-Signature: hex HMAC-SHA256 of the raw body
+// Refunds are only remembered in `refunds`
+// Anyone with the secret can mark deposits paid, so there's no default - pick one of your own
+const fakePaymentProvider = ({ secret } = {}) => {
+  if (!secret) {
+    throw new Error('The fake payment provider needs a secret (FAKE_PAYMENT_SECRET)');
+  }
+
+  const sign = (body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+  const refunds = [];
+
+  return {
+    name: 'fake',
+    refunds,
+    sign,
+    createCheckout: async ({ payment }) => {
+      const reference = `fake_${crypto.randomBytes(12).toString('hex')}`;
+      return { reference, checkout_url: `https://payments.invalid/checkout/${reference}?amount=${payment.amount_cents}` };
+    },
+    refund: async ({ payment, amount_cents }) => {
+      refunds.push({ reference: payment.provider_reference, amount_cents });
+    },
+    parseCallback: async (req) => {
+      const rawBody = req.rawBody ? req.rawBody.toString() : '';
+      const signature = req.get('x-fake-signature') || '';
+      const expected = sign(rawBody);
+
+      if (signature.length !== expected.length ||
+          !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new Error('Invalid payment callback signature');
+      }
+
+      const { reference, status } = req.body;
+      return { reference, status, provider_payment_id: reference };
+    }
+  };
+};
+
+// Stripe Checkout, through its REST API
+// Callbacks are Stripe webhooks (checkout.session.completed / checkout.session.expired)
+// checked against the endpoint's signing secret
+const stripePaymentProvider = ({ secretKey, webhookSecret, successUrl, cancelUrl }) => {
+  if (!secretKey || !webhookSecret || !successUrl || !cancelUrl) {
+    throw new Error(
+      'Stripe needs STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET, STRIPE_SUCCESS_URL and STRIPE_CANCEL_URL'
+    );
+  }
+
+  const stripe = async (path, params) => {
+    const response = await fetch(`https://api.stripe.com/v1/${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams(params),
+      signal: AbortSignal.timeout(10000)
+    });
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(`Stripe: ${body.error ? body.error.message : response.status}`);
+    }
+    return body;
+  };
+
+  return {
+    name: 'stripe',
+    createCheckout: async ({ payment, reservation, restaurant }) => {
+      const session = await stripe('checkout/sessions', {
+        mode: 'payment',
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        client_reference_id: String(reservation.id),
+        'line_items[0][quantity]': '1',
+        'line_items[0][price_data][currency]': payment.currency.toLowerCase(),
+        'line_items[0][price_data][unit_amount]': String(payment.amount_cents),
+        'line_items[0][price_data][product_data][name]': `Deposit - ${restaurant.name}, party of ${reservation.party_size}`,
+        expires_at: String(Math.floor(new Date(payment.expires_at).getTime() / 1000))
+      });
+      return { reference: session.id, checkout_url: session.url };
+    },
+    refund: async ({ payment, amount_cents }) => {
+      await stripe('refunds', {
+        payment_intent: payment.provider_payment_id,
+        amount: String(amount_cents)
+      });
+    },
+    parseCallback: async (req) => {
+      // Stripe-Signature: t=<timestamp>,v1=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+      const header = Object.fromEntries(
+        (req.get('stripe-signature') || '').split(',').map((part) => part.split('='))
+      );
+      const rawBody = req.rawBody ? req.rawBody.toString() : '';
+      const expected = crypto.createHmac('sha256', webhookSecret).update(`${header.t}.${rawBody}`).digest('hex');
+
+      if (!header.v1 || header.v1.length !== expected.length ||
+          !crypto.timingSafeEqual(Buffer.from(header.v1), Buffer.from(expected))) {
+        throw new Error('Invalid payment callback signature');
+      }
+
+      const event = req.body;
+      const session = event.data && event.data.object;
+      if (event.type === 'checkout.session.completed') {
+        return { reference: session.id, status: 'paid', provider_payment_id: session.payment_intent };
+      }
+      if (event.type === 'checkout.session.expired') {
+        return { reference: session.id, status: 'failed', provider_payment_id: null };
+      }
+      return null;
+    }
+  };
+};
+
+// Pick the provider from the environment
+//   PAYMENT_PROVIDER - fake or stripe (no default - without one, deposits can't be taken)
+//   fake:   FAKE_PAYMENT_SECRET (not allowed when NODE_ENV is production)
+//   stripe: STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET, STRIPE_SUCCESS_URL, STRIPE_CANCEL_URL
+// Throws saying what's missing if the provider isn't set up
+const paymentProviderFromEnv = (env = process.env) => {
+  const choice = env.PAYMENT_PROVIDER;
+
+  if (!choice) {
+    throw new Error('No payment provider is set up (PAYMENT_PROVIDER)');
+  }
+  if (choice === 'fake') {
+    if (env.NODE_ENV === 'production') {
+      throw new Error('The fake payment provider takes no real money, so it is not allowed in production');
+    }
+    return fakePaymentProvider({ secret: env.FAKE_PAYMENT_SECRET });
+  }
+  if (choice === 'stripe') {
+    return stripePaymentProvider({
+      secretKey: env.STRIPE_SECRET_KEY,
+      webhookSecret: env.STRIPE_WEBHOOK_SECRET,
+      successUrl: env.STRIPE_SUCCESS_URL,
+      cancelUrl: env.STRIPE_CANCEL_URL
+    });
+  }
+  throw new Error('PAYMENT_PROVIDER must be one of: fake, stripe');
+};
+
+module.exports = {
+  fakePaymentProvider,
+  stripePaymentProvider,
+  paymentProviderFromEnv
+};
@@ -0,0 +1,225 @@
+const { dbAll, dbGet } = require('../db/db');
+const { getShiftsForDate } = require('./openingHours');
+const { loadCombinationTableIds } = require('./combinations');
+const { timeZoneOf, toZonedDate, toZonedTime, addDays, weekdayOf, dayBounds } = require('./timezone');
+
+// Reports for managers, worked out from the reservations table over a range of local dates
+// Every report comes back as rows, one per period, plus totals for the whole range:
+//   day  - one row per date
+//   week - one row per week, labelled with the Monday it starts on
+//   hour - one row per hour of the day (00:00 to 23:00), every date in the range added together
+// Bookings count in the period their visit starts in, in the restaurant's timezone.
+
+const REPORT_GROUPINGS = ['day', 'week', 'hour'];
+
+// Long enough for a year-on-year look, short enough to stay quick
+const MAX_REPORT_DAYS = 366;
+
+const MINUTE = 60000;
+
+// Time is split into quarter hours when it's spread over hours; every timezone's offset is a
+// whole number of quarter hours, so each piece sits inside one local hour
+const PIECE = 15 * MINUTE;
+
+// Bookings that went ahead (or still will) - they bring covers and keep their tables busy
+const HELD_STATUSES = ['pending', 'confirmed', 'seated', 'completed'];
+
+// SQLite's datetime('now') has no T or Z; ISO strings are read as they are
+const parseTimestamp = (value) => new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+
+// The Monday the week of a local date starts on
+const weekStartOf = (date) => addDays(date, -((weekdayOf(date) + 6) % 7));
+
+// The period an instant falls in, in the restaurant's timezone
+const periodOf = (instant, timeZone, groupBy) => {
+  if (groupBy === 'hour') {
+    return `${toZonedTime(instant, timeZone).slice(0, 2)}:00`;
+  }
+  const date = toZonedDate(instant, timeZone);
+  return groupBy === 'week' ? weekStartOf(date) : date;
+};
+
+// Every period in the range, so quiet ones still show up as zeros
+const periodsBetween = (from, to, groupBy) => {
+  if (groupBy === 'hour') {
+    return Array.from({ length: 24 }, (_, hour) => `${String(hour).padStart(2, '0')}:00`);
+  }
+  const periods = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const period = groupBy === 'week' ? weekStartOf(date) : date;
+    if (periods[periods.length - 1] !== period) {
+      periods.push(period);
+    }
+  }
+  return periods;
+};
+
+// part as a percentage of whole to one decimal place (null when there's nothing to compare with)
+const percent = (part, whole) => (whole === 0 ? null : Math.round((part / whole) * 1000) / 10);
+
+const roundTo = (value, places) => (value === null ? null : Number(value.toFixed(places)));
+
+const average = (values) => (values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length);
+
+const median = (values) => {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Every booking whose visit starts in the range, earliest first
+const loadReservations = (restaurant, from, to) => {
+  const timeZone = timeZoneOf(restaurant);
+  return dbAll(
+    `SELECT * FROM reservations
+     WHERE restaurant_id = ?
+     AND datetime(start_time) >= datetime(?)
+     AND datetime(start_time) < datetime(?)
+     ORDER BY datetime(start_time), id`,
+    [restaurant.id, dayBounds(from, timeZone).start.toISOString(), dayBounds(to, timeZone).end.toISOString()]
+  );
+};
+
+// Sort bookings into their periods: a Map of period => bookings, every period included
+const groupReservations = (reservations, periods, timeZone, groupBy) => {
+  const grouped = new Map(periods.map((period) => [period, []]));
+  for (const reservation of reservations) {
+    grouped.get(periodOf(reservation.start_time, timeZone, groupBy))?.push(reservation);
+  }
+  return grouped;
+};
+
+// Build a report's rows (one per period) and totals with the same summary
+const summarize = (grouped, describe) => ({
+  rows: [...grouped].map(([period, reservations]) => ({ period, ...describe(reservations) })),
+  totals: describe([...grouped.values()].flat())
+});
+
+// Covers: how many bookings went ahead and how many guests they brought (walk-ins included)
+const COVERS_COLUMNS = ['period', 'bookings', 'covers', 'average_party_size'];
+const coversReport = async (restaurant, { from, to, group_by }) => {
+  const timeZone = timeZoneOf(restaurant);
+  const held = (await loadReservations(restaurant, from, to))
+    .filter((reservation) => HELD_STATUSES.includes(reservation.status));
+
+  return summarize(groupReservations(held, periodsBetween(from, to, group_by), timeZone, group_by), (reservations) => {
+    const covers = reservations.reduce((sum, reservation) => sum + reservation.party_size, 0);
+    return {
+      bookings: reservations.length,
+      covers,
+      average_party_size: reservations.length === 0 ? null : roundTo(covers / reservations.length, 1)
+    };
+  });
+};
+
+// Outcomes: how many bookings were cancelled or never turned up
+// Walk-ins are left out - they can't be either. The no-show rate is out of the bookings that weren't cancelled.
+const OUTCOMES_COLUMNS = ['period', 'bookings', 'cancelled', 'no_shows', 'cancellation_rate', 'no_show_rate'];
+const outcomesReport = async (restaurant, { from, to, group_by }) => {
+  const timeZone = timeZoneOf(restaurant);
+  const booked = (await loadReservations(restaurant, from, to)).filter((reservation) => !reservation.is_walk_in);
+
+  return summarize(groupReservations(booked, periodsBetween(from, to, group_by), timeZone, group_by), (reservations) => {
+    const cancelled = reservations.filter((reservation) => reservation.status === 'cancelled').length;
+    const noShows = reservations.filter((reservation) => reservation.status === 'no_show').length;
+    return {
+      bookings: reservations.length,
+      cancelled,
+      no_shows: noShows,
+      cancellation_rate: percent(cancelled, reservations.length),
+      no_show_rate: percent(noShows, reservations.length - cancelled)
+    };
+  });
+};
+
+// Lead time: how far ahead guests book, in hours from making the booking to the visit
+// Walk-ins and cancelled bookings are left out
+const LEAD_TIME_COLUMNS = ['period', 'bookings', 'average_lead_time_hours', 'median_lead_time_hours'];
+const leadTimeReport = async (restaurant, { from, to, group_by }) => {
+  const timeZone = timeZoneOf(restaurant);
+  const booked = (await loadReservations(restaurant, from, to))
+    .filter((reservation) => !reservation.is_walk_in && reservation.status !== 'cancelled');
+
+  return summarize(groupReservations(booked, periodsBetween(from, to, group_by), timeZone, group_by), (reservations) => {
+    const hours = reservations.map((reservation) =>
+      Math.max(0, new Date(reservation.start_time) - parseTimestamp(reservation.created_at)) / (60 * MINUTE));
+    return {
+      bookings: reservations.length,
+      average_lead_time_hours: roundTo(average(hours), 1),
+      median_lead_time_hours: roundTo(median(hours), 1)
+    };
+  });
+};
+
+// Add weight for every minute of [start, end) to the period each minute falls in
+// (periods outside the map - after the last date - are skipped)
+const spreadMinutes = (totals, start, end, weight, timeZone, groupBy) => {
+  let pieceStart = start.getTime();
+  while (pieceStart < end.getTime()) {
+    const pieceEnd = Math.min(end.getTime(), (Math.floor(pieceStart / PIECE) + 1) * PIECE);
+    const period = periodOf(new Date(pieceStart), timeZone, groupBy);
+    if (totals.has(period)) {
+      totals.set(period, totals.get(period) + ((pieceEnd - pieceStart) / MINUTE) * weight);
+    }
+    pieceStart = pieceEnd;
+  }
+};
+
+// Utilisation: table-minutes booked against table-minutes open
+// Open time comes from the opening-hours calendar for every in-service table; booked time is each
+// booking's duration_minutes on every table it held (combinations hold several)
+const UTILISATION_COLUMNS = ['period', 'open_table_minutes', 'booked_table_minutes', 'utilisation'];
+const utilisationReport = async (restaurant, { from, to, group_by }) => {
+  const timeZone = timeZoneOf(restaurant);
+  const periods = periodsBetween(from, to, group_by);
+  const open = new Map(periods.map((period) => [period, 0]));
+  const booked = new Map(periods.map((period) => [period, 0]));
+
+  const { count: tableCount } = await dbGet(
+    'SELECT COUNT(*) AS count FROM tables WHERE restaurant_id = ? AND is_active = 1',
+    [restaurant.id]
+  );
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    for (const shift of await getShiftsForDate(restaurant, date)) {
+      spreadMinutes(open, shift.opens_at, shift.closes_at, tableCount, timeZone, group_by);
+    }
+  }
+
+  const combinationTableIds = await loadCombinationTableIds(restaurant.id);
+  for (const reservation of await loadReservations(restaurant, from, to)) {
+    if (!HELD_STATUSES.includes(reservation.status)) continue;
+    const start = new Date(reservation.start_time);
+    const end = new Date(start.getTime() + reservation.duration_minutes * MINUTE);
+    const tablesHeld = (combinationTableIds.get(reservation.combination_id) || [reservation.table_id]).length;
+    spreadMinutes(booked, start, end, tablesHeld, timeZone, group_by);
+  }
+
+  const describe = (openMinutes, bookedMinutes) => ({
+    open_table_minutes: Math.round(openMinutes),
+    booked_table_minutes: Math.round(bookedMinutes),
+    utilisation: percent(bookedMinutes, openMinutes)
+  });
+  const sum = (totals) => [...totals.values()].reduce((total, minutes) => total + minutes, 0);
+
+  return {
+    rows: periods.map((period) => ({ period, ...describe(open.get(period), booked.get(period)) })),
+    totals: describe(sum(open), sum(booked))
+  };
+};
+
+// Every report by the name it has in the URL
+const REPORTS = {
+  covers: { columns: COVERS_COLUMNS, build: coversReport },
+  utilisation: { columns: UTILISATION_COLUMNS, build: utilisationReport },
+  outcomes: { columns: OUTCOMES_COLUMNS, build: outcomesReport },
+  'lead-time': { columns: LEAD_TIME_COLUMNS, build: leadTimeReport }
+};
+
+module.exports = {
+  REPORT_GROUPINGS,
+  MAX_REPORT_DAYS,
+  REPORTS
+};
@@ -0,0 +1,157 @@
+const { dbRun, dbGet } = require('../db/db');
+const { checkForOverlaps } = require('./bookingRules');
+const { isWithinOperatingHours, describeOpeningHours } = require('./openingHours');
+const { checkPacing } = require('./pacing');
+const { loadCombination, isBookable, tableIdsHeldBy, checkCombinationOverlaps } = require('./combinations');
+const { fillFreedSlot } = require('./waitlist');
+const { queueReservationEventById } = require('./webhooks');
+const { queueNotificationById } = require('./notifications');
+const { publishTableState } = require('./liveEvents');
+const { depositFor, cancellationTerms, recordCancellation } = require('./deposits');
+
+// Changing and cancelling bookings that already exist - one at a time from the reservation
+// endpoints, or many at once for a series. Both run inside the caller's transaction.
+
+// Change the time, party size or table of a booking that hasn't started, with the same
+// capacity, hours, pacing, deposit and overlap checks as a new booking
+// changes holds any of table_id, party_size, start_time and duration_minutes
+// Returns { table, promotion } once it's saved (promotion is a waitlist party that got the
+// freed slot, or null), or { status, error } saying why it can't be changed
+const changeReservation = async (restaurant, reservation, changes) => {
+  // What the booking will look like after the change
+  const updated = {
+    table_id: changes.table_id ?? reservation.table_id,
+    party_size: changes.party_size ?? reservation.party_size,
+    start_time: changes.start_time ?? reservation.start_time,
+    duration_minutes: changes.duration_minutes ?? reservation.duration_minutes
+  };
+
+  // A booking on pushed-together tables stays on them, unless it's moved to a single table
+  const combination = reservation.combination_id && !changes.table_id
+    ? await loadCombination(reservation.restaurant_id, reservation.combination_id)
+    : null;
+
+  // The table must exist and belong to the same restaurant
+  const table = await dbGet(
+    'SELECT * FROM tables WHERE id = ? AND restaurant_id = ?',
+    [updated.table_id, reservation.restaurant_id]
+  );
+
+  if (!table) {
+    return { status: 404, error: 'Table not found in this restaurant' };
+  }
+
+  if (combination && !isBookable(combination)) {
+    return { status: 409, error: `A table in ${combination.name} is out of service` };
+  }
+
+  if (!combination && !table.is_active) {
+    return { status: 409, error: `Table ${table.table_number} is out of service` };
+  }
+
+  // The (possibly bigger) party must still fit
+  const seats = combination ? combination.capacity : table.capacity;
+  if (updated.party_size > seats) {
+    return {
+      status: 400,
+      error: `Sorry, ${combination ? combination.name : 'this table'} seats ${seats} people but you need space for ${updated.party_size}`
+    };
+  }
+
+  // The new time must be during opening hours
+  const endTime = new Date(
+    new Date(updated.start_time).getTime() + updated.duration_minutes * 60000
+  ).toISOString();
+
+  if (!(await isWithinOperatingHours(restaurant, updated.start_time, endTime))) {
+    return { status: 400, error: await describeOpeningHours(restaurant, updated.start_time, endTime) };
+  }
+
+  // A bigger party or a new time has to fit the kitchen's pacing too
+  if (updated.start_time !== reservation.start_time || updated.party_size !== reservation.party_size) {
+    const pacingProblem = await checkPacing(restaurant, updated, reservation.id);
+    if (pacingProblem) {
+      return { status: 409, error: pacingProblem };
+    }
+
+    // ...and may need a bigger deposit than the booking was made with. There's no way to take
+    // the difference here, so the guest books again instead. Series and groups never take one.
+    const depositCents = reservation.series_id ? 0 : await depositFor(restaurant, updated);
+    if (depositCents > reservation.deposit_cents) {
+      return {
+        status: 409,
+        error: `That change needs a deposit of ${(depositCents / 100).toFixed(2)} ${restaurant.currency} - ` +
+          'please make a new booking so it can be paid'
+      };
+    }
+  }
+
+  // Nobody else can hold the table then (ignoring this booking itself)
+  const hasOverlap = combination
+    ? await checkCombinationOverlaps(combination, updated.start_time, updated.duration_minutes, reservation.id)
+    : await checkForOverlaps(updated.table_id, updated.start_time, updated.duration_minutes, reservation.id);
+
+  if (hasOverlap) {
+    return { status: 409, error: 'This table is already booked for that time. Try another time or table.' };
+  }
+
+  const previousTableIds = await tableIdsHeldBy(reservation);
+  await dbRun(
+    `UPDATE reservations
+     SET table_id = ?, party_size = ?, start_time = ?, duration_minutes = ?, combination_id = ?,
+         updated_at = datetime('now')
+     WHERE id = ?`,
+    [
+      updated.table_id,
+      updated.party_size,
+      updated.start_time,
+      updated.duration_minutes,
+      combination ? combination.id : null,
+      reservation.id
+    ]
+  );
+  await queueReservationEventById('reservation.updated', reservation.id);
+
+  // Tables the booking has left show their new state too
+  const tableIds = combination ? combination.tables.map((heldTable) => heldTable.id) : [updated.table_id];
+  for (const tableId of previousTableIds.filter((previous) => !tableIds.includes(previous))) {
+    await publishTableState(reservation.restaurant_id, tableId);
+  }
+
+  // Moving the booking may have freed up its old slot for someone on the waitlist
+  const moved = updated.table_id !== reservation.table_id ||
+    (combination ? combination.id : null) !== reservation.combination_id ||
+    updated.start_time !== reservation.start_time ||
+    updated.duration_minutes < reservation.duration_minutes;
+  const promotion = moved
+    ? await fillFreedSlot(reservation, `reservation #${reservation.id} was changed`)
+    : null;
+
+  return { table, promotion };
+};
+
+// Cancel a booking: work out any late-cancellation fee, mark it cancelled (the record is kept)
+// and hand the freed table to the waitlist. Set notify to false to skip the guest's notice.
+// Returns { terms, promotion } - refund the deposit with settleRefund(terms) once it's committed
+const cancelBooking = async (restaurant, reservation, { waiveFee = false, notify = true } = {}) => {
+  const terms = await cancellationTerms(reservation, restaurant, { waiveFee });
+
+  await dbRun(
+    "UPDATE reservations SET status = ?, updated_at = datetime('now') WHERE id = ?",
+    ['cancelled', reservation.id]
+  );
+  await recordCancellation(reservation, terms);
+  await queueReservationEventById('reservation.cancelled', reservation.id);
+  if (notify) {
+    await queueNotificationById('cancellation', reservation.id);
+  }
+
+  // The table is free again - give the first matching party on the waitlist a shot
+  const promotion = await fillFreedSlot(reservation, `reservation #${reservation.id} was cancelled`);
+  return { terms, promotion };
+};
+
+module.exports = {
+  changeReservation,
+  cancelBooking
+};
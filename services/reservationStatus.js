@@ -0,0 +1,39 @@
+// The reservation lifecycle, in one place
+//
+//   pending ──> confirmed ──> seated ──> completed
+//      │            │
+//      │            ├──> no_show
+//      └────────────┴──> cancelled
+//
+// completed, cancelled and no_show are final - nothing moves out of them
+
+const STATUSES = ['pending', 'confirmed', 'seated', 'completed', 'cancelled', 'no_show'];
+
+// Bookings in these states are holding their table
+const ACTIVE_STATUSES = ['pending', 'confirmed', 'seated'];
+
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['seated', 'cancelled', 'no_show'],
+  seated: ['completed'],
+  completed: [],
+  cancelled: [],
+  no_show: []
+};
+
+// Only bookings that haven't started yet can have their time, size or table changed
+const MODIFIABLE_STATUSES = ['pending', 'confirmed'];
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// SQL placeholder list for ACTIVE_STATUSES, e.g. "?, ?, ?"
+const activeStatusPlaceholders = ACTIVE_STATUSES.map(() => '?').join(', ');
+
+module.exports = {
+  STATUSES,
+  ACTIVE_STATUSES,
+  TRANSITIONS,
+  MODIFIABLE_STATUSES,
+  canTransition,
+  activeStatusPlaceholders
+};
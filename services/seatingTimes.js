@@ -0,0 +1,62 @@
+const { dbGet, dbAll } = require('../db/db');
+
+// How long a visit lasts when nobody says, unless the restaurant sets its own by party size
+const DEFAULT_DURATION_MINUTES = 90;
+
+// A restaurant's turnover rules (biggest tables first) - extra minutes to clear and reset
+// tables of at least min_capacity seats after each booking
+const loadTurnoverRules = (restaurantId) =>
+  dbAll(
+    'SELECT * FROM turnover_rules WHERE restaurant_id = ? ORDER BY min_capacity DESC',
+    [restaurantId]
+  );
+
+// A restaurant's visit lengths by party size (biggest parties first)
+const loadDurationRules = (restaurantId) =>
+  dbAll(
+    'SELECT * FROM duration_rules WHERE restaurant_id = ? ORDER BY min_party_size DESC',
+    [restaurantId]
+  );
+
+// The turnover buffer for one table: the rule for the largest size it reaches,
+// or the restaurant's turnover_minutes if no rule covers it
+const turnoverFor = (restaurant, rules, table) => {
+  const rule = rules.find((candidate) => table.capacity >= candidate.min_capacity);
+  return rule ? rule.turnover_minutes : restaurant.turnover_minutes || 0;
+};
+
+// Same as turnoverFor, starting from the table's id (0 for a table that doesn't exist)
+const turnoverForTable = async (tableId) => {
+  const table = await dbGet(
+    'SELECT * FROM tables WHERE id = ?',
+    [tableId]
+  );
+  if (!table) {
+    return 0;
+  }
+  const restaurant = await dbGet('SELECT * FROM restaurants WHERE id = ?', [table.restaurant_id]);
+  return turnoverFor(restaurant, await loadTurnoverRules(restaurant.id), table);
+};
+
+// Add each table's turnover_minutes, reading the rules once
+const withTurnover = async (restaurant, tables) => {
+  const rules = await loadTurnoverRules(restaurant.id);
+  return tables.map((table) => ({ ...table, turnover_minutes: turnoverFor(restaurant, rules, table) }));
+};
+
+// How long a party of this size is booked for when the client doesn't say
+const defaultDurationFor = async (restaurant, partySize) => {
+  const rules = await loadDurationRules(restaurant.id);
+  const rule = rules.find((candidate) => partySize >= candidate.min_party_size);
+  return rule ? rule.duration_minutes : DEFAULT_DURATION_MINUTES;
+};
+
+module.exports = {
+  DEFAULT_DURATION_MINUTES,
+  loadTurnoverRules,
+  loadDurationRules,
+  turnoverFor,
+  turnoverForTable,
+  withTurnover,
+  defaultDurationFor
+};
@@ -0,0 +1,73 @@
+const { dbAll } = require('../db/db');
+const { addDays } = require('./timezone');
+
+// Bookings made together are kept as a series: a recurring one (every Tuesday at 12:30)
+// or a group holding several tables at the same time. Every booking in it is a normal
+// reservation with series_id set, so all the usual checks and endpoints still apply.
+
+const SERIES_FREQUENCIES = ['weekly', 'monthly'];
+
+// A year of weekly bookings is plenty - longer series can be booked again when they run out
+const MAX_OCCURRENCES = 52;
+
+// Which bookings a change to a series applies to:
+//   this      - just the chosen booking
+//   following - the chosen booking and every later one
+//   all       - every booking in the series
+// Only bookings that haven't started yet are changed when it's more than one
+const SERIES_SCOPES = ['this', 'following', 'all'];
+
+// The same day of the month, some months on - the 29th to 31st land on the
+// last day of shorter months
+const addMonths = (date, months) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().split('T')[0];
+};
+
+// The dates (YYYY-MM-DD) a series falls on, starting with the first booking's date
+// Stops after until (inclusive) or once there are count dates
+// Returns null if that would be more than MAX_OCCURRENCES
+const occurrenceDates = (firstDate, { frequency, interval, until = null, count = null }) => {
+  const dates = [];
+
+  for (let n = 0; ; n++) {
+    const date = frequency === 'weekly'
+      ? addDays(firstDate, 7 * interval * n)
+      : addMonths(firstDate, interval * n);
+
+    if (count !== null ? n >= count : date > until) break;
+    if (dates.length === MAX_OCCURRENCES) return null;
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+// The bookings in a series a change applies to (see SERIES_SCOPES), earliest first
+// chosen is the booking the change was made from; it's not needed for 'all'
+const reservationsInScope = async (seriesId, scope, chosen = null) => {
+  if (scope === 'this') {
+    return [chosen];
+  }
+
+  const from = scope === 'following' ? chosen.start_time : null;
+  return dbAll(
+    `SELECT * FROM reservations
+     WHERE series_id = ?
+     AND datetime(start_time) >= datetime('now')
+     AND (? IS NULL OR datetime(start_time) >= datetime(?))
+     ORDER BY datetime(start_time), id`,
+    [seriesId, from, from]
+  );
+};
+
+module.exports = {
+  SERIES_FREQUENCIES,
+  SERIES_SCOPES,
+  MAX_OCCURRENCES,
+  occurrenceDates,
+  reservationsInScope
+};
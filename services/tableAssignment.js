@@ -0,0 +1,217 @@
+const { dbAll, dbGet } = require('../db/db');
+const { checkForOverlaps } = require('./bookingRules');
+const { isWithinOperatingHours } = require('./openingHours');
+const { checkPacing } = require('./pacing');
+const { loadCombination, isBookable, findAvailableCombination, checkCombinationOverlaps } = require('./combinations');
+const { timeZoneOf, toZonedDate, dayBounds } = require('./timezone');
+const { ACTIVE_STATUSES, activeStatusPlaceholders } = require('./reservationStatus');
+
+// How a restaurant wants free tables handed out when the guest doesn't pick one
+//   best_fit    - smallest table that seats the party (keeps big tables for big groups)
+//   spread      - table with the fewest bookings that day, so staff share the load
+//   reserve_vip - like best_fit, but VIP tables are held back for VIP bookings
+const ASSIGNMENT_STRATEGIES = ['best_fit', 'spread', 'reserve_vip'];
+
+// How far either side of the requested time we look when suggesting alternatives
+const SUGGESTION_STEP_MINUTES = 15;
+const SUGGESTION_WINDOW_MINUTES = 120;
+const MAX_SUGGESTIONS = 3;
+
+const bySizeThenNumber = (a, b) =>
+  a.capacity - b.capacity || a.table_number - b.table_number;
+
+// Put the candidate tables in the order the restaurant's strategy prefers
+const orderCandidates = async (restaurant, tables, { start_time, vip }) => {
+  const strategy = restaurant.assignment_strategy || 'best_fit';
+
+  if (strategy === 'spread') {
+    // Count how many active bookings each table already has on that (local) day
+    const timeZone = timeZoneOf(restaurant);
+    const day = dayBounds(toZonedDate(start_time, timeZone), timeZone);
+    const counts = await dbAll(
+      `SELECT table_id, COUNT(*) AS bookings
+       FROM reservations
+       WHERE restaurant_id = ?
+       AND datetime(start_time) >= datetime(?) AND datetime(start_time) < datetime(?)
+       AND status IN (${activeStatusPlaceholders})
+       GROUP BY table_id`,
+      [restaurant.id, day.start.toISOString(), day.end.toISOString(), ...ACTIVE_STATUSES]
+    );
+    const bookingsByTable = new Map(counts.map((row) => [row.table_id, row.bookings]));
+
+    return [...tables].sort((a, b) =>
+      (bookingsByTable.get(a.id) || 0) - (bookingsByTable.get(b.id) || 0) ||
+      bySizeThenNumber(a, b)
+    );
+  }
+
+  if (strategy === 'reserve_vip') {
+    // Regular guests never get VIP tables; VIP guests get them first
+    const vipTables = tables.filter((table) => table.is_vip).sort(bySizeThenNumber);
+    const regularTables = tables.filter((table) => !table.is_vip).sort(bySizeThenNumber);
+    return vip ? [...vipTables, ...regularTables] : regularTables;
+  }
+
+  return [...tables].sort(bySizeThenNumber);
+};
+
+// Find the best free table for a party at the given time
+// A section_id the guest asked for is tried first, then the rest of the restaurant
+// Returns the table row, or null if every suitable table is taken
+const findAvailableTable = async (restaurant, {
+  party_size,
+  start_time,
+  duration_minutes,
+  vip = false,
+  section_id = null
+}) => {
+  const tables = await dbAll(
+    'SELECT * FROM tables WHERE restaurant_id = ? AND capacity >= ? AND is_active = 1',
+    [restaurant.id, party_size]
+  );
+
+  const ordered = await orderCandidates(restaurant, tables, { start_time, vip });
+  const candidates = section_id
+    ? [
+      ...ordered.filter((table) => table.section_id === section_id),
+      ...ordered.filter((table) => table.section_id !== section_id)
+    ]
+    : ordered;
+
+  for (const table of candidates) {
+    const hasOverlap = await checkForOverlaps(table.id, start_time, duration_minutes);
+    if (!hasOverlap) {
+      return table;
+    }
+  }
+
+  return null;
+};
+
+// Check the kitchen can take the party, then find the table (or combination) it will sit at
+// A table or combination the guest picked just has to be free; otherwise the restaurant's
+// strategy picks a single table, falling back to tables pushed together.
+// Run it inside the transaction that saves the booking, so nobody can take the table in between.
+// Returns { table, combination } or { conflict: 'pacing' (with the reason), 'table_taken' or 'fully_booked' }
+const claimTables = async (restaurant, booking, { table = null, combination = null } = {}) => {
+  const pacingProblem = await checkPacing(restaurant, booking);
+  if (pacingProblem) {
+    return { conflict: 'pacing', reason: pacingProblem };
+  }
+
+  if (combination) {
+    // Every table in the combination has to be free
+    if (await checkCombinationOverlaps(combination, booking.start_time, booking.duration_minutes)) {
+      return { conflict: 'table_taken' };
+    }
+    return { table: combination.tables[0], combination };
+  }
+
+  if (table) {
+    if (await checkForOverlaps(table.id, booking.start_time, booking.duration_minutes)) {
+      return { conflict: 'table_taken' };
+    }
+    return { table, combination: null };
+  }
+
+  const freeTable = await findAvailableTable(restaurant, booking);
+  if (freeTable) {
+    return { table: freeTable, combination: null };
+  }
+
+  const freeCombination = await findAvailableCombination(restaurant, booking);
+  if (!freeCombination) {
+    return { conflict: 'fully_booked' };
+  }
+  return { table: freeCombination.tables[0], combination: freeCombination };
+};
+
+// Look around the requested time for slots where a table would be free
+// Closest times come first, so the guest sees the least disruptive options
+const suggestAlternatives = async (restaurant, request) => {
+  const requestedStart = new Date(request.start_time).getTime();
+  const suggestions = [];
+
+  for (
+    let offset = SUGGESTION_STEP_MINUTES;
+    offset <= SUGGESTION_WINDOW_MINUTES && suggestions.length < MAX_SUGGESTIONS;
+    offset += SUGGESTION_STEP_MINUTES
+  ) {
+    for (const direction of [1, -1]) {
+      if (suggestions.length >= MAX_SUGGESTIONS) break;
+
+      const start = new Date(requestedStart + direction * offset * 60000);
+      const end = new Date(start.getTime() + request.duration_minutes * 60000);
+
+      // Don't suggest times in the past, outside opening hours or that the kitchen can't pace
+      if (start.getTime() < Date.now()) continue;
+      if (!(await isWithinOperatingHours(restaurant, start.toISOString(), end.toISOString()))) continue;
+      if (await checkPacing(restaurant, { ...request, start_time: start.toISOString() })) continue;
+
+      // A single table if there is one, otherwise tables pushed together
+      const candidate = { ...request, start_time: start.toISOString() };
+      const table = await findAvailableTable(restaurant, candidate);
+      const combination = table ? null : await findAvailableCombination(restaurant, candidate);
+
+      if (table || combination) {
+        const firstTable = table || combination.tables[0];
+        suggestions.push({
+          start_time: start.toISOString(),
+          table_id: firstTable.id,
+          table_number: firstTable.table_number,
+          combination_id: combination ? combination.id : null
+        });
+      }
+    }
+  }
+
+  return suggestions;
+};
+
+// Checks a table or combination the client picked, the same way a single booking does
+// Returns { table, combination }, or { status, error } to send back
+const checkPickedTables = async (restaurantId, { table_id, combination_id, party_size }) => {
+  if (table_id) {
+    const table = await dbGet(
+      'SELECT * FROM tables WHERE id = ? AND restaurant_id = ?',
+      [table_id, restaurantId]
+    );
+    if (!table) {
+      return { status: 404, error: 'Table not found in this restaurant' };
+    }
+    if (!table.is_active) {
+      return { status: 409, error: `Table ${table.table_number} is out of service` };
+    }
+    if (party_size > table.capacity) {
+      return { status: 400, error: `Sorry, this table seats ${table.capacity} people but you need space for ${party_size}` };
+    }
+    return { table, combination: null };
+  }
+
+  if (combination_id) {
+    const combination = await loadCombination(restaurantId, combination_id);
+    if (!combination) {
+      return { status: 404, error: 'Table combination not found in this restaurant' };
+    }
+    if (!isBookable(combination)) {
+      return { status: 409, error: `A table in ${combination.name} is out of service` };
+    }
+    if (party_size > combination.capacity) {
+      return {
+        status: 400,
+        error: `Sorry, ${combination.name} seats ${combination.capacity} people but you need space for ${party_size}`
+      };
+    }
+    return { table: null, combination };
+  }
+
+  return { table: null, combination: null };
+};
+
+module.exports = {
+  ASSIGNMENT_STRATEGIES,
+  findAvailableTable,
+  claimTables,
+  checkPickedTables,
+  suggestAlternatives
+};
@@ -0,0 +1,136 @@
+// Timezone helpers built on Intl, so we don't need a date library
+// Every restaurant has an IANA zone (e.g. "Europe/London") and all wall-clock
+// maths - opening hours, day boundaries, slot times - happens in that zone
+
+const DEFAULT_TIMEZONE = 'UTC';
+const MINUTE = 60000;
+
+// Formatters are expensive to build, so keep one per zone
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// True if the runtime knows this IANA zone name
+const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const timeZoneOf = (restaurant) => restaurant.timezone || DEFAULT_TIMEZONE;
+
+// Break an instant into the year/month/day/hour/minute a clock in the zone would show
+const wallClock = (instant, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(instant))) {
+    parts[type] = value;
+  }
+  return parts;
+};
+
+// The wall-clock reading for an instant, expressed as if it were UTC milliseconds
+const wallClockAsUtc = (instant, timeZone) => {
+  const parts = wallClock(instant, timeZone);
+  return Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+};
+
+// How far ahead of UTC the zone is at a given instant, in milliseconds
+const offsetAt = (instant, timeZone) => {
+  const wholeSecond = Math.floor(new Date(instant).getTime() / 1000) * 1000;
+  return wallClockAsUtc(wholeSecond, timeZone) - wholeSecond;
+};
+
+// Calendar day (YYYY-MM-DD) an instant falls on in the zone
+const toZonedDate = (instant, timeZone) => {
+  const parts = wallClock(instant, timeZone);
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+// Wall-clock time (HH:MM) an instant shows in the zone
+const toZonedTime = (instant, timeZone) => {
+  const parts = wallClock(instant, timeZone);
+  return `${parts.hour}:${parts.minute}`;
+};
+
+// ISO 8601 string with the zone's offset, e.g. 2026-01-10T19:00:00+01:00
+const toZonedISOString = (instant, timeZone) => {
+  const parts = wallClock(instant, timeZone);
+  const offsetMinutes = Math.round(offsetAt(instant, timeZone) / MINUTE);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const hours = Math.floor(Math.abs(offsetMinutes) / 60).toString().padStart(2, '0');
+  const minutes = (Math.abs(offsetMinutes) % 60).toString().padStart(2, '0');
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${sign}${hours}:${minutes}`;
+};
+
+// The instant a wall-clock time (HH:MM) happens on a day in the zone
+// On DST days some times happen twice (we take the first) and some never
+// happen at all (we move forward by the size of the jump, like a real clock)
+const zonedTimeToUtc = (date, time, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // No zone is more than 14 hours from UTC, so these bracket any transition
+  const offsetBefore = offsetAt(wallAsUtc - 14 * 60 * MINUTE, timeZone);
+  const offsetAfter = offsetAt(wallAsUtc + 14 * 60 * MINUTE, timeZone);
+
+  const matches = [wallAsUtc - offsetBefore, wallAsUtc - offsetAfter]
+    .filter((candidate) => wallClockAsUtc(candidate, timeZone) === wallAsUtc);
+
+  return new Date(matches.length > 0 ? Math.min(...matches) : wallAsUtc - offsetBefore);
+};
+
+// Shift a YYYY-MM-DD string by whole days
+// Done in UTC so it's pure calendar maths, unaffected by DST or server timezone
+const addDays = (date, days) => {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().split('T')[0];
+};
+
+// 0 = Sunday ... 6 = Saturday, same as Date#getDay()
+const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// First and last instant of a local calendar day (end is exclusive)
+// Not always 24 hours apart - DST days are 23 or 25 hours long
+const dayBounds = (date, timeZone) => ({
+  start: zonedTimeToUtc(date, '00:00', timeZone),
+  end: zonedTimeToUtc(addDays(date, 1), '00:00', timeZone)
+});
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  timeZoneOf,
+  toZonedDate,
+  toZonedTime,
+  toZonedISOString,
+  zonedTimeToUtc,
+  addDays,
+  weekdayOf,
+  dayBounds
+};
@@ -0,0 +1,128 @@
+const { dbRun, dbGet, dbAll } = require('../db/db');
+const { claimTables } = require('./tableAssignment');
+const { findOrCreateCustomer } = require('./customers');
+const { queueReservationEventById } = require('./webhooks');
+const { queueNotificationById } = require('./notifications');
+const { hashSecret, generateSecret } = require('../middleware/auth');
+
+// Record something that happened to a waitlist entry
+// Every add, removal, promotion and skipped offer lands here so hosts can see why
+const logWaitlistEvent = (entry, event, { reservation_id = null, details = null } = {}) =>
+  dbRun(
+    `INSERT INTO waitlist_events (waitlist_id, restaurant_id, event, reservation_id, details)
+     VALUES (?, ?, ?, ?, ?)`,
+    [entry.id, entry.restaurant_id, event, reservation_id, details]
+  );
+
+// Turn a waiting party into a confirmed reservation, booked like any other: pacing has to allow it,
+// then the table the host picked (if any) has to be free, or the restaurant's strategy finds a table
+// or combination. Call it inside a transaction.
+// A party that would owe a deposit booking directly isn't promoted - staff book them the usual way,
+// so the guest gets a payment link instead of a free table.
+// The guest gets a reservation token like any other booking, sent to them with the confirmation.
+// Returns { reservation, guestToken }, or { conflict: 'deposit' (with deposit_cents), 'pacing' (with the reason),
+// 'table_taken' or 'fully_booked' }
+const promoteEntry = async (restaurant, entry, details, picked = {}) => {
+  // Required here because deposits.js offers freed tables to the waitlist
+  const { depositFor } = require('./deposits');
+  const depositCents = await depositFor(restaurant, entry);
+  if (depositCents > 0) {
+    return { conflict: 'deposit', deposit_cents: depositCents, currency: restaurant.currency };
+  }
+
+  const seating = await claimTables(restaurant, entry, picked);
+  if (seating.conflict) {
+    return seating;
+  }
+  const { table, combination } = seating;
+
+  const customer = await findOrCreateCustomer({ name: entry.customer_name, phone: entry.phone });
+  const guestToken = generateSecret('rsv');
+
+  const result = await dbRun(
+    `INSERT INTO reservations
+     (restaurant_id, table_id, customer_name, phone, party_size, start_time, duration_minutes, status, customer_id,
+      combination_id, guest_token_hash)
+     VALUES (?, ?, ?, ?, ?, ?, ?, 'confirmed', ?, ?, ?)`,
+    [
+      entry.restaurant_id,
+      table.id,
+      entry.customer_name,
+      entry.phone,
+      entry.party_size,
+      entry.start_time,
+      entry.duration_minutes,
+      customer.id,
+      combination ? combination.id : null,
+      hashSecret(guestToken)
+    ]
+  );
+
+  await dbRun(
+    "UPDATE waitlist SET status = 'promoted', reservation_id = ? WHERE id = ?",
+    [result.id, entry.id]
+  );
+  await logWaitlistEvent(entry, 'promoted', { reservation_id: result.id, details });
+  await queueReservationEventById('reservation.created', result.id);
+  await queueNotificationById('confirmation', result.id, { guestToken });
+
+  return { reservation: await dbGet('SELECT * FROM reservations WHERE id = ?', [result.id]), guestToken };
+};
+
+// Why a waiting party couldn't be booked, for the audit trail
+const whyNotPromoted = (outcome, entry) => {
+  if (outcome.conflict === 'deposit') {
+    return `they need to pay a deposit of ${(outcome.deposit_cents / 100).toFixed(2)} ${outcome.currency} - ` +
+      'book them as a normal reservation so they get a payment link';
+  }
+  if (outcome.conflict === 'pacing') {
+    return `the kitchen can't take them: ${outcome.reason}`;
+  }
+  return `no table fits a party of ${entry.party_size} at that time`;
+};
+
+// A reservation was cancelled or moved - see if anyone on the waitlist can take its place
+// Entries whose wanted time overlaps the freed window are tried oldest first,
+// and the first party that now fits is booked automatically. `reason` ends up in the audit trail.
+const fillFreedSlot = async (freed, reason) => {
+  const freedStart = new Date(freed.start_time);
+  const freedEnd = new Date(freedStart.getTime() + freed.duration_minutes * 60000);
+
+  const restaurant = await dbGet(
+    'SELECT * FROM restaurants WHERE id = ?',
+    [freed.restaurant_id]
+  );
+
+  // Only future requests that overlap the window that just opened up
+  const candidates = await dbAll(
+    `SELECT * FROM waitlist
+     WHERE restaurant_id = ? AND status = 'waiting'
+     AND datetime(start_time) >= datetime('now')
+     AND datetime(start_time) < datetime(?)
+     AND datetime(datetime(start_time), '+' || duration_minutes || ' minutes') > datetime(?)
+     ORDER BY created_at, id`,
+    [freed.restaurant_id, freedEnd.toISOString(), freedStart.toISOString()]
+  );
+
+  for (const entry of candidates) {
+    const outcome = await promoteEntry(restaurant, entry, `Automatically promoted because ${reason}`);
+
+    if (outcome.conflict) {
+      await logWaitlistEvent(entry, 'skipped', {
+        details: `Offered because ${reason}, but ${whyNotPromoted(outcome, entry)}`
+      });
+      continue;
+    }
+
+    return { waitlist_id: entry.id, reservation: outcome.reservation };
+  }
+
+  return null;
+};
+
+module.exports = {
+  logWaitlistEvent,
+  promoteEntry,
+  whyNotPromoted,
+  fillFreedSlot
+};
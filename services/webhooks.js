@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const { dbRun, dbGet, dbAll } = require('../db/db');
+const { withoutSecrets } = require('../middleware/auth');
+const { startBackgroundJob } = require('./background');
+const { publishLiveEvent, publishTableState } = require('./liveEvents');
+const { tableIdsHeldBy } = require('./combinations');
+
+// Events a restaurant can subscribe to
+const WEBHOOK_EVENTS = [
+  'reservation.created',
+  'reservation.updated',
+  'reservation.cancelled',
+  'reservation.no_show'
+];
+
+// How long to wait before each retry - after the last one the delivery is marked failed
+const RETRY_DELAYS_SECONDS = [30, 120, 600, 3600, 21600];
+const MAX_ATTEMPTS = RETRY_DELAYS_SECONDS.length + 1;
+
+// Give up on a receiver that takes longer than this to answer
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// HMAC-SHA256 of "<timestamp>.<body>" with the subscription's secret, as hex
+// Receivers recompute it to check the call really came from us (and wasn't replayed later)
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Put a reservation event in the outbox for every subscription that wants it
+// Call it inside the transaction that makes the change, so the event is saved if and only if the change is
+// Live streams get every event too, along with the new state of the reservation's table
+const queueReservationEvent = async (event, reservation) => {
+  await publishLiveEvent(reservation.restaurant_id, event, { reservation: withoutSecrets(reservation) });
+  for (const tableId of await tableIdsHeldBy(reservation)) {
+    await publishTableState(reservation.restaurant_id, tableId);
+  }
+
+  const webhooks = await dbAll(
+    'SELECT * FROM webhooks WHERE restaurant_id = ?',
+    [reservation.restaurant_id]
+  );
+  const subscribers = webhooks.filter((webhook) => webhook.events.split(',').includes(event));
+
+  if (subscribers.length === 0) {
+    return;
+  }
+
+  const eventId = `evt_${crypto.randomUUID()}`;
+  const payload = JSON.stringify({
+    id: eventId,
+    type: event,
+    created_at: new Date().toISOString(),
+    restaurant_id: reservation.restaurant_id,
+    data: { reservation: withoutSecrets(reservation) }
+  });
+
+  for (const webhook of subscribers) {
+    await dbRun(
+      `INSERT INTO webhook_deliveries (webhook_id, restaurant_id, event_id, event, payload, next_attempt_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [webhook.id, reservation.restaurant_id, eventId, event, payload, new Date().toISOString()]
+    );
+  }
+};
+
+// Same as queueReservationEvent, starting from the reservation's id
+const queueReservationEventById = async (event, reservationId) => {
+  const reservation = await dbGet('SELECT * FROM reservations WHERE id = ?', [reservationId]);
+  if (reservation) {
+    await queueReservationEvent(event, reservation);
+  }
+};
+
+// POST one delivery to its receiver and record how it went
+// Any 2xx counts as delivered; anything else is retried with backoff until MAX_ATTEMPTS
+// Returns the updated delivery row
+const attemptDelivery = async (delivery, now = new Date()) => {
+  const webhook = await dbGet('SELECT * FROM webhooks WHERE id = ?', [delivery.webhook_id]);
+  const timestamp = Math.floor(now.getTime() / 1000);
+  const attempts = delivery.attempts + 1;
+
+  let statusCode = null;
+  let error = null;
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'tallie-webhooks',
+        'X-Webhook-Id': delivery.event_id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, delivery.payload)}`
+      },
+      body: delivery.payload,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+    statusCode = response.status;
+    if (!response.ok) {
+      error = `Receiver answered ${response.status}`;
+    }
+  } catch (err) {
+    error = err.cause ? `${err.message}: ${err.cause.message}` : err.message;
+  }
+
+  if (!error) {
+    await dbRun(
+      `UPDATE webhook_deliveries
+       SET status = 'delivered', attempts = ?, last_status_code = ?, last_error = NULL, delivered_at = ?
+       WHERE id = ?`,
+      [attempts, statusCode, now.toISOString(), delivery.id]
+    );
+  } else if (attempts >= MAX_ATTEMPTS) {
+    await dbRun(
+      `UPDATE webhook_deliveries
+       SET status = 'failed', attempts = ?, last_status_code = ?, last_error = ?
+       WHERE id = ?`,
+      [attempts, statusCode, error, delivery.id]
+    );
+  } else {
+    const retryAt = new Date(now.getTime() + RETRY_DELAYS_SECONDS[attempts - 1] * 1000);
+    await dbRun(
+      `UPDATE webhook_deliveries
+       SET attempts = ?, last_status_code = ?, last_error = ?, next_attempt_at = ?
+       WHERE id = ?`,
+      [attempts, statusCode, error, retryAt.toISOString(), delivery.id]
+    );
+  }
+
+  return dbGet('SELECT * FROM webhook_deliveries WHERE id = ?', [delivery.id]);
+};
+
+// Send everything in the outbox that is due, oldest first
+// Returns how many deliveries were attempted
+const processOutbox = async ({ now = new Date(), limit = 50 } = {}) => {
+  const due = await dbAll(
+    `SELECT * FROM webhook_deliveries
+     WHERE status = 'pending' AND next_attempt_at <= ?
+     ORDER BY next_attempt_at, id
+     LIMIT ?`,
+    [now.toISOString(), limit]
+  );
+
+  for (const delivery of due) {
+    await attemptDelivery(delivery, now);
+  }
+  return due.length;
+};
+
+// Keep the outbox moving in the background (started by server.js)
+// Returns a function that stops it
+const startWebhookDispatcher = ({ intervalMs = 5000 } = {}) =>
+  startBackgroundJob('Webhook dispatcher', () => processOutbox(), { intervalMs });
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  RETRY_DELAYS_SECONDS,
+  MAX_ATTEMPTS,
+  signPayload,
+  queueReservationEvent,
+  queueReservationEventById,
+  attemptDelivery,
+  processOutbox,
+  startWebhookDispatcher
+};